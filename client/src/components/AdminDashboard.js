@@ -4,6 +4,12 @@ import axios from 'axios';
 import toast from 'react-hot-toast';
 import GameConfigPanel from './GameConfigPanel';
 import PumpFunPanel from './PumpFunPanel';
+import AdminHoldersPanel from './AdminHoldersPanel';
+import AdminReviewPanel from './AdminReviewPanel';
+import AdminPayoutsPanel from './AdminPayoutsPanel';
+import AdminPotLedgerPanel from './AdminPotLedgerPanel';
+import AdminSchedulePanel from './AdminSchedulePanel';
+import AdminTriggersPanel from './AdminTriggersPanel';
 
 const AdminDashboard = () => {
   const [adminPassword, setAdminPassword] = useState('');
@@ -166,12 +172,48 @@ const AdminDashboard = () => {
           </button>
         </div>
 
+        {/* Games left unsettled by a restart */}
+        <div className="glass-strong p-6 rounded-2xl mb-8">
+          <h3 className="text-xl font-bold text-white mb-4">🩺 Games Needing Review</h3>
+          <AdminReviewPanel adminPassword={adminPassword} />
+        </div>
+
+        {/* Payout queue */}
+        <div className="glass-strong p-6 rounded-2xl mb-8">
+          <h3 className="text-xl font-bold text-white mb-4">💸 Payout Queue</h3>
+          <AdminPayoutsPanel adminPassword={adminPassword} />
+        </div>
+
+        {/* Pot ledger and wallet reconciliation */}
+        <div className="glass-strong p-6 rounded-2xl mb-8">
+          <h3 className="text-xl font-bold text-white mb-4">📒 Pot Ledger</h3>
+          <AdminPotLedgerPanel adminPassword={adminPassword} />
+        </div>
+
+        {/* Spin schedule, blackouts and special spins */}
+        <div className="glass-strong p-6 rounded-2xl mb-8">
+          <h3 className="text-xl font-bold text-white mb-4">🗓️ Spin Schedule</h3>
+          <AdminSchedulePanel adminPassword={adminPassword} />
+        </div>
+
+        {/* Holder, pot, market cap and volume spin triggers */}
+        <div className="glass-strong p-6 rounded-2xl mb-8">
+          <h3 className="text-xl font-bold text-white mb-4">⚡ Spin Triggers</h3>
+          <AdminTriggersPanel adminPassword={adminPassword} />
+        </div>
+
         {/* Game Configuration */}
         <div className="glass-strong p-6 rounded-2xl mb-8">
           <h3 className="text-xl font-bold text-white mb-4">🎮 Game Configuration</h3>
           <GameConfigPanel adminPassword={adminPassword} />
         </div>
 
+        {/* Holders & Sybil Clusters */}
+        <div className="glass-strong p-6 rounded-2xl mb-8">
+          <h3 className="text-xl font-bold text-white mb-4">👥 Holders & Clusters</h3>
+          <AdminHoldersPanel adminPassword={adminPassword} />
+        </div>
+
         {/* Pump.fun Fee Management */}
         <div className="glass-strong p-6 rounded-2xl mb-8">
           <h3 className="text-xl font-bold text-white mb-4">🚀 Pump.fun Fee Management</h3>
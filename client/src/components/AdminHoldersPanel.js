@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const REASON_LABELS = {
+  shared_funder: 'Shared funder',
+  funded_by_holder: 'Funded by holder',
+  token_transfer: 'Token transfer'
+};
+
+const AdminHoldersPanel = ({ adminPassword }) => {
+  const [holders, setHolders] = useState([]);
+  const [clusters, setClusters] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [showSuspiciousOnly, setShowSuspiciousOnly] = useState(false);
+
+  const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+  useEffect(() => {
+    loadHolders();
+
+    // Pick up finished analyses without a manual refresh
+    const interval = setInterval(loadHolders, 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const loadHolders = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE}/admin/holders`, {
+        headers: { 'x-admin-password': adminPassword }
+      });
+
+      if (response.data.success) {
+        setHolders(response.data.data.holders);
+        setClusters(response.data.data.clusters);
+        setSummary(response.data.data.summary);
+      }
+    } catch (error) {
+      console.error('Failed to load holders:', error);
+      toast.error('Failed to load holders');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const analyzeClusters = async () => {
+    try {
+      await axios.post(`${API_BASE}/admin/clusters/analyze`, {}, {
+        headers: { 'x-admin-password': adminPassword }
+      });
+      toast.success('Cluster analysis started');
+      setSummary(prev => ({ ...prev, isAnalyzing: true }));
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to start cluster analysis');
+    }
+  };
+
+  const updateCluster = async (clusterId, action) => {
+    try {
+      await axios.post(`${API_BASE}/admin/clusters/${clusterId}/${action}`, {}, {
+        headers: { 'x-admin-password': adminPassword }
+      });
+      toast.success(`Cluster ${action}d`);
+      await loadHolders();
+    } catch (error) {
+      toast.error(error.response?.data?.error || `Failed to ${action} cluster`);
+    }
+  };
+
+  const formatAddress = (address) => `${address.slice(0, 4)}...${address.slice(-4)}`;
+  const formatBalance = (balance) => (Number(balance) / 1000000).toFixed(1) + 'M';
+
+  const visibleHolders = showSuspiciousOnly ? holders.filter(holder => holder.suspicious) : holders;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="space-y-6"
+    >
+      {/* Summary */}
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div className="text-gray-300 text-sm">
+          {summary ? (
+            <>
+              {summary.clusters} cluster(s), {summary.suspiciousClusters} suspicious,
+              {' '}{summary.clusteredWallets} clustered wallet(s), {summary.mergedClusters} merged
+              {summary.lastAnalysis && (
+                <span className="text-gray-500"> • analyzed {new Date(summary.lastAnalysis).toLocaleString()}</span>
+              )}
+            </>
+          ) : 'No analysis yet'}
+        </div>
+        <div className="flex gap-2">
+          <button onClick={loadHolders} disabled={loading} className="btn-neon px-4">
+            {loading ? '...' : '🔄 Refresh'}
+          </button>
+          <button onClick={analyzeClusters} disabled={summary?.isAnalyzing} className="btn-neon px-4">
+            {summary?.isAnalyzing ? 'Analyzing...' : '🕵️ Detect Clusters'}
+          </button>
+        </div>
+      </div>
+
+      {/* Clusters */}
+      {clusters.length > 0 && (
+        <div className="space-y-2">
+          <h4 className="text-white font-bold">Clusters</h4>
+          {clusters.map(cluster => (
+            <div
+              key={cluster.id}
+              className={`p-3 rounded-lg ${cluster.suspicious ? 'bg-red-500/10 border border-red-500/30' : 'bg-white/5'}`}
+            >
+              <div className="flex items-center justify-between mb-1">
+                <div className="text-white text-sm">
+                  {cluster.suspicious && '⚠️ '}
+                  <span className="font-mono">{cluster.id}</span>
+                  {' '}• {cluster.addresses.length} wallets • {formatBalance(cluster.totalBalance)}
+                  {cluster.merged && <span className="text-green-400"> • merged</span>}
+                </div>
+                <button
+                  onClick={() => updateCluster(cluster.id, cluster.merged ? 'unmerge' : 'merge')}
+                  className="text-xs px-3 py-1 rounded bg-white/10 hover:bg-white/20 text-white transition-colors"
+                >
+                  {cluster.merged ? 'Unmerge' : 'Merge'}
+                </button>
+              </div>
+              <div className="text-gray-400 text-xs font-mono break-all">
+                {cluster.addresses.map(formatAddress).join(', ')}
+              </div>
+              <div className="text-gray-500 text-xs mt-1">
+                {cluster.reasons.slice(0, 3).map((reason, i) => (
+                  <div key={i}>
+                    {REASON_LABELS[reason.type] || reason.type}
+                    {reason.funder && <span className="font-mono"> {formatAddress(reason.funder)}</span>}
+                  </div>
+                ))}
+                {cluster.reasons.length > 3 && <div>+{cluster.reasons.length - 3} more link(s)</div>}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Holders */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="text-white font-bold">Holders</h4>
+          <label className="text-gray-400 text-xs flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={showSuspiciousOnly}
+              onChange={(e) => setShowSuspiciousOnly(e.target.checked)}
+            />
+            Suspicious only
+          </label>
+        </div>
+        <div className="max-h-96 overflow-y-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-gray-400 text-left">
+                <th className="p-2">Address</th>
+                <th className="p-2">Balance</th>
+                <th className="p-2">Counted</th>
+                <th className="p-2">Eligible</th>
+                <th className="p-2">Cluster</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleHolders.map(holder => (
+                <tr key={holder.address} className={holder.suspicious ? 'bg-red-500/10' : ''}>
+                  <td className="p-2 text-white font-mono">{formatAddress(holder.address)}</td>
+                  <td className="p-2 text-gray-300">{formatBalance(holder.balance)}</td>
+                  <td className="p-2 text-gray-300">{formatBalance(holder.effectiveBalance)}</td>
+                  <td className="p-2">{holder.isEligible ? '✅' : '❌'}</td>
+                  <td className="p-2 text-gray-400 font-mono text-xs">
+                    {holder.clusterId ? `${holder.suspicious ? '⚠️ ' : ''}${holder.clusterId.slice(0, 8)}` : '-'}
+                    {holder.mergedClusterId && ' (merged)'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {visibleHolders.length === 0 && (
+            <div className="text-gray-400 text-center py-4">No holders</div>
+          )}
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default AdminHoldersPanel;
@@ -0,0 +1,492 @@
+/* global BigInt */
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useSocket } from '../contexts/SocketContext';
+
+const SAFETY_LABELS = {
+  perPayout: ['Max per payout', 'sol'],
+  perHour: ['Hourly payout cap', 'sol'],
+  perDay: ['Daily payout cap', 'sol'],
+  thresholdLamports: ['Approval threshold', 'sol'],
+  required: ['Required approvals'],
+  multisigVault: ['Multisig vault', 'address']
+};
+
+const AdminPayoutsPanel = ({ adminPassword }) => {
+  const [queueStatus, setQueueStatus] = useState(null);
+  const [payouts, setPayouts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [approval, setApproval] = useState(null);
+  const [policyChanges, setPolicyChanges] = useState([]);
+  const [showPolicyLog, setShowPolicyLog] = useState(false);
+  const { subscribeToEvent } = useSocket();
+
+  const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+  useEffect(() => {
+    loadPayouts();
+
+    const interval = setInterval(loadPayouts, 15000);
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    if (!subscribeToEvent) return;
+
+    return subscribeToEvent('payoutBreakerTripped', (data) => {
+      toast.error(`🛑 Payouts halted: ${data.reason}`, { duration: 10000 });
+      loadPayouts();
+    });
+  }, [subscribeToEvent]);
+
+  useEffect(() => {
+    if (!subscribeToEvent) return;
+
+    return subscribeToEvent('payoutAwaitingApproval', (data) => {
+      toast(`✋ Payout of ${formatSOL(data.amount)} SOL needs ${data.approvalsRequired} approval(s)`, { duration: 10000 });
+      loadPayouts();
+    });
+  }, [subscribeToEvent]);
+
+  useEffect(() => {
+    if (!subscribeToEvent) return;
+
+    return subscribeToEvent('payoutPolicyChangeProposed', (data) => {
+      toast(`✋ Payout safety change needs ${data.approvalsRequired} approval(s)`, { duration: 10000 });
+      loadPayouts();
+    });
+  }, [subscribeToEvent]);
+
+  const loadPayouts = async () => {
+    try {
+      setLoading(true);
+      const [queueResponse, historyResponse, policyResponse] = await Promise.all([
+        axios.get(`${API_BASE}/transactions/payouts/queue`),
+        axios.get(`${API_BASE}/transactions/payouts?limit=25`),
+        axios.get(`${API_BASE}/admin/payouts/policy-changes?limit=25`, {
+          headers: { 'x-admin-password': adminPassword }
+        })
+      ]);
+
+      if (queueResponse.data.success) {
+        setQueueStatus(queueResponse.data.data.status);
+      }
+      if (historyResponse.data.success) {
+        setPayouts(historyResponse.data.data);
+      }
+      if (policyResponse.data.success) {
+        setPolicyChanges(policyResponse.data.data);
+      }
+    } catch (error) {
+      console.error('Failed to load payouts:', error);
+      toast.error('Failed to load payouts');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const setPaused = async (paused) => {
+    try {
+      const response = await axios.post(`${API_BASE}/admin/payouts/${paused ? 'pause' : 'resume'}`, {}, {
+        headers: { 'x-admin-password': adminPassword }
+      });
+      toast.success(response.data.message);
+      await loadPayouts();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update payouts');
+    }
+  };
+
+  const rearmBreaker = async (approvePayout) => {
+    if (approvePayout && !window.confirm('Send the payout that tripped the breaker, ignoring the spend caps once?')) {
+      return;
+    }
+
+    try {
+      const response = await axios.post(`${API_BASE}/admin/payouts/rearm`, { approvePayout }, {
+        headers: { 'x-admin-password': adminPassword }
+      });
+      toast.success(response.data.message);
+      await loadPayouts();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to re-arm breaker');
+    }
+  };
+
+  const retryPayout = async (payoutId) => {
+    try {
+      const response = await axios.post(`${API_BASE}/admin/payouts/${payoutId}/retry`, {}, {
+        headers: { 'x-admin-password': adminPassword }
+      });
+      toast.success(response.data.message);
+      await loadPayouts();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to retry payout');
+    }
+  };
+
+  // Approves a held payout, or a pending safety settings change
+  const approvePayout = async () => {
+    const url = approval.changeId
+      ? `${API_BASE}/admin/payouts/policy-changes/${approval.changeId}/approve`
+      : `${API_BASE}/admin/payouts/${approval.payoutId}/approve`;
+
+    try {
+      const response = await axios.post(url, {
+        approver: approval.approver,
+        password: approval.password
+      }, {
+        headers: { 'x-admin-password': adminPassword }
+      });
+      toast.success(response.data.message);
+      setApproval(null);
+      await loadPayouts();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to approve');
+    }
+  };
+
+  const cancelPolicyChange = async (changeId) => {
+    try {
+      const response = await axios.post(`${API_BASE}/admin/payouts/policy-changes/${changeId}/cancel`, {}, {
+        headers: { 'x-admin-password': adminPassword }
+      });
+      toast.success(response.data.message);
+      await loadPayouts();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to cancel policy change');
+    }
+  };
+
+  // Downloads the payout as a multisig vault transaction proposal
+  const exportProposal = async (payoutId) => {
+    try {
+      const response = await axios.post(`${API_BASE}/admin/payouts/${payoutId}/proposal`, {}, {
+        headers: { 'x-admin-password': adminPassword }
+      });
+      const blob = new Blob([JSON.stringify(response.data.data, null, 2)], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `${payoutId}-proposal.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+      toast.success('Proposal exported');
+      await loadPayouts();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to export proposal');
+    }
+  };
+
+  const settleFromMultisig = async (payoutId) => {
+    try {
+      const response = await axios.post(`${API_BASE}/admin/payouts/${payoutId}/multisig-settle`, {}, {
+        headers: { 'x-admin-password': adminPassword }
+      });
+      toast.success(response.data.message);
+      await loadPayouts();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Multisig payout not found yet');
+    }
+  };
+
+  const cancelPayout = async (payoutId) => {
+    if (!window.confirm('Cancel this payout? Its game goes to review and a signed transaction is invalidated.')) {
+      return;
+    }
+
+    try {
+      const response = await axios.post(`${API_BASE}/admin/payouts/${payoutId}/cancel`, {}, {
+        headers: { 'x-admin-password': adminPassword }
+      });
+      toast.success(response.data.message);
+      await loadPayouts();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to cancel payout');
+    }
+  };
+
+  const formatSOL = (lamports) => (lamports / 1000000000).toFixed(4);
+
+  const describeChange = (changes) => [
+    ...Object.entries(changes.spendLimits || {}),
+    ...Object.entries(changes.approvalPolicy || {}),
+    ...(changes.nonceAccount !== undefined ? [['nonceAccount', changes.nonceAccount]] : [])
+  ].map(([key, value]) => {
+    const [label, kind] = key === 'nonceAccount' ? ['Nonce account', 'address'] : SAFETY_LABELS[key];
+    if (kind === 'sol') return `${label} → ${formatSOL(value)} SOL${value === 0 ? ' (off)' : ''}`;
+    if (kind === 'address') return `${label} → ${value ? `${value.slice(0, 4)}…` : 'none'}`;
+    return `${label} → ${value}`;
+  }).join(', ');
+
+  const pendingChanges = policyChanges.filter(change => change.status === 'pending');
+
+  // Token prize amounts are raw base-unit strings
+  const formatTokens = (tokenPrize) => {
+    const total = tokenPrize.amounts.reduce((sum, part) => sum + BigInt(part.amount), 0n).toString();
+    const digits = total.padStart(tokenPrize.decimals + 1, '0');
+    const whole = digits.slice(0, digits.length - tokenPrize.decimals);
+    const fraction = digits.slice(digits.length - tokenPrize.decimals).replace(/0+$/, '');
+    return `${fraction ? `${whole}.${fraction}` : whole} ${tokenPrize.mint.slice(0, 4)}…`;
+  };
+
+  const statusColors = {
+    awaiting_approval: 'text-purple-300',
+    exported: 'text-purple-300',
+    pending: 'text-yellow-300',
+    processing: 'text-blue-300',
+    completed: 'text-green-300',
+    simulated: 'text-gray-300',
+    failed: 'text-red-300'
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="space-y-4"
+    >
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-gray-300 text-sm">
+          {queueStatus
+            ? `Worker ${queueStatus.breaker?.tripped ? 'halted' : queueStatus.paused ? 'paused' : queueStatus.workerRunning ? 'running' : 'stopped'} • ${queueStatus.storage} queue`
+            : 'Loading queue...'}
+        </div>
+        <div className="flex gap-2">
+          {queueStatus && (
+            <button onClick={() => setPaused(!queueStatus.paused)} className="btn-neon px-4">
+              {queueStatus.paused ? '▶️ Resume Payouts' : '⏸️ Pause Payouts'}
+            </button>
+          )}
+          <button onClick={loadPayouts} disabled={loading} className="btn-neon px-4">
+            {loading ? '...' : '🔄 Refresh'}
+          </button>
+        </div>
+      </div>
+
+      {queueStatus?.breaker?.tripped && (
+        <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 space-y-2">
+          <div className="text-red-300 font-bold text-sm">🛑 Spend-limit breaker tripped</div>
+          <div className="text-gray-300 text-xs">{queueStatus.breaker.reason}</div>
+          <div className="text-gray-500 text-xs">
+            Payout <span className="font-mono">{queueStatus.breaker.payoutId}</span> for game <span className="font-mono">{queueStatus.breaker.gameId}</span>
+            {' '}• {new Date(queueStatus.breaker.trippedAt).toLocaleString()}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => rearmBreaker(false)}
+              className="text-xs px-3 py-1 rounded bg-white/10 hover:bg-white/20 text-white transition-colors"
+            >
+              Re-arm
+            </button>
+            <button
+              onClick={() => rearmBreaker(true)}
+              className="text-xs px-3 py-1 rounded bg-yellow-500/20 hover:bg-yellow-500/30 text-yellow-300 transition-colors"
+            >
+              Re-arm & Approve This Payout
+            </button>
+          </div>
+        </div>
+      )}
+
+      {pendingChanges.map(change => (
+        <div key={change.id} className="p-3 rounded-lg bg-purple-500/10 border border-purple-500/30 space-y-2">
+          <div className="text-purple-300 font-bold text-sm">✋ Payout safety change waiting for approval</div>
+          <div className="text-gray-300 text-xs">{describeChange(change.changes)}</div>
+          <div className="text-gray-500 text-xs">
+            By {change.proposedBy} • {new Date(change.createdAt).toLocaleString()} • {change.approvals.length}/{change.approvalsRequired} approvals
+            {change.approvals.length > 0 && `: ${change.approvals.map(a => a.admin).join(', ')}`}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => setApproval({ changeId: change.id, approver: '', password: '' })}
+              className="text-xs px-3 py-1 rounded bg-purple-500/20 hover:bg-purple-500/30 text-purple-300 transition-colors"
+            >
+              Approve
+            </button>
+            <button
+              onClick={() => cancelPolicyChange(change.id)}
+              className="text-xs px-3 py-1 rounded bg-red-500/20 hover:bg-red-500/30 text-red-300 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {approval && (
+        <div className="p-3 rounded-lg bg-purple-500/10 border border-purple-500/30 space-y-2">
+          <div className="text-purple-300 font-bold text-sm">
+            ✋ Approve {approval.changeId ? 'safety change' : 'payout'} <span className="font-mono">{approval.changeId || approval.payoutId}</span>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              value={approval.approver}
+              onChange={(e) => setApproval(prev => ({ ...prev, approver: e.target.value }))}
+              placeholder="Your admin account"
+              className="p-2 bg-white/10 border border-white/20 rounded-lg text-white text-sm placeholder-gray-400 focus:outline-none focus:border-blue-400"
+            />
+            <input
+              type="password"
+              value={approval.password}
+              onChange={(e) => setApproval(prev => ({ ...prev, password: e.target.value }))}
+              onKeyPress={(e) => e.key === 'Enter' && approvePayout()}
+              placeholder="Your password"
+              className="p-2 bg-white/10 border border-white/20 rounded-lg text-white text-sm placeholder-gray-400 focus:outline-none focus:border-blue-400"
+            />
+            <button onClick={approvePayout} className="text-xs px-3 py-1 rounded bg-purple-500/20 hover:bg-purple-500/30 text-purple-300 transition-colors">
+              Approve
+            </button>
+            <button onClick={() => setApproval(null)} className="text-xs px-3 py-1 rounded bg-white/10 hover:bg-white/20 text-white transition-colors">
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+
+      {policyChanges.length > 0 && (
+        <div className="space-y-1">
+          <button onClick={() => setShowPolicyLog(!showPolicyLog)} className="text-blue-400 hover:text-blue-300 text-xs">
+            {showPolicyLog ? 'Hide' : 'Show'} safety change log
+          </button>
+          {showPolicyLog && policyChanges.map(change => (
+            <div key={change.id} className="text-xs flex flex-wrap justify-between gap-2 p-1 rounded bg-white/5">
+              <span className="text-gray-400">{new Date(change.createdAt).toLocaleString()}</span>
+              <span className="text-gray-300">{describeChange(change.changes)}</span>
+              <span className={change.status === 'applied' ? 'text-green-300' : change.status === 'pending' ? 'text-purple-300' : 'text-gray-400'}>
+                {change.status} • {change.proposedBy}
+                {change.approvals.length > 0 && ` • approved by ${change.approvals.map(a => a.admin).join(', ')}`}
+                {change.errorMessage && ` • ${change.errorMessage}`}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {payouts.length === 0 ? (
+        <div className="text-gray-400 text-sm">No payouts yet</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-gray-400 text-left">
+                <th className="py-2 pr-4">Game</th>
+                <th className="py-2 pr-4">Amount</th>
+                <th className="py-2 pr-4">Status</th>
+                <th className="py-2 pr-4">Attempts</th>
+                <th className="py-2 pr-4">Priority Fee</th>
+                <th className="py-2 pr-4">Next Attempt / Error</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {payouts.map(payout => (
+                <tr key={payout.id} className="border-t border-white/10 text-white">
+                  <td className="py-2 pr-4 font-mono text-xs">{payout.gameId}</td>
+                  <td className="py-2 pr-4">
+                    {formatSOL(payout.totalAmount)} SOL
+                    {payout.tokenPrize?.amounts && (
+                      <div className="text-blue-300 text-xs">{formatTokens(payout.tokenPrize)}</div>
+                    )}
+                  </td>
+                  <td className={`py-2 pr-4 ${statusColors[payout.status] || 'text-white'}`}>{payout.status}</td>
+                  <td className="py-2 pr-4">{payout.attempts}/{payout.maxAttempts}</td>
+                  <td className="py-2 pr-4 text-xs">
+                    {payout.priorityFee ? (
+                      <>
+                        <div>{payout.priorityFee.lamports.toLocaleString()} lamports</div>
+                        <div className="text-gray-400">
+                          {payout.priorityFee.microLamports.toLocaleString()} µL × {payout.priorityFee.computeUnits.toLocaleString()} CU
+                        </div>
+                      </>
+                    ) : (
+                      <span className="text-gray-500">—</span>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4 text-xs">
+                    {payout.status === 'pending' && payout.nextAttemptAt && (
+                      <div className="text-gray-400">{new Date(payout.nextAttemptAt).toLocaleTimeString()}</div>
+                    )}
+                    {payout.lastError && (
+                      <div className="text-red-300 break-all">{payout.lastError}</div>
+                    )}
+                    {payout.approvalsRequired && (
+                      <div className="text-purple-300">
+                        {payout.approvals.length}/{payout.approvalsRequired} approvals
+                        {payout.approvals.length > 0 && `: ${payout.approvals.map(a => a.admin).join(', ')}`}
+                      </div>
+                    )}
+                    {payout.multisigProposal && (
+                      <div className="text-gray-400">
+                        Exported to multisig {payout.multisigProposal.vault.slice(0, 4)}… on {new Date(payout.multisigProposal.exportedAt).toLocaleString()}
+                      </div>
+                    )}
+                    {payout.signedTransaction && (
+                      <div className="text-blue-300">
+                        Signed ({payout.signedTransaction.lifetime.nonceAccount ? 'durable nonce' : `valid to block ${payout.signedTransaction.lifetime.lastValidBlockHeight}`})
+                      </div>
+                    )}
+                  </td>
+                  <td className="py-2 text-right space-x-2 whitespace-nowrap">
+                    {payout.status === 'awaiting_approval' && (
+                      <>
+                        <button
+                          onClick={() => setApproval({ payoutId: payout.id, approver: '', password: '' })}
+                          className="text-xs px-3 py-1 rounded bg-purple-500/20 hover:bg-purple-500/30 text-purple-300 transition-colors"
+                        >
+                          Approve
+                        </button>
+                        <button
+                          onClick={() => exportProposal(payout.id)}
+                          className="text-xs px-3 py-1 rounded bg-white/10 hover:bg-white/20 text-white transition-colors"
+                        >
+                          Export Proposal
+                        </button>
+                      </>
+                    )}
+                    {payout.status === 'exported' && (
+                      <button
+                        onClick={() => exportProposal(payout.id)}
+                        className="text-xs px-3 py-1 rounded bg-white/10 hover:bg-white/20 text-white transition-colors"
+                      >
+                        Download Proposal
+                      </button>
+                    )}
+                    {payout.multisigProposal && (payout.status === 'exported' || payout.status === 'failed') && (
+                      <button
+                        onClick={() => settleFromMultisig(payout.id)}
+                        className="text-xs px-3 py-1 rounded bg-white/10 hover:bg-white/20 text-white transition-colors"
+                      >
+                        Check Multisig
+                      </button>
+                    )}
+                    {payout.status === 'failed' && !payout.multisigProposal && (
+                      <button
+                        onClick={() => retryPayout(payout.id)}
+                        className="text-xs px-3 py-1 rounded bg-white/10 hover:bg-white/20 text-white transition-colors"
+                      >
+                        Retry
+                      </button>
+                    )}
+                    {(['pending', 'awaiting_approval', 'exported'].includes(payout.status) || (payout.status === 'failed' && payout.signedTransaction)) && (
+                      <button
+                        onClick={() => cancelPayout(payout.id)}
+                        className="text-xs px-3 py-1 rounded bg-red-500/20 hover:bg-red-500/30 text-red-300 transition-colors"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default AdminPayoutsPanel;
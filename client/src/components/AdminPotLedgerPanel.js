@@ -0,0 +1,231 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useSocket } from '../contexts/SocketContext';
+
+const AdminPotLedgerPanel = ({ adminPassword }) => {
+  const [ledger, setLedger] = useState(null);
+  const [reconciliations, setReconciliations] = useState([]);
+  const [entry, setEntry] = useState({ type: 'deposit', wallet: 'creator', amount: '', reference: '', memo: '' });
+  const [loading, setLoading] = useState(false);
+  const { subscribeToEvent } = useSocket();
+
+  const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+  const headers = { 'x-admin-password': adminPassword };
+
+  useEffect(() => {
+    loadLedger();
+
+    const interval = setInterval(loadLedger, 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    if (!subscribeToEvent) return;
+
+    return subscribeToEvent('potDriftDetected', (data) => {
+      toast.error(`⚠️ Pot ledger drift on the ${data.wallet} wallet: ${formatSOL(data.drift)} SOL`, { duration: 10000 });
+      loadLedger();
+    });
+  }, [subscribeToEvent]);
+
+  const loadLedger = async () => {
+    try {
+      setLoading(true);
+      const [ledgerResponse, reconciliationsResponse] = await Promise.all([
+        axios.get(`${API_BASE}/admin/pot/ledger`, { headers }),
+        axios.get(`${API_BASE}/admin/pot/reconciliations`, { headers })
+      ]);
+
+      if (ledgerResponse.data.success) {
+        setLedger(ledgerResponse.data.data);
+      }
+      if (reconciliationsResponse.data.success) {
+        setReconciliations(reconciliationsResponse.data.data);
+      }
+    } catch (error) {
+      console.error('Failed to load pot ledger:', error);
+      toast.error('Failed to load pot ledger');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const reconcile = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.post(`${API_BASE}/admin/pot/reconcile`, {}, { headers });
+      toast.success(response.data.message);
+      await loadLedger();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to reconcile');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const postEntry = async () => {
+    const amount = Math.round(parseFloat(entry.amount) * 1000000000);
+    if (!amount) {
+      toast.error('Enter an amount in SOL');
+      return;
+    }
+    if (!window.confirm(`Post a ${entry.type} of ${formatSOL(amount)} SOL to the pot ledger?`)) {
+      return;
+    }
+
+    try {
+      const response = await axios.post(`${API_BASE}/admin/pot/ledger`, {
+        type: entry.type,
+        wallet: entry.wallet,
+        amount,
+        reference: entry.reference.trim() || undefined,
+        memo: entry.memo.trim() || undefined
+      }, { headers });
+      toast.success(response.data.message);
+      setEntry(prev => ({ ...prev, amount: '', reference: '', memo: '' }));
+      await loadLedger();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to post entry');
+    }
+  };
+
+  const formatSOL = (lamports) => (lamports / 1000000000).toFixed(4);
+
+  const inputClass = 'p-2 bg-white/10 border border-white/20 rounded-lg text-white text-xs placeholder-gray-400 focus:outline-none focus:border-blue-400';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="space-y-4"
+    >
+      <div className="flex items-center justify-between">
+        <div className="text-gray-300 text-sm">
+          {ledger ? (
+            <>
+              Pot: <span className="text-white font-bold">{formatSOL(ledger.pot)} SOL</span>
+              {' '}• Reserved for payouts: {formatSOL(ledger.balances.payouts_pending || 0)} SOL
+            </>
+          ) : 'Loading...'}
+        </div>
+        <div className="flex gap-2">
+          <button onClick={reconcile} disabled={loading} className="btn-neon px-4">
+            ⚖️ Reconcile
+          </button>
+          <button onClick={loadLedger} disabled={loading} className="btn-neon px-4">
+            {loading ? '...' : '🔄 Refresh'}
+          </button>
+        </div>
+      </div>
+
+      {ledger && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+          {Object.entries(ledger.balances).map(([account, balance]) => (
+            <div key={account} className="p-2 rounded-lg bg-white/5 text-xs">
+              <div className="text-gray-400 font-mono">{account}</div>
+              <div className={balance < 0 ? 'text-gray-500' : 'text-white'}>{formatSOL(balance)} SOL</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div>
+        <div className="text-white text-sm font-bold mb-2">Reconciliations</div>
+        {reconciliations.length === 0 ? (
+          <div className="text-gray-500 text-xs">No reconciliations yet</div>
+        ) : (
+          <div className="space-y-1">
+            {reconciliations.slice(0, 6).map((result, index) => (
+              <div
+                key={index}
+                className={`p-2 rounded-lg text-xs flex flex-wrap justify-between gap-2 ${result.flagged ? 'bg-red-500/10 border border-red-500/30 text-red-300' : 'bg-white/5 text-gray-300'}`}
+              >
+                <span>
+                  {result.flagged ? '⚠️' : '✅'} {result.wallet} • on-chain {formatSOL(result.onchainBalance)} • ledger {formatSOL(result.ledgerBalance)}
+                  {' '}• drift {result.drift > 0 ? '+' : ''}{formatSOL(result.drift)} SOL
+                </span>
+                <span className="text-gray-500">{new Date(result.checkedAt).toLocaleString()}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="p-3 rounded-lg bg-white/5 space-y-2">
+        <div className="text-white text-sm font-bold">Manual Entry</div>
+        <div className="flex flex-wrap gap-2">
+          <select
+            value={entry.type}
+            onChange={(e) => setEntry(prev => ({ ...prev, type: e.target.value }))}
+            className={inputClass}
+          >
+            {Object.keys(ledger?.entryTypes || {}).map(type => (
+              <option key={type} value={type} className="bg-gray-900">{type}</option>
+            ))}
+          </select>
+          {entry.type !== 'transfer' && (
+            <select
+              value={entry.wallet}
+              onChange={(e) => setEntry(prev => ({ ...prev, wallet: e.target.value }))}
+              className={inputClass}
+            >
+              <option value="hot" className="bg-gray-900">hot wallet</option>
+              <option value="creator" className="bg-gray-900">creator wallet</option>
+            </select>
+          )}
+          <input
+            type="number"
+            step="0.0001"
+            value={entry.amount}
+            onChange={(e) => setEntry(prev => ({ ...prev, amount: e.target.value }))}
+            placeholder={entry.type === 'adjustment' ? 'SOL (+/-)' : 'SOL'}
+            className={`${inputClass} w-28`}
+          />
+          <input
+            type="text"
+            value={entry.reference}
+            onChange={(e) => setEntry(prev => ({ ...prev, reference: e.target.value }))}
+            placeholder="Signature (optional)"
+            className={`${inputClass} flex-1 min-w-0`}
+          />
+          <input
+            type="text"
+            value={entry.memo}
+            onChange={(e) => setEntry(prev => ({ ...prev, memo: e.target.value }))}
+            placeholder="Memo"
+            className={`${inputClass} flex-1 min-w-0`}
+          />
+          <button
+            onClick={postEntry}
+            className="text-xs px-3 py-1 rounded bg-white/10 hover:bg-white/20 text-white transition-colors"
+          >
+            Post
+          </button>
+        </div>
+        <div className="text-gray-500 text-xs">{ledger?.entryTypes?.[entry.type]}</div>
+      </div>
+
+      <div>
+        <div className="text-white text-sm font-bold mb-2">Recent Entries</div>
+        <div className="space-y-1 max-h-64 overflow-y-auto">
+          {(ledger?.entries || []).map(item => (
+            <div key={item.key} className="p-2 rounded-lg bg-white/5 text-xs text-gray-300 flex flex-wrap justify-between gap-2">
+              <span>
+                <span className="text-white">{item.type}</span>
+                {' '}<span className="font-mono">{item.credit} → {item.debit}</span>
+                {' '}{formatSOL(item.amount)} SOL
+                {item.gameId && <span className="text-gray-500"> • {item.gameId}</span>}
+                {item.memo && <span className="text-gray-500"> • {item.memo}</span>}
+              </span>
+              <span className="text-gray-500">{new Date(item.createdAt).toLocaleString()}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default AdminPotLedgerPanel;
@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const AdminReviewPanel = ({ adminPassword }) => {
+  const [games, setGames] = useState([]);
+  const [signatures, setSignatures] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+  useEffect(() => {
+    loadGames();
+
+    const interval = setInterval(loadGames, 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const loadGames = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE}/admin/games/review`, {
+        headers: { 'x-admin-password': adminPassword }
+      });
+
+      if (response.data.success) {
+        setGames(response.data.data);
+      }
+    } catch (error) {
+      console.error('Failed to load games for review:', error);
+      toast.error('Failed to load games for review');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resolveGame = async (gameId, action) => {
+    const body = {};
+    if (action === 'complete' && signatures[gameId]) {
+      body.signature = signatures[gameId].trim();
+    }
+    if (action === 'fail') {
+      const reason = window.prompt('Reason for failing this game (optional):');
+      if (reason === null) return;
+      if (reason.trim()) body.reason = reason.trim();
+    }
+    if (action === 'retry' && !window.confirm('Retry the payout? Recipients already paid for this game are detected on-chain and not paid again.')) {
+      return;
+    }
+
+    try {
+      const response = await axios.post(`${API_BASE}/admin/games/${gameId}/${action}`, body, {
+        headers: { 'x-admin-password': adminPassword }
+      });
+      toast.success(response.data.message);
+      await loadGames();
+    } catch (error) {
+      toast.error(error.response?.data?.error || `Failed to ${action} game`);
+    }
+  };
+
+  const formatAddress = (address) => address ? `${address.slice(0, 4)}...${address.slice(-4)}` : '-';
+  const formatSOL = (lamports) => (lamports / 1000000000).toFixed(4);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="space-y-4"
+    >
+      <div className="flex items-center justify-between">
+        <div className="text-gray-300 text-sm">
+          {games.length === 0
+            ? 'No games need review'
+            : `${games.length} game(s) could not be settled automatically after a restart`}
+        </div>
+        <button onClick={loadGames} disabled={loading} className="btn-neon px-4">
+          {loading ? '...' : '🔄 Refresh'}
+        </button>
+      </div>
+
+      {games.map(game => (
+        <div key={game.gameId} className="p-3 rounded-lg bg-yellow-500/10 border border-yellow-500/30 space-y-2">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div className="text-white text-sm">
+              <span className="font-mono">{game.gameId}</span>
+              {' '}• winner {formatAddress(game.winnerAddress)}
+              {' '}• {formatSOL(game.winnerPayout + game.creatorPayout)} SOL owed
+            </div>
+            <div className="text-gray-500 text-xs">{new Date(game.startTime).toLocaleString()}</div>
+          </div>
+          <div className="text-yellow-300 text-xs">{game.statusReason}</div>
+          {game.transactionSignature && (
+            <div className="text-gray-400 text-xs font-mono break-all">
+              Last signature: {game.transactionSignature}
+            </div>
+          )}
+          <div className="text-gray-500 text-xs">
+            {game.stateHistory.map(step => step.status).join(' → ')}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              value={signatures[game.gameId] || ''}
+              onChange={(e) => setSignatures(prev => ({ ...prev, [game.gameId]: e.target.value }))}
+              placeholder="Landed payout signature (optional)"
+              className="flex-1 min-w-0 p-2 bg-white/10 border border-white/20 rounded-lg text-white text-xs placeholder-gray-400 focus:outline-none focus:border-blue-400"
+            />
+            <button
+              onClick={() => resolveGame(game.gameId, 'complete')}
+              className="text-xs px-3 py-1 rounded bg-green-500/20 hover:bg-green-500/30 text-green-300 transition-colors"
+            >
+              Mark Paid
+            </button>
+            <button
+              onClick={() => resolveGame(game.gameId, 'retry')}
+              className="text-xs px-3 py-1 rounded bg-white/10 hover:bg-white/20 text-white transition-colors"
+            >
+              Retry Payout
+            </button>
+            <button
+              onClick={() => resolveGame(game.gameId, 'fail')}
+              className="text-xs px-3 py-1 rounded bg-red-500/20 hover:bg-red-500/30 text-red-300 transition-colors"
+            >
+              Mark Failed
+            </button>
+          </div>
+        </div>
+      ))}
+    </motion.div>
+  );
+};
+
+export default AdminReviewPanel;
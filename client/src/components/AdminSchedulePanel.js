@@ -0,0 +1,315 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const AdminSchedulePanel = ({ adminPassword }) => {
+  const [draft, setDraft] = useState(null);
+  const [specialSpins, setSpecialSpins] = useState([]);
+  const [preview, setPreview] = useState([]);
+  const [summary, setSummary] = useState('');
+  const [blackout, setBlackout] = useState({ start: '', end: '', reason: '' });
+  const [special, setSpecial] = useState({ at: '', label: '' });
+  const [loading, setLoading] = useState(false);
+
+  const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+  const headers = { 'x-admin-password': adminPassword };
+
+  useEffect(() => {
+    loadSchedule();
+  }, []);
+
+  const loadSchedule = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE}/admin/schedule`, { headers });
+      if (response.data.success) {
+        const { schedule, preview: spins, summary: text } = response.data.data;
+        const { specialSpins: specials, ...rest } = schedule;
+        setDraft(rest);
+        setSpecialSpins(specials);
+        setPreview(spins);
+        setSummary(text);
+      }
+    } catch (error) {
+      console.error('Failed to load spin schedule:', error);
+      toast.error('Failed to load spin schedule');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const previewDraft = async () => {
+    try {
+      const response = await axios.post(`${API_BASE}/admin/schedule/preview`, draft, { headers });
+      setPreview(response.data.data.preview);
+      setSummary(response.data.data.summary);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to preview schedule');
+    }
+  };
+
+  const saveSchedule = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.post(`${API_BASE}/admin/schedule`, draft, { headers });
+      toast.success(response.data.message);
+      await loadSchedule();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save schedule');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const addSpecialSpin = async () => {
+    if (!special.at) {
+      toast.error('Pick a time for the special spin');
+      return;
+    }
+
+    try {
+      await axios.post(`${API_BASE}/admin/schedule/special-spins`, {
+        at: new Date(special.at).toISOString(),
+        label: special.label.trim() || undefined
+      }, { headers });
+      toast.success('Special spin scheduled');
+      setSpecial({ at: '', label: '' });
+      await loadSchedule();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to schedule special spin');
+    }
+  };
+
+  const removeSpecialSpin = async (id) => {
+    try {
+      await axios.delete(`${API_BASE}/admin/schedule/special-spins/${id}`, { headers });
+      toast.success('Special spin removed');
+      await loadSchedule();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to remove special spin');
+    }
+  };
+
+  const updateDraft = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+  };
+
+  const addBlackout = () => {
+    if (!blackout.start || !blackout.end) {
+      toast.error('A blackout needs a start and an end');
+      return;
+    }
+    updateDraft('blackouts', [...draft.blackouts, {
+      start: new Date(blackout.start).toISOString(),
+      end: new Date(blackout.end).toISOString(),
+      reason: blackout.reason.trim() || undefined
+    }]);
+    setBlackout({ start: '', end: '', reason: '' });
+  };
+
+  const removeBlackout = (index) => {
+    updateDraft('blackouts', draft.blackouts.filter((_, i) => i !== index));
+  };
+
+  const setActiveHours = (field, value) => {
+    const hours = { start: '', end: '', ...draft.activeHours, [field]: value };
+    updateDraft('activeHours', hours.start || hours.end ? hours : null);
+  };
+
+  const formatTime = (value) => new Date(value).toLocaleString();
+
+  const inputClass = 'p-2 bg-white/10 border border-white/20 rounded-lg text-white text-xs placeholder-gray-400 focus:outline-none focus:border-blue-400';
+
+  if (!draft) {
+    return <div className="text-gray-400 text-sm">{loading ? 'Loading...' : 'Schedule unavailable'}</div>;
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="space-y-4"
+    >
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <div className="flex flex-wrap gap-2 items-center">
+            <select
+              value={draft.mode}
+              onChange={(e) => updateDraft('mode', e.target.value)}
+              className={inputClass}
+            >
+              <option value="interval" className="bg-gray-900">Every N minutes</option>
+              <option value="cron" className="bg-gray-900">Cron expression</option>
+            </select>
+            {draft.mode === 'interval' ? (
+              <>
+                <input
+                  type="number"
+                  min="1"
+                  max="1440"
+                  value={draft.intervalMinutes}
+                  onChange={(e) => updateDraft('intervalMinutes', parseInt(e.target.value))}
+                  className={`${inputClass} w-20`}
+                  title="Interval (minutes)"
+                />
+                <span className="text-gray-400 text-xs">min, offset</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={draft.offsetMinutes}
+                  onChange={(e) => updateDraft('offsetMinutes', parseInt(e.target.value))}
+                  className={`${inputClass} w-16`}
+                  title="Offset (minutes)"
+                />
+              </>
+            ) : (
+              <input
+                type="text"
+                value={draft.cron}
+                onChange={(e) => updateDraft('cron', e.target.value)}
+                placeholder="*/15 * * * *"
+                className={`${inputClass} flex-1 font-mono`}
+              />
+            )}
+          </div>
+
+          <div className="flex flex-wrap gap-2 items-center">
+            <input
+              type="text"
+              value={draft.timezone}
+              onChange={(e) => updateDraft('timezone', e.target.value)}
+              placeholder="UTC"
+              className={`${inputClass} w-40`}
+              title="Time zone (IANA, e.g. America/New_York)"
+            />
+            <span className="text-gray-400 text-xs">active</span>
+            <input
+              type="time"
+              value={draft.activeHours?.start || ''}
+              onChange={(e) => setActiveHours('start', e.target.value)}
+              className={inputClass}
+            />
+            <span className="text-gray-400 text-xs">to</span>
+            <input
+              type="time"
+              value={draft.activeHours?.end || ''}
+              onChange={(e) => setActiveHours('end', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div className="text-gray-500 text-xs">
+            Leave the active hours empty to spin around the clock
+          </div>
+
+          <div className="text-white text-sm font-bold pt-2">Blackouts</div>
+          {draft.blackouts.length === 0 && (
+            <div className="text-gray-500 text-xs">No blackouts</div>
+          )}
+          {draft.blackouts.map((window, index) => (
+            <div key={index} className="p-2 rounded-lg bg-white/5 text-xs text-gray-300 flex justify-between gap-2">
+              <span>
+                {formatTime(window.start)} → {formatTime(window.end)}
+                {window.reason && <span className="text-gray-500"> • {window.reason}</span>}
+              </span>
+              <button onClick={() => removeBlackout(index)} className="text-red-400 hover:text-red-300">✕</button>
+            </div>
+          ))}
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="datetime-local"
+              value={blackout.start}
+              onChange={(e) => setBlackout(prev => ({ ...prev, start: e.target.value }))}
+              className={inputClass}
+            />
+            <input
+              type="datetime-local"
+              value={blackout.end}
+              onChange={(e) => setBlackout(prev => ({ ...prev, end: e.target.value }))}
+              className={inputClass}
+            />
+            <input
+              type="text"
+              value={blackout.reason}
+              onChange={(e) => setBlackout(prev => ({ ...prev, reason: e.target.value }))}
+              placeholder="Reason"
+              className={`${inputClass} flex-1 min-w-0`}
+            />
+            <button
+              onClick={addBlackout}
+              className="text-xs px-3 py-1 rounded bg-white/10 hover:bg-white/20 text-white transition-colors"
+            >
+              Add
+            </button>
+          </div>
+
+          <div className="flex gap-2 pt-2">
+            <button onClick={previewDraft} disabled={loading} className="btn-neon px-4">
+              👁️ Preview
+            </button>
+            <button onClick={saveSchedule} disabled={loading} className="btn-neon px-4">
+              {loading ? '...' : '💾 Save Schedule'}
+            </button>
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <div className="text-white text-sm font-bold">Next Spins</div>
+          <div className="text-gray-400 text-xs">{summary}</div>
+          {preview.length === 0 ? (
+            <div className="text-yellow-400 text-xs">No spins fit this schedule within the next year</div>
+          ) : (
+            <div className="space-y-1">
+              {preview.map(spin => (
+                <div
+                  key={spin.at}
+                  className={`p-2 rounded-lg text-xs ${spin.special ? 'bg-yellow-500/10 border border-yellow-500/30 text-yellow-300' : 'bg-white/5 text-gray-300'}`}
+                >
+                  {spin.special ? '⭐' : '🎡'} {formatTime(spin.at)}
+                  {spin.special && <span> • {spin.special.label || 'Special spin'}</span>}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="text-white text-sm font-bold pt-2">Special Spins</div>
+          {specialSpins.map(spin => (
+            <div key={spin.id} className="p-2 rounded-lg bg-white/5 text-xs text-gray-300 flex justify-between gap-2">
+              <span>
+                {formatTime(spin.at)}
+                {spin.label && <span className="text-gray-500"> • {spin.label}</span>}
+              </span>
+              <button onClick={() => removeSpecialSpin(spin.id)} className="text-red-400 hover:text-red-300">✕</button>
+            </div>
+          ))}
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="datetime-local"
+              value={special.at}
+              onChange={(e) => setSpecial(prev => ({ ...prev, at: e.target.value }))}
+              className={inputClass}
+            />
+            <input
+              type="text"
+              value={special.label}
+              onChange={(e) => setSpecial(prev => ({ ...prev, label: e.target.value }))}
+              placeholder="Label (optional)"
+              className={`${inputClass} flex-1 min-w-0`}
+            />
+            <button
+              onClick={addSpecialSpin}
+              className="text-xs px-3 py-1 rounded bg-white/10 hover:bg-white/20 text-white transition-colors"
+            >
+              Schedule
+            </button>
+          </div>
+          <div className="text-gray-500 text-xs">
+            Special spins run outside the active hours, but never during a blackout
+          </div>
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default AdminSchedulePanel;
@@ -0,0 +1,303 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useSocket } from '../contexts/SocketContext';
+
+const TYPES = {
+  holders: { label: 'Holder count', unit: 'holders' },
+  pot: { label: 'Pot size', unit: 'SOL' },
+  marketCap: { label: 'Market cap', unit: 'USD' },
+  volume: { label: '24h volume', unit: 'USD' }
+};
+
+const OUTCOME_STYLES = {
+  fired: 'text-green-400',
+  cooldown: 'text-gray-400',
+  busy: 'text-yellow-400',
+  blackout: 'text-yellow-400',
+  below_minimum: 'text-yellow-400',
+  failed: 'text-red-400'
+};
+
+const LAMPORTS_PER_SOL = 1000000000;
+
+// Pot thresholds are edited in SOL and stored in lamports
+const toDraft = (rule) => rule.type === 'pot'
+  ? { ...rule, threshold: rule.threshold / LAMPORTS_PER_SOL, step: rule.step / LAMPORTS_PER_SOL }
+  : rule;
+
+const fromDraft = ({ id, type, label, threshold, step, cooldownMinutes, enabled }) => ({
+  id,
+  type,
+  label: label || undefined,
+  threshold: type === 'pot' ? Math.round(threshold * LAMPORTS_PER_SOL) : threshold,
+  step: type === 'pot' ? Math.round(step * LAMPORTS_PER_SOL) : step,
+  cooldownMinutes,
+  enabled
+});
+
+const AdminTriggersPanel = ({ adminPassword }) => {
+  const [status, setStatus] = useState(null);
+  const [rules, setRules] = useState([]);
+  const [source, setSource] = useState({ marketDataSource: '', marketDataPollSeconds: 60 });
+  const [openLog, setOpenLog] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const { subscribeToEvent } = useSocket();
+
+  const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+  const headers = { 'x-admin-password': adminPassword };
+
+  useEffect(() => {
+    loadTriggers();
+  }, []);
+
+  useEffect(() => {
+    if (!subscribeToEvent) return;
+
+    return subscribeToEvent('spinTriggerEvent', (event) => {
+      if (event.outcome === 'fired') {
+        toast.success(`⚡ Trigger "${event.label || event.ruleId}" started a spin`);
+      }
+      if (event.ruleId === openLog) {
+        setEvents(prev => [event, ...prev]);
+      }
+    });
+  }, [subscribeToEvent, openLog]);
+
+  const loadTriggers = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE}/admin/triggers`, { headers });
+      if (response.data.success) {
+        applyStatus(response.data.data);
+      }
+    } catch (error) {
+      console.error('Failed to load spin triggers:', error);
+      toast.error('Failed to load spin triggers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const applyStatus = (data) => {
+    setStatus(data);
+    setRules(data.rules.map(toDraft));
+    setSource({ marketDataSource: data.marketDataSource, marketDataPollSeconds: data.marketDataPollSeconds });
+  };
+
+  const saveTriggers = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.post(`${API_BASE}/admin/triggers`, {
+        rules: rules.map(fromDraft),
+        ...source
+      }, { headers });
+      toast.success(response.data.message);
+      applyStatus(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save spin triggers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleLog = async (ruleId) => {
+    if (openLog === ruleId) {
+      setOpenLog(null);
+      return;
+    }
+
+    try {
+      const response = await axios.get(`${API_BASE}/admin/triggers/events`, { headers, params: { ruleId } });
+      setEvents(response.data.data);
+      setOpenLog(ruleId);
+    } catch (error) {
+      toast.error('Failed to load trigger log');
+    }
+  };
+
+  const addRule = () => {
+    setRules(prev => [...prev, { type: 'holders', label: '', threshold: 100, step: 0, cooldownMinutes: 60, enabled: true }]);
+  };
+
+  const updateRule = (index, field, value) => {
+    setRules(prev => prev.map((rule, i) => i === index ? { ...rule, [field]: value } : rule));
+  };
+
+  const removeRule = (index) => {
+    setRules(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const ruleStatus = (id) => status?.rules.find(rule => rule.id === id);
+
+  const formatReading = (type, value) => {
+    if (value === null || value === undefined) return '—';
+    if (type === 'pot') return `${(value / LAMPORTS_PER_SOL).toFixed(4)} SOL`;
+    if (type === 'marketCap' || type === 'volume') return `$${Math.round(value).toLocaleString()}`;
+    return value.toLocaleString();
+  };
+
+  const inputClass = 'p-2 bg-white/10 border border-white/20 rounded-lg text-white text-xs placeholder-gray-400 focus:outline-none focus:border-blue-400';
+
+  if (!status) {
+    return <div className="text-gray-400 text-sm">{loading ? 'Loading...' : 'Triggers unavailable'}</div>;
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="space-y-4"
+    >
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+        {Object.entries(TYPES).map(([type, { label }]) => (
+          <div key={type} className="p-3 rounded-lg bg-white/5">
+            <div className="text-gray-400 text-xs">{label}</div>
+            <div className="text-white font-bold">{formatReading(type, status.readings[type])}</div>
+          </div>
+        ))}
+      </div>
+
+      {status.marketDataError && (
+        <div className="text-red-400 text-xs">Market data: {status.marketDataError}</div>
+      )}
+
+      <div className="space-y-2">
+        {rules.length === 0 && (
+          <div className="text-gray-500 text-xs">No trigger rules; spins only run on the schedule</div>
+        )}
+        {rules.map((rule, index) => {
+          const current = ruleStatus(rule.id);
+          return (
+            <div key={rule.id || `new_${index}`} className="p-3 rounded-lg bg-white/5 space-y-2">
+              <div className="flex flex-wrap gap-2 items-center">
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={(e) => updateRule(index, 'enabled', e.target.checked)}
+                  className="w-4 h-4"
+                />
+                <select
+                  value={rule.type}
+                  onChange={(e) => updateRule(index, 'type', e.target.value)}
+                  className={inputClass}
+                >
+                  {Object.entries(TYPES).map(([type, { label }]) => (
+                    <option key={type} value={type} className="bg-gray-900">{label}</option>
+                  ))}
+                </select>
+                <span className="text-gray-400 text-xs">reaches</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={rule.threshold}
+                  onChange={(e) => updateRule(index, 'threshold', parseFloat(e.target.value))}
+                  className={`${inputClass} w-28`}
+                />
+                <span className="text-gray-400 text-xs">{TYPES[rule.type].unit}, then every</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={rule.step}
+                  onChange={(e) => updateRule(index, 'step', parseFloat(e.target.value) || 0)}
+                  className={`${inputClass} w-24`}
+                  title="0 = the threshold only"
+                />
+                <span className="text-gray-400 text-xs">cooldown</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={rule.cooldownMinutes}
+                  onChange={(e) => updateRule(index, 'cooldownMinutes', parseInt(e.target.value) || 0)}
+                  className={`${inputClass} w-20`}
+                />
+                <span className="text-gray-400 text-xs">min</span>
+                <input
+                  type="text"
+                  value={rule.label || ''}
+                  onChange={(e) => updateRule(index, 'label', e.target.value)}
+                  placeholder="Label"
+                  className={`${inputClass} flex-1 min-w-0`}
+                />
+                <button onClick={() => removeRule(index)} className="text-red-400 hover:text-red-300 text-xs">✕</button>
+              </div>
+
+              {current && (
+                <div className="flex flex-wrap justify-between gap-2 text-xs text-gray-400">
+                  <span>
+                    {current.lastFiredAt ? `Last fired ${new Date(current.lastFiredAt).toLocaleString()}` : 'Not fired yet'}
+                    {current.coolingDownUntil && (
+                      <span className="text-yellow-400"> • cooling down until {new Date(current.coolingDownUntil).toLocaleTimeString()}</span>
+                    )}
+                  </span>
+                  <button onClick={() => toggleLog(rule.id)} className="text-blue-400 hover:text-blue-300">
+                    {openLog === rule.id ? 'Hide log' : 'Show log'}
+                  </button>
+                </div>
+              )}
+
+              {openLog === rule.id && (
+                <div className="space-y-1 max-h-48 overflow-y-auto">
+                  {events.length === 0 ? (
+                    <div className="text-gray-500 text-xs">No milestones crossed yet</div>
+                  ) : events.map((event, i) => (
+                    <div key={i} className="text-xs flex justify-between gap-2 p-1 rounded bg-white/5">
+                      <span className="text-gray-400">{new Date(event.createdAt).toLocaleString()}</span>
+                      <span className="text-gray-300">{formatReading(rule.type, event.milestone)}</span>
+                      <span className={OUTCOME_STYLES[event.outcome] || 'text-gray-300'}>
+                        {event.outcome}{event.gameId ? ` • ${event.gameId}` : ''}{event.message ? ` • ${event.message}` : ''}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap gap-2 items-center">
+        <button
+          onClick={addRule}
+          className="text-xs px-3 py-2 rounded bg-white/10 hover:bg-white/20 text-white transition-colors"
+        >
+          + Add Rule
+        </button>
+        <span className="text-gray-400 text-xs ml-auto">Market data from</span>
+        <select
+          value={source.marketDataSource}
+          onChange={(e) => setSource(prev => ({ ...prev, marketDataSource: e.target.value }))}
+          className={inputClass}
+        >
+          {status.sources.map(option => (
+            <option key={option.name} value={option.name} className="bg-gray-900">
+              {option.label}{option.hasVolume ? '' : ' (no volume)'}
+            </option>
+          ))}
+        </select>
+        <span className="text-gray-400 text-xs">every</span>
+        <input
+          type="number"
+          min="10"
+          max="3600"
+          value={source.marketDataPollSeconds}
+          onChange={(e) => setSource(prev => ({ ...prev, marketDataPollSeconds: parseInt(e.target.value) }))}
+          className={`${inputClass} w-20`}
+        />
+        <span className="text-gray-400 text-xs">s</span>
+        <button onClick={saveTriggers} disabled={loading} className="btn-neon px-4">
+          {loading ? '...' : '💾 Save Triggers'}
+        </button>
+      </div>
+      <div className="text-gray-500 text-xs">
+        A rule fires when its value climbs past a milestone. Trigger spins skip blackouts, a spin in progress and a pot below the minimum; every crossing is logged.
+      </div>
+    </motion.div>
+  );
+};
+
+export default AdminTriggersPanel;
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 
-const CountdownTimer = ({ timeRemaining, gameState }) => {
+const CountdownTimer = ({ timeRemaining, gameState, special }) => {
   const [displayTime, setDisplayTime] = useState('00:00');
   const [localTimeRemaining, setLocalTimeRemaining] = useState(0);
   const totalTime = 5 * 60 * 1000; // 5 minutes in ms
@@ -9,10 +9,7 @@ const CountdownTimer = ({ timeRemaining, gameState }) => {
   // Update local time when server time changes - ensure proper reset
   useEffect(() => {
     if (timeRemaining && timeRemaining > 0) {
-      // Accept any reasonable countdown value (up to 10 minutes to be safe)
-      if (timeRemaining <= 10 * 60 * 1000) {
-        setLocalTimeRemaining(timeRemaining);
-      }
+      setLocalTimeRemaining(timeRemaining);
     } else if (timeRemaining === 0 || timeRemaining === null || timeRemaining === undefined) {
       setLocalTimeRemaining(0);
     }
@@ -39,10 +36,13 @@ const CountdownTimer = ({ timeRemaining, gameState }) => {
     if (localTimeRemaining && localTimeRemaining > 0) {
       // Calculate display time
       const totalSeconds = Math.floor(localTimeRemaining / 1000);
-      const minutes = Math.floor(totalSeconds / 60);
+      const hours = Math.floor(totalSeconds / 3600);
+      const minutes = Math.floor((totalSeconds % 3600) / 60);
       const seconds = totalSeconds % 60;
+      const clock = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
 
-      setDisplayTime(`${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`);
+      // Scheduled spins can be hours away
+      setDisplayTime(hours > 0 ? `${hours}:${clock}` : clock);
     } else {
       setDisplayTime('00:00');
     }
@@ -55,7 +55,7 @@ const CountdownTimer = ({ timeRemaining, gameState }) => {
       case 'processing': return 'PROCESSING...';
       case 'completed': return 'COMPLETED';
       case 'paused': return 'PAUSED';
-      default: return 'NEXT SPIN IN';
+      default: return special ? `${(special.label || 'SPECIAL SPIN').toUpperCase()} IN` : 'NEXT SPIN IN';
     }
   };
 
@@ -97,7 +97,7 @@ const CountdownTimer = ({ timeRemaining, gameState }) => {
       <div className="text-center">
         <div className="glass px-4 py-2 rounded-full">
           <span className="text-gray-400 text-sm">
-            {gameState === 'waiting' ? 'Auto-spin 5min' :
+            {gameState === 'waiting' ? (special ? '⭐ Special spin' : 'Scheduled auto-spin') :
              gameState === 'spinning' ? 'Selecting Winner...' :
              gameState === 'processing' ? 'Processing Payout...' :
              'Updated'}
@@ -2,6 +2,17 @@ import React, { useState } from 'react';
 import { motion } from 'framer-motion';
 import { useGame } from '../contexts/GameContext';
 
+// Compact "2d 3h" / "45m" style duration
+const formatDuration = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+};
+
 const EligibilityChecker = () => {
   const { checkHolderEligibility } = useGame();
   const [address, setAddress] = useState('');
@@ -17,12 +28,15 @@ const EligibilityChecker = () => {
       const eligibilityData = await checkHolderEligibility(address.trim());
 
       if (eligibilityData) {
-        const { isEligible, holder } = eligibilityData;
+        const { isEligible, holder, hold, effectiveBalance, exclusion } = eligibilityData;
 
         setResult({
           isEligible: isEligible,
           balance: holder?.balance || 0,
           percentage: holder?.percentage || 0,
+          effectiveBalance: effectiveBalance || '0',
+          hold: hold || null,
+          exclusion: exclusion || null,
           address: address.trim()
         });
       } else {
@@ -114,6 +128,43 @@ const EligibilityChecker = () => {
                 </a>
               </div>
             )}
+
+            {!result.error && result.hold && result.hold.holdingSince && (
+              <div className="flex items-center justify-between mt-1 text-gray-300 text-xs">
+                <div>
+                  ⏳ Held {formatDuration(result.hold.holdDurationSeconds)}
+                  {!result.hold.meetsMinimumHold && result.hold.eligibleAt && (
+                    <span className="text-yellow-400">
+                      {' '}• eligible {new Date(result.hold.eligibleAt).toLocaleString()}
+                    </span>
+                  )}
+                </div>
+                {result.hold.diamondHands?.enabled && (
+                  <div title={`Grows to ${result.hold.diamondHands.maxMultiplier}x over ${result.hold.diamondHands.rampHours}h of holding`}>
+                    💎 {result.hold.holdMultiplier.toFixed(2)}x odds
+                  </div>
+                )}
+              </div>
+            )}
+
+            {!result.error && result.exclusion && (
+              <div className="mt-1 text-red-400 text-xs">
+                Excluded from spins: {result.exclusion.reason}
+              </div>
+            )}
+
+            {!result.error && !result.exclusion && result.hold && !result.hold.meetsMinimumBalance && (
+              <div className="mt-1 text-gray-400 text-xs">
+                Balance below the minimum hold
+              </div>
+            )}
+
+            {!result.error && result.hold && String(result.effectiveBalance) !== String(result.balance) && (
+              <div className="mt-1 text-gray-400 text-xs">
+                Counted balance {(Number(result.effectiveBalance) / 1000000).toFixed(1)}M
+                {' '}(lowest over the last {result.hold.antiSnipeSnapshots} scans)
+              </div>
+            )}
           </motion.div>
         )}
       </div>
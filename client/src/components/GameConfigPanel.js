@@ -12,10 +12,57 @@ const GameConfigPanel = ({ adminPassword }) => {
     spinIntervalMinutes: 5,
     winnerPayoutPercentage: 100,
     creatorPayoutPercentage: 0,
-    blacklistedAddresses: []
+    weightingStrategy: 'linear',
+    weightingCapPercentage: 1,
+    weightingStrategies: [],
+    minHoldDurationMinutes: 0,
+    diamondHandsEnabled: false,
+    diamondHandsMaxMultiplier: 2,
+    diamondHandsRampHours: 168,
+    antiSnipeSnapshots: 1,
+    winnerCooldownGames: 0,
+    maxWinsPer24h: 0,
+    postWinOddsMultiplier: 1,
+    postWinPenaltyHours: 24,
+    prizeTiers: [100],
+    payoutMaxLamports: 0,
+    payoutHourlyLimitLamports: 0,
+    payoutDailyLimitLamports: 0,
+    payoutAsset: 'wsol',
+    payoutAssets: [],
+    prizeMode: 'sol',
+    prizeTokenMint: '',
+    prizeBuyback: false,
+    swapAdapter: 'jupiter',
+    swapSlippageBps: 100,
+    swapAdapters: [],
+    payoutNonceAccount: '',
+    payoutApprovalThresholdLamports: 0,
+    payoutApprovalsRequired: 2,
+    payoutMultisigVault: '',
+    payoutApprovers: [],
+    priorityFeePercentile: 75,
+    priorityFeeMaxMicroLamports: 1000000,
+    computeUnitMargin: 10,
+    potFeeClaimPercentage: 100,
+    potSeedLamports: 0,
+    potDepositsEnabled: false,
+    potDepositWallet: 'hot',
+    potRolloverPercentage: 100,
+    potNoHoldersRetryMinutes: 0,
+    potMinLamports: 0,
+    potMaxLamports: 0,
+    jackpotContributionPercentage: 0,
+    jackpotOneIn: 1000
   });
+  const [prizeTiersText, setPrizeTiersText] = useState('100');
   
-  const [newBlacklistAddress, setNewBlacklistAddress] = useState('');
+  const [exclusions, setExclusions] = useState([]);
+  const [detectedExclusions, setDetectedExclusions] = useState([]);
+  const [exclusionCategories, setExclusionCategories] = useState([]);
+  const [exclusionAudit, setExclusionAudit] = useState([]);
+  const [showExclusionAudit, setShowExclusionAudit] = useState(false);
+  const [newExclusion, setNewExclusion] = useState({ address: '', category: 'team', reason: '' });
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
 
@@ -24,6 +71,7 @@ const GameConfigPanel = ({ adminPassword }) => {
   // Load current configuration
   useEffect(() => {
     loadConfig();
+    loadExclusions();
   }, []);
 
   const loadConfig = async () => {
@@ -35,6 +83,7 @@ const GameConfigPanel = ({ adminPassword }) => {
       
       if (response.data.success) {
         setConfig(response.data.data);
+        setPrizeTiersText((response.data.data.prizeTiers || [100]).join(', '));
       }
     } catch (error) {
       console.error('Failed to load config:', error);
@@ -52,41 +101,92 @@ const GameConfigPanel = ({ adminPassword }) => {
       });
       
       if (response.data.success) {
-        toast.success('Configuration saved successfully');
+        toast.success(response.data.message);
       }
     } catch (error) {
       console.error('Failed to save config:', error);
-      toast.error('Failed to save configuration');
+      toast.error(error.response?.data?.error || 'Failed to save configuration');
     } finally {
       setSaving(false);
     }
   };
 
-  const addBlacklistAddress = () => {
-    if (!newBlacklistAddress.trim()) {
+  const loadExclusions = async () => {
+    try {
+      const [listResponse, auditResponse] = await Promise.all([
+        axios.get(`${API_BASE}/admin/exclusions`, {
+          headers: { 'x-admin-password': adminPassword }
+        }),
+        axios.get(`${API_BASE}/admin/exclusions/audit?limit=50`, {
+          headers: { 'x-admin-password': adminPassword }
+        })
+      ]);
+
+      if (listResponse.data.success) {
+        setExclusions(listResponse.data.data.exclusions);
+        setDetectedExclusions(listResponse.data.data.detected);
+        setExclusionCategories(listResponse.data.data.categories);
+      }
+      if (auditResponse.data.success) {
+        setExclusionAudit(auditResponse.data.data);
+      }
+    } catch (error) {
+      console.error('Failed to load exclusions:', error);
+      toast.error('Failed to load excluded addresses');
+    }
+  };
+
+  const addExclusion = async () => {
+    if (!newExclusion.address.trim()) {
       toast.error('Please enter a valid address');
       return;
     }
 
-    if (config.blacklistedAddresses.includes(newBlacklistAddress.trim())) {
-      toast.error('Address already blacklisted');
+    if (!newExclusion.reason.trim()) {
+      toast.error('Please give a reason');
       return;
     }
 
-    setConfig(prev => ({
-      ...prev,
-      blacklistedAddresses: [...prev.blacklistedAddresses, newBlacklistAddress.trim()]
-    }));
-    setNewBlacklistAddress('');
-    toast.success('Address added to blacklist');
+    try {
+      await axios.post(`${API_BASE}/admin/exclusions`, newExclusion, {
+        headers: { 'x-admin-password': adminPassword }
+      });
+      setNewExclusion(prev => ({ ...prev, address: '', reason: '' }));
+      toast.success('Address excluded');
+      await loadExclusions();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to exclude address');
+    }
   };
 
-  const removeBlacklistAddress = (address) => {
-    setConfig(prev => ({
-      ...prev,
-      blacklistedAddresses: prev.blacklistedAddresses.filter(addr => addr !== address)
-    }));
-    toast.success('Address removed from blacklist');
+  const removeExclusion = async (address) => {
+    const reason = window.prompt('Reason for removing this exclusion (optional)');
+    if (reason === null) return;
+
+    try {
+      await axios.delete(`${API_BASE}/admin/exclusions/${address}`, {
+        headers: { 'x-admin-password': adminPassword },
+        data: { reason }
+      });
+      toast.success('Exclusion removed');
+      await loadExclusions();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to remove exclusion');
+    }
+  };
+
+  const categoryLabel = (name) =>
+    exclusionCategories.find(category => category.name === name)?.label || name;
+
+  // "60, 25, 15" -> [60, 25, 15]; the server checks they add up to 100
+  const handlePrizeTiersChange = (value) => {
+    setPrizeTiersText(value);
+    handleInputChange('prizeTiers', value.split(',').map(tier => parseFloat(tier)).filter(tier => !isNaN(tier)));
+  };
+
+  // Spend caps are edited in SOL and stored in lamports
+  const handleLamportsChange = (field, value) => {
+    handleInputChange(field, Math.round((parseFloat(value) || 0) * 1000000000));
   };
 
   const handleInputChange = (field, value) => {
@@ -201,52 +301,745 @@ const GameConfigPanel = ({ adminPassword }) => {
         </div>
       </div>
 
-      {/* Blacklist Management */}
+      {/* Winner Weighting */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div>
+          <label className="block text-white font-bold mb-2">
+            ⚖️ Winner Weighting
+          </label>
+          <select
+            value={config.weightingStrategy}
+            onChange={(e) => handleInputChange('weightingStrategy', e.target.value)}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:border-blue-400"
+          >
+            {(config.weightingStrategies || []).map(strategy => (
+              <option key={strategy.name} value={strategy.name} className="bg-gray-900">
+                {strategy.label}
+              </option>
+            ))}
+          </select>
+          <div className="text-gray-400 text-xs mt-1">
+            {(config.weightingStrategies || []).find(strategy => strategy.name === config.weightingStrategy)?.description ||
+              'How balances translate into winning odds'}
+          </div>
+        </div>
+
+        {config.weightingStrategy === 'capped' && (
+          <div>
+            <label className="block text-white font-bold mb-2">
+              🧢 Per-Wallet Cap %
+            </label>
+            <input
+              type="number"
+              step="0.1"
+              min="0.1"
+              max="100"
+              value={config.weightingCapPercentage}
+              onChange={(e) => handleInputChange('weightingCapPercentage', parseFloat(e.target.value))}
+              className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+            />
+            <div className="text-gray-400 text-xs mt-1">
+              Balance above this % of supply adds no extra odds
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Hold Duration */}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div>
+          <label className="block text-white font-bold mb-2">
+            ⏳ Minimum Hold Time (minutes)
+          </label>
+          <input
+            type="number"
+            min="0"
+            value={config.minHoldDurationMinutes}
+            onChange={(e) => handleInputChange('minHoldDurationMinutes', parseFloat(e.target.value))}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Continuous hold required before a wallet is eligible
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            💎 Diamond Hands Max Multiplier
+          </label>
+          <div className="flex items-center gap-3">
+            <input
+              type="checkbox"
+              checked={config.diamondHandsEnabled}
+              onChange={(e) => handleInputChange('diamondHandsEnabled', e.target.checked)}
+              className="w-5 h-5"
+            />
+            <input
+              type="number"
+              step="0.1"
+              min="1"
+              max="10"
+              value={config.diamondHandsMaxMultiplier}
+              disabled={!config.diamondHandsEnabled}
+              onChange={(e) => handleInputChange('diamondHandsMaxMultiplier', parseFloat(e.target.value))}
+              className="flex-1 p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400 disabled:opacity-50"
+            />
+          </div>
+          <div className="text-gray-400 text-xs mt-1">
+            Odds multiplier reached after the full ramp
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            📈 Diamond Hands Ramp (hours)
+          </label>
+          <input
+            type="number"
+            min="1"
+            value={config.diamondHandsRampHours}
+            disabled={!config.diamondHandsEnabled}
+            onChange={(e) => handleInputChange('diamondHandsRampHours', parseFloat(e.target.value))}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400 disabled:opacity-50"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Uninterrupted hold time to reach the max multiplier
+          </div>
+        </div>
+      </div>
+
+      {/* Anti-Sniping */}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div>
+          <label className="block text-white font-bold mb-2">
+            🎯 Anti-Sniping Window (scans)
+          </label>
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={config.antiSnipeSnapshots}
+            onChange={(e) => handleInputChange('antiSnipeSnapshots', parseInt(e.target.value))}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Odds use the lowest balance seen over this many holder scans
+          </div>
+        </div>
+      </div>
+
+      {/* Recent Winner Rules */}
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        <div>
+          <label className="block text-white font-bold mb-2">
+            🔁 Winner Cooldown (games)
+          </label>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={config.winnerCooldownGames}
+            onChange={(e) => handleInputChange('winnerCooldownGames', parseInt(e.target.value))}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Winners of the last N games sit out (0 = off)
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            🧮 Max Wins per 24h
+          </label>
+          <input
+            type="number"
+            min="0"
+            value={config.maxWinsPer24h}
+            onChange={(e) => handleInputChange('maxWinsPer24h', parseInt(e.target.value))}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Per wallet (0 = unlimited)
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            📉 Post-Win Odds
+          </label>
+          <input
+            type="number"
+            step="0.05"
+            min="0.05"
+            max="1"
+            value={config.postWinOddsMultiplier}
+            onChange={(e) => handleInputChange('postWinOddsMultiplier', parseFloat(e.target.value))}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Odds multiplier for recent winners (1 = off)
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            ⌛ Post-Win Window (hours)
+          </label>
+          <input
+            type="number"
+            min="0"
+            value={config.postWinPenaltyHours}
+            onChange={(e) => handleInputChange('postWinPenaltyHours', parseFloat(e.target.value))}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            How long reduced odds last after a win
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            🏅 Prize Tiers (%)
+          </label>
+          <input
+            type="text"
+            value={prizeTiersText}
+            onChange={(e) => handlePrizeTiersChange(e.target.value)}
+            placeholder="60, 25, 15"
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Winner payout share per place, adding up to 100 (one value = single winner)
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            🪙 Payout Asset
+          </label>
+          <select
+            value={config.payoutAsset}
+            onChange={(e) => handleInputChange('payoutAsset', e.target.value)}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:border-blue-400"
+          >
+            {(config.payoutAssets || []).map(asset => (
+              <option key={asset.name} value={asset.name} className="bg-gray-900">
+                {asset.label}
+              </option>
+            ))}
+          </select>
+          <div className="text-gray-400 text-xs mt-1">
+            {(config.payoutAssets || []).find(asset => asset.name === config.payoutAsset)?.description ||
+              'What the hot wallet pays prizes in'}
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            🔐 Payout Nonce Account
+          </label>
+          <input
+            type="text"
+            value={config.payoutNonceAccount}
+            onChange={(e) => handleInputChange('payoutNonceAccount', e.target.value)}
+            placeholder="Durable nonce account (optional)"
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Signed payouts stay valid until they land or are cancelled; its authority must be the hot wallet. Empty uses recent blockhashes
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            🎁 Prize Mode
+          </label>
+          <select
+            value={config.prizeMode}
+            onChange={(e) => handleInputChange('prizeMode', e.target.value)}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:border-blue-400"
+          >
+            <option value="sol" className="bg-gray-900">SOL (payout asset)</option>
+            <option value="token" className="bg-gray-900">SPL token</option>
+          </select>
+          <div className="text-gray-400 text-xs mt-1">
+            Token prizes are worth the SOL payout at the swap adapter's quote
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            🪙 Prize Token Mint
+          </label>
+          <input
+            type="text"
+            value={config.prizeTokenMint}
+            disabled={config.prizeMode !== 'token'}
+            onChange={(e) => handleInputChange('prizeTokenMint', e.target.value)}
+            placeholder="Mint address (SPL Token or Token-2022)"
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400 disabled:opacity-50"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Defaults to the game token
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            🔄 Buyback & Swap
+          </label>
+          <div className="flex items-center gap-3">
+            <input
+              type="checkbox"
+              checked={config.prizeBuyback}
+              disabled={config.prizeMode !== 'token'}
+              onChange={(e) => handleInputChange('prizeBuyback', e.target.checked)}
+              className="w-5 h-5"
+            />
+            <select
+              value={config.swapAdapter}
+              disabled={config.prizeMode !== 'token'}
+              onChange={(e) => handleInputChange('swapAdapter', e.target.value)}
+              className="flex-1 p-3 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:border-blue-400 disabled:opacity-50"
+            >
+              {(config.swapAdapters || []).map(adapter => (
+                <option key={adapter.name} value={adapter.name} className="bg-gray-900">
+                  {adapter.label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="0"
+              max="5000"
+              value={config.swapSlippageBps}
+              disabled={config.prizeMode !== 'token'}
+              onChange={(e) => handleInputChange('swapSlippageBps', parseInt(e.target.value))}
+              className="w-24 p-3 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:border-blue-400 disabled:opacity-50"
+            />
+          </div>
+          <div className="text-gray-400 text-xs mt-1">
+            Buy the token with the pot before paying (otherwise paid from inventory); slippage in bps
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            🛑 Max per Payout (SOL)
+          </label>
+          <input
+            type="number"
+            step="0.1"
+            min="0"
+            value={config.payoutMaxLamports / 1000000000}
+            onChange={(e) => handleLamportsChange('payoutMaxLamports', e.target.value)}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            A bigger payout trips the breaker (0 = no cap)
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            ⏱️ Hourly Payout Cap (SOL)
+          </label>
+          <input
+            type="number"
+            step="0.1"
+            min="0"
+            value={config.payoutHourlyLimitLamports / 1000000000}
+            onChange={(e) => handleLamportsChange('payoutHourlyLimitLamports', e.target.value)}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Total paid out over the last hour (0 = no cap)
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            📅 Daily Payout Cap (SOL)
+          </label>
+          <input
+            type="number"
+            step="0.1"
+            min="0"
+            value={config.payoutDailyLimitLamports / 1000000000}
+            onChange={(e) => handleLamportsChange('payoutDailyLimitLamports', e.target.value)}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Total paid out over the last 24 hours (0 = no cap)
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            ✋ Approval Threshold (SOL)
+          </label>
+          <input
+            type="number"
+            step="0.1"
+            min="0"
+            value={config.payoutApprovalThresholdLamports / 1000000000}
+            onChange={(e) => handleLamportsChange('payoutApprovalThresholdLamports', e.target.value)}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Bigger payouts wait for admin approval before sending (0 = off). While on, changes to the payout caps, nonce account and approval settings wait for the same approvals
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            👥 Required Approvals
+          </label>
+          <input
+            type="number"
+            min="1"
+            max={Math.max((config.payoutApprovers || []).length, 1)}
+            value={config.payoutApprovalsRequired}
+            onChange={(e) => handleInputChange('payoutApprovalsRequired', parseInt(e.target.value))}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Of {(config.payoutApprovers || []).length} approver account(s){(config.payoutApprovers || []).length > 0 && `: ${(config.payoutApprovers || []).join(', ')}`}
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            🏦 Multisig Vault
+          </label>
+          <input
+            type="text"
+            value={config.payoutMultisigVault}
+            onChange={(e) => handleInputChange('payoutMultisigVault', e.target.value)}
+            placeholder="Squads vault address (optional)"
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Held payouts can be exported as a proposal paid from this vault instead
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            ⚡ Priority Fee Percentile
+          </label>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={config.priorityFeePercentile}
+            onChange={(e) => handleInputChange('priorityFeePercentile', parseInt(e.target.value))}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Percentile of recent fees paid on the accounts a payout writes
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            🧢 Priority Fee Cap (micro-lamports/CU)
+          </label>
+          <input
+            type="number"
+            min="0"
+            step="1000"
+            value={config.priorityFeeMaxMicroLamports}
+            onChange={(e) => handleInputChange('priorityFeeMaxMicroLamports', parseInt(e.target.value))}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Highest price paid per compute unit (0 = no priority fee)
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            🧮 Compute Unit Margin (%)
+          </label>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={config.computeUnitMargin}
+            onChange={(e) => handleInputChange('computeUnitMargin', parseInt(e.target.value))}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Headroom added to the compute units a simulation used
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            💰 Fee Claim Share (%)
+          </label>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={config.potFeeClaimPercentage}
+            onChange={(e) => handleInputChange('potFeeClaimPercentage', parseInt(e.target.value))}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Share of each Pump.fun fee claim added to the pot; the creator keeps the rest
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            🌱 Pot Seed (SOL)
+          </label>
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            value={config.potSeedLamports / 1000000000}
+            onChange={(e) => handleLamportsChange('potSeedLamports', e.target.value)}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            The pot is topped up to this from the hot wallet whenever it drops below (0 = off)
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            📥 Pot Deposits
+          </label>
+          <div className="flex items-center gap-3">
+            <input
+              type="checkbox"
+              checked={config.potDepositsEnabled}
+              onChange={(e) => handleInputChange('potDepositsEnabled', e.target.checked)}
+              className="w-5 h-5"
+            />
+            <select
+              value={config.potDepositWallet}
+              disabled={!config.potDepositsEnabled}
+              onChange={(e) => handleInputChange('potDepositWallet', e.target.value)}
+              className="flex-1 p-3 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:border-blue-400 disabled:opacity-50"
+            >
+              <option value="hot" className="bg-gray-900">Hot wallet</option>
+              <option value="creator" className="bg-gray-900">Creator wallet</option>
+            </select>
+          </div>
+          <div className="text-gray-400 text-xs mt-1">
+            SOL sent to this wallet from outside the game joins the pot
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            🔁 No-Holder Rollover (%)
+          </label>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={config.potRolloverPercentage}
+            onChange={(e) => handleInputChange('potRolloverPercentage', parseInt(e.target.value))}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Share of the pot kept when a spin finds no eligible holders
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            ⏱️ No-Holder Retry (minutes)
+          </label>
+          <input
+            type="number"
+            min="0"
+            max="60"
+            value={config.potNoHoldersRetryMinutes}
+            onChange={(e) => handleInputChange('potNoHoldersRetryMinutes', parseInt(e.target.value))}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Spin again this soon after finding no holders (0 = next interval)
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            🎚️ Minimum Pot (SOL)
+          </label>
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            value={config.potMinLamports / 1000000000}
+            onChange={(e) => handleLamportsChange('potMinLamports', e.target.value)}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Spins are skipped until the pot reaches this
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            🧱 Pot Cap (SOL)
+          </label>
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            value={config.potMaxLamports / 1000000000}
+            onChange={(e) => handleLamportsChange('potMaxLamports', e.target.value)}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Fee claims and deposits beyond this stay out of the pot (0 = no cap)
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            🎰 Jackpot Contribution (%)
+          </label>
+          <input
+            type="number"
+            step="0.5"
+            min="0"
+            max="50"
+            value={config.jackpotContributionPercentage}
+            onChange={(e) => handleInputChange('jackpotContributionPercentage', parseFloat(e.target.value))}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Share of each spin's pot added to the progressive jackpot (0 = off)
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-white font-bold mb-2">
+            🎲 Jackpot Odds (1 in N)
+          </label>
+          <input
+            type="number"
+            min="2"
+            value={config.jackpotOneIn}
+            onChange={(e) => handleInputChange('jackpotOneIn', parseInt(e.target.value))}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+          <div className="text-gray-400 text-xs mt-1">
+            Each spin wins the whole jackpot with this chance, rolled from its proof
+          </div>
+        </div>
+      </div>
+
+      {/* Exclusion Registry */}
       <div>
         <label className="block text-white font-bold mb-2">
-          🚫 Blacklisted Addresses
+          🚫 Excluded Addresses
         </label>
-        
-        <div className="flex gap-2 mb-4">
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-2 mb-4">
           <input
             type="text"
-            value={newBlacklistAddress}
-            onChange={(e) => setNewBlacklistAddress(e.target.value)}
-            placeholder="Enter address to blacklist"
-            className="flex-1 p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+            value={newExclusion.address}
+            onChange={(e) => setNewExclusion(prev => ({ ...prev, address: e.target.value }))}
+            placeholder="Address to exclude"
+            className="md:col-span-2 p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
           />
+          <select
+            value={newExclusion.category}
+            onChange={(e) => setNewExclusion(prev => ({ ...prev, category: e.target.value }))}
+            className="p-3 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:border-blue-400"
+          >
+            {exclusionCategories.map(category => (
+              <option key={category.name} value={category.name} className="bg-gray-800">
+                {category.label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={newExclusion.reason}
+            onChange={(e) => setNewExclusion(prev => ({ ...prev, reason: e.target.value }))}
+            placeholder="Reason"
+            className="p-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400"
+          />
+        </div>
+        <div className="flex justify-end mb-4">
           <button
-            onClick={addBlacklistAddress}
+            onClick={addExclusion}
             className="btn-neon px-6"
           >
             Add
           </button>
         </div>
 
-        <div className="space-y-2 max-h-40 overflow-y-auto">
-          {config.blacklistedAddresses.length === 0 ? (
+        <div className="space-y-2 max-h-60 overflow-y-auto">
+          {exclusions.length === 0 ? (
             <div className="text-gray-400 text-center py-4">
-              No blacklisted addresses
+              No excluded addresses
             </div>
           ) : (
-            config.blacklistedAddresses.map((address, index) => (
+            exclusions.map(exclusion => (
               <div
-                key={index}
+                key={exclusion.address}
                 className="flex items-center justify-between p-3 bg-white/5 rounded-lg"
               >
-                <span className="text-white font-mono text-sm">
-                  {address.slice(0, 8)}...{address.slice(-8)}
-                </span>
-                <button
-                  onClick={() => removeBlacklistAddress(address)}
-                  className="text-red-400 hover:text-red-300 transition-colors"
-                >
-                  ❌
-                </button>
+                <div>
+                  <span className="text-white font-mono text-sm">
+                    {exclusion.address.slice(0, 8)}...{exclusion.address.slice(-8)}
+                  </span>
+                  <span className="text-blue-300 text-xs ml-2">{categoryLabel(exclusion.category)}</span>
+                  <div className="text-gray-400 text-xs">
+                    {exclusion.reason}
+                    {exclusion.source !== 'registry' && ` (${exclusion.source === 'env' ? 'BLACKLISTED_ADDRESSES' : 'built-in'})`}
+                  </div>
+                </div>
+                {exclusion.source === 'registry' && (
+                  <button
+                    onClick={() => removeExclusion(exclusion.address)}
+                    className="text-red-400 hover:text-red-300 transition-colors"
+                  >
+                    ❌
+                  </button>
+                )}
               </div>
             ))
           )}
         </div>
+
+        <div className="text-gray-400 text-xs mt-2">
+          {detectedExclusions.length} program-owned (PDA) holder account(s) excluded automatically
+        </div>
+
+        <button
+          onClick={() => setShowExclusionAudit(prev => !prev)}
+          className="text-blue-300 hover:text-blue-200 text-xs mt-2"
+        >
+          {showExclusionAudit ? 'Hide' : 'Show'} audit history
+        </button>
+        {showExclusionAudit && (
+          <div className="space-y-1 max-h-40 overflow-y-auto mt-2">
+            {exclusionAudit.length === 0 ? (
+              <div className="text-gray-400 text-xs">No changes yet</div>
+            ) : (
+              exclusionAudit.map((entry, index) => (
+                <div key={index} className="text-gray-300 text-xs">
+                  {new Date(entry.createdAt).toLocaleString()} • {entry.actor} {entry.action}d
+                  {' '}<span className="font-mono">{entry.address.slice(0, 8)}...</span>
+                  {entry.category && ` (${categoryLabel(entry.category)})`}
+                  {entry.reason && `: ${entry.reason}`}
+                </div>
+              ))
+            )}
+          </div>
+        )}
       </div>
 
       {/* Save Button */}
@@ -3,10 +3,12 @@ import { motion } from 'framer-motion';
 import WheelComponent from './WheelComponent';
 import CountdownTimer from './CountdownTimer';
 import PotDisplay from './PotDisplay';
+import JackpotMeter from './JackpotMeter';
 import HolderStats from './HolderStats';
 import TransactionFeed from './TransactionFeed';
 import ConnectionStatus from './ConnectionStatus';
 import EligibilityChecker from './EligibilityChecker';
+import SpinVerifier from './SpinVerifier';
 import { useGame } from '../contexts/GameContext';
 
 const GameDashboard = () => {
@@ -102,6 +104,7 @@ const GameDashboard = () => {
             className="xl:col-span-3 space-y-3"
           >
             <PotDisplay amount={currentPot} />
+            <JackpotMeter />
             <HolderStats stats={holderStats} />
           </motion.div>
 
@@ -117,6 +120,7 @@ const GameDashboard = () => {
               <CountdownTimer
                 timeRemaining={countdown?.timeRemaining}
                 gameState={gameState}
+                special={countdown?.special}
               />
             </div>
 
@@ -145,9 +149,10 @@ const GameDashboard = () => {
           <motion.div
             initial={{ opacity: 0, x: 20 }}
             animate={{ opacity: showStats ? 1 : 0, x: showStats ? 0 : 20 }}
-            className="xl:col-span-3"
+            className="xl:col-span-3 space-y-3"
           >
             <TransactionFeed />
+            <SpinVerifier />
           </motion.div>
         </div>
 
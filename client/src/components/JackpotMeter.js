@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import CountUp from 'react-countup';
+import { useGame } from '../contexts/GameContext';
+import { useSocket } from '../contexts/SocketContext';
+
+const JackpotMeter = () => {
+  const { solPrice, formatAddress, jackpot: initialJackpot } = useGame();
+  const { socket } = useSocket();
+  const [jackpot, setJackpot] = useState(null);
+  const [win, setWin] = useState(null);
+
+  useEffect(() => {
+    if (initialJackpot) {
+      setJackpot(initialJackpot);
+    }
+  }, [initialJackpot]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleJackpotWon = (data) => {
+      setWin(data);
+      setTimeout(() => setWin(null), 10000);
+    };
+
+    socket.on('jackpotUpdate', setJackpot);
+    socket.on('jackpotWon', handleJackpotWon);
+
+    return () => {
+      socket.off('jackpotUpdate', setJackpot);
+      socket.off('jackpotWon', handleJackpotWon);
+    };
+  }, [socket]);
+
+  const formatSOL = (lamports) => {
+    return (lamports / 1000000000).toFixed(4);
+  };
+
+  // Nothing to show until the jackpot is switched on or has something in it
+  if (!jackpot || (!jackpot.enabled && jackpot.amount === 0)) {
+    return null;
+  }
+
+  const solAmount = formatSOL(jackpot.amount || 0);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="glass-strong p-4 rounded-2xl text-center relative overflow-hidden"
+    >
+      <div className="relative z-10">
+        <div className="flex items-center justify-center mb-1">
+          <span className="text-xl mr-2">🎰</span>
+          <h3 className="text-base font-bold text-white">Progressive Jackpot</h3>
+        </div>
+
+        <div className="text-2xl lg:text-3xl font-bold font-cyber text-yellow-400">
+          <CountUp
+            start={0}
+            end={parseFloat(solAmount)}
+            duration={1.5}
+            decimals={4}
+            decimal="."
+            suffix=" SOL"
+          />
+        </div>
+        <div className="text-gray-400 text-xs">
+          ≈ ${(parseFloat(solAmount) * solPrice).toFixed(2)} USD
+        </div>
+
+        <div className="mt-2 text-xs text-gray-500 space-y-1">
+          {jackpot.enabled ? (
+            <>
+              <div>{jackpot.contributionPercentage}% of every pot • 1 in {jackpot.oneIn.toLocaleString()} spins wins it all</div>
+              <div>Rolled from each spin's proof</div>
+            </>
+          ) : (
+            <div>Jackpot paused</div>
+          )}
+          {jackpot.lastWin && (
+            <div className="text-gray-400">
+              Last hit: {formatSOL(jackpot.lastWin.amount)} SOL to{' '}
+              <span className="font-mono">{formatAddress(jackpot.lastWin.winner)}</span>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <AnimatePresence>
+        {win && (
+          <motion.div
+            initial={{ opacity: 0, scale: 0.8 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.8 }}
+            className="absolute inset-0 z-20 flex flex-col items-center justify-center bg-yellow-500/90 text-black rounded-2xl"
+          >
+            <div className="text-lg font-bold">🎉 JACKPOT! 🎉</div>
+            <div className="text-2xl font-cyber font-bold">{formatSOL(win.amount)} SOL</div>
+            <div className="text-xs font-mono">{formatAddress(win.winner)}</div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <div className="absolute inset-0 rounded-2xl bg-gradient-to-r from-yellow-500/20 via-orange-500/20 to-red-500/20 opacity-50 blur-xl"></div>
+    </motion.div>
+  );
+};
+
+export default JackpotMeter;
@@ -5,14 +5,14 @@ import { useGame } from '../contexts/GameContext';
 import { useSocket } from '../contexts/SocketContext';
 
 const PotDisplay = ({ amount }) => {
-  const { solPrice } = useGame();
+  const { solPrice, potPolicy } = useGame();
   const { socket } = useSocket();
   const [previousAmount, setPreviousAmount] = useState(0);
   const [showIncrease, setShowIncrease] = useState(false);
   const [growthRate, setGrowthRate] = useState(0);
   const [lastGrowth, setLastGrowth] = useState(0);
-  const [walletBalance, setWalletBalance] = useState(0);
-  const [potPercentage, setPotPercentage] = useState(0.7);
+  const [reservedAmount, setReservedAmount] = useState(0);
+  const [policy, setPolicy] = useState(null);
   const [potGrowthHistory, setPotGrowthHistory] = useState([]);
 
   useEffect(() => {
@@ -29,17 +29,18 @@ const PotDisplay = ({ amount }) => {
     setPreviousAmount(amount);
   }, [amount, previousAmount]);
 
+  useEffect(() => {
+    if (potPolicy) {
+      setPolicy(potPolicy);
+    }
+  }, [potPolicy]);
+
   // Listen for pot updates from server
   useEffect(() => {
     if (!socket) return;
 
     const handlePotUpdate = (data) => {
-      if (data.walletBalance) {
-        setWalletBalance(data.walletBalance);
-      }
-      if (data.potPercentage) {
-        setPotPercentage(data.potPercentage);
-      }
+      setReservedAmount(data.reserved || 0);
     };
 
     const handlePotGrowthUpdate = (data) => {
@@ -60,10 +61,12 @@ const PotDisplay = ({ amount }) => {
 
     socket.on('potUpdate', handlePotUpdate);
     socket.on('potGrowthUpdate', handlePotGrowthUpdate);
+    socket.on('potPolicyUpdate', setPolicy);
 
     return () => {
       socket.off('potUpdate', handlePotUpdate);
       socket.off('potGrowthUpdate', handlePotGrowthUpdate);
+      socket.off('potPolicyUpdate', setPolicy);
     };
   }, [socket]);
 
@@ -113,11 +116,36 @@ const PotDisplay = ({ amount }) => {
           {/* Pot Information */}
           <div className="mt-4 text-xs text-gray-500 space-y-1">
             <div>Updated in real-time</div>
-            {walletBalance > 0 && (
+            {reservedAmount > 0 && (
               <div className="text-gray-400">
-                Fee Wallet: {(walletBalance / 1000000000).toFixed(4)} SOL • Pot: {(potPercentage * 100).toFixed(0)}%
+                Paying out: {formatSOL(reservedAmount)} SOL
               </div>
             )}
+            {policy && (
+              <>
+                <div className="text-gray-400">
+                  Funded by {policy.sources.join(' • ')}
+                </div>
+                {policy.minPotLamports > 0 && (amount || 0) < policy.minPotLamports && (
+                  <div className="text-yellow-400">
+                    Spins resume at {formatSOL(policy.minPotLamports)} SOL
+                  </div>
+                )}
+                {policy.maxPotLamports > 0 && (
+                  <div>
+                    <div className="w-full h-1 bg-white/10 rounded-full overflow-hidden mt-1">
+                      <div
+                        className="h-full bg-gradient-to-r from-green-400 to-blue-500"
+                        style={{ width: `${Math.min(100, ((amount || 0) / policy.maxPotLamports) * 100)}%` }}
+                      />
+                    </div>
+                    <div className="text-gray-400 mt-1">
+                      Cap: {formatSOL(policy.maxPotLamports)} SOL
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
           </div>
         </div>
 
@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { useGame } from '../contexts/GameContext';
+import { useSocket } from '../contexts/SocketContext';
+import { verifyProof } from '../utils/provablyFair';
+
+const SpinVerifier = () => {
+  const { fetchGameProof, recentGames, formatAddress } = useGame();
+  const { socket } = useSocket();
+  const [gameId, setGameId] = useState('');
+  const [commitment, setCommitment] = useState(null);
+  const [proof, setProof] = useState(null);
+  const [verification, setVerification] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+  // Default to the most recent game until the user types their own id
+  useEffect(() => {
+    const latest = recentGames?.[0];
+    if (!gameId && latest) {
+      setGameId(latest.id || latest.game_id || '');
+    }
+  }, [recentGames]);
+
+  // The seed hash is published before the outcome is known
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleSpinStart = (data) => {
+      if (data.serverSeedHash) {
+        setCommitment({
+          gameId: data.gameId,
+          serverSeedHash: data.serverSeedHash,
+          targetSlot: data.targetSlot
+        });
+        setGameId(data.gameId);
+        setProof(null);
+        setVerification(null);
+      }
+    };
+
+    socket.on('spinStart', handleSpinStart);
+
+    return () => {
+      socket.off('spinStart', handleSpinStart);
+    };
+  }, [socket]);
+
+  const verifySpin = async () => {
+    if (!gameId.trim()) return;
+
+    setLoading(true);
+    setError(null);
+    setVerification(null);
+    try {
+      const data = await fetchGameProof(gameId.trim());
+      if (!data) {
+        setError('No proof found for this game');
+        return;
+      }
+
+      setProof(data);
+      if (!data.revealed) {
+        setError('Seed not revealed yet - wait for the spin to finish');
+        return;
+      }
+
+      setVerification(await verifyProof(data));
+    } catch (err) {
+      console.error('Spin verification error:', err);
+      setError('Failed to verify spin');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="glass-strong p-4 rounded-2xl"
+    >
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-bold text-white">🔍 Verify this spin</h3>
+        <span className="text-xs text-gray-400">Provably fair</span>
+      </div>
+
+      {commitment && (
+        <div className="text-xs text-gray-400 mb-3 break-all">
+          Committed seed hash: <span className="font-mono text-gray-300">{commitment.serverSeedHash}</span>
+          <div>Entropy from slot ≥ {commitment.targetSlot}</div>
+        </div>
+      )}
+
+      <div className="flex gap-2 mb-3">
+        <input
+          type="text"
+          value={gameId}
+          onChange={(e) => setGameId(e.target.value)}
+          onKeyPress={(e) => e.key === 'Enter' && verifySpin()}
+          placeholder="Game ID..."
+          className="flex-1 px-2 py-1 bg-black/30 border border-white/20 rounded text-white text-xs placeholder-gray-500 focus:outline-none focus:border-blue-400"
+        />
+        <button
+          onClick={verifySpin}
+          disabled={loading || !gameId.trim()}
+          className="px-3 py-1 bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-500 disabled:opacity-50 disabled:cursor-not-allowed rounded text-white text-xs font-medium transition-colors"
+        >
+          {loading ? '...' : 'Verify'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-2 rounded text-xs bg-red-500/20 border border-red-500/30 text-red-400">
+          {error}
+        </div>
+      )}
+
+      {verification && proof && (
+        <motion.div
+          initial={{ opacity: 0, scale: 0.95 }}
+          animate={{ opacity: 1, scale: 1 }}
+          className={`p-2 rounded text-xs space-y-1 ${
+            verification.valid
+              ? 'bg-green-500/20 border border-green-500/30'
+              : 'bg-red-500/20 border border-red-500/30'
+          }`}
+        >
+          <div className={`font-bold ${verification.valid ? 'text-green-400' : 'text-red-400'}`}>
+            {verification.valid ? '✅ Winner verified' : '❌ Verification failed'}
+          </div>
+          <div className="text-gray-300">
+            Seed matches commitment: {verification.seedMatchesCommitment ? 'yes' : 'no'}
+          </div>
+          <div className="text-gray-300">
+            Holders ordered by address: {verification.holdersOrdered ? 'yes' : 'no'}
+          </div>
+          <div className="text-gray-300">
+            Blockhash (slot {proof.blockSlot}): <span className="font-mono break-all">{proof.blockhash}</span>
+          </div>
+          <div className="text-gray-300">
+            Roll {verification.target} of {verification.totalWeight} → #{verification.index} of {proof.holders.length}
+          </div>
+          <div className="text-gray-300">
+            Recomputed winner: <span className="font-mono">{formatAddress(verification.winnerAddress)}</span>
+            {' '}(published: <span className="font-mono">{formatAddress(proof.winnerAddress)}</span>)
+          </div>
+          {verification.jackpot && (
+            <div className="text-gray-300">
+              Jackpot roll {verification.jackpot.roll} of {proof.jackpot.oneIn} → {verification.jackpot.hit ? 'hit 🎰' : 'no hit'}
+              {' '}(published: {proof.jackpot.hit ? 'hit' : 'no hit'})
+            </div>
+          )}
+          {verification.winners.length > 1 && (
+            <div className="text-gray-300">
+              Places: {verification.winners.map(winner => (
+                <span key={winner.place} className="font-mono mr-2">
+                  #{winner.place} {formatAddress(winner.address)}
+                </span>
+              ))}
+            </div>
+          )}
+          <a
+            href={`${API_BASE}/game/${proof.gameId}/snapshot?format=csv`}
+            className="text-blue-400 hover:text-blue-300 underline"
+          >
+            Download holder snapshot (CSV)
+          </a>
+        </motion.div>
+      )}
+    </motion.div>
+  );
+};
+
+export default SpinVerifier;
@@ -23,6 +23,8 @@ const TransactionFeed = () => {
         id: data.gameId,
         winner: data.winner.address,
         amount: data.winnerPayout,
+        // Every place of a multi-winner spin, in order
+        places: data.winners && data.winners.length > 1 ? data.winners : [],
         timestamp: new Date(),
         signature: null // Will be updated when payout completes
       };
@@ -76,6 +78,7 @@ const TransactionFeed = () => {
           type: 'payout',
           winner: payout.winnerAddress,
           amount: payout.winnerAmount,
+          places: payout.winners && payout.winners.length > 1 ? payout.winners : [],
           signature: payout.transactionSignature,
           timestamp: new Date(payout.createdAt),
           status: payout.status
@@ -201,20 +204,43 @@ const TransactionFeed = () => {
                         )}
                       </div>
                       
-                      <div className="text-xs text-gray-300 mb-1">
-                        <a
-                          href={`https://solscan.io/account/${winner.winner}`}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          className="hover:text-blue-400 transition-colors underline decoration-transparent hover:decoration-blue-400"
-                        >
-                          {formatAddress(winner.winner)}
-                        </a>
-                      </div>
-                      
-                      <div className="text-xs text-white font-mono font-bold">
-                        {formatSOL(winner.amount)} SOL
-                      </div>
+                      {winner.places && winner.places.length > 0 ? (
+                        <div className="space-y-1 mb-1">
+                          {winner.places.map(place => (
+                            <div key={place.place} className="flex items-center justify-between text-xs">
+                              <a
+                                href={`https://solscan.io/account/${place.address}`}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                onClick={(e) => e.stopPropagation()}
+                                className="text-gray-300 hover:text-blue-400 transition-colors"
+                              >
+                                #{place.place} {formatAddress(place.address)}
+                              </a>
+                              <span className="text-white font-mono font-bold ml-2">
+                                {formatSOL(place.payout !== undefined ? place.payout : place.amount)} SOL
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      ) : (
+                        <>
+                          <div className="text-xs text-gray-300 mb-1">
+                            <a
+                              href={`https://solscan.io/account/${winner.winner}`}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="hover:text-blue-400 transition-colors underline decoration-transparent hover:decoration-blue-400"
+                            >
+                              {formatAddress(winner.winner)}
+                            </a>
+                          </div>
+
+                          <div className="text-xs text-white font-mono font-bold">
+                            {formatSOL(winner.amount)} SOL
+                          </div>
+                        </>
+                      )}
                       
                       <div className="text-xs text-gray-500 mt-1">
                         {formatTimeAgo(winner.timestamp)}
@@ -9,7 +9,7 @@ const WheelComponent = () => {
   const wheelRef = useRef(null);
   const [rotation, setRotation] = useState(0);
   const [isAnimating, setIsAnimating] = useState(false);
-  const [winnerSegment, setWinnerSegment] = useState(null);
+  const [winnerSegments, setWinnerSegments] = useState([]); // { index, place, address }, revealed in place order
   const [localWheelData, setLocalWheelData] = useState(null);
 
   // Use local wheel data if available, otherwise fall back to context data
@@ -34,11 +34,15 @@ const WheelComponent = () => {
   const calculateSegments = (holders) => {
     if (!holders || holders.length === 0) return [];
     
-    const totalBalance = holders.reduce((sum, holder) => sum + holder.balance, 0);
+    // Segments follow the engine's effective weights (falling back to balance
+    // for older payloads). Amounts arrive as decimal strings; float precision
+    // is plenty for angles
+    const weightOf = (holder) => Number(holder.weight !== undefined ? holder.weight : holder.balance);
+    const totalWeight = holders.reduce((sum, holder) => sum + weightOf(holder), 0);
     let currentAngle = 0;
     
     return holders.map((holder, index) => {
-      const percentage = (holder.balance / totalBalance) * 100;
+      const percentage = (weightOf(holder) / totalWeight) * 100;
       const angle = (percentage / 100) * 360;
       const segment = {
         ...holder,
@@ -64,6 +68,7 @@ const WheelComponent = () => {
       console.log('Holder distribution:', data.holderDistribution);
 
       setIsAnimating(true);
+      setWinnerSegments([]);
 
       // Update wheel data with holder distribution for rendering segments
       if (data.holderDistribution && data.holderDistribution.length > 0) {
@@ -80,11 +85,20 @@ const WheelComponent = () => {
     });
 
     const unsubscribeWinnerSelected = subscribeToEvent('winnerSelected', (data) => {
-      // Find the winner segment
-      const winner = segments.find(segment => 
-        segment.address === data.winner.address
-      );
-      setWinnerSegment(winner);
+      // Multi-winner spins list every place; reveal them one after another
+      const places = data.winners && data.winners.length > 0
+        ? data.winners
+        : [{ place: 1, address: data.winner.address }];
+
+      places.forEach((winner, i) => {
+        setTimeout(() => {
+          const segment = segments.find(s => s.address === winner.address);
+          setWinnerSegments(prev => [
+            ...prev,
+            { index: segment ? segment.index : -1, place: winner.place, address: winner.address }
+          ]);
+        }, i * 1200);
+      });
       
       // Stop animation after a delay
       setTimeout(() => {
@@ -140,7 +154,8 @@ const WheelComponent = () => {
       const textX = 300 + textRadius * Math.cos((midAngle * Math.PI) / 180);
       const textY = 300 + textRadius * Math.sin((midAngle * Math.PI) / 180);
 
-      const isWinner = winnerSegment && winnerSegment.index === index;
+      const winnerPlace = winnerSegments.find(winner => winner.index === index);
+      const isWinner = Boolean(winnerPlace);
 
       return (
         <g key={index}>
@@ -173,6 +188,25 @@ const WheelComponent = () => {
               {address.slice(0, 4)}...
             </text>
           )}
+
+          {/* Place badge for multi-winner spins */}
+          {isWinner && winnerSegments.length > 1 && (
+            <text
+              x={300 + 235 * Math.cos((midAngle * Math.PI) / 180)}
+              y={300 + 235 * Math.sin((midAngle * Math.PI) / 180)}
+              fill="white"
+              fontSize="16"
+              fontWeight="bold"
+              textAnchor="middle"
+              dominantBaseline="middle"
+              style={{
+                textShadow: '0 0 6px rgba(0,0,0,0.9)',
+                pointerEvents: 'none'
+              }}
+            >
+              #{winnerPlace.place}
+            </text>
+          )}
         </g>
       );
     });
@@ -354,6 +388,24 @@ const WheelComponent = () => {
 
         {/* Winner announcement - Removed */}
       </div>
+
+      {/* Winner sequence for multi-winner spins */}
+      {winnerSegments.length > 1 && (
+        <div className="absolute bottom-0 left-1/2 transform -translate-x-1/2 translate-y-full flex gap-2 pt-2">
+          <AnimatePresence>
+            {winnerSegments.map(winner => (
+              <motion.div
+                key={winner.place}
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="glass-strong px-3 py-1 rounded-full text-xs text-white font-mono"
+              >
+                #{winner.place} {winner.address.slice(0, 4)}...{winner.address.slice(-4)}
+              </motion.div>
+            ))}
+          </AnimatePresence>
+        </div>
+      )}
     </div>
   );
 };
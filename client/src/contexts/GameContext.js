@@ -25,6 +25,8 @@ const gameReducer = (state, action) => {
         recentGames: action.payload.recentGames,
         isRunning: action.payload.isRunning,
         spinInterval: action.payload.spinInterval,
+        potPolicy: action.payload.potPolicy || null,
+        jackpot: action.payload.jackpot || null,
       };
     
     case 'SET_HOLDER_STATS':
@@ -96,6 +98,8 @@ const initialState = {
   recentGames: [],
   isRunning: false,
   spinInterval: 5,
+  potPolicy: null,
+  jackpot: null,
   holderStats: null,
   wheelData: null,
   countdown: null,
@@ -276,6 +280,18 @@ export const GameProvider = ({ children }) => {
     }
   };
 
+  const fetchGameProof = async (gameId) => {
+    try {
+      const response = await axios.get(`${API_BASE}/game/${gameId}/proof`);
+      if (response.data.success) {
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Failed to fetch game proof:', error);
+      return null;
+    }
+  };
+
   const checkHolderEligibility = async (address) => {
     try {
       const response = await axios.get(`${API_BASE}/holders/check/${address}`);
@@ -371,6 +387,7 @@ export const GameProvider = ({ children }) => {
     fetchHolderStats,
     fetchGameHistory,
     fetchPayoutHistory,
+    fetchGameProof,
     checkHolderEligibility,
     fetchSolPrice,
     formatAddress,
@@ -76,8 +76,11 @@ export const SocketProvider = ({ children }) => {
 
     newSocket.on('winnerSelected', (data) => {
       console.log('Winner selected:', data);
-      const winnerAddress = `${data.winner.address.slice(0, 4)}...${data.winner.address.slice(-4)}`;
-      toast.success(`🎉 Winner: ${winnerAddress}`, {
+      const formatWinner = (address) => `${address.slice(0, 4)}...${address.slice(-4)}`;
+      const message = data.winners && data.winners.length > 1
+        ? `🎉 Winners: ${data.winners.map(winner => `#${winner.place} ${formatWinner(winner.address)}`).join(', ')}`
+        : `🎉 Winner: ${formatWinner(data.winner.address)}`;
+      toast.success(message, {
         duration: 6000,
         style: {
           background: 'linear-gradient(45deg, #10b981, #06b6d4)',
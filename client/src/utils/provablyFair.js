@@ -0,0 +1,132 @@
+/* global BigInt */
+// Browser-side mirror of server/utils/provablyFair.js. Keep the two in sync:
+// any difference here makes honest spins fail verification.
+
+const sha256Hex = async (input) => {
+  const data = new TextEncoder().encode(input);
+  const digest = await window.crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+export const hashServerSeed = (serverSeed) => sha256Hex(serverSeed);
+
+const RANDOM_SPACE = 1n << 256n;
+
+export const deriveRandomValue = async (serverSeed, blockhash, gameId, round = 0, place = 1) => {
+  let message;
+  if (place > 1) {
+    message = `${serverSeed}:${blockhash}:${gameId}:place${place}:${round}`;
+  } else {
+    message = round === 0
+      ? `${serverSeed}:${blockhash}:${gameId}`
+      : `${serverSeed}:${blockhash}:${gameId}:${round}`;
+  }
+  const hex = await sha256Hex(message);
+  return BigInt('0x' + hex);
+};
+
+const findIndexForTarget = (target, orderedHolders) => {
+  let cumulative = 0n;
+
+  for (let i = 0; i < orderedHolders.length; i++) {
+    cumulative += BigInt(orderedHolders[i].weight);
+    if (target < cumulative) {
+      return i;
+    }
+  }
+
+  throw new Error('Weighted selection ran past the end of the holder list');
+};
+
+// Draws at or above the largest multiple of totalWeight are rejected and
+// redrawn with the next round, exactly like the server
+const selectWeightedIndex = async (nextRandom, orderedHolders) => {
+  const totalWeight = orderedHolders.reduce((sum, holder) => sum + BigInt(holder.weight), 0n);
+  if (totalWeight === 0n) {
+    throw new Error('Total holder weight is zero');
+  }
+
+  const limit = RANDOM_SPACE - (RANDOM_SPACE % totalWeight);
+
+  for (let round = 0; ; round++) {
+    const randomValue = await nextRandom(round);
+    if (randomValue < limit) {
+      const target = randomValue % totalWeight;
+      return { index: findIndexForTarget(target, orderedHolders), target, totalWeight, randomValue, round };
+    }
+  }
+};
+
+export const selectWinnerIndex = (serverSeed, blockhash, gameId, orderedHolders) =>
+  selectWeightedIndex(round => deriveRandomValue(serverSeed, blockhash, gameId, round), orderedHolders);
+
+// Later places are drawn without replacement from the holders left over
+export const selectWinnerIndices = async (serverSeed, blockhash, gameId, orderedHolders, count) => {
+  let remaining = orderedHolders.map((holder, index) => ({ ...holder, index }));
+  const winners = [];
+
+  for (let place = 1; place <= count && remaining.length > 0; place++) {
+    const draw = await selectWeightedIndex(
+      round => deriveRandomValue(serverSeed, blockhash, gameId, round, place),
+      remaining
+    );
+    const picked = remaining[draw.index];
+    winners.push({ ...draw, place, index: picked.index, address: picked.address });
+    remaining = remaining.filter((_, i) => i !== draw.index);
+  }
+
+  return winners;
+};
+
+export const isOrderedByAddress = (holders) => {
+  for (let i = 1; i < holders.length; i++) {
+    if (holders[i - 1].address >= holders[i].address) {
+      return false;
+    }
+  }
+  return true;
+};
+
+export const rollJackpot = async (serverSeed, blockhash, gameId, oneIn) => {
+  const hex = await sha256Hex(`${serverSeed}:${blockhash}:${gameId}:jackpot`);
+  const roll = BigInt('0x' + hex) % BigInt(oneIn);
+  return { roll, hit: roll === 0n };
+};
+
+// Recomputes a revealed proof entirely in the browser
+export const verifyProof = async (proof) => {
+  const seedHash = await hashServerSeed(proof.serverSeed);
+  const seedMatchesCommitment = seedHash === proof.serverSeedHash;
+  const holdersOrdered = isOrderedByAddress(proof.holders);
+  const published = proof.winners && proof.winners.length > 0
+    ? proof.winners
+    : [{ place: 1, index: proof.winnerIndex, address: proof.winnerAddress }];
+  const winners = await selectWinnerIndices(
+    proof.serverSeed, proof.blockhash, proof.gameId, proof.holders, published.length
+  );
+  const placesMatch = winners.length === published.length && winners.every((winner, i) =>
+    winner.index === published[i].index && winner.address === published[i].address
+  );
+  const { index, target, totalWeight, randomValue, address: winnerAddress } = winners[0];
+  const jackpot = proof.jackpot
+    ? await rollJackpot(proof.serverSeed, proof.blockhash, proof.gameId, proof.jackpot.oneIn)
+    : null;
+  const jackpotMatches = !jackpot ||
+    (jackpot.roll.toString() === String(proof.jackpot.roll) && jackpot.hit === proof.jackpot.hit);
+
+  return {
+    valid: seedMatchesCommitment && holdersOrdered && placesMatch && jackpotMatches &&
+      index === proof.winnerIndex && winnerAddress === proof.winnerAddress,
+    seedMatchesCommitment,
+    holdersOrdered,
+    randomValue: randomValue.toString(),
+    target: target.toString(),
+    totalWeight: totalWeight.toString(),
+    index,
+    winnerAddress,
+    winners: winners.map(({ place, index, address }) => ({ place, index, address })),
+    jackpot: jackpot ? { roll: jackpot.roll.toString(), hit: jackpot.hit, matches: jackpotMatches } : null
+  };
+};
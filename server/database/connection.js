@@ -8,6 +8,11 @@ class Database {
   }
 
   async connect() {
+    // Services share one pool; later callers just learn whether it is up
+    if (this.isConnected) {
+      return true;
+    }
+
     try {
       const connectionString = process.env.POSTGRES_URL || process.env.DATABASE_URL;
 
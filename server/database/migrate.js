@@ -29,11 +29,16 @@ class DatabaseMigrator {
 
       const schema = fs.readFileSync(this.schemaPath, 'utf8');
 
-      // Split schema into individual statements
+      // Split schema into individual statements, dropping comment lines so a
+      // statement preceded by a comment is not mistaken for a comment itself
       const statements = schema
         .split(';')
-        .map(stmt => stmt.trim())
-        .filter(stmt => stmt.length > 0 && !stmt.startsWith('--'));
+        .map(stmt => stmt
+          .split('\n')
+          .filter(line => !line.trim().startsWith('--'))
+          .join('\n')
+          .trim())
+        .filter(stmt => stmt.length > 0);
 
       // Execute each statement
       for (const statement of statements) {
@@ -111,7 +116,7 @@ class DatabaseMigrator {
       logger.info('Resetting database...');
 
       // Drop all tables
-      const tables = ['transactions', 'games', 'holders', 'system_settings', 'game_stats'];
+      const tables = ['spin_trigger_events', 'pot_reconciliations', 'pot_ledger', 'game_winners', 'game_snapshot_exclusions', 'game_holder_snapshots', 'game_proofs', 'transactions', 'payout_policy_changes', 'payouts', 'games', 'holder_cluster_merges', 'excluded_address_audit', 'excluded_addresses', 'holders', 'system_settings', 'game_stats'];
       for (const table of tables) {
         try {
           await db.query(`DROP TABLE IF EXISTS ${table} CASCADE`);
@@ -137,7 +142,7 @@ class DatabaseMigrator {
       }
 
       // Check if tables exist
-      const tables = ['games', 'holders', 'transactions', 'system_settings', 'game_stats'];
+      const tables = ['games', 'game_proofs', 'game_holder_snapshots', 'game_snapshot_exclusions', 'game_winners', 'holders', 'holder_cluster_merges', 'excluded_addresses', 'excluded_address_audit', 'transactions', 'payouts', 'payout_policy_changes', 'pot_ledger', 'pot_reconciliations', 'spin_trigger_events', 'system_settings', 'game_stats'];
       const existingTables = [];
 
       for (const table of tables) {
@@ -1,5 +1,6 @@
 const db = require('./connection');
 const logger = require('../utils/logger');
+const tokenAmount = require('../utils/tokenAmount');
 
 class GameModel {
   static async create(gameData) {
@@ -7,12 +8,13 @@ class GameModel {
       const query = `
         INSERT INTO games (
           game_id, pot_amount, winner_address, winner_payout,
-          creator_payout, eligible_holders_count, status
+          creator_payout, eligible_holders_count, status, state_history
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
         RETURNING *
       `;
 
+      const status = gameData.status || 'snapshotting';
       const values = [
         gameData.gameId,
         gameData.potAmount,
@@ -20,7 +22,8 @@ class GameModel {
         gameData.winnerPayout || 0,
         gameData.creatorPayout || 0,
         gameData.eligibleHoldersCount || 0,
-        gameData.status || 'spinning'
+        status,
+        JSON.stringify([{ status, reason: null, at: new Date().toISOString() }])
       ];
 
       const result = await db.query(query, values);
@@ -31,7 +34,8 @@ class GameModel {
     }
   }
 
-  static async update(id, updateData) {
+  // Games are addressed by their public game_id; camelCase keys map to columns
+  static async update(gameId, updateData) {
     try {
       const fields = [];
       const values = [];
@@ -39,7 +43,8 @@ class GameModel {
 
       Object.keys(updateData).forEach(key => {
         if (updateData[key] !== undefined) {
-          fields.push(`${key} = $${paramCount}`);
+          const column = key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+          fields.push(`${column} = $${paramCount}`);
           values.push(updateData[key]);
           paramCount++;
         }
@@ -50,11 +55,11 @@ class GameModel {
       const query = `
         UPDATE games
         SET ${fields.join(', ')}, updated_at = NOW()
-        WHERE id = $${paramCount}
+        WHERE game_id = $${paramCount}
         RETURNING *
       `;
 
-      values.push(id);
+      values.push(gameId);
       const result = await db.query(query, values);
       return result.rows[0];
     } catch (error) {
@@ -63,6 +68,61 @@ class GameModel {
     }
   }
 
+  // Moves a game to `status`, appending the step to state_history. Any other
+  // camelCase keys in `data` are written like update(); `statusReason` is
+  // kept on the row and in the history entry.
+  static async transition(gameId, status, data = {}) {
+    try {
+      const { statusReason = null, ...rest } = data;
+      const entry = { status, reason: statusReason, at: new Date().toISOString() };
+      const fields = [
+        'status = $1',
+        'status_reason = $2',
+        'state_changed_at = NOW()',
+        `state_history = COALESCE(state_history, '[]'::jsonb) || $3::jsonb`
+      ];
+      const values = [status, statusReason, JSON.stringify([entry])];
+      let paramCount = 4;
+
+      Object.keys(rest).forEach(key => {
+        if (rest[key] !== undefined) {
+          const column = key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+          fields.push(`${column} = $${paramCount}`);
+          values.push(rest[key]);
+          paramCount++;
+        }
+      });
+
+      const query = `
+        UPDATE games
+        SET ${fields.join(', ')}, updated_at = NOW()
+        WHERE game_id = $${paramCount}
+        RETURNING *
+      `;
+
+      values.push(gameId);
+      const result = await db.query(query, values);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to transition game:', error);
+      throw error;
+    }
+  }
+
+  // Games whose status is one of `statuses`, oldest first
+  static async findByStatuses(statuses) {
+    try {
+      const result = await db.query(
+        'SELECT * FROM games WHERE status = ANY($1) ORDER BY start_time ASC',
+        [statuses]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to find games by status:', error);
+      throw error;
+    }
+  }
+
   static async findById(id) {
     try {
       const result = await db.query('SELECT * FROM games WHERE id = $1', [id]);
@@ -96,6 +156,53 @@ class GameModel {
     }
   }
 
+  // Winners (every place) of the last `limit` paid-out games plus every paid
+  // winner since `since`. Games whose payout failed or waits for review don't
+  // count. Games from before multi-winner spins only have winner_address.
+  static async getRecentWinners(limit, since) {
+    try {
+      const result = await db.query(`
+        SELECT g.game_id, COALESCE(w.winner_address, g.winner_address) as winner_address,
+          COALESCE(w.place, 1) as place, COALESCE(g.end_time, g.start_time) as won_at
+        FROM games g
+        LEFT JOIN game_winners w ON w.game_id = g.game_id
+        WHERE g.winner_address IS NOT NULL
+          AND g.status = 'completed'
+          AND (
+            g.start_time >= $2
+            OR g.game_id IN (
+              SELECT game_id FROM games
+              WHERE winner_address IS NOT NULL AND status = 'completed'
+              ORDER BY start_time DESC
+              LIMIT $1
+            )
+          )
+        ORDER BY g.start_time DESC, place ASC
+      `, [limit, since]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get recent winners:', error);
+      throw error;
+    }
+  }
+
+  // The most recent completed game that paid out the jackpot
+  static async getLastJackpotWin() {
+    try {
+      const result = await db.query(`
+        SELECT game_id, winner_address, jackpot_payout, end_time
+        FROM games
+        WHERE jackpot_payout > 0 AND status = 'completed'
+        ORDER BY end_time DESC
+        LIMIT 1
+      `);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to get last jackpot win:', error);
+      throw error;
+    }
+  }
+
   static async getStats() {
     try {
       const result = await db.query(`
@@ -119,25 +226,32 @@ class HolderModel {
     try {
       const query = `
         INSERT INTO holders (
-          address, balance, token_account, percentage, is_eligible, last_updated
+          address, balance, token_account, percentage, is_eligible,
+          first_seen_at, holding_since, recent_balances, last_updated
         )
-        VALUES ($1, $2, $3, $4, $5, NOW())
+        VALUES ($1, $2, $3, $4, $5, COALESCE($6, NOW()), $7, COALESCE($8::jsonb, '[]'::jsonb), NOW())
         ON CONFLICT (address)
         DO UPDATE SET
           balance = EXCLUDED.balance,
           token_account = EXCLUDED.token_account,
           percentage = EXCLUDED.percentage,
           is_eligible = EXCLUDED.is_eligible,
+          first_seen_at = COALESCE(holders.first_seen_at, EXCLUDED.first_seen_at),
+          holding_since = EXCLUDED.holding_since,
+          recent_balances = COALESCE($8::jsonb, holders.recent_balances),
           last_updated = NOW()
         RETURNING *
       `;
 
       const values = [
         holderData.address,
-        holderData.balance,
+        tokenAmount.toAmountString(holderData.balance),
         holderData.tokenAccount,
         holderData.percentage,
-        holderData.isEligible
+        holderData.isEligible,
+        holderData.firstSeenAt || null,
+        holderData.holdingSince || null,
+        holderData.recentBalances ? JSON.stringify(holderData.recentBalances) : null
       ];
 
       const result = await db.query(query, values);
@@ -148,6 +262,37 @@ class HolderModel {
     }
   }
 
+  // A wallet that no longer holds the token loses its continuous-hold streak
+  static async markExited(address) {
+    try {
+      const result = await db.query(
+        `UPDATE holders
+         SET balance = 0, percentage = 0, is_eligible = false, holding_since = NULL,
+           recent_balances = '[]'::jsonb, last_updated = NOW()
+         WHERE address = $1`,
+        [address]
+      );
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Failed to mark holder as exited:', error);
+      throw error;
+    }
+  }
+
+  // Recent scan balances of every current holder, for the anti-sniping window
+  static async getBalanceHistories() {
+    try {
+      const result = await db.query(`
+        SELECT address, recent_balances FROM holders
+        WHERE balance > 0 AND jsonb_array_length(recent_balances) > 0
+      `);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get holder balance histories:', error);
+      throw error;
+    }
+  }
+
   static async findByAddress(address) {
     try {
       const result = await db.query('SELECT * FROM holders WHERE address = $1', [address]);
@@ -216,12 +361,15 @@ class HolderModel {
 class TransactionModel {
   static async create(transactionData) {
     try {
+      // gameId is the public game id; one row per recipient, so recording the
+      // same payout twice is a no-op
       const query = `
         INSERT INTO transactions (
           transaction_type, amount, from_address, to_address,
-          transaction_signature, game_id, status
+          transaction_signature, game_id, status, idempotency_key
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        VALUES ($1, $2, $3, $4, $5, (SELECT id FROM games WHERE game_id = $6), $7, $8)
+        ON CONFLICT (idempotency_key) DO NOTHING
         RETURNING *
       `;
 
@@ -232,7 +380,8 @@ class TransactionModel {
         transactionData.toAddress,
         transactionData.signature,
         transactionData.gameId,
-        transactionData.status || 'pending'
+        transactionData.status || 'pending',
+        transactionData.idempotencyKey || null
       ];
 
       const result = await db.query(query, values);
@@ -362,44 +511,989 @@ class SystemSettingsModel {
   }
 }
 
-class GameStatsModel {
-  static async get() {
+class GameProofModel {
+  static async commit(proofData) {
     try {
-      const result = await db.query('SELECT * FROM game_stats ORDER BY last_updated DESC LIMIT 1');
+      const query = `
+        INSERT INTO game_proofs (
+          game_id, server_seed_hash, commit_slot, target_slot
+        )
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `;
+
+      const values = [
+        proofData.gameId,
+        proofData.serverSeedHash,
+        proofData.commitSlot,
+        proofData.targetSlot
+      ];
+
+      const result = await db.query(query, values);
       return result.rows[0];
     } catch (error) {
-      logger.error('Failed to get game stats:', error);
+      logger.error('Failed to commit game proof:', error);
       throw error;
     }
   }
 
-  static async update(stats) {
+  static async reveal(gameId, revealData) {
     try {
       const query = `
-        UPDATE game_stats SET
-          total_games = $1,
-          total_payouts = $2,
-          average_pot = $3,
-          current_pot = $4,
-          total_holders = $5,
-          eligible_holders = $6,
-          last_updated = NOW()
+        UPDATE game_proofs SET
+          server_seed = $1,
+          block_slot = $2,
+          blockhash = $3,
+          holders = $4,
+          total_weight = $5,
+          random_value = $6,
+          winner_index = $7,
+          winner_address = $8,
+          winners = $9,
+          jackpot = $10,
+          revealed_at = NOW()
+        WHERE game_id = $11
         RETURNING *
       `;
 
       const values = [
-        stats.totalGames || 0,
-        stats.totalPayouts || 0,
-        stats.averagePot || 0,
-        stats.currentPot || 0,
-        stats.totalHolders || 0,
-        stats.eligibleHolders || 0
+        revealData.serverSeed,
+        revealData.blockSlot,
+        revealData.blockhash,
+        JSON.stringify(revealData.holders),
+        revealData.totalWeight,
+        revealData.randomValue,
+        revealData.winnerIndex,
+        revealData.winnerAddress,
+        JSON.stringify(revealData.winners || []),
+        revealData.jackpot ? JSON.stringify(revealData.jackpot) : null,
+        gameId
       ];
 
       const result = await db.query(query, values);
       return result.rows[0];
     } catch (error) {
-      logger.error('Failed to update game stats:', error);
+      logger.error('Failed to reveal game proof:', error);
+      throw error;
+    }
+  }
+
+  static async findByGameId(gameId) {
+    try {
+      const result = await db.query('SELECT * FROM game_proofs WHERE game_id = $1', [gameId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to find game proof:', error);
+      throw error;
+    }
+  }
+}
+
+class GameSnapshotModel {
+  // Snapshots are written once when a spin starts and never updated
+  static async createMany(gameId, entries) {
+    if (entries.length === 0) return 0;
+
+    try {
+      return await db.transaction(async (client) => {
+        for (const entry of entries) {
+          await client.query(`
+            INSERT INTO game_holder_snapshots (
+              game_id, position, address, balance, percentage,
+              weight, range_start, range_end
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            ON CONFLICT (game_id, position) DO NOTHING
+          `, [
+            gameId,
+            entry.position,
+            entry.address,
+            entry.balance,
+            entry.percentage,
+            entry.weight,
+            entry.rangeStart,
+            entry.rangeEnd
+          ]);
+        }
+        return entries.length;
+      });
+    } catch (error) {
+      logger.error('Failed to create game holder snapshot:', error);
+      throw error;
+    }
+  }
+
+  static async getByGameId(gameId) {
+    try {
+      const result = await db.query(
+        'SELECT * FROM game_holder_snapshots WHERE game_id = $1 ORDER BY position ASC',
+        [gameId]
+      );
+      return result.rows.map(row => ({
+        position: row.position,
+        address: row.address,
+        balance: row.balance,
+        percentage: parseFloat(row.percentage),
+        weight: row.weight,
+        rangeStart: row.range_start,
+        rangeEnd: row.range_end
+      }));
+    } catch (error) {
+      logger.error('Failed to get game holder snapshot:', error);
+      throw error;
+    }
+  }
+
+  static async createExclusions(gameId, exclusions) {
+    if (exclusions.length === 0) return 0;
+
+    try {
+      return await db.transaction(async (client) => {
+        for (const exclusion of exclusions) {
+          await client.query(`
+            INSERT INTO game_snapshot_exclusions (game_id, address, reason)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (game_id, address) DO NOTHING
+          `, [gameId, exclusion.address, exclusion.reason]);
+        }
+        return exclusions.length;
+      });
+    } catch (error) {
+      logger.error('Failed to create game snapshot exclusions:', error);
+      throw error;
+    }
+  }
+
+  static async getExclusionsByGameId(gameId) {
+    try {
+      const result = await db.query(
+        'SELECT address, reason FROM game_snapshot_exclusions WHERE game_id = $1 ORDER BY address ASC',
+        [gameId]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get game snapshot exclusions:', error);
+      throw error;
+    }
+  }
+}
+
+class GameWinnerModel {
+  static async createMany(gameId, winners) {
+    if (winners.length === 0) return 0;
+
+    try {
+      return await db.transaction(async (client) => {
+        for (const winner of winners) {
+          await client.query(`
+            INSERT INTO game_winners (game_id, place, winner_address, prize_percentage, payout_amount)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (game_id, place) DO NOTHING
+          `, [gameId, winner.place, winner.address, winner.prizePercentage, winner.payout || 0]);
+        }
+        return winners.length;
+      });
+    } catch (error) {
+      logger.error('Failed to create game winners:', error);
+      throw error;
+    }
+  }
+
+  // All places are paid in one batched transaction
+  static async setTransactionSignature(gameId, signature) {
+    try {
+      const result = await db.query(
+        'UPDATE game_winners SET transaction_signature = $1 WHERE game_id = $2',
+        [signature, gameId]
+      );
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Failed to update game winner payouts:', error);
+      throw error;
+    }
+  }
+
+  static async getByGameId(gameId) {
+    try {
+      const result = await db.query(
+        'SELECT * FROM game_winners WHERE game_id = $1 ORDER BY place ASC',
+        [gameId]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get game winners:', error);
+      throw error;
+    }
+  }
+}
+
+class HolderClusterModel {
+  static async getMerges() {
+    try {
+      const result = await db.query('SELECT cluster_id, address FROM holder_cluster_merges ORDER BY cluster_id, address');
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get merged holder clusters:', error);
+      throw error;
+    }
+  }
+
+  static async merge(clusterId, addresses) {
+    try {
+      return await db.transaction(async (client) => {
+        await client.query('DELETE FROM holder_cluster_merges WHERE cluster_id = $1', [clusterId]);
+        for (const address of addresses) {
+          await client.query(`
+            INSERT INTO holder_cluster_merges (cluster_id, address)
+            VALUES ($1, $2)
+            ON CONFLICT (address) DO UPDATE SET cluster_id = EXCLUDED.cluster_id, created_at = NOW()
+          `, [clusterId, address]);
+        }
+        return addresses.length;
+      });
+    } catch (error) {
+      logger.error('Failed to merge holder cluster:', error);
+      throw error;
+    }
+  }
+
+  static async unmerge(clusterId) {
+    try {
+      const result = await db.query('DELETE FROM holder_cluster_merges WHERE cluster_id = $1', [clusterId]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Failed to unmerge holder cluster:', error);
+      throw error;
+    }
+  }
+}
+
+class ExclusionModel {
+  static async getAll() {
+    try {
+      const result = await db.query('SELECT * FROM excluded_addresses ORDER BY category, created_at');
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get excluded addresses:', error);
+      throw error;
+    }
+  }
+
+  static async upsert(address, category, reason, actor) {
+    try {
+      return await db.transaction(async (client) => {
+        const existing = await client.query('SELECT id FROM excluded_addresses WHERE address = $1 FOR UPDATE', [address]);
+        const result = await client.query(`
+          INSERT INTO excluded_addresses (address, category, reason, created_by)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT (address) DO UPDATE SET
+            category = EXCLUDED.category,
+            reason = EXCLUDED.reason,
+            updated_at = NOW()
+          RETURNING *
+        `, [address, category, reason, actor]);
+        await client.query(`
+          INSERT INTO excluded_address_audit (address, action, category, reason, actor)
+          VALUES ($1, $2, $3, $4, $5)
+        `, [address, existing.rows.length > 0 ? 'update' : 'create', category, reason, actor]);
+        return result.rows[0];
+      });
+    } catch (error) {
+      logger.error('Failed to save excluded address:', error);
+      throw error;
+    }
+  }
+
+  static async remove(address, reason, actor) {
+    try {
+      return await db.transaction(async (client) => {
+        const result = await client.query('DELETE FROM excluded_addresses WHERE address = $1 RETURNING *', [address]);
+        if (result.rows.length > 0) {
+          await client.query(`
+            INSERT INTO excluded_address_audit (address, action, category, reason, actor)
+            VALUES ($1, 'delete', $2, $3, $4)
+          `, [address, result.rows[0].category, reason, actor]);
+        }
+        return result.rowCount;
+      });
+    } catch (error) {
+      logger.error('Failed to remove excluded address:', error);
+      throw error;
+    }
+  }
+
+  static async getAudit(limit = 100) {
+    try {
+      const result = await db.query('SELECT * FROM excluded_address_audit ORDER BY created_at DESC LIMIT $1', [limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get exclusion audit history:', error);
+      throw error;
+    }
+  }
+}
+
+class PayoutModel {
+  // One job per game: enqueueing a game that already has a job returns it
+  static async enqueue(job) {
+    try {
+      const result = await db.query(`
+        INSERT INTO payouts (
+          payout_id, game_id, winner_address, winner_amount, creator_amount,
+          total_amount, winners, idempotency_keys, status, max_attempts, next_attempt_at, token_prize,
+          approvals_required
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $11, $9, NOW(), $10, $12)
+        ON CONFLICT (game_id) DO UPDATE SET game_id = EXCLUDED.game_id
+        RETURNING *
+      `, [
+        job.id,
+        job.gameId,
+        job.winnerAddress,
+        job.winnerAmount,
+        job.creatorAmount,
+        job.totalAmount,
+        JSON.stringify(job.winners),
+        JSON.stringify(job.idempotencyKeys),
+        job.maxAttempts,
+        job.tokenPrize ? JSON.stringify(job.tokenPrize) : null,
+        job.status,
+        job.approvalsRequired
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to enqueue payout:', error);
+      throw error;
+    }
+  }
+
+  // Locks the next due job for `workerId`. Jobs stuck in processing since
+  // before `staleBefore` are picked up again; payouts are idempotent.
+  static async claimNext(workerId, staleBefore) {
+    try {
+      return await db.transaction(async (client) => {
+        const result = await client.query(`
+          SELECT id FROM payouts
+          WHERE (status = 'pending' AND next_attempt_at <= NOW())
+            OR (status = 'processing' AND locked_at < $1)
+          ORDER BY next_attempt_at ASC
+          LIMIT 1
+          FOR UPDATE SKIP LOCKED
+        `, [staleBefore]);
+
+        if (result.rows.length === 0) return null;
+
+        const claimed = await client.query(`
+          UPDATE payouts
+          SET status = 'processing', attempts = attempts + 1, locked_at = NOW(), locked_by = $2, updated_at = NOW()
+          WHERE id = $1
+          RETURNING *
+        `, [result.rows[0].id, workerId]);
+        return claimed.rows[0];
+      });
+    } catch (error) {
+      logger.error('Failed to claim payout job:', error);
+      throw error;
+    }
+  }
+
+  // Frees jobs locked by earlier processes on this host (`workerPrefix`)
+  static async releaseLocks(workerPrefix, currentWorkerId) {
+    try {
+      const result = await db.query(`
+        UPDATE payouts
+        SET status = 'pending', locked_at = NULL, locked_by = NULL, next_attempt_at = NOW(), updated_at = NOW()
+        WHERE status = 'processing' AND locked_by LIKE $1 AND locked_by <> $2
+      `, [`${workerPrefix}%`, currentWorkerId]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Failed to release payout locks:', error);
+      throw error;
+    }
+  }
+
+  // The priority fee is kept from the previous send when none is given
+  static async setSignature(payoutId, signature, priorityFee = null) {
+    try {
+      await db.query(
+        'UPDATE payouts SET transaction_signature = $1, priority_fee = COALESCE($3, priority_fee), updated_at = NOW() WHERE payout_id = $2',
+        [signature, payoutId, priorityFee ? JSON.stringify(priorityFee) : null]
+      );
+    } catch (error) {
+      logger.error('Failed to set payout signature:', error);
+      throw error;
+    }
+  }
+
+  static async complete(payoutId, signature, status = 'completed') {
+    try {
+      const result = await db.query(`
+        UPDATE payouts
+        SET status = $1, transaction_signature = $2, completed_at = NOW(),
+          locked_at = NULL, locked_by = NULL, updated_at = NOW()
+        WHERE payout_id = $3
+        RETURNING *
+      `, [status, signature, payoutId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to complete payout:', error);
+      throw error;
+    }
+  }
+
+  static async scheduleRetry(payoutId, errorMessage, nextAttemptAt) {
+    try {
+      const result = await db.query(`
+        UPDATE payouts
+        SET status = 'pending', error_message = $1, next_attempt_at = $2,
+          locked_at = NULL, locked_by = NULL, updated_at = NOW()
+        WHERE payout_id = $3
+        RETURNING *
+      `, [errorMessage, nextAttemptAt, payoutId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to schedule payout retry:', error);
+      throw error;
+    }
+  }
+
+  static async fail(payoutId, errorMessage) {
+    try {
+      const result = await db.query(`
+        UPDATE payouts
+        SET status = 'failed', error_message = $1, failed_at = NOW(),
+          locked_at = NULL, locked_by = NULL, updated_at = NOW()
+        WHERE payout_id = $2
+        RETURNING *
+      `, [errorMessage, payoutId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to mark payout as failed:', error);
+      throw error;
+    }
+  }
+
+  // Puts a failed job back in the queue with a fresh set of attempts; one
+  // cancelled before it was approved goes back to awaiting approval
+  static async requeue(payoutId) {
+    try {
+      const result = await db.query(`
+        UPDATE payouts
+        SET status = CASE
+            WHEN approvals_required IS NOT NULL AND jsonb_array_length(approvals) < approvals_required
+            THEN 'awaiting_approval' ELSE 'pending' END,
+          attempts = 0, error_message = NULL, failed_at = NULL,
+          next_attempt_at = NOW(), updated_at = NOW()
+        WHERE payout_id = $1 AND status = 'failed' AND multisig_proposal IS NULL
+        RETURNING *
+      `, [payoutId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to requeue payout:', error);
+      throw error;
+    }
+  }
+
+  // Adds one admin's approval and releases the job once it has enough
+  static async addApproval(payoutId, approval) {
+    try {
+      const result = await db.query(`
+        UPDATE payouts
+        SET approvals = approvals || $2::jsonb,
+          status = CASE WHEN jsonb_array_length(approvals) + 1 >= approvals_required THEN 'pending' ELSE status END,
+          next_attempt_at = NOW(), updated_at = NOW()
+        WHERE payout_id = $1 AND status = 'awaiting_approval' AND NOT approvals @> $3::jsonb
+        RETURNING *
+      `, [payoutId, JSON.stringify([approval]), JSON.stringify([{ admin: approval.admin }])]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to add payout approval:', error);
+      throw error;
+    }
+  }
+
+  // Hands a job held for approval to the multisig; returns nothing if it was released meanwhile
+  static async setMultisigProposal(payoutId, proposal) {
+    try {
+      const result = await db.query(`
+        UPDATE payouts
+        SET status = 'exported', multisig_proposal = $2, updated_at = NOW()
+        WHERE payout_id = $1 AND status = 'awaiting_approval'
+        RETURNING *
+      `, [payoutId, JSON.stringify(proposal)]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to save payout multisig proposal:', error);
+      throw error;
+    }
+  }
+
+  static async setSignedTransaction(payoutId, signedTransaction) {
+    try {
+      await db.query(
+        'UPDATE payouts SET signed_transaction = $2, updated_at = NOW() WHERE payout_id = $1',
+        [payoutId, signedTransaction ? JSON.stringify(signedTransaction) : null]
+      );
+    } catch (error) {
+      logger.error('Failed to save signed payout:', error);
+      throw error;
+    }
+  }
+
+  // Fails a job that no worker holds; returns nothing if one does
+  static async cancel(payoutId, errorMessage) {
+    try {
+      const result = await db.query(`
+        UPDATE payouts
+        SET status = 'failed', error_message = $1, failed_at = NOW(), updated_at = NOW()
+        WHERE payout_id = $2 AND status IN ('awaiting_approval', 'exported', 'pending', 'failed')
+        RETURNING *
+      `, [errorMessage, payoutId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to cancel payout:', error);
+      throw error;
+    }
+  }
+
+  static async setTokenPrize(payoutId, tokenPrize) {
+    try {
+      await db.query(
+        'UPDATE payouts SET token_prize = $2, updated_at = NOW() WHERE payout_id = $1',
+        [payoutId, JSON.stringify(tokenPrize)]
+      );
+    } catch (error) {
+      logger.error('Failed to save payout token prize:', error);
+      throw error;
+    }
+  }
+
+  // Hands a claimed job back to the queue without using up an attempt
+  static async release(payoutId) {
+    try {
+      await db.query(`
+        UPDATE payouts
+        SET status = 'pending', attempts = GREATEST(attempts - 1, 0),
+          locked_at = NULL, locked_by = NULL, updated_at = NOW()
+        WHERE payout_id = $1 AND status = 'processing'
+      `, [payoutId]);
+    } catch (error) {
+      logger.error('Failed to release payout:', error);
+      throw error;
+    }
+  }
+
+  // Lamports paid out by completed jobs since `since`
+  static async getSpentSince(since) {
+    try {
+      const result = await db.query(`
+        SELECT COALESCE(SUM(total_amount), 0) as spent
+        FROM payouts
+        WHERE status = 'completed' AND completed_at >= $1
+      `, [since]);
+      return Number(result.rows[0].spent);
+    } catch (error) {
+      logger.error('Failed to get payout spend:', error);
+      throw error;
+    }
+  }
+
+  static async findByPayoutId(payoutId) {
+    try {
+      const result = await db.query('SELECT * FROM payouts WHERE payout_id = $1', [payoutId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to find payout:', error);
+      throw error;
+    }
+  }
+
+  static async findByGameId(gameId) {
+    try {
+      const result = await db.query('SELECT * FROM payouts WHERE game_id = $1', [gameId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to find payout by game:', error);
+      throw error;
+    }
+  }
+
+  static async getRecent(limit = 20) {
+    try {
+      const result = await db.query(
+        'SELECT * FROM payouts ORDER BY created_at DESC LIMIT $1',
+        [limit]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get recent payouts:', error);
+      throw error;
+    }
+  }
+
+  static async getByStatuses(statuses) {
+    try {
+      const result = await db.query(
+        'SELECT * FROM payouts WHERE status = ANY($1) ORDER BY next_attempt_at ASC',
+        [statuses]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get payouts by status:', error);
+      throw error;
+    }
+  }
+
+  static async getStats() {
+    try {
+      const result = await db.query(`
+        SELECT
+          COUNT(*) as total_payouts,
+          COUNT(*) FILTER (WHERE status = 'completed') as completed_payouts,
+          COUNT(*) FILTER (WHERE status = 'failed') as failed_payouts,
+          COUNT(*) FILTER (WHERE status IN ('awaiting_approval', 'exported', 'pending', 'processing')) as pending_payouts,
+          COALESCE(SUM(total_amount) FILTER (WHERE status = 'completed'), 0) as total_paid_out,
+          COALESCE(SUM(winner_amount) FILTER (WHERE status = 'completed'), 0) as total_winner_payouts,
+          COALESCE(SUM(creator_amount) FILTER (WHERE status = 'completed'), 0) as total_creator_payouts
+        FROM payouts
+      `);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to get payout stats:', error);
+      throw error;
+    }
+  }
+}
+
+class PayoutPolicyChangeModel {
+  // Records a change; a change still pending is superseded by the new one
+  static async create(change) {
+    try {
+      return await db.transaction(async (client) => {
+        await client.query(`
+          UPDATE payout_policy_changes SET status = 'superseded', resolved_at = NOW()
+          WHERE status = 'pending'
+        `);
+        const result = await client.query(`
+          INSERT INTO payout_policy_changes (change_id, changes, status, proposed_by, approvals_required, resolved_at)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING *
+        `, [
+          change.id,
+          JSON.stringify(change.changes),
+          change.status,
+          change.proposedBy,
+          change.approvalsRequired,
+          change.resolvedAt || null
+        ]);
+        return result.rows[0];
+      });
+    } catch (error) {
+      logger.error('Failed to save payout policy change:', error);
+      throw error;
+    }
+  }
+
+  // Adds one approver to a pending change; returns nothing if it isn't pending or they already approved
+  static async addApproval(changeId, approval) {
+    try {
+      const result = await db.query(`
+        UPDATE payout_policy_changes
+        SET approvals = approvals || $2::jsonb
+        WHERE change_id = $1 AND status = 'pending' AND NOT approvals @> $3::jsonb
+        RETURNING *
+      `, [changeId, JSON.stringify([approval]), JSON.stringify([{ admin: approval.admin }])]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to add payout policy change approval:', error);
+      throw error;
+    }
+  }
+
+  // Moves a change out of `fromStatus`; returns nothing if it was already moved
+  static async resolve(changeId, status, errorMessage = null, fromStatus = 'pending') {
+    try {
+      const result = await db.query(`
+        UPDATE payout_policy_changes
+        SET status = $2, error_message = $3, resolved_at = NOW()
+        WHERE change_id = $1 AND status = $4
+        RETURNING *
+      `, [changeId, status, errorMessage, fromStatus]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to resolve payout policy change:', error);
+      throw error;
+    }
+  }
+
+  static async findByChangeId(changeId) {
+    try {
+      const result = await db.query('SELECT * FROM payout_policy_changes WHERE change_id = $1', [changeId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to get payout policy change:', error);
+      throw error;
+    }
+  }
+
+  static async getPending() {
+    try {
+      const result = await db.query(`
+        SELECT * FROM payout_policy_changes WHERE status = 'pending' ORDER BY created_at DESC LIMIT 1
+      `);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to get pending payout policy change:', error);
+      throw error;
+    }
+  }
+
+  static async getRecent(limit = 50) {
+    try {
+      const result = await db.query('SELECT * FROM payout_policy_changes ORDER BY created_at DESC LIMIT $1', [limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get payout policy changes:', error);
+      throw error;
+    }
+  }
+}
+
+class GameStatsModel {
+  static async get() {
+    try {
+      const result = await db.query('SELECT * FROM game_stats ORDER BY last_updated DESC LIMIT 1');
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to get game stats:', error);
+      throw error;
+    }
+  }
+
+  static async update(stats) {
+    try {
+      const query = `
+        UPDATE game_stats SET
+          total_games = $1,
+          total_payouts = $2,
+          average_pot = $3,
+          current_pot = $4,
+          total_holders = $5,
+          eligible_holders = $6,
+          last_updated = NOW()
+        RETURNING *
+      `;
+
+      const values = [
+        stats.totalGames || 0,
+        stats.totalPayouts || 0,
+        stats.averagePot || 0,
+        stats.currentPot || 0,
+        stats.totalHolders || 0,
+        stats.eligibleHolders || 0
+      ];
+
+      const result = await db.query(query, values);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to update game stats:', error);
+      throw error;
+    }
+  }
+}
+
+class PotLedgerModel {
+  /**
+   * Posts entries in one transaction; an entry whose idempotency key is
+   * already in the ledger is skipped. Rolls back if any account in
+   * `nonNegativeAccounts` would end up below zero.
+   * @returns {Promise<Array>} the rows inserted
+   */
+  static async post(entries, nonNegativeAccounts = []) {
+    try {
+      return await db.transaction(async (client) => {
+        // Serializes postings so the balance check can't race
+        await client.query('LOCK TABLE pot_ledger IN SHARE ROW EXCLUSIVE MODE');
+
+        const inserted = [];
+        for (const entry of entries) {
+          const result = await client.query(`
+            INSERT INTO pot_ledger (
+              idempotency_key, entry_type, debit_account, credit_account, amount,
+              game_id, reference, memo, created_by
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            ON CONFLICT (idempotency_key) DO NOTHING
+            RETURNING *
+          `, [
+            entry.key,
+            entry.type,
+            entry.debit,
+            entry.credit,
+            entry.amount,
+            entry.gameId || null,
+            entry.reference || null,
+            entry.memo || null,
+            entry.createdBy || null
+          ]);
+          inserted.push(...result.rows);
+        }
+
+        if (inserted.length > 0 && nonNegativeAccounts.length > 0) {
+          const overdrawn = await client.query(`
+            SELECT account, SUM(amount) AS balance FROM (
+              SELECT debit_account AS account, amount FROM pot_ledger
+              UNION ALL
+              SELECT credit_account AS account, -amount FROM pot_ledger
+            ) postings
+            WHERE account = ANY($1)
+            GROUP BY account
+            HAVING SUM(amount) < 0
+          `, [nonNegativeAccounts]);
+          if (overdrawn.rows.length > 0) {
+            throw new Error(`Ledger entry would overdraw ${overdrawn.rows.map(row => `${row.account} (${row.balance})`).join(', ')}`);
+          }
+        }
+
+        return inserted;
+      });
+    } catch (error) {
+      logger.error('Failed to post pot ledger entries:', error);
+      throw error;
+    }
+  }
+
+  static async getBalances() {
+    try {
+      const result = await db.query(`
+        SELECT account, SUM(amount) AS balance FROM (
+          SELECT debit_account AS account, amount FROM pot_ledger
+          UNION ALL
+          SELECT credit_account AS account, -amount FROM pot_ledger
+        ) postings
+        GROUP BY account
+      `);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get pot ledger balances:', error);
+      throw error;
+    }
+  }
+
+  static async getEntries(limit = 50, offset = 0) {
+    try {
+      const result = await db.query(
+        'SELECT * FROM pot_ledger ORDER BY id DESC LIMIT $1 OFFSET $2',
+        [limit, offset]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get pot ledger entries:', error);
+      throw error;
+    }
+  }
+
+  static async getByGameId(gameId) {
+    try {
+      const result = await db.query('SELECT * FROM pot_ledger WHERE game_id = $1 ORDER BY id', [gameId]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get pot ledger entries for game:', error);
+      throw error;
+    }
+  }
+
+  static async hasEntry(idempotencyKey) {
+    try {
+      const result = await db.query('SELECT 1 FROM pot_ledger WHERE idempotency_key = $1', [idempotencyKey]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Failed to look up pot ledger entry:', error);
+      throw error;
+    }
+  }
+}
+
+class PotReconciliationModel {
+  static async create(reconciliation) {
+    try {
+      const result = await db.query(`
+        INSERT INTO pot_reconciliations (wallet, address, onchain_balance, ledger_balance, drift, flagged)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [
+        reconciliation.wallet,
+        reconciliation.address,
+        reconciliation.onchainBalance,
+        reconciliation.ledgerBalance,
+        reconciliation.drift,
+        reconciliation.flagged
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to save pot reconciliation:', error);
+      throw error;
+    }
+  }
+
+  static async getRecent(limit = 20) {
+    try {
+      const result = await db.query('SELECT * FROM pot_reconciliations ORDER BY checked_at DESC LIMIT $1', [limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get pot reconciliations:', error);
+      throw error;
+    }
+  }
+}
+
+class SpinTriggerEventModel {
+  static async create(event) {
+    try {
+      const result = await db.query(`
+        INSERT INTO spin_trigger_events (rule_id, rule_type, value, milestone, outcome, game_id, message)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `, [
+        event.ruleId,
+        event.ruleType,
+        event.value,
+        event.milestone,
+        event.outcome,
+        event.gameId || null,
+        event.message || null
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to save spin trigger event:', error);
+      throw error;
+    }
+  }
+
+  static async getRecent(ruleId = null, limit = 50) {
+    try {
+      const result = ruleId
+        ? await db.query('SELECT * FROM spin_trigger_events WHERE rule_id = $1 ORDER BY created_at DESC LIMIT $2', [ruleId, limit])
+        : await db.query('SELECT * FROM spin_trigger_events ORDER BY created_at DESC LIMIT $1', [limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get spin trigger events:', error);
+      throw error;
+    }
+  }
+
+  // Most recent spin each rule started
+  static async getLastFired() {
+    try {
+      const result = await db.query(`
+        SELECT DISTINCT ON (rule_id) rule_id, created_at
+        FROM spin_trigger_events
+        WHERE outcome = 'fired'
+        ORDER BY rule_id, created_at DESC
+      `);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get last spin trigger fires:', error);
       throw error;
     }
   }
@@ -410,5 +1504,15 @@ module.exports = {
   HolderModel,
   TransactionModel,
   SystemSettingsModel,
-  GameStatsModel
+  GameStatsModel,
+  GameProofModel,
+  GameSnapshotModel,
+  GameWinnerModel,
+  HolderClusterModel,
+  ExclusionModel,
+  PayoutModel,
+  PayoutPolicyChangeModel,
+  PotLedgerModel,
+  PotReconciliationModel,
+  SpinTriggerEventModel
 };
\ No newline at end of file
@@ -25,10 +25,12 @@ CREATE TABLE IF NOT EXISTS games (
 CREATE TABLE IF NOT EXISTS holders (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     address VARCHAR(44) UNIQUE NOT NULL,
-    balance BIGINT NOT NULL DEFAULT 0,
+    balance NUMERIC(40, 0) NOT NULL DEFAULT 0,
     token_account VARCHAR(44),
     percentage DECIMAL(10, 6) DEFAULT 0,
     is_eligible BOOLEAN DEFAULT false,
+    first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    holding_since TIMESTAMP WITH TIME ZONE,
     last_updated TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -40,13 +42,18 @@ CREATE TABLE IF NOT EXISTS transactions (
     amount BIGINT NOT NULL,
     from_address VARCHAR(44),
     to_address VARCHAR(44),
-    transaction_signature VARCHAR(88) UNIQUE,
+    transaction_signature VARCHAR(88),
     game_id UUID REFERENCES games(id),
     status VARCHAR(50) DEFAULT 'pending',
     block_time TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- A batched payout pays several recipients with one signature; rows are
+-- unique per payout idempotency key (game id + recipient) instead
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_transaction_signature_key;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(300);
+
 -- Game statistics table
 CREATE TABLE IF NOT EXISTS game_stats (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -69,6 +76,218 @@ CREATE TABLE IF NOT EXISTS system_settings (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Raw u64 balances can exceed BIGINT once summed across token accounts
+ALTER TABLE holders ALTER COLUMN balance TYPE NUMERIC(40, 0);
+
+-- Continuous-hold tracking for hold-duration eligibility
+ALTER TABLE holders ADD COLUMN IF NOT EXISTS first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE holders ADD COLUMN IF NOT EXISTS holding_since TIMESTAMP WITH TIME ZONE;
+
+-- Anti-sniping: balances seen in the most recent scans, oldest first
+ALTER TABLE holders ADD COLUMN IF NOT EXISTS recent_balances JSONB DEFAULT '[]'::jsonb;
+
+-- Spin state machine: every status change is appended to state_history
+ALTER TABLE games ADD COLUMN IF NOT EXISTS status_reason TEXT;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS state_changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE games ADD COLUMN IF NOT EXISTS state_history JSONB DEFAULT '[]'::jsonb;
+
+-- Progressive jackpot won by place 1, included in winner_payout
+ALTER TABLE games ADD COLUMN IF NOT EXISTS jackpot_payout BIGINT DEFAULT 0;
+
+-- Provably fair proofs table (one commit-reveal record per game)
+CREATE TABLE IF NOT EXISTS game_proofs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    game_id VARCHAR(255) UNIQUE NOT NULL REFERENCES games(game_id),
+    server_seed_hash VARCHAR(64) NOT NULL,
+    server_seed VARCHAR(64),
+    commit_slot BIGINT NOT NULL,
+    target_slot BIGINT NOT NULL,
+    block_slot BIGINT,
+    blockhash VARCHAR(44),
+    holders JSONB,
+    total_weight NUMERIC(40, 0),
+    random_value NUMERIC(80, 0),
+    winner_index INTEGER,
+    winner_address VARCHAR(44),
+    committed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    revealed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Every place of a multi-winner spin (place 1 is also in games.winner_address)
+ALTER TABLE game_proofs ADD COLUMN IF NOT EXISTS winners JSONB;
+
+-- Progressive jackpot roll { oneIn, roll, hit }, null when the jackpot is off
+ALTER TABLE game_proofs ADD COLUMN IF NOT EXISTS jackpot JSONB;
+
+-- Eligible holder snapshots (insert-only, one row per holder per game)
+CREATE TABLE IF NOT EXISTS game_holder_snapshots (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    game_id VARCHAR(255) NOT NULL REFERENCES games(game_id),
+    position INTEGER NOT NULL,
+    address VARCHAR(44) NOT NULL,
+    balance NUMERIC(40, 0) NOT NULL,
+    percentage DECIMAL(10, 6) DEFAULT 0,
+    weight NUMERIC(40, 0) NOT NULL,
+    range_start NUMERIC(40, 0) NOT NULL,
+    range_end NUMERIC(40, 0) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (game_id, position)
+);
+
+-- Holders left out of a game's snapshot and why (insert-only)
+CREATE TABLE IF NOT EXISTS game_snapshot_exclusions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    game_id VARCHAR(255) NOT NULL REFERENCES games(game_id),
+    address VARCHAR(44) NOT NULL,
+    reason TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (game_id, address)
+);
+
+-- Winners by place with their prize share and payout
+CREATE TABLE IF NOT EXISTS game_winners (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    game_id VARCHAR(255) NOT NULL REFERENCES games(game_id),
+    place INTEGER NOT NULL,
+    winner_address VARCHAR(44) NOT NULL,
+    prize_percentage DECIMAL(6, 3) NOT NULL,
+    payout_amount BIGINT DEFAULT 0,
+    transaction_signature VARCHAR(88),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (game_id, place)
+);
+
+-- Holder wallets an admin merged into one spin entry (sybil clusters)
+CREATE TABLE IF NOT EXISTS holder_cluster_merges (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    cluster_id VARCHAR(64) NOT NULL,
+    address VARCHAR(44) UNIQUE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Payout queue: one job per game, worked by the payout worker
+CREATE TABLE IF NOT EXISTS payouts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    payout_id VARCHAR(255) UNIQUE NOT NULL,
+    game_id VARCHAR(255),
+    winner_address VARCHAR(44) NOT NULL,
+    winner_amount BIGINT NOT NULL,
+    creator_amount BIGINT NOT NULL,
+    total_amount BIGINT NOT NULL,
+    transaction_signature VARCHAR(88),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    failed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Databases created from init.sql keyed payouts by games.id
+ALTER TABLE payouts DROP CONSTRAINT IF EXISTS payouts_game_id_fkey;
+ALTER TABLE payouts ALTER COLUMN game_id TYPE VARCHAR(255) USING game_id::text;
+
+-- Queue bookkeeping: error_message holds the last error
+ALTER TABLE payouts ADD COLUMN IF NOT EXISTS winners JSONB;
+ALTER TABLE payouts ADD COLUMN IF NOT EXISTS idempotency_keys JSONB;
+ALTER TABLE payouts ADD COLUMN IF NOT EXISTS max_attempts INTEGER DEFAULT 5;
+ALTER TABLE payouts ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE payouts ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE payouts ADD COLUMN IF NOT EXISTS locked_by VARCHAR(255);
+ALTER TABLE payouts ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- Token prizes: mint, per-recipient token amounts and any buyback signature
+ALTER TABLE payouts ADD COLUMN IF NOT EXISTS token_prize JSONB;
+
+-- Compute budget of the last send: micro-lamports per CU, CU limit and fee in lamports
+ALTER TABLE payouts ADD COLUMN IF NOT EXISTS priority_fee JSONB;
+
+-- Signed v0 payout (base64) with its blockhash or durable nonce, re-broadcast until it lands or expires
+ALTER TABLE payouts ADD COLUMN IF NOT EXISTS signed_transaction JSONB;
+
+-- Large payouts wait in awaiting_approval until approvals_required admins approve
+ALTER TABLE payouts ADD COLUMN IF NOT EXISTS approvals JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE payouts ADD COLUMN IF NOT EXISTS approvals_required INTEGER;
+ALTER TABLE payouts ADD COLUMN IF NOT EXISTS multisig_proposal JSONB;
+
+-- Every change to the payout safety settings; while approvals are on a change
+-- stays pending until approvals_required approvers approve it
+CREATE TABLE IF NOT EXISTS payout_policy_changes (
+    id SERIAL PRIMARY KEY,
+    change_id VARCHAR(255) UNIQUE NOT NULL,
+    changes JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, applied, superseded, cancelled, failed
+    proposed_by VARCHAR(64),
+    approvals JSONB DEFAULT '[]'::jsonb,
+    approvals_required INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    resolved_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Addresses that never take part in a spin (LP pools, CEX wallets, team, ...)
+CREATE TABLE IF NOT EXISTS excluded_addresses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    address VARCHAR(44) UNIQUE NOT NULL,
+    category VARCHAR(32) NOT NULL,
+    reason TEXT NOT NULL,
+    created_by VARCHAR(64),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Every change to excluded_addresses
+CREATE TABLE IF NOT EXISTS excluded_address_audit (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    address VARCHAR(44) NOT NULL,
+    action VARCHAR(16) NOT NULL,
+    category VARCHAR(32),
+    reason TEXT,
+    actor VARCHAR(64),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Double-entry pot ledger: each row moves amount from credit_account to debit_account
+CREATE TABLE IF NOT EXISTS pot_ledger (
+    id SERIAL PRIMARY KEY,
+    idempotency_key VARCHAR(255) UNIQUE NOT NULL,
+    entry_type VARCHAR(32) NOT NULL,
+    debit_account VARCHAR(32) NOT NULL,
+    credit_account VARCHAR(32) NOT NULL,
+    amount BIGINT NOT NULL CHECK (amount > 0),
+    game_id VARCHAR(255),
+    reference VARCHAR(88),
+    memo TEXT,
+    created_by VARCHAR(64),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (debit_account <> credit_account)
+);
+
+-- Ledger balance vs on-chain balance per wallet, flagged beyond the drift tolerance
+CREATE TABLE IF NOT EXISTS pot_reconciliations (
+    id SERIAL PRIMARY KEY,
+    wallet VARCHAR(16) NOT NULL,
+    address VARCHAR(44) NOT NULL,
+    onchain_balance BIGINT NOT NULL,
+    ledger_balance BIGINT NOT NULL,
+    drift BIGINT NOT NULL,
+    flagged BOOLEAN NOT NULL DEFAULT false,
+    checked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Spin trigger rule log: every milestone crossed and what came of it
+CREATE TABLE IF NOT EXISTS spin_trigger_events (
+    id SERIAL PRIMARY KEY,
+    rule_id VARCHAR(64) NOT NULL,
+    rule_type VARCHAR(16) NOT NULL,
+    value DOUBLE PRECISION NOT NULL,
+    milestone DOUBLE PRECISION NOT NULL,
+    outcome VARCHAR(16) NOT NULL, -- fired, cooldown, busy, blackout, below_minimum, failed
+    game_id VARCHAR(255),
+    message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_games_status ON games(status);
 CREATE INDEX IF NOT EXISTS idx_games_start_time ON games(start_time);
@@ -77,7 +296,22 @@ CREATE INDEX IF NOT EXISTS idx_holders_address ON holders(address);
 CREATE INDEX IF NOT EXISTS idx_holders_eligible ON holders(is_eligible);
 CREATE INDEX IF NOT EXISTS idx_transactions_game_id ON transactions(game_id);
 CREATE INDEX IF NOT EXISTS idx_transactions_signature ON transactions(transaction_signature);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_idempotency_key ON transactions(idempotency_key);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payouts_game_id ON payouts(game_id);
+CREATE INDEX IF NOT EXISTS idx_payouts_queue ON payouts(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_payout_policy_changes_status ON payout_policy_changes(status, created_at);
 CREATE INDEX IF NOT EXISTS idx_system_settings_key ON system_settings(setting_key);
+CREATE INDEX IF NOT EXISTS idx_game_proofs_game_id ON game_proofs(game_id);
+CREATE INDEX IF NOT EXISTS idx_game_holder_snapshots_game_id ON game_holder_snapshots(game_id);
+CREATE INDEX IF NOT EXISTS idx_game_snapshot_exclusions_game_id ON game_snapshot_exclusions(game_id);
+CREATE INDEX IF NOT EXISTS idx_game_winners_game_id ON game_winners(game_id);
+CREATE INDEX IF NOT EXISTS idx_game_winners_address ON game_winners(winner_address);
+CREATE INDEX IF NOT EXISTS idx_holder_cluster_merges_cluster_id ON holder_cluster_merges(cluster_id);
+CREATE INDEX IF NOT EXISTS idx_excluded_address_audit_address ON excluded_address_audit(address);
+CREATE INDEX IF NOT EXISTS idx_excluded_address_audit_created_at ON excluded_address_audit(created_at);
+CREATE INDEX IF NOT EXISTS idx_pot_ledger_game_id ON pot_ledger(game_id);
+CREATE INDEX IF NOT EXISTS idx_pot_reconciliations_checked_at ON pot_reconciliations(checked_at);
+CREATE INDEX IF NOT EXISTS idx_spin_trigger_events_rule ON spin_trigger_events(rule_id, created_at);
 
 -- Insert initial game stats record
 INSERT INTO game_stats (id, total_games, total_payouts, average_pot, current_pot, total_holders, eligible_holders)
@@ -86,13 +320,21 @@ ON CONFLICT DO NOTHING;
 
 -- Insert default system settings
 INSERT INTO system_settings (setting_key, setting_value, setting_type) VALUES
-('pot_growth_rate', '0.05', 'number'),
-('pot_base_amount', '10000000', 'number'),
-('pot_max_growth', '1000000000', 'number'),
-('spin_interval_minutes', '5', 'number'),
 ('winner_payout_percentage', '50', 'number'),
 ('creator_payout_percentage', '50', 'number'),
-('minimum_hold_percentage', '0.1', 'number')
+('minimum_hold_percentage', '0.1', 'number'),
+('weighting_strategy', 'linear', 'string'),
+('weighting_cap_percentage', '1', 'number'),
+('min_hold_duration_minutes', '0', 'number'),
+('diamond_hands_enabled', 'false', 'boolean'),
+('diamond_hands_max_multiplier', '2', 'number'),
+('diamond_hands_ramp_hours', '168', 'number'),
+('anti_snipe_snapshots', '1', 'number'),
+('winner_cooldown_games', '0', 'number'),
+('max_wins_per_24h', '0', 'number'),
+('post_win_odds_multiplier', '1', 'number'),
+('post_win_penalty_hours', '24', 'number'),
+('prize_tiers', '[100]', 'json')
 ON CONFLICT (setting_key) DO NOTHING;
 
 -- Function to update updated_at timestamp
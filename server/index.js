@@ -12,7 +12,11 @@ const solanaService = require('./services/solanaService');
 const gameEngine = require('./services/gameEngine');
 const holderTracker = require('./services/holderTracker');
 const payoutService = require('./services/payoutService');
+const priorityFeeService = require('./services/priorityFeeService');
 const pumpfunService = require('./services/pumpfunService');
+const potLedgerService = require('./services/potLedgerService');
+const spinTriggerService = require('./services/spinTriggerService');
+const db = require('./database/connection');
 
 const app = express();
 const server = http.createServer(app);
@@ -124,13 +128,32 @@ async function initializeServices() {
       logger.warn('Pump.fun service failed to initialize:', error.message);
     }
     
+    // Connect the database before the holder tracker so it can restore
+    // holder history and settings (falls back to in-memory storage)
+    await db.connect();
+
     // Initialize holder tracking (will use demo data if Solana fails)
     logger.info('Starting holder tracking...');
     await holderTracker.initialize(io);
     
+    await priorityFeeService.initialize();
+
+    // Open the payout queue before the game engine so it can reconcile
+    // payouts left in flight; the worker starts once the engine is listening
+    await payoutService.initialize(io);
+
+    // The game engine takes the pot from the ledger
+    await potLedgerService.initialize(io);
+
     // Initialize game engine
     logger.info('Starting game engine...');
     await gameEngine.initialize(io);
+
+    // Holder, pot, market cap and volume milestones can start spins too
+    await spinTriggerService.initialize(io);
+
+    logger.info('Starting payout worker...');
+    payoutService.startWorker();
     
     logger.info('All services initialized successfully');
   } catch (error) {
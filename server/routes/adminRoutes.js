@@ -2,10 +2,27 @@ const express = require('express');
 const router = express.Router();
 const gameEngine = require('../services/gameEngine');
 const holderTracker = require('../services/holderTracker');
+const holderClusters = require('../services/holderClusters');
+const exclusionRegistry = require('../services/exclusionRegistry');
 const payoutService = require('../services/payoutService');
 const solanaService = require('../services/solanaService');
 const pumpfunService = require('../services/pumpfunService');
 const logger = require('../utils/logger');
+const weightingStrategies = require('../utils/weightingStrategies');
+const prizeTierUtils = require('../utils/prizeTiers');
+const spendLimits = require('../utils/spendLimits');
+const payoutAssets = require('../utils/payoutAssets');
+const payoutApprovals = require('../utils/payoutApprovals');
+const swapService = require('../services/swapService');
+const priorityFeeService = require('../services/priorityFeeService');
+const priorityFees = require('../utils/priorityFees');
+const potLedgerService = require('../services/potLedgerService');
+const potLedger = require('../utils/potLedger');
+const potPolicy = require('../utils/potPolicy');
+const jackpot = require('../utils/jackpot');
+const spinSchedule = require('../utils/spinSchedule');
+const spinTriggerService = require('../services/spinTriggerService');
+const spinTriggers = require('../utils/spinTriggers');
 
 // Simple admin authentication middleware (in production, use proper JWT)
 const adminAuth = (req, res, next) => {
@@ -29,7 +46,7 @@ router.get('/status', async (req, res) => {
   try {
     const gameStats = gameEngine.getStats();
     const holderStats = holderTracker.getStats();
-    const payoutStats = payoutService.getPayoutStats();
+    const payoutStats = await payoutService.getPayoutStats();
     const walletValidation = await payoutService.validateHotWalletBalance();
     
     const systemStatus = {
@@ -37,7 +54,7 @@ router.get('/status', async (req, res) => {
         solana: solanaService.isReady(),
         holderTracker: holderStats.isTracking,
         gameEngine: gameStats.currentState.isRunning,
-        payouts: payoutStats.pendingPayouts === 0
+        payouts: payoutStats.queue.workerRunning && !payoutStats.queue.paused && !payoutStats.queue.breaker.tripped
       },
       stats: {
         game: gameStats,
@@ -113,19 +130,690 @@ router.post('/game/:action', async (req, res) => {
   }
 });
 
+// Games a restart could not settle on its own (see spin state machine)
+router.get('/games/review', async (req, res) => {
+  try {
+    const games = await gameEngine.getGamesForReview();
+
+    res.json({
+      success: true,
+      data: games
+    });
+  } catch (error) {
+    logger.error('Failed to get games for review:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get games for review'
+    });
+  }
+});
+
+// Resolve a game in needs_review: complete, fail or retry its payout
+router.post('/games/:gameId/:action', async (req, res) => {
+  try {
+    const { gameId, action } = req.params;
+    const { signature, reason } = req.body || {};
+
+    if (!['complete', 'fail', 'retry'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid action. Use "complete", "fail" or "retry"'
+      });
+    }
+    if (signature !== undefined && !/^[1-9A-HJ-NP-Za-km-z]{64,88}$/.test(signature)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid transaction signature'
+      });
+    }
+
+    const status = await gameEngine.resolveReviewedGame(gameId, action, { signature, reason });
+
+    res.json({
+      success: true,
+      message: `Game ${gameId} ${action === 'retry' ? 'payout retry started' : `marked ${status}`}`
+    });
+  } catch (error) {
+    logger.error(`Admin failed to ${req.params.action} game ${req.params.gameId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Force holder update
 router.post('/holders/update', async (req, res) => {
   try {
-    const stats = await holderTracker.forceUpdate();
-    logger.info('Admin forced holder update');
-    
+    const stats = await holderTracker.forceUpdate();
+    logger.info('Admin forced holder update');
+    
+    res.json({
+      success: true,
+      message: 'Holder data updated successfully',
+      data: stats
+    });
+  } catch (error) {
+    logger.error('Admin failed to update holders:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Holders with eligibility and cluster flags for the admin holders view
+router.get('/holders', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const holders = holderTracker.getTopHolders(limit).map(holder => {
+      const cluster = holderClusters.getClusterForAddress(holder.address);
+      return {
+        ...holder,
+        effectiveBalance: holderTracker.getHolderByAddress(holder.address)?.effectiveBalance || holder.balance,
+        clusterId: cluster ? cluster.id : null,
+        suspicious: cluster ? cluster.suspicious : false,
+        mergedClusterId: holderClusters.getMergedClusterId(holder.address)
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        holders,
+        clusters: holderClusters.getClusters(),
+        summary: holderClusters.getSummary()
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to get admin holders view:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get holders'
+    });
+  }
+});
+
+// Re-run sybil cluster detection over eligible holders (runs in the background)
+router.post('/clusters/analyze', async (req, res) => {
+  try {
+    if (holderClusters.getSummary().isAnalyzing) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cluster analysis already running'
+      });
+    }
+
+    holderClusters.analyze(holderTracker.getEligibleHolders()).catch(error => {
+      logger.error('Cluster analysis failed:', error);
+    });
+    logger.info('Admin started holder cluster analysis');
+
+    res.json({
+      success: true,
+      message: 'Cluster analysis started'
+    });
+  } catch (error) {
+    logger.error('Admin failed to start cluster analysis:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Merge/unmerge a detected cluster into a single weighted entry
+router.post('/clusters/:clusterId/:action', async (req, res) => {
+  try {
+    const { clusterId, action } = req.params;
+
+    if (action === 'merge') {
+      await holderClusters.mergeCluster(clusterId);
+    } else if (action === 'unmerge') {
+      await holderClusters.unmergeCluster(clusterId);
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid action. Use "merge" or "unmerge"'
+      });
+    }
+    logger.info(`Admin ${action}d holder cluster ${clusterId}`);
+
+    res.json({
+      success: true,
+      message: `Cluster ${action}d successfully`
+    });
+  } catch (error) {
+    logger.error(`Admin failed to ${req.params.action} cluster ${req.params.clusterId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Exclusion registry: stored entries plus program-owned owners detected so far
+router.get('/exclusions', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        exclusions: exclusionRegistry.list(),
+        detected: exclusionRegistry.listDetected(),
+        categories: exclusionRegistry.getCategories()
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to get exclusions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get exclusions'
+    });
+  }
+});
+
+router.get('/exclusions/audit', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const audit = await exclusionRegistry.getAudit(limit);
+
+    res.json({
+      success: true,
+      data: audit
+    });
+  } catch (error) {
+    logger.error('Failed to get exclusion audit history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get exclusion audit history'
+    });
+  }
+});
+
+// Built-in and BLACKLISTED_ADDRESSES entries are read-only
+const readOnlyExclusionError = (entry) =>
+  `Address is a ${entry.source === 'env' ? 'BLACKLISTED_ADDRESSES' : 'built-in'} exclusion`;
+
+const validateExclusion = (address, category, reason) => {
+  if (!address || !exclusionRegistry.isValidAddress(address)) {
+    return 'Invalid Solana address';
+  }
+  if (!exclusionRegistry.isValidCategory(category)) {
+    return `Invalid category. Use one of: ${exclusionRegistry.getCategories().map(c => c.name).join(', ')}`;
+  }
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    return 'A reason is required';
+  }
+  const existing = exclusionRegistry.getEntry(address);
+  if (existing && existing.source !== 'registry') {
+    return readOnlyExclusionError(existing);
+  }
+  return null;
+};
+
+router.post('/exclusions', async (req, res) => {
+  try {
+    const address = typeof req.body.address === 'string' ? req.body.address.trim() : '';
+    const { category, reason } = req.body;
+
+    const validationError = validateExclusion(address, category, reason);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+    if (exclusionRegistry.getEntry(address)) {
+      return res.status(409).json({ success: false, error: 'Address is already excluded' });
+    }
+
+    const exclusion = await exclusionRegistry.addOrUpdate(address, category, reason, 'admin');
+    holderTracker.refreshEligibility();
+
+    res.json({
+      success: true,
+      data: exclusion
+    });
+  } catch (error) {
+    logger.error('Admin failed to add exclusion:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.put('/exclusions/:address', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const { category, reason } = req.body;
+
+    if (!exclusionRegistry.getEntry(address)) {
+      return res.status(404).json({ success: false, error: 'Address is not excluded' });
+    }
+    const validationError = validateExclusion(address, category, reason);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const exclusion = await exclusionRegistry.addOrUpdate(address, category, reason, 'admin');
+
+    res.json({
+      success: true,
+      data: exclusion
+    });
+  } catch (error) {
+    logger.error(`Admin failed to update exclusion ${req.params.address}:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.delete('/exclusions/:address', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const existing = exclusionRegistry.getEntry(address);
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Address is not excluded' });
+    }
+    if (existing.source !== 'registry') {
+      return res.status(400).json({ success: false, error: readOnlyExclusionError(existing) });
+    }
+
+    await exclusionRegistry.remove(address, req.body?.reason, 'admin');
+
+    res.json({
+      success: true,
+      message: 'Exclusion removed; the address rejoins at the next holder scan'
+    });
+  } catch (error) {
+    logger.error(`Admin failed to remove exclusion ${req.params.address}:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Retry failed payout
+router.post('/payouts/:id/retry', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const job = await payoutService.retryFailedPayout(id);
+    logger.info(`Admin retried payout ${id}`);
+    
+    res.json({
+      success: true,
+      message: 'Payout requeued',
+      data: job
+    });
+  } catch (error) {
+    logger.error(`Admin failed to retry payout ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Approve a payout held for approval; each named admin approves with their own password
+router.post('/payouts/:id/approve', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { approver, password } = req.body;
+
+    if (!approver || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Approver name and password are required'
+      });
+    }
+    if (!payoutService.verifyApprover(approver, password)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid approver name or password'
+      });
+    }
+
+    const job = await payoutService.approvePayout(id, approver);
+
+    res.json({
+      success: true,
+      message: job.status === 'pending'
+        ? 'Payout approved and released'
+        : `Approval recorded (${job.approvals.length}/${job.approvalsRequired})`,
+      data: job
+    });
+  } catch (error) {
+    logger.error(`Admin failed to approve payout ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Export a payout held for approval as a multisig vault transaction proposal
+router.post('/payouts/:id/proposal', async (req, res) => {
+  try {
+    const proposal = await payoutService.exportMultisigProposal(req.params.id, 'admin');
+
+    res.json({
+      success: true,
+      data: proposal
+    });
+  } catch (error) {
+    logger.error(`Admin failed to export payout ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Complete an exported payout once the multisig has executed it
+router.post('/payouts/:id/multisig-settle', async (req, res) => {
+  try {
+    const job = await payoutService.settleFromMultisig(req.params.id);
+
+    res.json({
+      success: true,
+      message: `Payout settled by ${job.transactionSignature}`,
+      data: job
+    });
+  } catch (error) {
+    logger.error(`Admin failed to settle payout ${req.params.id} from the multisig:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Cancel a pending or failed payout, invalidating its signed transaction
+router.post('/payouts/:id/cancel', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const job = await payoutService.cancelPayout(id);
+    logger.info(`Admin cancelled payout ${id}`);
+
+    res.json({
+      success: true,
+      message: job.status === 'completed' ? 'Payout had already landed; marked completed' : 'Payout cancelled',
+      data: job
+    });
+  } catch (error) {
+    logger.error(`Admin failed to cancel payout ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Changes to the payout safety settings, newest first (pending ones and the log)
+router.get('/payouts/policy-changes', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    res.json({
+      success: true,
+      data: await payoutService.getPolicyChanges(limit)
+    });
+  } catch (error) {
+    logger.error('Failed to get payout policy changes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get payout policy changes'
+    });
+  }
+});
+
+// Approve a pending safety settings change; each named admin approves with their own password
+router.post('/payouts/policy-changes/:id/approve', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { approver, password } = req.body;
+
+    if (!approver || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Approver name and password are required'
+      });
+    }
+    if (!payoutService.verifyApprover(approver, password)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid approver name or password'
+      });
+    }
+
+    const change = await payoutService.approvePolicyChange(id, approver);
+
+    res.json({
+      success: true,
+      message: change.status === 'applied'
+        ? 'Policy change approved and applied'
+        : `Approval recorded (${change.approvals.length}/${change.approvalsRequired})`,
+      data: change
+    });
+  } catch (error) {
+    logger.error(`Admin failed to approve payout policy change ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Drop a pending safety settings change
+router.post('/payouts/policy-changes/:id/cancel', async (req, res) => {
+  try {
+    const change = await payoutService.cancelPolicyChange(req.params.id, 'admin');
+
+    res.json({
+      success: true,
+      message: 'Policy change cancelled',
+      data: change
+    });
+  } catch (error) {
+    logger.error(`Admin failed to cancel payout policy change ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Pause/Resume payouts, or re-arm the spend-limit breaker
+router.post('/payouts/:action', async (req, res) => {
+  try {
+    const { action } = req.params;
+    
+    if (action === 'pause') {
+      await payoutService.pausePayouts();
+      logger.info('Admin paused payouts');
+    } else if (action === 'resume') {
+      await payoutService.resumePayouts();
+      logger.info('Admin resumed payouts');
+    } else if (action === 'rearm') {
+      if (!payoutService.getQueueStatus().breaker.tripped) {
+        return res.status(400).json({
+          success: false,
+          error: 'Payout circuit breaker is not tripped'
+        });
+      }
+      await payoutService.rearmBreaker({ approvePayout: req.body.approvePayout === true });
+      logger.info('Admin re-armed the payout circuit breaker');
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid action. Use "pause", "resume" or "rearm"'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: action === 'rearm' ? 'Payout circuit breaker re-armed' : `Payouts ${action}d successfully`
+    });
+  } catch (error) {
+    logger.error(`Admin failed to ${req.params.action} payouts:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Pot ledger balances and recent entries
+router.get('/pot/ledger', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    res.json({
+      success: true,
+      data: {
+        pot: potLedgerService.getPot(),
+        balances: potLedgerService.getBalances(),
+        walletBalances: potLedger.walletBalances(potLedgerService.getBalances()),
+        entries: await potLedgerService.getEntries(limit, offset),
+        entryTypes: potLedger.MANUAL_ENTRY_TYPES,
+        driftToleranceLamports: potLedgerService.driftToleranceLamports
+      }
+    });
+  } catch (error) {
+    logger.error('Admin failed to get pot ledger:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Post a deposit, allocation, withdrawal, transfer or adjustment by hand
+router.post('/pot/ledger', async (req, res) => {
+  try {
+    const request = {
+      type: req.body.type,
+      amount: Number(req.body.amount),
+      wallet: req.body.wallet,
+      reference: req.body.reference,
+      memo: req.body.memo
+    };
+
+    try {
+      potLedger.manualEntry(request);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    const entry = await potLedgerService.postManualEntry(request, 'admin');
+
+    res.json({
+      success: true,
+      message: `Posted ${entry.type} of ${entry.amount} lamports`,
+      data: { entry, pot: potLedgerService.getPot() }
+    });
+  } catch (error) {
+    logger.error('Admin failed to post pot ledger entry:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.get('/pot/reconciliations', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    res.json({
+      success: true,
+      data: await potLedgerService.getReconciliations(limit)
+    });
+  } catch (error) {
+    logger.error('Admin failed to get pot reconciliations:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Compare the ledger with the wallets now
+router.post('/pot/reconcile', async (req, res) => {
+  try {
+    const results = await potLedgerService.reconcile();
+
+    res.json({
+      success: true,
+      message: results.some(result => result.flagged) ? 'Drift detected' : 'Ledger matches the wallets',
+      data: results
+    });
+  } catch (error) {
+    logger.error('Admin failed to reconcile the pot ledger:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Schedule fields an admin can set in one go; special spins have their own routes
+const scheduleInput = (body) => {
+  const input = {};
+  for (const key of ['mode', 'intervalMinutes', 'offsetMinutes', 'cron', 'timezone', 'activeHours', 'blackouts']) {
+    if (body[key] !== undefined) input[key] = body[key];
+  }
+  return input;
+};
+
+// Spin schedule and the next spins it produces
+router.get('/schedule', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        schedule: gameEngine.getSchedule(),
+        summary: spinSchedule.describe(gameEngine.getSchedule()),
+        nextSpinTime: gameEngine.nextSpinTime,
+        preview: gameEngine.previewSchedule()
+      }
+    });
+  } catch (error) {
+    logger.error('Admin failed to get spin schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.post('/schedule', async (req, res) => {
+  try {
+    const input = scheduleInput(req.body);
+    const validationError = spinSchedule.validate({ ...gameEngine.getSchedule(), ...input });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    await gameEngine.setSchedule(input);
+
     res.json({
       success: true,
-      message: 'Holder data updated successfully',
-      data: stats
+      message: `Spin schedule updated: ${spinSchedule.describe(gameEngine.getSchedule())}`,
+      data: {
+        schedule: gameEngine.getSchedule(),
+        nextSpinTime: gameEngine.nextSpinTime,
+        preview: gameEngine.previewSchedule()
+      }
     });
   } catch (error) {
-    logger.error('Admin failed to update holders:', error);
+    logger.error('Admin failed to update spin schedule:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -133,20 +821,80 @@ router.post('/holders/update', async (req, res) => {
   }
 });
 
-// Retry failed payout
-router.post('/payouts/:id/retry', async (req, res) => {
+// The next spins for a draft schedule, without saving it
+router.post('/schedule/preview', async (req, res) => {
+  try {
+    const draft = { ...gameEngine.getSchedule(), ...scheduleInput(req.body) };
+    const validationError = spinSchedule.validate(draft);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        summary: spinSchedule.describe(draft),
+        preview: gameEngine.previewSchedule(draft)
+      }
+    });
+  } catch (error) {
+    logger.error('Admin failed to preview spin schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.post('/schedule/special-spins', async (req, res) => {
+  try {
+    const { at, label } = req.body;
+    if (!at || Number.isNaN(new Date(at).getTime()) || new Date(at) <= new Date()) {
+      return res.status(400).json({ success: false, error: 'A special spin needs a time in the future' });
+    }
+    if (label !== undefined && (typeof label !== 'string' || label.length > 64)) {
+      return res.status(400).json({ success: false, error: 'Label must be text of at most 64 characters' });
+    }
+
+    const schedule = gameEngine.getSchedule();
+    const validationError = spinSchedule.validate({
+      ...schedule,
+      specialSpins: [...schedule.specialSpins, { id: 'new', at, label }]
+    });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const spin = await gameEngine.addSpecialSpin(at, label && label.trim());
+
+    res.json({
+      success: true,
+      data: spin
+    });
+  } catch (error) {
+    logger.error('Admin failed to add special spin:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.delete('/schedule/special-spins/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const signature = await payoutService.retryFailedPayout(id);
-    logger.info(`Admin retried payout ${id}`);
-    
+    if (!gameEngine.getSchedule().specialSpins.some(spin => spin.id === id)) {
+      return res.status(404).json({ success: false, error: 'Special spin not found' });
+    }
+
+    await gameEngine.removeSpecialSpin(id);
+
     res.json({
       success: true,
-      message: 'Payout retry successful',
-      data: { transactionSignature: signature }
+      message: 'Special spin removed'
     });
   } catch (error) {
-    logger.error(`Admin failed to retry payout ${req.params.id}:`, error);
+    logger.error(`Admin failed to remove special spin ${req.params.id}:`, error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -154,30 +902,64 @@ router.post('/payouts/:id/retry', async (req, res) => {
   }
 });
 
-// Pause/Resume payouts
-router.post('/payouts/:action', async (req, res) => {
+// Trigger rules with their latest readings and cooldowns
+router.get('/triggers', async (req, res) => {
   try {
-    const { action } = req.params;
-    
-    if (action === 'pause') {
-      await payoutService.pausePayouts();
-      logger.info('Admin paused payouts');
-    } else if (action === 'resume') {
-      await payoutService.resumePayouts();
-      logger.info('Admin resumed payouts');
-    } else {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid action. Use "pause" or "resume"'
-      });
+    res.json({
+      success: true,
+      data: spinTriggerService.getStatus()
+    });
+  } catch (error) {
+    logger.error('Admin failed to get spin triggers:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.post('/triggers', async (req, res) => {
+  try {
+    const { rules, marketDataSource, marketDataPollSeconds } = req.body;
+    const input = {};
+    if (rules !== undefined) input.rules = rules;
+    if (marketDataSource !== undefined) input.marketDataSource = marketDataSource;
+    if (marketDataPollSeconds !== undefined) input.marketDataPollSeconds = marketDataPollSeconds;
+
+    const validationError = spinTriggers.validate(
+      { ...spinTriggerService.getSettings(), ...input },
+      spinTriggerService.getSourceNames()
+    );
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
     }
-    
+
+    await spinTriggerService.setSettings(input);
+
     res.json({
       success: true,
-      message: `Payouts ${action}d successfully`
+      message: 'Spin triggers updated',
+      data: spinTriggerService.getStatus()
     });
   } catch (error) {
-    logger.error(`Admin failed to ${req.params.action} payouts:`, error);
+    logger.error('Admin failed to update spin triggers:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// What each trigger rule did, newest first (all rules without ruleId)
+router.get('/triggers/events', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    res.json({
+      success: true,
+      data: await spinTriggerService.getEvents(req.query.ruleId || null, limit)
+    });
+  } catch (error) {
+    logger.error('Admin failed to get spin trigger events:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -234,11 +1016,51 @@ router.get('/config', async (req, res) => {
       feeCollectionWallet: process.env.FEE_COLLECTION_WALLET || '',
       creatorWallet: process.env.CREATOR_WALLET || '',
       minimumHoldPercentage: parseFloat(process.env.MINIMUM_HOLD_PERCENTAGE) || 0.01,
-      spinIntervalMinutes: parseInt(process.env.SPIN_INTERVAL_MINUTES) || 5,
+      spinIntervalMinutes: gameEngine.getSchedule().intervalMinutes,
       winnerPayoutPercentage: parseInt(process.env.WINNER_PAYOUT_PERCENTAGE) || 100,
       creatorPayoutPercentage: parseInt(process.env.CREATOR_PAYOUT_PERCENTAGE) || 0,
-      blacklistedAddresses: process.env.BLACKLISTED_ADDRESSES ?
-        process.env.BLACKLISTED_ADDRESSES.split(',').map(addr => addr.trim()) : []
+      weightingStrategy: holderTracker.getWeightingConfig().strategy,
+      weightingCapPercentage: holderTracker.getWeightingConfig().capPercentage,
+      weightingStrategies: weightingStrategies.listStrategies(),
+      minHoldDurationMinutes: holderTracker.getHoldConfig().minHoldMinutes,
+      diamondHandsEnabled: holderTracker.getHoldConfig().diamondHandsEnabled,
+      diamondHandsMaxMultiplier: holderTracker.getHoldConfig().maxMultiplier,
+      diamondHandsRampHours: holderTracker.getHoldConfig().rampHours,
+      antiSnipeSnapshots: holderTracker.getAntiSnipeConfig().snapshots,
+      winnerCooldownGames: gameEngine.getWinnerRules().excludeLastGames,
+      maxWinsPer24h: gameEngine.getWinnerRules().maxWinsPer24h,
+      postWinOddsMultiplier: gameEngine.getWinnerRules().postWinOddsMultiplier,
+      postWinPenaltyHours: gameEngine.getWinnerRules().postWinPenaltyHours,
+      prizeTiers: gameEngine.getPrizeTiers(),
+      payoutMaxLamports: payoutService.getSpendLimits().perPayout,
+      payoutHourlyLimitLamports: payoutService.getSpendLimits().perHour,
+      payoutDailyLimitLamports: payoutService.getSpendLimits().perDay,
+      payoutAsset: payoutService.getPayoutAsset(),
+      payoutAssets: payoutAssets.listAssets(),
+      prizeMode: payoutService.getPrizeSettings().mode,
+      prizeTokenMint: payoutService.getPrizeSettings().mint,
+      prizeBuyback: payoutService.getPrizeSettings().buyback,
+      swapAdapter: payoutService.getPrizeSettings().swapAdapter,
+      swapSlippageBps: payoutService.getPrizeSettings().slippageBps,
+      swapAdapters: swapService.listAdapters(),
+      payoutNonceAccount: payoutService.getNonceAccount(),
+      payoutApprovalThresholdLamports: payoutService.getApprovalPolicy().thresholdLamports,
+      payoutApprovalsRequired: payoutService.getApprovalPolicy().required,
+      payoutMultisigVault: payoutService.getApprovalPolicy().multisigVault,
+      payoutApprovers: payoutService.getApprovers(),
+      priorityFeePercentile: priorityFeeService.getSettings().percentile,
+      priorityFeeMaxMicroLamports: priorityFeeService.getSettings().maxMicroLamports,
+      computeUnitMargin: priorityFeeService.getSettings().computeUnitMargin,
+      potFeeClaimPercentage: potLedgerService.getPotPolicy().feeClaimPercentage,
+      potSeedLamports: potLedgerService.getPotPolicy().seedLamports,
+      potDepositsEnabled: potLedgerService.getPotPolicy().depositsEnabled,
+      potDepositWallet: potLedgerService.getPotPolicy().depositWallet,
+      potRolloverPercentage: potLedgerService.getPotPolicy().rolloverPercentage,
+      potNoHoldersRetryMinutes: potLedgerService.getPotPolicy().noHoldersRetryMinutes,
+      potMinLamports: potLedgerService.getPotPolicy().minPotLamports,
+      potMaxLamports: potLedgerService.getPotPolicy().maxPotLamports,
+      jackpotContributionPercentage: gameEngine.getJackpotSettings().contributionPercentage,
+      jackpotOneIn: gameEngine.getJackpotSettings().oneIn
     };
     
     res.json({
@@ -265,7 +1087,44 @@ router.post('/config', async (req, res) => {
       spinIntervalMinutes,
       winnerPayoutPercentage,
       creatorPayoutPercentage,
-      blacklistedAddresses
+      weightingStrategy,
+      weightingCapPercentage,
+      minHoldDurationMinutes,
+      diamondHandsEnabled,
+      diamondHandsMaxMultiplier,
+      diamondHandsRampHours,
+      antiSnipeSnapshots,
+      winnerCooldownGames,
+      maxWinsPer24h,
+      postWinOddsMultiplier,
+      postWinPenaltyHours,
+      prizeTiers,
+      payoutMaxLamports,
+      payoutHourlyLimitLamports,
+      payoutDailyLimitLamports,
+      payoutAsset,
+      prizeMode,
+      prizeTokenMint,
+      prizeBuyback,
+      swapAdapter,
+      swapSlippageBps,
+      payoutNonceAccount,
+      payoutApprovalThresholdLamports,
+      payoutApprovalsRequired,
+      payoutMultisigVault,
+      priorityFeePercentile,
+      priorityFeeMaxMicroLamports,
+      computeUnitMargin,
+      potFeeClaimPercentage,
+      potSeedLamports,
+      potDepositsEnabled,
+      potDepositWallet,
+      potRolloverPercentage,
+      potNoHoldersRetryMinutes,
+      potMinLamports,
+      potMaxLamports,
+      jackpotContributionPercentage,
+      jackpotOneIn
     } = req.body;
     
     // Validate configuration
@@ -290,6 +1149,183 @@ router.post('/config', async (req, res) => {
       });
     }
 
+    if (weightingStrategy && !weightingStrategies.isValidStrategy(weightingStrategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Weighting strategy must be one of: ${weightingStrategies.listStrategies().map(s => s.name).join(', ')}`
+      });
+    }
+
+    if (weightingCapPercentage && (weightingCapPercentage <= 0 || weightingCapPercentage > 100)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Weighting cap percentage must be between 0% and 100%'
+      });
+    }
+
+    if (minHoldDurationMinutes !== undefined && (minHoldDurationMinutes < 0 || minHoldDurationMinutes > 43200)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Minimum hold duration must be between 0 and 43200 minutes (30 days)'
+      });
+    }
+
+    if (diamondHandsMaxMultiplier !== undefined && (diamondHandsMaxMultiplier < 1 || diamondHandsMaxMultiplier > 10)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Diamond hands multiplier must be between 1x and 10x'
+      });
+    }
+
+    if (diamondHandsRampHours !== undefined && diamondHandsRampHours <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Diamond hands ramp must be longer than zero hours'
+      });
+    }
+
+    if (antiSnipeSnapshots !== undefined && (antiSnipeSnapshots < 1 || antiSnipeSnapshots > holderTracker.getAntiSnipeConfig().maxSnapshots)) {
+      return res.status(400).json({
+        success: false,
+        error: `Anti-sniping window must be between 1 and ${holderTracker.getAntiSnipeConfig().maxSnapshots} snapshots`
+      });
+    }
+
+    if (winnerCooldownGames !== undefined && (winnerCooldownGames < 0 || winnerCooldownGames > 100)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Winner cooldown must be between 0 and 100 games'
+      });
+    }
+
+    if (maxWinsPer24h !== undefined && maxWinsPer24h < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Wins per 24h cap must be zero (off) or more'
+      });
+    }
+
+    if (postWinOddsMultiplier !== undefined && (postWinOddsMultiplier <= 0 || postWinOddsMultiplier > 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Post-win odds multiplier must be greater than 0 and at most 1'
+      });
+    }
+
+    const prizeTierError = prizeTiers !== undefined ? prizeTierUtils.validate(prizeTiers) : null;
+    if (prizeTierError) {
+      return res.status(400).json({
+        success: false,
+        error: prizeTierError
+      });
+    }
+
+    const spendLimitInput = {};
+    if (payoutMaxLamports !== undefined) spendLimitInput.perPayout = payoutMaxLamports;
+    if (payoutHourlyLimitLamports !== undefined) spendLimitInput.perHour = payoutHourlyLimitLamports;
+    if (payoutDailyLimitLamports !== undefined) spendLimitInput.perDay = payoutDailyLimitLamports;
+
+    const spendLimitError = Object.keys(spendLimitInput).length > 0
+      ? spendLimits.validate({ ...payoutService.getSpendLimits(), ...spendLimitInput })
+      : null;
+    if (spendLimitError) {
+      return res.status(400).json({
+        success: false,
+        error: spendLimitError
+      });
+    }
+
+    if (payoutAsset && !payoutAssets.isValidAsset(payoutAsset)) {
+      return res.status(400).json({
+        success: false,
+        error: `Payout asset must be one of: ${payoutAssets.listAssets().map(a => a.name).join(', ')}`
+      });
+    }
+
+    if (prizeMode && prizeMode !== 'sol' && prizeMode !== 'token') {
+      return res.status(400).json({
+        success: false,
+        error: 'Prize mode must be "sol" or "token"'
+      });
+    }
+
+    if (swapAdapter && !swapService.isValidAdapter(swapAdapter)) {
+      return res.status(400).json({
+        success: false,
+        error: `Swap adapter must be one of: ${swapService.listAdapters().map(a => a.name).join(', ')}`
+      });
+    }
+
+    if (swapSlippageBps !== undefined && (swapSlippageBps < 0 || swapSlippageBps > 5000)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Swap slippage must be between 0 and 5000 bps'
+      });
+    }
+
+    const priorityFeeInput = {};
+    if (priorityFeePercentile !== undefined) priorityFeeInput.percentile = priorityFeePercentile;
+    if (priorityFeeMaxMicroLamports !== undefined) priorityFeeInput.maxMicroLamports = priorityFeeMaxMicroLamports;
+    if (computeUnitMargin !== undefined) priorityFeeInput.computeUnitMargin = computeUnitMargin;
+
+    const priorityFeeError = Object.keys(priorityFeeInput).length > 0
+      ? priorityFees.validate({ ...priorityFeeService.getSettings(), ...priorityFeeInput })
+      : null;
+    if (priorityFeeError) {
+      return res.status(400).json({
+        success: false,
+        error: priorityFeeError
+      });
+    }
+
+    const approvalInput = {};
+    if (payoutApprovalThresholdLamports !== undefined) approvalInput.thresholdLamports = payoutApprovalThresholdLamports;
+    if (payoutApprovalsRequired !== undefined) approvalInput.required = payoutApprovalsRequired;
+
+    const approvalError = Object.keys(approvalInput).length > 0
+      ? payoutApprovals.validate({ ...payoutService.getApprovalPolicy(), ...approvalInput }, payoutService.getApprovers().length)
+      : null;
+    if (approvalError) {
+      return res.status(400).json({
+        success: false,
+        error: approvalError
+      });
+    }
+
+    const potPolicyInput = {};
+    if (potFeeClaimPercentage !== undefined) potPolicyInput.feeClaimPercentage = potFeeClaimPercentage;
+    if (potSeedLamports !== undefined) potPolicyInput.seedLamports = potSeedLamports;
+    if (potDepositsEnabled !== undefined) potPolicyInput.depositsEnabled = potDepositsEnabled;
+    if (potDepositWallet !== undefined) potPolicyInput.depositWallet = potDepositWallet;
+    if (potRolloverPercentage !== undefined) potPolicyInput.rolloverPercentage = potRolloverPercentage;
+    if (potNoHoldersRetryMinutes !== undefined) potPolicyInput.noHoldersRetryMinutes = potNoHoldersRetryMinutes;
+    if (potMinLamports !== undefined) potPolicyInput.minPotLamports = potMinLamports;
+    if (potMaxLamports !== undefined) potPolicyInput.maxPotLamports = potMaxLamports;
+
+    const potPolicyError = Object.keys(potPolicyInput).length > 0
+      ? potPolicy.validate({ ...potLedgerService.getPotPolicy(), ...potPolicyInput })
+      : null;
+    if (potPolicyError) {
+      return res.status(400).json({
+        success: false,
+        error: potPolicyError
+      });
+    }
+
+    const jackpotInput = {};
+    if (jackpotContributionPercentage !== undefined) jackpotInput.contributionPercentage = jackpotContributionPercentage;
+    if (jackpotOneIn !== undefined) jackpotInput.oneIn = jackpotOneIn;
+
+    const jackpotError = Object.keys(jackpotInput).length > 0
+      ? jackpot.validate({ ...gameEngine.getJackpotSettings(), ...jackpotInput })
+      : null;
+    if (jackpotError) {
+      return res.status(400).json({
+        success: false,
+        error: jackpotError
+      });
+    }
+
     // Validate Solana addresses
     const validateSolanaAddress = (address) => {
       return address && address.length >= 32 && address.length <= 44;
@@ -315,16 +1351,119 @@ router.post('/config', async (req, res) => {
         error: 'Invalid creator wallet address format'
       });
     }
+
+    if (prizeTokenMint && !validateSolanaAddress(prizeTokenMint)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid prize token mint address format'
+      });
+    }
+
+    if (payoutMultisigVault && !validateSolanaAddress(payoutMultisigVault)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid multisig vault address format'
+      });
+    }
+
+    if (payoutNonceAccount && !validateSolanaAddress(payoutNonceAccount)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid nonce account address format'
+      });
+    }
+
+    if ((prizeMode || payoutService.getPrizeSettings().mode) === 'token' &&
+        !(prizeTokenMint || payoutService.getPrizeSettings().mint)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token prizes need a prize token mint address'
+      });
+    }
     
     // Update environment variables (in production, this would update a config service)
     if (tokenMintAddress) process.env.TOKEN_MINT_ADDRESS = tokenMintAddress;
     if (feeCollectionWallet) process.env.FEE_COLLECTION_WALLET = feeCollectionWallet;
     if (creatorWallet) process.env.CREATOR_WALLET = creatorWallet;
-    if (spinIntervalMinutes) process.env.SPIN_INTERVAL_MINUTES = spinIntervalMinutes.toString();
+    if (spinIntervalMinutes) {
+      process.env.SPIN_INTERVAL_MINUTES = spinIntervalMinutes.toString();
+      // The offset is kept while it still fits in the new interval
+      const intervalMinutes = parseInt(spinIntervalMinutes);
+      const { offsetMinutes } = gameEngine.getSchedule();
+      await gameEngine.setSchedule({ intervalMinutes, offsetMinutes: offsetMinutes < intervalMinutes ? offsetMinutes : 0 });
+    }
     if (minimumHoldPercentage) process.env.MINIMUM_HOLD_PERCENTAGE = minimumHoldPercentage.toString();
     if (winnerPayoutPercentage) process.env.WINNER_PAYOUT_PERCENTAGE = winnerPayoutPercentage.toString();
     if (creatorPayoutPercentage) process.env.CREATOR_PAYOUT_PERCENTAGE = creatorPayoutPercentage.toString();
-    if (blacklistedAddresses) process.env.BLACKLISTED_ADDRESSES = blacklistedAddresses.join(',');
+
+    // Weighting is persisted through SystemSettingsModel by the holder tracker
+    if (weightingStrategy || weightingCapPercentage) {
+      await holderTracker.setWeightingStrategy(
+        weightingStrategy || undefined,
+        weightingCapPercentage ? parseFloat(weightingCapPercentage) : undefined
+      );
+    }
+
+    if ([minHoldDurationMinutes, diamondHandsEnabled, diamondHandsMaxMultiplier, diamondHandsRampHours].some(v => v !== undefined)) {
+      await holderTracker.setHoldSettings({
+        minHoldMinutes: minHoldDurationMinutes,
+        diamondHandsEnabled,
+        maxMultiplier: diamondHandsMaxMultiplier,
+        rampHours: diamondHandsRampHours
+      });
+    }
+
+    if (antiSnipeSnapshots !== undefined) {
+      await holderTracker.setBalanceWindow(antiSnipeSnapshots);
+    }
+
+    if ([winnerCooldownGames, maxWinsPer24h, postWinOddsMultiplier, postWinPenaltyHours].some(v => v !== undefined)) {
+      await gameEngine.setWinnerRules({
+        excludeLastGames: winnerCooldownGames,
+        maxWinsPer24h,
+        postWinOddsMultiplier,
+        postWinPenaltyHours
+      });
+    }
+
+    if (prizeTiers !== undefined) {
+      await gameEngine.setPrizeTiers(prizeTiers);
+    }
+
+    if (payoutAsset) {
+      await payoutService.setPayoutAsset(payoutAsset);
+    }
+
+    if ([prizeMode, prizeTokenMint, prizeBuyback, swapAdapter, swapSlippageBps].some(v => v !== undefined)) {
+      await payoutService.setPrizeSettings({
+        mode: prizeMode,
+        mint: prizeTokenMint,
+        buyback: prizeBuyback,
+        swapAdapter,
+        slippageBps: swapSlippageBps
+      });
+    }
+
+    if (Object.keys(priorityFeeInput).length > 0) {
+      await priorityFeeService.setSettings(priorityFeeInput);
+    }
+
+    // Spend caps, nonce account and approval policy apply now only while
+    // approvals are off; otherwise they wait for the required approvers
+    const policyChange = await payoutService.requestPolicyChange({
+      spendLimits: spendLimitInput,
+      approvalPolicy: { ...approvalInput, multisigVault: payoutMultisigVault },
+      nonceAccount: payoutNonceAccount
+    }, 'admin');
+    const pendingPolicyChange = policyChange && policyChange.status === 'pending' ? policyChange : null;
+
+    if (Object.keys(potPolicyInput).length > 0) {
+      await potLedgerService.setPotPolicy(potPolicyInput);
+    }
+
+    if (Object.keys(jackpotInput).length > 0) {
+      await gameEngine.setJackpotSettings(jackpotInput);
+    }
     
     logger.info('Admin updated configuration:', req.body);
     
@@ -340,7 +1479,9 @@ router.post('/config', async (req, res) => {
     
     res.json({
       success: true,
-      message: 'Configuration updated successfully',
+      message: pendingPolicyChange
+        ? `Configuration updated; payout safety changes wait for ${pendingPolicyChange.approvalsRequired} approval(s)`
+        : 'Configuration updated successfully',
       data: {
         tokenMintAddress: process.env.TOKEN_MINT_ADDRESS,
         feeCollectionWallet: process.env.FEE_COLLECTION_WALLET,
@@ -349,7 +1490,21 @@ router.post('/config', async (req, res) => {
         spinIntervalMinutes: process.env.SPIN_INTERVAL_MINUTES,
         winnerPayoutPercentage: process.env.WINNER_PAYOUT_PERCENTAGE,
         creatorPayoutPercentage: process.env.CREATOR_PAYOUT_PERCENTAGE,
-        blacklistedAddresses: process.env.BLACKLISTED_ADDRESSES
+        weightingStrategy: holderTracker.getWeightingConfig().strategy,
+        weightingCapPercentage: holderTracker.getWeightingConfig().capPercentage,
+        holdRules: holderTracker.getHoldConfig(),
+        antiSnipeSnapshots: holderTracker.getAntiSnipeConfig().snapshots,
+        winnerRules: gameEngine.getWinnerRules(),
+        prizeTiers: gameEngine.getPrizeTiers(),
+        spendLimits: payoutService.getSpendLimits(),
+        payoutAsset: payoutService.getPayoutAsset(),
+        prizeSettings: payoutService.getPrizeSettings(),
+        payoutNonceAccount: payoutService.getNonceAccount(),
+        approvalPolicy: payoutService.getApprovalPolicy(),
+        pendingPolicyChange,
+        priorityFees: priorityFeeService.getSettings(),
+        potPolicy: potLedgerService.getPotPolicy(),
+        jackpotSettings: gameEngine.getJackpotSettings()
       }
     });
   } catch (error) {
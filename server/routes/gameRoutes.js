@@ -3,6 +3,7 @@ const router = express.Router();
 const gameEngine = require('../services/gameEngine');
 const holderTracker = require('../services/holderTracker');
 const payoutService = require('../services/payoutService');
+const holderSnapshot = require('../utils/holderSnapshot');
 const logger = require('../utils/logger');
 
 // Get current game state
@@ -50,7 +51,7 @@ router.get('/history', async (req, res) => {
 router.get('/stats', async (req, res) => {
   try {
     const gameStats = gameEngine.getStats();
-    const payoutStats = payoutService.getPayoutStats();
+    const payoutStats = await payoutService.getPayoutStats();
     const holderStats = holderTracker.getStats();
     
     res.json({
@@ -81,7 +82,8 @@ router.get('/wheel-data', async (req, res) => {
       data: {
         distribution: holderDistribution,
         totalEligible: eligibleHolders.length,
-        minimumHold: holderTracker.getStats().minimumHoldAmount
+        minimumHold: holderTracker.getStats().minimumHoldAmount,
+        weighting: holderTracker.getWeightingConfig()
       }
     });
   } catch (error) {
@@ -93,6 +95,96 @@ router.get('/wheel-data', async (req, res) => {
   }
 });
 
+// Get the commit-reveal proof for a game so anyone can recompute the winner
+router.get('/:gameId/proof', async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const proof = await gameEngine.getGameProof(gameId);
+
+    if (!proof) {
+      return res.status(404).json({
+        success: false,
+        error: 'Proof not found for game'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: proof
+    });
+  } catch (error) {
+    logger.error('Failed to get game proof:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get game proof'
+    });
+  }
+});
+
+// Get every place of a game with its prize share and payout
+router.get('/:gameId/winners', async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const winners = await gameEngine.getGameWinners(gameId);
+
+    if (!winners) {
+      return res.status(404).json({
+        success: false,
+        error: 'Winners not found for game'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: winners
+    });
+  } catch (error) {
+    logger.error('Failed to get game winners:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get game winners'
+    });
+  }
+});
+
+// Get the frozen eligible holder list a game was drawn from (?format=csv to download)
+router.get('/:gameId/snapshot', async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const snapshot = await gameEngine.getHolderSnapshot(gameId);
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found for game'
+      });
+    }
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${gameId}_snapshot.csv"`);
+      return res.send(holderSnapshot.toCsv(gameId, snapshot));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        gameId,
+        holderCount: snapshot.length,
+        totalWeight: holderSnapshot.getTotalWeight(snapshot),
+        holders: snapshot,
+        exclusions: await gameEngine.getSnapshotExclusions(gameId)
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to get game snapshot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get game snapshot'
+    });
+  }
+});
+
 // Force immediate spin (admin only)
 router.post('/force-spin', async (req, res) => {
   try {
@@ -87,7 +87,7 @@ router.get('/distribution', async (req, res) => {
 router.get('/check/:address', async (req, res) => {
   try {
     const { address } = req.params;
-    const isEligible = holderTracker.isAddressEligible(address);
+    const { isEligible, effectiveBalance, exclusion, ...hold } = holderTracker.getEligibilityDetails(address);
     const holderData = holderTracker.getHolderByAddress(address);
     
     res.json({
@@ -95,7 +95,10 @@ router.get('/check/:address', async (req, res) => {
       data: {
         address,
         isEligible,
-        holder: holderData || null
+        effectiveBalance,
+        exclusion,
+        holder: holderData || null,
+        hold
       }
     });
   } catch (error) {
@@ -8,7 +8,7 @@ const logger = require('../utils/logger');
 router.get('/payouts', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 20;
-    const history = payoutService.getPayoutHistory(limit);
+    const history = await payoutService.getPayoutHistory(limit);
     
     res.json({
       success: true,
@@ -26,7 +26,7 @@ router.get('/payouts', async (req, res) => {
 // Get pending payouts
 router.get('/payouts/pending', async (req, res) => {
   try {
-    const pending = payoutService.getPendingPayouts();
+    const pending = await payoutService.getPendingPayouts();
     
     res.json({
       success: true,
@@ -44,7 +44,7 @@ router.get('/payouts/pending', async (req, res) => {
 // Get payout statistics
 router.get('/payouts/stats', async (req, res) => {
   try {
-    const stats = payoutService.getPayoutStats();
+    const stats = await payoutService.getPayoutStats();
     
     res.json({
       success: true,
@@ -59,11 +59,32 @@ router.get('/payouts/stats', async (req, res) => {
   }
 });
 
+// Get the payout queue: worker status and jobs waiting to be sent
+router.get('/payouts/queue', async (req, res) => {
+  try {
+    const jobs = await payoutService.getPendingPayouts();
+
+    res.json({
+      success: true,
+      data: {
+        status: payoutService.getQueueStatus(),
+        jobs
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to get payout queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get payout queue'
+    });
+  }
+});
+
 // Get specific payout by ID
 router.get('/payouts/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const payout = payoutService.getPayoutById(id);
+    const payout = await payoutService.getPayoutById(id);
     
     if (!payout) {
       return res.status(404).json({
@@ -89,12 +110,12 @@ router.get('/payouts/:id', async (req, res) => {
 router.post('/payouts/:id/retry', async (req, res) => {
   try {
     const { id } = req.params;
-    const signature = await payoutService.retryFailedPayout(id);
+    const job = await payoutService.retryFailedPayout(id);
     
     res.json({
       success: true,
-      message: 'Payout retry successful',
-      data: { transactionSignature: signature }
+      message: 'Payout requeued',
+      data: job
     });
   } catch (error) {
     logger.error('Failed to retry payout:', error);
@@ -151,7 +172,7 @@ router.get('/fee-estimate', async (req, res) => {
     
     res.json({
       success: true,
-      data: { estimatedFee: fee }
+      data: { estimatedFee: fee.total, ...fee }
     });
   } catch (error) {
     logger.error('Failed to estimate fee:', error);
@@ -0,0 +1,33 @@
+/* eslint-env jest */
+const holderClusters = require('../holderClusters');
+
+describe('mergeHolders', () => {
+  beforeAll(() => {
+    ['whale', 'alt', 'fresh'].forEach(address => holderClusters.addMergedAddress('cluster_1', address));
+  });
+
+  const holders = [
+    { address: 'whale', balance: '5000', percentage: 5, holdingSince: '2026-01-01T00:00:00.000Z' },
+    { address: 'alt', balance: '1000', percentage: 1, holdingSince: '2026-01-05T00:00:00.000Z' },
+    { address: 'fresh', balance: '250', percentage: 0.25, holdingSince: '2026-01-09T12:00:00.000Z' },
+    { address: 'solo', balance: '700', percentage: 0.7, holdingSince: '2025-12-01T00:00:00.000Z' }
+  ];
+
+  it('collapses a merged cluster onto its largest wallet', () => {
+    const merged = holderClusters.mergeHolders(holders);
+    expect(merged.map(holder => holder.address)).toEqual(['solo', 'whale']);
+    expect(merged[1]).toMatchObject({ balance: '6250', percentage: 6.25, clusterId: 'cluster_1' });
+    expect(merged[1].clusterMembers).toEqual(['whale', 'alt', 'fresh']);
+  });
+
+  it('holds only since its most recent member started holding', () => {
+    const [, cluster] = holderClusters.mergeHolders(holders);
+    expect(cluster.holdingSince).toBe('2026-01-09T12:00:00.000Z');
+  });
+
+  it('claims no hold time when a member has none', () => {
+    const [, cluster] = holderClusters.mergeHolders(holders.map(holder =>
+      holder.address === 'alt' ? { ...holder, holdingSince: null } : holder));
+    expect(cluster.holdingSince).toBeNull();
+  });
+});
@@ -0,0 +1,69 @@
+/* eslint-env jest */
+const potLedgerService = require('../potLedgerService');
+const spinTriggerService = require('../spinTriggerService');
+
+// Rejects if `promise` hasn't settled within `ms`
+const within = (promise, ms) => Promise.race([
+  promise,
+  new Promise((resolve, reject) => setTimeout(() => reject(new Error(`Still pending after ${ms}ms`)), ms))
+]);
+
+describe('trigger spins', () => {
+  beforeAll(async () => {
+    await spinTriggerService.initialize(null);
+    await spinTriggerService.setSettings({
+      rules: [
+        { id: 'holders_10', type: 'holders', threshold: 10, step: 0, cooldownMinutes: 60, enabled: true },
+        { id: 'pot_1000', type: 'pot', threshold: 1000, step: 0, cooldownMinutes: 0, enabled: true }
+      ],
+      marketDataSource: 'mock'
+    });
+    await spinTriggerService.record('holders', 5);
+  });
+
+  it('lets a spin post to the pot ledger without waiting on itself', async () => {
+    // Like the game engine: busy from the first synchronous step, then the
+    // spin posts ledger entries whose `changed` readings queue up behind the
+    // reading that started it
+    let spinning = false;
+    spinTriggerService.setSpinHandler(async (rule) => {
+      if (spinning) {
+        return { outcome: 'busy', message: 'Game is spinning' };
+      }
+      spinning = true;
+      await potLedgerService.post([{
+        key: `test:${rule.id}`,
+        type: 'deposit',
+        debit: 'pot:hot',
+        credit: 'deposits',
+        amount: 5000
+      }]);
+      spinning = false;
+      return { outcome: 'fired', gameId: 'game_1' };
+    });
+
+    await within(spinTriggerService.record('holders', 12), 1000);
+    await within(spinTriggerService.pendingSpins, 1000);
+    await within(spinTriggerService.queue, 1000);
+
+    const events = await spinTriggerService.getEvents();
+    expect(events.map(event => [event.ruleId, event.outcome])).toEqual(expect.arrayContaining([
+      ['holders_10', 'fired'],
+      ['pot_1000', 'busy']
+    ]));
+    expect(spinTriggerService.readings.pot).toBe(5000);
+    expect(spinTriggerService.ruleState.get('holders_10').lastFiredAt).toBeInstanceOf(Date);
+  });
+
+  it('starts no cooldown for a spin that failed', async () => {
+    spinTriggerService.setSpinHandler(async () => ({ outcome: 'failed', message: 'No eligible holders' }));
+
+    await spinTriggerService.record('pot', 0);
+    await spinTriggerService.record('pot', 2000);
+    await within(spinTriggerService.pendingSpins, 1000);
+
+    const [latest] = await spinTriggerService.getEvents('pot_1000');
+    expect(latest.outcome).toBe('failed');
+    expect(spinTriggerService.ruleState.get('pot_1000').lastFiredAt).toBeNull();
+  });
+});
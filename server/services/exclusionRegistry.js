@@ -0,0 +1,218 @@
+const { PublicKey } = require('@solana/web3.js');
+const logger = require('../utils/logger');
+const db = require('../database/connection');
+const { ExclusionModel } = require('../database/models');
+
+/**
+ * Addresses that never take part in a spin.
+ *
+ * Entries come from four places:
+ * - builtin: burn/system addresses and the pump.fun bonding curve
+ * - env: BLACKLISTED_ADDRESSES, read once at startup
+ * - registry: admin-managed rows in `excluded_addresses` (audited)
+ * - detected: owners that are off-curve keys (PDAs), i.e. program-owned
+ *   accounts such as LP pools and vaults that no one can sign for
+ */
+
+const CATEGORIES = {
+  burn: 'Burn / system address',
+  bonding_curve: 'Bonding curve',
+  lp_pool: 'Raydium / PumpSwap LP',
+  cex: 'CEX hot wallet',
+  team: 'Team wallet',
+  program: 'Program-owned account',
+  other: 'Other'
+};
+
+const BUILTIN_EXCLUSIONS = [
+  { address: '11111111111111111111111111111111', category: 'burn', reason: 'System program' },
+  { address: 'So11111111111111111111111111111111111111112', category: 'burn', reason: 'Wrapped SOL mint' },
+  { address: '1nc1nerator11111111111111111111111111111111', category: 'burn', reason: 'Incinerator' },
+  { address: '6EF8rrecthR5Dkzon8NQtpjxarMxGrbz7QcGMw1gcx', category: 'bonding_curve', reason: 'Pump.fun program' },
+  { address: '9KJRLL6VHRo5Yvh9LHs4FciL4McCXZBQzgWDNg3aKXDY', category: 'bonding_curve', reason: 'Current token bonding curve' }
+];
+
+class ExclusionRegistry {
+  constructor() {
+    this.entries = new Map();
+    this.auditLog = []; // in-memory fallback when there is no database
+    this.offCurveCache = new Map();
+    this.useDatabase = false;
+
+    BUILTIN_EXCLUSIONS.forEach(entry => this.entries.set(entry.address, { ...entry, source: 'builtin' }));
+
+    const envAddresses = process.env.BLACKLISTED_ADDRESSES ?
+      process.env.BLACKLISTED_ADDRESSES.split(',').map(addr => addr.trim()).filter(Boolean) : [];
+    envAddresses.forEach(address => {
+      if (!this.entries.has(address)) {
+        this.entries.set(address, { address, category: 'other', reason: 'BLACKLISTED_ADDRESSES', source: 'env' });
+      }
+    });
+  }
+
+  async initialize() {
+    this.useDatabase = db.isConnected;
+    if (!this.useDatabase) return;
+
+    try {
+      const rows = await ExclusionModel.getAll();
+      rows.forEach(row => this.entries.set(row.address, this.entryFromRow(row)));
+      logger.info(`Loaded ${rows.length} excluded address(es) from database`);
+    } catch (error) {
+      logger.warn('Failed to load exclusion registry:', error.message);
+    }
+  }
+
+  entryFromRow(row) {
+    return {
+      address: row.address,
+      category: row.category,
+      reason: row.reason,
+      source: 'registry',
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  isValidAddress(address) {
+    try {
+      new PublicKey(address);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  isValidCategory(category) {
+    return Object.prototype.hasOwnProperty.call(CATEGORIES, category);
+  }
+
+  // Off-curve owners are PDAs: only a program can move their tokens
+  isOffCurve(address) {
+    if (!this.offCurveCache.has(address)) {
+      let key;
+      try {
+        key = new PublicKey(address);
+      } catch (error) {
+        return false;
+      }
+      this.offCurveCache.set(address, !PublicKey.isOnCurve(key.toBytes()));
+    }
+    return this.offCurveCache.get(address);
+  }
+
+  // Why an address is excluded, or null if it may play
+  getExclusion(address) {
+    if (this.entries.has(address)) {
+      return this.entries.get(address);
+    }
+
+    if (address.startsWith('1111111111111111111111111111111')) {
+      return { address, category: 'burn', reason: 'System address prefix', source: 'builtin' };
+    }
+
+    if (this.isOffCurve(address)) {
+      return { address, category: 'program', reason: 'Off-curve owner (PDA)', source: 'detected' };
+    }
+
+    return null;
+  }
+
+  isExcluded(address) {
+    return this.getExclusion(address) !== null;
+  }
+
+  // Stored entry (builtin, env or registry), ignoring detection
+  getEntry(address) {
+    return this.entries.get(address) || null;
+  }
+
+  list() {
+    return Array.from(this.entries.values());
+  }
+
+  // Program-owned owners seen so far (detected, not stored)
+  listDetected() {
+    return Array.from(this.offCurveCache.entries())
+      .filter(([, offCurve]) => offCurve)
+      .map(([address]) => ({ address, category: 'program', reason: 'Off-curve owner (PDA)', source: 'detected' }));
+  }
+
+  getCategories() {
+    return Object.entries(CATEGORIES).map(([name, label]) => ({ name, label }));
+  }
+
+  async addOrUpdate(address, category, reason, actor) {
+    if (!this.isValidAddress(address)) {
+      throw new Error('Invalid Solana address');
+    }
+    if (!this.isValidCategory(category)) {
+      throw new Error(`Unknown exclusion category: ${category}`);
+    }
+    if (!reason || !reason.trim()) {
+      throw new Error('A reason is required');
+    }
+
+    const existing = this.entries.get(address);
+    if (existing && existing.source === 'builtin') {
+      throw new Error('Built-in exclusions cannot be changed');
+    }
+
+    const action = existing && existing.source === 'registry' ? 'update' : 'create';
+    let entry = { address, category, reason: reason.trim(), source: 'registry', updatedAt: new Date() };
+
+    if (this.useDatabase) {
+      const row = await ExclusionModel.upsert(address, category, entry.reason, actor);
+      entry = this.entryFromRow(row);
+    } else {
+      this.recordAudit(address, action, category, entry.reason, actor);
+    }
+
+    this.entries.set(address, entry);
+    logger.info(`Exclusion ${action}d for ${address} (${category}) by ${actor}: ${entry.reason}`);
+    return entry;
+  }
+
+  async remove(address, reason, actor) {
+    const existing = this.entries.get(address);
+    if (!existing) {
+      throw new Error('Address is not excluded');
+    }
+    if (existing.source !== 'registry') {
+      throw new Error(`${existing.source === 'env' ? 'BLACKLISTED_ADDRESSES' : 'Built-in'} exclusions cannot be removed here`);
+    }
+
+    if (this.useDatabase) {
+      await ExclusionModel.remove(address, reason || null, actor);
+    } else {
+      this.recordAudit(address, 'delete', existing.category, reason || null, actor);
+    }
+
+    this.entries.delete(address);
+    logger.info(`Exclusion removed for ${address} by ${actor}`);
+  }
+
+  recordAudit(address, action, category, reason, actor) {
+    this.auditLog.unshift({ address, action, category, reason, actor, createdAt: new Date() });
+    if (this.auditLog.length > 500) {
+      this.auditLog = this.auditLog.slice(0, 500);
+    }
+  }
+
+  async getAudit(limit = 100) {
+    if (this.useDatabase) {
+      const rows = await ExclusionModel.getAudit(limit);
+      return rows.map(row => ({
+        address: row.address,
+        action: row.action,
+        category: row.category,
+        reason: row.reason,
+        actor: row.actor,
+        createdAt: row.created_at
+      }));
+    }
+    return this.auditLog.slice(0, limit);
+  }
+}
+
+module.exports = new ExclusionRegistry();
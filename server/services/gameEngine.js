@@ -1,11 +1,25 @@
-const cron = require('node-cron');
 const solanaService = require('./solanaService');
 const holderTracker = require('./holderTracker');
 const payoutService = require('./payoutService');
 const pumpfunService = require('./pumpfunService');
+const potLedgerService = require('./potLedgerService');
+const spinTriggerService = require('./spinTriggerService');
 const logger = require('../utils/logger');
+const provablyFair = require('../utils/provablyFair');
+const holderSnapshot = require('../utils/holderSnapshot');
+const winnerCooldown = require('../utils/winnerCooldown');
+const prizeTiers = require('../utils/prizeTiers');
+const spinStates = require('../utils/spinStates');
+const payoutMemo = require('../utils/payoutMemo');
+const potPolicy = require('../utils/potPolicy');
+const jackpot = require('../utils/jackpot');
+const spinSchedule = require('../utils/spinSchedule');
 const db = require('../database/connection');
-const { GameModel, TransactionModel, GameStatsModel, SystemSettingsModel } = require('../database/models');
+const { GameModel, TransactionModel, GameStatsModel, SystemSettingsModel, GameProofModel, GameSnapshotModel, GameWinnerModel } = require('../database/models');
+
+// Longest single wait on the spin timer; longer waits re-arm
+const MAX_TIMER_MS = 6 * 60 * 60 * 1000;
+const COUNTDOWN_INTERVAL_MS = 60 * 1000;
 
 class GameEngine {
   constructor() {
@@ -13,31 +27,68 @@ class GameEngine {
     this.currentGame = null;
     this.gameHistory = [];
     this.io = null;
-    this.cronJob = null;
+    this.spinTimer = null;
+    this.countdownInterval = null;
     this.gameState = 'waiting'; // waiting, spinning, processing, completed
+    this.nextSpin = null; // { at, special }
     this.nextSpinTime = null;
     this.currentPot = 0;
-    this.spinInterval = parseInt(process.env.SPIN_INTERVAL_MINUTES) || 5;
-    this.potUpdateInterval = null;
-    this.POT_UPDATE_INTERVAL_MS = 10000; // 10 seconds
+    this.currentJackpot = 0;
     this.useDatabase = false;
 
-    // Pot growth configuration (will be loaded from DB)
-    this.POT_GROWTH_RATE = parseFloat(process.env.POT_GROWTH_RATE) || 0.05;
-    this.POT_BASE_AMOUNT = parseInt(process.env.POT_BASE_AMOUNT) || 10000000;
-    this.POT_MAX_GROWTH = parseInt(process.env.POT_MAX_GROWTH) || 1000000000;
+    // Regular spin times, blackouts and special spins (will be loaded from DB)
+    const schedule = spinSchedule.fromEnv(process.env);
+    this.schedule = spinSchedule.validate(schedule) === null ? schedule : { ...spinSchedule.DEFAULT_SCHEDULE };
+
+    // Commit-reveal: the winner is derived from a blockhash this many slots
+    // after the server seed hash is published
+    this.revealSlotOffset = parseInt(process.env.PROVABLY_FAIR_SLOT_OFFSET) || 10;
+    this.pendingServerSeed = null;
+
+    // Eligible holder snapshots by game id (in-memory fallback, trimmed with gameHistory)
+    this.holderSnapshots = new Map();
+    this.snapshotExclusions = new Map();
+
+    // Recent-winner cooldown rules (will be loaded from DB)
+    this.winnerRules = {
+      excludeLastGames: parseInt(process.env.WINNER_COOLDOWN_GAMES) || winnerCooldown.DEFAULT_RULES.excludeLastGames,
+      maxWinsPer24h: parseInt(process.env.MAX_WINS_PER_24H) || winnerCooldown.DEFAULT_RULES.maxWinsPer24h,
+      postWinOddsMultiplier: parseFloat(process.env.POST_WIN_ODDS_MULTIPLIER) || winnerCooldown.DEFAULT_RULES.postWinOddsMultiplier,
+      postWinPenaltyHours: parseFloat(process.env.POST_WIN_PENALTY_HOURS) || winnerCooldown.DEFAULT_RULES.postWinPenaltyHours
+    };
+
+    // Share of the winner payout per place, e.g. [60, 25, 15] (will be loaded from DB)
+    this.prizeTiers = prizeTiers.parse(process.env.PRIZE_TIERS);
+
+    // Progressive jackpot contribution and odds (will be loaded from DB)
+    const jackpotSettings = jackpot.fromEnv(process.env);
+    this.jackpotSettings = jackpot.validate(jackpotSettings) === null ? jackpotSettings : { ...jackpot.DEFAULT_SETTINGS };
+    this.lastJackpotWin = null;
   }
 
   async initialize(socketIo) {
     try {
       this.io = socketIo;
 
+      // The payout worker settles queued payouts in the background
+      payoutService.on('broadcast', job => this.recordPayoutSignature(job.gameId, job.transactionSignature));
+      payoutService.on('settled', job => this.handlePayoutSettled(job));
+
+      // The pot is whatever the ledger holds in the pot accounts
+      potLedgerService.on('changed', balances => this.handlePotChanged(balances));
+      this.currentPot = potLedgerService.getPot();
+      this.currentJackpot = potLedgerService.getJackpot();
+
+      // Milestone triggers spin outside the schedule
+      spinTriggerService.setSpinHandler(rule => this.triggerSpin(rule));
+
       // Try to connect to database
       this.useDatabase = await db.connect();
       if (this.useDatabase) {
         logger.info('Game engine using database storage');
         await this.loadSettingsFromDatabase();
         await this.loadGameStateFromDatabase();
+        await this.reconcileUnfinishedGames();
       } else {
         logger.info('Game engine using in-memory storage');
       }
@@ -48,10 +99,7 @@ class GameEngine {
       // Start the automated game cycle
       this.startGameCycle();
 
-      // Initialize pot tracking
-      await this.updatePotBalance();
-
-      // Start periodic pot updates
+      // Check the ledger against the wallets
       this.startPeriodicPotUpdates();
 
       logger.info('Game engine initialized successfully');
@@ -63,13 +111,31 @@ class GameEngine {
 
   async loadSettingsFromDatabase() {
     try {
-      // Load pot growth settings
-      this.POT_GROWTH_RATE = await SystemSettingsModel.get('pot_growth_rate') || this.POT_GROWTH_RATE;
-      this.POT_BASE_AMOUNT = await SystemSettingsModel.get('pot_base_amount') || this.POT_BASE_AMOUNT;
-      this.POT_MAX_GROWTH = await SystemSettingsModel.get('pot_max_growth') || this.POT_MAX_GROWTH;
+      // Load the spin schedule; until an admin saves one the SPIN_* env applies
+      const stored = await SystemSettingsModel.get('spin_schedule');
+      if (stored && spinSchedule.validate({ ...this.schedule, ...stored }) === null) {
+        this.schedule = { ...this.schedule, ...stored };
+      }
 
-      // Load game settings
-      this.spinInterval = await SystemSettingsModel.get('spin_interval_minutes') || this.spinInterval;
+      // Load recent-winner rules
+      const excludeLastGames = await SystemSettingsModel.get('winner_cooldown_games');
+      const maxWinsPer24h = await SystemSettingsModel.get('max_wins_per_24h');
+      const postWinOddsMultiplier = await SystemSettingsModel.get('post_win_odds_multiplier');
+      const postWinPenaltyHours = await SystemSettingsModel.get('post_win_penalty_hours');
+      if (excludeLastGames !== null) this.winnerRules.excludeLastGames = excludeLastGames;
+      if (maxWinsPer24h !== null) this.winnerRules.maxWinsPer24h = maxWinsPer24h;
+      if (postWinOddsMultiplier !== null) this.winnerRules.postWinOddsMultiplier = postWinOddsMultiplier;
+      if (postWinPenaltyHours !== null) this.winnerRules.postWinPenaltyHours = postWinPenaltyHours;
+
+      // Load prize tiers
+      const tiers = await SystemSettingsModel.get('prize_tiers');
+      if (tiers !== null && prizeTiers.validate(tiers) === null) this.prizeTiers = tiers;
+
+      // Load jackpot settings
+      const jackpotSettings = await SystemSettingsModel.get('jackpot_settings');
+      if (jackpotSettings !== null && jackpot.validate({ ...this.jackpotSettings, ...jackpotSettings }) === null) {
+        this.jackpotSettings = { ...this.jackpotSettings, ...jackpotSettings };
+      }
 
       logger.info('Settings loaded from database');
     } catch (error) {
@@ -79,201 +145,696 @@ class GameEngine {
 
   async loadGameStateFromDatabase() {
     try {
-      // Load current pot from game stats
-      const gameStats = await GameStatsModel.get();
-      if (gameStats && gameStats.current_pot) {
-        this.currentPot = gameStats.current_pot;
-        logger.info(`Loaded pot balance from database: ${this.currentPot} lamports`);
-      }
-
       // Load recent games
       this.gameHistory = await GameModel.getRecent(10);
       logger.info(`Loaded ${this.gameHistory.length} recent games from database`);
+
+      const jackpotRow = await GameModel.getLastJackpotWin();
+      if (jackpotRow) {
+        this.lastJackpotWin = {
+          gameId: jackpotRow.game_id,
+          winner: jackpotRow.winner_address,
+          amount: Number(jackpotRow.jackpot_payout),
+          wonAt: jackpotRow.end_time
+        };
+      }
     } catch (error) {
       logger.warn('Failed to load game state from database:', error.message);
     }
   }
 
+  // The next spin on the schedule, at least 10 seconds out so a spin that
+  // just ended can't run again straight away
   calculateNextSpinTime() {
-    const now = new Date();
-    const nextSpin = new Date(now);
-    nextSpin.setMinutes(Math.ceil(now.getMinutes() / this.spinInterval) * this.spinInterval, 0, 0);
-    
-    // If the calculated time is in the past or too close, add the interval
-    if (nextSpin.getTime() - now.getTime() < 10000) { // Less than 10 seconds
-      nextSpin.setMinutes(nextSpin.getMinutes() + this.spinInterval);
+    this.setNextSpin(spinSchedule.nextSpin(this.schedule, new Date(Date.now() + 10000)));
+  }
+
+  setNextSpin(next) {
+    this.nextSpin = next;
+    this.nextSpinTime = next ? next.at : null;
+
+    if (next) {
+      const label = next.special ? `Special spin "${next.special.label || next.special.id}"` : 'Next spin';
+      logger.info(`${label} scheduled for: ${next.at.toISOString()}`);
+    } else {
+      logger.warn('No spin fits the schedule within the next year');
     }
-    
-    this.nextSpinTime = nextSpin;
-    logger.info(`Next spin scheduled for: ${this.nextSpinTime.toISOString()}`);
+    this.armSpinTimer();
   }
 
-  startGameCycle() {
-    if (this.isRunning) {
+  // Fires exactly at the next spin time
+  armSpinTimer() {
+    clearTimeout(this.spinTimer);
+    this.spinTimer = null;
+    if (!this.isRunning || !this.nextSpinTime) {
       return;
     }
 
-    // Create cron job for every minute to check if it's time to spin
-    this.cronJob = cron.schedule('* * * * *', async () => {
+    const delay = Math.min(Math.max(this.nextSpinTime.getTime() - Date.now(), 0), MAX_TIMER_MS);
+    this.spinTimer = setTimeout(async () => {
+      this.spinTimer = null;
       try {
         await this.checkAndExecuteSpin();
       } catch (error) {
         logger.error('Error in game cycle:', error);
       }
-    });
+    }, delay);
+  }
+
+  startGameCycle() {
+    if (this.isRunning) {
+      return;
+    }
 
     this.isRunning = true;
-    logger.info(`Game cycle started with ${this.spinInterval} minute intervals`);
+    this.armSpinTimer();
+
+    // Keep connected clients' countdowns in step
+    this.countdownInterval = setInterval(() => this.emitCountdown(), COUNTDOWN_INTERVAL_MS);
+
+    logger.info(`Game cycle started: ${spinSchedule.describe(this.schedule)}`);
   }
 
   async checkAndExecuteSpin() {
     const now = new Date();
-    
+
     // Check if it's time for the next spin
-    if (now >= this.nextSpinTime && this.gameState === 'waiting') {
-      await this.executeSpin();
+    if (this.nextSpinTime && now >= this.nextSpinTime && this.gameState === 'waiting') {
+      if (this.nextSpin.special) {
+        await this.removeSpecialSpin(this.nextSpin.special.id);
+      }
+
+      if (potLedgerService.canSpin()) {
+        await this.executeSpin();
+      } else {
+        logger.warn(`Skipping spin: the pot (${this.currentPot} lamports) is below the ${potLedgerService.getPotPolicy().minPotLamports} lamport minimum`);
+        this.calculateNextSpinTime();
+      }
+    } else if (this.gameState === 'waiting') {
+      // Woke up from a capped wait
+      this.armSpinTimer();
     }
-    
-    // Emit countdown updates
+
+    this.emitCountdown();
+  }
+
+  emitCountdown() {
+    if (!this.io || this.gameState !== 'waiting' || !this.nextSpinTime) {
+      return;
+    }
+
+    this.io.emit('countdown', {
+      timeRemaining: Math.max(0, this.nextSpinTime.getTime() - Date.now()),
+      nextSpinTime: this.nextSpinTime,
+      gameState: this.gameState,
+      special: this.nextSpin.special
+    });
+  }
+
+  getSchedule() {
+    return {
+      ...this.schedule,
+      blackouts: [...this.schedule.blackouts],
+      specialSpins: [...this.schedule.specialSpins]
+    };
+  }
+
+  async setSchedule(updates) {
+    const next = { ...this.schedule };
+    for (const key of Object.keys(spinSchedule.DEFAULT_SCHEDULE)) {
+      if (updates[key] !== undefined) next[key] = updates[key];
+    }
+    // Special spins that already ran or were missed are dropped
+    next.specialSpins = next.specialSpins.filter(spin => new Date(spin.at) > new Date());
+
+    const error = spinSchedule.validate(next);
+    if (error) {
+      throw new Error(error);
+    }
+
+    this.schedule = next;
+
+    if (this.useDatabase) {
+      await SystemSettingsModel.set('spin_schedule', next, 'json');
+    }
+
+    logger.info(`Spin schedule updated: ${spinSchedule.describe(next)}`);
+
     if (this.gameState === 'waiting') {
-      const timeUntilSpin = Math.max(0, this.nextSpinTime.getTime() - now.getTime());
-      this.io.emit('countdown', {
-        timeRemaining: timeUntilSpin,
-        nextSpinTime: this.nextSpinTime,
-        gameState: this.gameState
-      });
+      this.calculateNextSpinTime();
+      this.emitCountdown();
     }
   }
 
-  async executeSpin() {
+  async addSpecialSpin(at, label) {
+    const spin = {
+      id: `special_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      at: new Date(at).toISOString(),
+      label: label || null
+    };
+    await this.setSchedule({ specialSpins: [...this.schedule.specialSpins, spin] });
+    return spin;
+  }
+
+  async removeSpecialSpin(id) {
+    await this.setSchedule({ specialSpins: this.schedule.specialSpins.filter(spin => spin.id !== id) });
+  }
+
+  // The next `count` spins for a schedule (the current one by default)
+  previewSchedule(schedule = this.schedule, count = 10) {
+    return spinSchedule.preview(schedule, new Date(), count);
+  }
+
+  // Resolves once the winners' payout is queued (true) or the spin has
+  // failed (false)
+  async executeSpin(trigger = null) {
+    let gameId = null;
+
     try {
       logger.info('Executing wheel spin...');
       this.gameState = 'spinning';
 
-      // Create new game instance
-      const gameId = this.generateGameId();
+      // Create new game instance; the row exists before anything else so a
+      // restart can always find and reconcile it
+      gameId = this.generateGameId();
+      // Above the pot cap, the rest stays for later spins
+      const potAmount = potLedgerService.getSpinPot();
+
       this.currentGame = {
         id: gameId,
         gameId: gameId,
         startTime: new Date(),
-        potAmount: this.currentPot,
-        eligibleHolders: holderTracker.getEligibleHolders().length,
+        potAmount,
+        eligibleHolders: 0,
+        weightingStrategy: null,
+        exclusions: [],
+        prizeTiers: [...this.prizeTiers],
+        jackpotSettings: { ...this.jackpotSettings },
+        jackpotContribution: 0,
+        jackpotPayout: 0,
+        trigger,
         winner: null,
+        winners: [],
         winnerPayout: 0,
         creatorPayout: 0,
         transactionSignature: null,
-        status: 'spinning'
+        status: spinStates.STATES.SNAPSHOTTING
       };
 
-      // Save game to database if available
       if (this.useDatabase) {
-        try {
-          await GameModel.create({
-            gameId: gameId,
-            potAmount: this.currentPot,
-            eligibleHoldersCount: this.currentGame.eligibleHolders,
-            status: 'spinning'
-          });
-        } catch (error) {
-          logger.warn('Failed to save game to database:', error.message);
-        }
+        await GameModel.create({
+          gameId: gameId,
+          potAmount,
+          status: spinStates.STATES.SNAPSHOTTING
+        });
       }
 
+      // Freeze the eligible holder list and their strategy weights, minus
+      // recent winners on cooldown; the winner is drawn from this snapshot only
+      holderTracker.refreshEligibility();
+      const { eligible, exclusions } = winnerCooldown.applyRules(
+        holderTracker.getWeightedEligibleHolders(),
+        await this.getRecentWinHistory(),
+        this.winnerRules
+      );
+      const snapshot = holderSnapshot.buildSnapshot(eligible);
+      const weighting = holderTracker.getWeightingConfig();
+
+      Object.assign(this.currentGame, {
+        eligibleHolders: snapshot.length,
+        weightingStrategy: weighting.strategy,
+        exclusions
+      });
+
+      await this.saveHolderSnapshot(gameId, snapshot, exclusions);
+
+      // Publish the server seed commitment before any entropy is known
+      const commitment = await this.commitSpin(gameId);
+
+      await this.transitionGame(spinStates.STATES.SPINNING, {
+        eligibleHoldersCount: snapshot.length
+      });
+
       // Emit spin start event
       this.io.emit('spinStart', {
         gameId: this.currentGame.id,
-        potAmount: this.currentPot,
+        potAmount,
         eligibleHolders: this.currentGame.eligibleHolders,
-        holderDistribution: holderTracker.getHolderDistribution()
+        holderDistribution: holderTracker.getHolderDistribution(),
+        weightingStrategy: weighting.strategy,
+        serverSeedHash: commitment ? commitment.serverSeedHash : null,
+        targetSlot: commitment ? commitment.targetSlot : null,
+        trigger
       });
 
       // Simulate wheel spin duration (3-5 seconds)
       const spinDuration = 3000 + Math.random() * 2000;
 
-      // Select winner using fair randomization
-      const winner = await this.selectWinner();
+      // Select one winner per prize tier using fair randomization
+      const winners = await this.selectWinners(snapshot);
 
-      if (!winner) {
+      if (winners.length === 0) {
         logger.warn('No eligible holders found for spin');
+        this.pendingServerSeed = null;
+        await this.transitionGame(spinStates.STATES.FAILED, {
+          statusReason: 'No eligible holders',
+          endTime: new Date()
+        });
+        await potLedgerService.releaseForNoHolders(gameId);
         this.gameState = 'waiting';
         this.calculateNextSpinTime();
-        return;
+
+        const { noHoldersRetryMinutes } = potLedgerService.getPotPolicy();
+        if (noHoldersRetryMinutes > 0) {
+          this.setNextSpin({ at: new Date(Date.now() + noHoldersRetryMinutes * 60 * 1000), special: null });
+        }
+        return false;
       }
 
-      this.currentGame.winner = winner;
-      this.currentGame.status = 'winner_selected';
+      await this.applyJackpot();
+      this.assignPrizes(winners);
+      this.currentGame.winners = winners;
+      this.currentGame.winner = winners[0];
 
-      // Update game in database
+      // Places go in first so a restart from winner_selected can rebuild
+      // the payouts; place 1 also stays on the games row
       if (this.useDatabase) {
-        try {
-          await GameModel.update(gameId, {
-            winnerAddress: winner.address,
-            status: 'winner_selected'
-          });
-        } catch (error) {
-          logger.warn('Failed to update game winner in database:', error.message);
-        }
+        await GameWinnerModel.createMany(gameId, winners);
       }
+      await this.transitionGame(spinStates.STATES.WINNER_SELECTED, {
+        winnerAddress: winners[0].address,
+        winnerPayout: this.currentGame.winnerPayout,
+        creatorPayout: this.currentGame.creatorPayout,
+        jackpotPayout: this.currentGame.jackpotPayout
+      });
 
-      // Wait for spin animation to complete
-      setTimeout(async () => {
-        try {
-          await this.processWinnerPayout();
-        } catch (error) {
-          logger.error('Failed to process winner payout:', error);
-          this.gameState = 'waiting';
-          this.calculateNextSpinTime();
-        }
-      }, spinDuration);
+      // Wait for spin animation to complete; if the process dies first the
+      // game is resumed from winner_selected on the next boot
+      await new Promise(resolve => setTimeout(resolve, spinDuration));
+      return await this.processWinnerPayout();
 
     } catch (error) {
       logger.error('Failed to execute spin:', error);
+      if (this.currentGame && this.currentGame.id === gameId) {
+        this.pendingServerSeed = null;
+        await this.failGame(error.message);
+      }
       this.gameState = 'waiting';
       this.calculateNextSpinTime();
+      return false;
+    }
+  }
+
+  // Advances a game's state machine (the current game by default) and writes
+  // the step to the games table. A write failure throws: a payout must never
+  // start unless its state is on disk.
+  async transitionGame(status, data = {}, game = this.currentGame) {
+    spinStates.assertTransition(game.status, status);
+
+    if (this.useDatabase) {
+      await GameModel.transition(game.id, status, data);
+    }
+
+    game.status = status;
+    game.statusReason = data.statusReason || null;
+    logger.info(`Game ${game.id} -> ${status}${data.statusReason ? ` (${data.statusReason})` : ''}`);
+  }
+
+  // Best-effort move of the current game to `failed` from an error path
+  async failGame(reason) {
+    const game = this.currentGame;
+    if (!game || !spinStates.canTransition(game.status, spinStates.STATES.FAILED)) {
+      return;
+    }
+    game.error = reason;
+
+    try {
+      await this.transitionGame(spinStates.STATES.FAILED, { statusReason: reason, endTime: new Date() });
+      await potLedgerService.rollOver(game.id, reason);
+    } catch (error) {
+      logger.error(`Failed to mark game ${game.id} as failed:`, error);
+    }
+  }
+
+  // Called by the payout worker once a game's payout transaction is broadcast
+  async recordPayoutSignature(gameId, signature) {
+    if (this.currentGame && this.currentGame.id === gameId) {
+      this.currentGame.transactionSignature = signature;
+    }
+
+    if (this.useDatabase) {
+      try {
+        await GameModel.update(gameId, { transactionSignature: signature });
+      } catch (error) {
+        logger.warn(`Failed to record payout signature for game ${gameId}:`, error.message);
+      }
     }
   }
 
-  async selectWinner() {
+  // Settles games a previous process left mid-spin. Spins interrupted before
+  // the draw are failed (the server seed only lived in memory and no funds
+  // moved), drawn games resume their payout, and payouts in flight are left
+  // to the payout queue or checked on-chain.
+  async reconcileUnfinishedGames() {
+    try {
+      const games = await GameModel.findByStatuses(spinStates.UNFINISHED_STATES);
+      const toResume = [];
+      const queued = [];
+
+      for (const row of games) {
+        const gameId = row.game_id;
+
+        if (row.status === spinStates.STATES.SNAPSHOTTING || row.status === spinStates.STATES.SPINNING) {
+          await GameModel.transition(gameId, spinStates.STATES.FAILED, {
+            statusReason: 'Interrupted by a restart before the winner was drawn',
+            endTime: new Date()
+          });
+        } else if (row.status === spinStates.STATES.WINNER_SELECTED) {
+          const game = await this.restoreGame(row);
+          if (game.winners.length > 0) {
+            toResume.push(game);
+            continue;
+          }
+          await GameModel.transition(gameId, spinStates.STATES.NEEDS_REVIEW, {
+            statusReason: 'Restarted after the draw but no winners were recorded'
+          });
+        } else {
+          const game = await this.reconcilePayingGame(row);
+          if (game) {
+            queued.push(game);
+          }
+        }
+
+        logger.warn(`Reconciled unfinished game ${gameId} (was ${row.status})`);
+      }
+
+      if (queued.length > 0) {
+        // The last queued game owns the cycle until its payout settles
+        this.currentGame = queued[queued.length - 1];
+        this.gameState = 'processing';
+      }
+
+      if (toResume.length > 0) {
+        // Keep the timer from starting a new spin until the owed payouts are out
+        this.gameState = 'processing';
+        this.resumePayouts(toResume);
+      }
+    } catch (error) {
+      logger.error('Failed to reconcile unfinished games:', error);
+    }
+  }
+
+  async resumePayouts(games) {
+    for (const game of games) {
+      logger.warn(`Resuming payout for game ${game.id} after restart`);
+      this.currentGame = game;
+      this.gameState = 'processing';
+      await this.processWinnerPayout();
+    }
+  }
+
+  // Returns the game when its payout is still queued, so the caller can hold
+  // the cycle until the worker settles it
+  async reconcilePayingGame(row) {
+    const gameId = row.game_id;
+    const signature = row.transaction_signature;
+    const job = await payoutService.getPayoutForGame(gameId);
+
+    if (job) {
+      if (payoutService.isOpenJob(job)) {
+        return this.restoreGame(row);
+      }
+      await this.handlePayoutSettled(job);
+      return null;
+    }
+
+    if (!signature) {
+      // Nothing was broadcast, and the memo check stops a double send if it was
+      const game = await this.restoreGame(row);
+      if (game.winners.length === 0) {
+        await GameModel.transition(gameId, spinStates.STATES.NEEDS_REVIEW, {
+          statusReason: 'Restarted mid-payout but no winners were recorded'
+        });
+        return null;
+      }
+      await this.enqueueGamePayout(game);
+      return game;
+    }
+
+    const simulated = signature.startsWith('simulated_');
+    const outcome = simulated ? { status: 'confirmed' } : await this.checkPayoutSignature(signature);
+
+    if (outcome.status === 'confirmed') {
+      await GameModel.transition(gameId, spinStates.STATES.COMPLETED, {
+        statusReason: simulated ? 'Simulated payout recorded before restart' : 'Payout confirmed on-chain after restart',
+        endTime: new Date()
+      });
+      await GameWinnerModel.setTransactionSignature(gameId, signature);
+      await potLedgerService.settlePayout(await this.restoreGame(row), signature);
+    } else if (outcome.status === 'failed') {
+      await GameModel.transition(gameId, spinStates.STATES.FAILED, {
+        statusReason: `Payout ${signature} failed on-chain: ${outcome.error}`,
+        endTime: new Date()
+      });
+      await potLedgerService.rollOver(gameId, `Payout ${signature} failed on-chain`);
+    } else {
+      await GameModel.transition(gameId, spinStates.STATES.NEEDS_REVIEW, {
+        statusReason: `Payout ${signature} ${outcome.error}`
+      });
+    }
+  }
+
+  // Looks up a payout signature on-chain: confirmed, failed or unknown
+  async checkPayoutSignature(signature) {
+    if (!solanaService.isReady()) {
+      return { status: 'unknown', error: 'could not be checked (Solana connection unavailable)' };
+    }
+
+    try {
+      const { value } = await solanaService.getConnection().getSignatureStatus(signature, {
+        searchTransactionHistory: true
+      });
+
+      if (!value) {
+        return { status: 'unknown', error: 'not found on-chain' };
+      }
+      if (value.err) {
+        return { status: 'failed', error: JSON.stringify(value.err) };
+      }
+      if (value.confirmationStatus === 'confirmed' || value.confirmationStatus === 'finalized') {
+        return { status: 'confirmed' };
+      }
+      return { status: 'unknown', error: `only ${value.confirmationStatus || 'processed'}` };
+    } catch (error) {
+      return { status: 'unknown', error: `could not be checked (${error.message})` };
+    }
+  }
+
+  // Rebuilds an in-memory game from its games row and recorded places
+  async restoreGame(row) {
+    const winnerRows = await GameWinnerModel.getByGameId(row.game_id);
+    let winners = winnerRows.map(winnerRow => ({
+      place: winnerRow.place,
+      address: winnerRow.winner_address,
+      prizePercentage: Number(winnerRow.prize_percentage),
+      payout: Number(winnerRow.payout_amount)
+    }));
+
+    // Games from before multi-winner spins only have place 1 on the row
+    if (winners.length === 0 && row.winner_address) {
+      winners = [{ place: 1, address: row.winner_address, prizePercentage: 100, payout: Number(row.winner_payout) }];
+    }
+
+    return {
+      id: row.game_id,
+      gameId: row.game_id,
+      startTime: row.start_time,
+      potAmount: Number(row.pot_amount),
+      eligibleHolders: row.eligible_holders_count,
+      prizeTiers: winners.map(winner => winner.prizePercentage),
+      winner: winners[0] || null,
+      winners,
+      winnerPayout: Number(row.winner_payout),
+      creatorPayout: Number(row.creator_payout),
+      jackpotPayout: Number(row.jackpot_payout) || 0,
+      transactionSignature: row.transaction_signature,
+      status: row.status,
+      statusReason: row.status_reason
+    };
+  }
+
+  async getGamesForReview() {
+    if (!this.useDatabase) {
+      return [];
+    }
+
+    const rows = await GameModel.findByStatuses([spinStates.STATES.NEEDS_REVIEW]);
+    return rows.map(row => ({
+      gameId: row.game_id,
+      startTime: row.start_time,
+      potAmount: Number(row.pot_amount),
+      winnerAddress: row.winner_address,
+      winnerPayout: Number(row.winner_payout),
+      creatorPayout: Number(row.creator_payout),
+      transactionSignature: row.transaction_signature,
+      statusReason: row.status_reason,
+      stateHistory: row.state_history || []
+    }));
+  }
+
+  /**
+   * Admin resolution of a game in needs_review.
+   * @param {string} gameId
+   * @param {string} action - complete (payout landed), fail (nothing was paid) or retry (pay again)
+   * @param {Object} options - { signature } for complete, { reason } for fail
+   * @returns {Promise<string>} the status the game moved to
+   */
+  async resolveReviewedGame(gameId, action, options = {}) {
+    const row = this.useDatabase ? await GameModel.findByGameId(gameId) : null;
+    if (!row || row.status !== spinStates.STATES.NEEDS_REVIEW) {
+      throw new Error(`Game ${gameId} is not awaiting review`);
+    }
+
+    if (action === 'complete') {
+      const signature = options.signature || row.transaction_signature;
+      if (!signature) {
+        throw new Error('A payout signature is required to complete a game');
+      }
+      await GameModel.transition(gameId, spinStates.STATES.COMPLETED, {
+        statusReason: 'Completed by admin',
+        transactionSignature: signature,
+        endTime: new Date()
+      });
+      await GameWinnerModel.setTransactionSignature(gameId, signature);
+      await potLedgerService.settlePayout(await this.restoreGame(row), signature);
+    } else if (action === 'fail') {
+      // A signed (durable nonce) or exported payout can still land after it
+      // ran out of attempts; void it before the pot gets the amount back
+      const job = await payoutService.getPayoutForGame(gameId);
+      if (job && ['completed', 'simulated'].includes(job.status)) {
+        throw new Error(`Payout ${job.id} for game ${gameId} was sent; mark the game paid instead`);
+      }
+      if (job && (payoutService.isOpenJob(job) || job.signedTransaction || job.multisigProposal)) {
+        const cancelled = await payoutService.cancelPayout(job.id);
+        if (cancelled.status === 'completed') {
+          // Settling the job has completed the game
+          logger.warn(`Payout ${job.id} for game ${gameId} had landed; not failing the game`);
+          return spinStates.STATES.COMPLETED;
+        }
+      }
+
+      await GameModel.transition(gameId, spinStates.STATES.FAILED, {
+        statusReason: options.reason || 'Failed by admin',
+        endTime: new Date()
+      });
+      await potLedgerService.rollOver(gameId, options.reason || 'Failed by admin');
+    } else if (action === 'retry') {
+      const job = await payoutService.getPayoutForGame(gameId);
+      if (job && job.status !== 'failed') {
+        throw new Error(`Payout ${job.id} for game ${gameId} is ${job.status}; mark the game paid instead`);
+      }
+      const game = await this.restoreGame(row);
+      if (game.winners.length === 0) {
+        throw new Error(`Game ${gameId} has no recorded winners to pay`);
+      }
+
+      await GameModel.transition(gameId, spinStates.STATES.PAYING, { statusReason: 'Payout retried by admin' });
+      if (job) {
+        await payoutService.retryFailedPayout(job.id);
+      } else {
+        await this.enqueueGamePayout(game);
+      }
+    }
+
+    logger.info(`Admin resolved game ${gameId} under review: ${action}`);
+    return {
+      complete: spinStates.STATES.COMPLETED,
+      fail: spinStates.STATES.FAILED,
+      retry: spinStates.STATES.PAYING
+    }[action];
+  }
+
+  // Draws one winner per prize tier (without replacement), in place order
+  async selectWinners(snapshot) {
     try {
       // Check for test winner wallet override
       const testWinnerWallet = process.env.TEST_WINNER_WALLET;
       if (testWinnerWallet) {
         logger.info(`TEST MODE: Forcing winner to ${testWinnerWallet}`);
         // Return a mock holder object for testing
-        return {
+        return [{
+          place: 1,
           address: testWinnerWallet,
-          balance: 1000000, // Mock balance for testing
+          balance: '1000000', // Mock balance for testing
           percentage: 1.0
-        };
+        }];
       }
 
-      // Get current blockhash for randomness
-      const blockhash = await solanaService.getRecentBlockhash();
-
-      // Use blockhash as entropy source
-      const entropy = this.hashToNumber(blockhash);
-
-      // Get eligible holders
-      const eligibleHolders = holderTracker.getEligibleHolders();
+      const proof = this.currentGame && this.currentGame.proof;
+      if (!proof || !this.pendingServerSeed) {
+        throw new Error('Spin has no published server seed commitment');
+      }
 
-      if (eligibleHolders.length === 0) {
-        return null;
+      if (snapshot.length === 0) {
+        return [];
       }
 
-      // Weighted random selection based on token balance
-      const totalWeight = eligibleHolders.reduce((sum, holder) => sum + holder.balance, 0);
-      let randomValue = (entropy % totalWeight);
+      // Wait for the committed slot, then take its blockhash as public entropy
+      await solanaService.waitForSlot(proof.targetSlot);
+      const { slot: blockSlot, blockhash } = await solanaService.getBlockhashForSlot(proof.targetSlot);
 
-      for (const holder of eligibleHolders) {
-        randomValue -= holder.balance;
-        if (randomValue <= 0) {
-          logger.info(`Winner selected: ${holder.address} with balance ${holder.balance}`);
-          return holder;
-        }
+      // Weighted selection over the address-ordered holder snapshot
+      const orderedHolders = provablyFair.orderHolders(snapshot);
+      const serverSeed = this.pendingServerSeed;
+      const draws = provablyFair.selectWinnerIndices(
+        serverSeed, blockhash, proof.gameId, orderedHolders, this.currentGame.prizeTiers.length
+      );
+      const { index, totalWeight, randomValue } = draws[0];
+      const winnerAddress = draws[0].address;
+
+      Object.assign(proof, {
+        serverSeed,
+        blockSlot,
+        blockhash,
+        holders: orderedHolders,
+        totalWeight: totalWeight.toString(),
+        randomValue: randomValue.toString(),
+        winnerIndex: index,
+        winnerAddress,
+        winners: draws.map(draw => ({
+          place: draw.place,
+          index: draw.index,
+          address: draw.address,
+          randomValue: draw.randomValue.toString(),
+          round: draw.round
+        })),
+        jackpot: this.rollJackpot(serverSeed, blockhash, proof.gameId),
+        revealedAt: new Date(),
+        revealed: true
+      });
+      this.pendingServerSeed = null;
+
+      // The reveal must be on disk before anyone is paid, or the published
+      // proof can't be checked; a failed write fails the spin
+      if (this.useDatabase) {
+        await GameProofModel.reveal(proof.gameId, proof);
       }
 
-      // Fallback to first holder if something goes wrong
-      return eligibleHolders[0];
+      const entries = new Map(snapshot.map(entry => [entry.address, entry]));
+      const winners = draws.map(draw => {
+        const entry = entries.get(draw.address);
+        return {
+          place: draw.place,
+          address: entry.address,
+          balance: entry.balance,
+          percentage: entry.percentage,
+          weight: entry.weight
+        };
+      });
+      winners.forEach((winner, i) => {
+        logger.info(`Winner #${winner.place} selected: ${winner.address} with balance ${winner.balance} (index ${draws[i].index}, blockhash ${blockhash} @ slot ${blockSlot})`);
+      });
+      return winners;
 
     } catch (error) {
       logger.error('Failed to select winner:', error);
@@ -281,30 +842,334 @@ class GameEngine {
     }
   }
 
-  hashToNumber(hash) {
-    // Convert blockhash to a large number for randomness
-    let num = 0;
-    for (let i = 0; i < Math.min(hash.length, 16); i++) {
-      num = num * 256 + hash.charCodeAt(i);
+  // The spin's jackpot roll for its proof, or null while the jackpot is off
+  rollJackpot(serverSeed, blockhash, gameId) {
+    const settings = this.currentGame.jackpotSettings;
+    if (!jackpot.isEnabled(settings)) {
+      return null;
+    }
+
+    const { oneIn } = settings;
+    const { roll, hit } = provablyFair.rollJackpot(serverSeed, blockhash, gameId, oneIn);
+    return { oneIn, roll: roll.toString(), hit };
+  }
+
+  // Sets the spin's contribution aside and, when its roll hit, awards the
+  // whole jackpot to first place. Spins without a revealed roll skip it.
+  async applyJackpot() {
+    const game = this.currentGame;
+    const roll = game.proof && game.proof.jackpot;
+    if (!roll) {
+      return;
+    }
+
+    game.jackpotContribution = jackpot.contribution(game.potAmount, game.jackpotSettings);
+    await potLedgerService.contributeToJackpot(game.id, game.jackpotContribution);
+
+    if (roll.hit) {
+      game.jackpotPayout = potLedgerService.getJackpot();
+      logger.info(`Game ${game.id} hit the jackpot (1 in ${roll.oneIn}): ${game.jackpotPayout} lamports`);
+    }
+  }
+
+  async saveHolderSnapshot(gameId, snapshot, exclusions = []) {
+    this.holderSnapshots.set(gameId, snapshot);
+    this.snapshotExclusions.set(gameId, exclusions);
+
+    // Keep the in-memory copies in step with the 50-game history window
+    while (this.holderSnapshots.size > 50) {
+      const oldest = this.holderSnapshots.keys().next().value;
+      this.holderSnapshots.delete(oldest);
+      this.snapshotExclusions.delete(oldest);
+    }
+
+    // A spin without its stored snapshot can't be verified; let it fail
+    if (this.useDatabase) {
+      await GameSnapshotModel.createMany(gameId, snapshot);
+      await GameSnapshotModel.createExclusions(gameId, exclusions);
+    }
+  }
+
+  async getSnapshotExclusions(gameId) {
+    if (this.snapshotExclusions.has(gameId)) {
+      return this.snapshotExclusions.get(gameId);
     }
-    return Math.abs(num);
+
+    if (this.useDatabase) {
+      return GameSnapshotModel.getExclusionsByGameId(gameId);
+    }
+
+    return [];
+  }
+
+  // Past winners, newest first, from the games table when available. The
+  // in-memory history only covers the last 50 games and is a fallback.
+  async getRecentWinHistory() {
+    const maxHours = Math.max(24, this.winnerRules.postWinPenaltyHours);
+    const since = new Date(Date.now() - maxHours * 60 * 60 * 1000);
+
+    if (this.useDatabase) {
+      try {
+        const rows = await GameModel.getRecentWinners(this.winnerRules.excludeLastGames, since);
+        return rows.map(row => ({
+          gameId: row.game_id,
+          address: row.winner_address,
+          wonAt: row.won_at
+        }));
+      } catch (error) {
+        logger.warn('Failed to load winner history from database, using in-memory history:', error.message);
+      }
+    }
+
+    return this.gameHistory
+      .flatMap(game => {
+        const gameId = game.game_id || game.gameId || game.id;
+        const wonAt = game.end_time || game.endTime || game.start_time || game.startTime;
+        const addresses = game.winners && game.winners.length > 0
+          ? game.winners.map(winner => winner.address)
+          : [game.winner_address || (game.winner && game.winner.address)];
+        return addresses.map(address => ({ gameId, address, wonAt }));
+      })
+      .filter(win => win.address);
+  }
+
+  getWinnerRules() {
+    return { ...this.winnerRules };
+  }
+
+  async setWinnerRules(rules) {
+    const next = { ...this.winnerRules };
+    if (rules.excludeLastGames !== undefined) next.excludeLastGames = parseInt(rules.excludeLastGames);
+    if (rules.maxWinsPer24h !== undefined) next.maxWinsPer24h = parseInt(rules.maxWinsPer24h);
+    if (rules.postWinOddsMultiplier !== undefined) next.postWinOddsMultiplier = parseFloat(rules.postWinOddsMultiplier);
+    if (rules.postWinPenaltyHours !== undefined) next.postWinPenaltyHours = parseFloat(rules.postWinPenaltyHours);
+
+    if (!(next.excludeLastGames >= 0) || !(next.maxWinsPer24h >= 0)) {
+      throw new Error('Winner cooldown and win cap must be zero or more');
+    }
+    if (!(next.postWinOddsMultiplier > 0 && next.postWinOddsMultiplier <= 1)) {
+      throw new Error('Post-win odds multiplier must be greater than 0 and at most 1');
+    }
+    if (!(next.postWinPenaltyHours >= 0)) {
+      throw new Error('Post-win penalty window must be zero or more hours');
+    }
+
+    this.winnerRules = next;
+
+    if (this.useDatabase) {
+      await SystemSettingsModel.set('winner_cooldown_games', next.excludeLastGames, 'number');
+      await SystemSettingsModel.set('max_wins_per_24h', next.maxWinsPer24h, 'number');
+      await SystemSettingsModel.set('post_win_odds_multiplier', next.postWinOddsMultiplier, 'number');
+      await SystemSettingsModel.set('post_win_penalty_hours', next.postWinPenaltyHours, 'number');
+    }
+
+    logger.info('Winner rules updated:', next);
+  }
+
+  // Sets `prizePercentage` and `payout` (lamports) on each winner and the
+  // game's total winner and creator payouts. The jackpot contribution is
+  // split off first; a jackpot win goes to first place on top of its prize.
+  assignPrizes(winners) {
+    const winnerPercentage = parseFloat(process.env.WINNER_PAYOUT_PERCENTAGE) || 50;
+    const creatorPercentage = parseFloat(process.env.CREATOR_PAYOUT_PERCENTAGE) || 50;
+    const { prizeTiers: tiers, jackpotContribution = 0, jackpotPayout = 0 } = this.currentGame;
+    const prizePot = this.currentGame.potAmount - jackpotContribution;
+
+    const winnerPool = Math.floor(prizePot * (winnerPercentage / 100));
+    const amounts = prizeTiers.split(winnerPool, tiers, winners.length);
+
+    winners.forEach((winner, i) => {
+      winner.prizePercentage = tiers[i];
+      winner.payout = amounts[i];
+    });
+    winners[0].payout += jackpotPayout;
+
+    this.currentGame.winnerPayout = amounts.reduce((sum, amount) => sum + amount, 0) + jackpotPayout;
+    this.currentGame.creatorPayout = Math.floor(prizePot * (creatorPercentage / 100));
+  }
+
+  getPrizeTiers() {
+    return [...this.prizeTiers];
   }
 
+  async setPrizeTiers(tiers) {
+    const error = prizeTiers.validate(tiers);
+    if (error) {
+      throw new Error(error);
+    }
+
+    this.prizeTiers = [...tiers];
+
+    if (this.useDatabase) {
+      await SystemSettingsModel.set('prize_tiers', this.prizeTiers, 'json');
+    }
+
+    logger.info('Prize tiers updated:', this.prizeTiers);
+  }
+
+  getJackpotSettings() {
+    return { ...this.jackpotSettings };
+  }
+
+  async setJackpotSettings(updates) {
+    const next = { ...this.jackpotSettings };
+    if (updates.contributionPercentage !== undefined) next.contributionPercentage = updates.contributionPercentage;
+    if (updates.oneIn !== undefined) next.oneIn = updates.oneIn;
+
+    const error = jackpot.validate(next);
+    if (error) {
+      throw new Error(error);
+    }
+
+    this.jackpotSettings = next;
+
+    if (this.useDatabase) {
+      await SystemSettingsModel.set('jackpot_settings', next, 'json');
+    }
+
+    logger.info('Jackpot settings updated:', next);
+    this.emitJackpotUpdate();
+  }
+
+  getJackpotState() {
+    return {
+      amount: potLedgerService.getJackpot(),
+      enabled: jackpot.isEnabled(this.jackpotSettings),
+      contributionPercentage: this.jackpotSettings.contributionPercentage,
+      oneIn: this.jackpotSettings.oneIn,
+      lastWin: this.lastJackpotWin
+    };
+  }
+
+  emitJackpotUpdate() {
+    if (this.io) {
+      this.io.emit('jackpotUpdate', this.getJackpotState());
+    }
+  }
+
+  async getHolderSnapshot(gameId) {
+    if (this.holderSnapshots.has(gameId)) {
+      return this.holderSnapshots.get(gameId);
+    }
+
+    if (this.useDatabase) {
+      const snapshot = await GameSnapshotModel.getByGameId(gameId);
+      return snapshot.length > 0 ? snapshot : null;
+    }
+
+    return null;
+  }
+
+  async commitSpin(gameId) {
+    // Forced test winners skip the commit-reveal entirely
+    if (process.env.TEST_WINNER_WALLET) {
+      return null;
+    }
+
+    const serverSeed = provablyFair.generateServerSeed();
+    const commitSlot = await solanaService.getSlot();
+    const commitment = {
+      gameId,
+      serverSeedHash: provablyFair.hashServerSeed(serverSeed),
+      commitSlot,
+      targetSlot: commitSlot + this.revealSlotOffset,
+      committedAt: new Date(),
+      revealed: false
+    };
+
+    this.pendingServerSeed = serverSeed;
+    this.currentGame.proof = commitment;
+
+    // An unrecorded commitment can't be revealed later; let the spin fail
+    if (this.useDatabase) {
+      await GameProofModel.commit(commitment);
+    }
+
+    logger.info(`Game ${gameId} committed to seed hash ${commitment.serverSeedHash}, target slot ${commitment.targetSlot}`);
+    return commitment;
+  }
+
+  async getGameWinners(gameId) {
+    const game = [this.currentGame, ...this.gameHistory].find(g => g && g.id === gameId);
+    if (game && game.winners && game.winners.length > 0) {
+      return game.winners.map(winner => ({
+        place: winner.place,
+        address: winner.address,
+        prizePercentage: winner.prizePercentage,
+        payout: winner.payout,
+        transactionSignature: game.transactionSignature
+      }));
+    }
+
+    if (this.useDatabase) {
+      const rows = await GameWinnerModel.getByGameId(gameId);
+      if (rows.length > 0) {
+        return rows.map(row => ({
+          place: row.place,
+          address: row.winner_address,
+          prizePercentage: Number(row.prize_percentage),
+          payout: Number(row.payout_amount),
+          transactionSignature: row.transaction_signature
+        }));
+      }
+    }
+
+    return null;
+  }
+
+  async getGameProof(gameId) {
+    if (this.useDatabase) {
+      const row = await GameProofModel.findByGameId(gameId);
+      return row ? this.formatProofRecord(row) : null;
+    }
+
+    const game = [this.currentGame, ...this.gameHistory].find(g => g && g.id === gameId);
+    return game && game.proof ? this.formatProofRecord(game.proof) : null;
+  }
+
+  // Normalizes a proof from either a database row or the in-memory game
+  // object; the server seed is only ever included once revealed
+  formatProofRecord(record) {
+    const revealed = Boolean(record.server_seed || record.serverSeed);
+    const proof = {
+      gameId: record.game_id || record.gameId,
+      serverSeedHash: record.server_seed_hash || record.serverSeedHash,
+      commitSlot: Number(record.commit_slot || record.commitSlot),
+      targetSlot: Number(record.target_slot || record.targetSlot),
+      committedAt: record.committed_at || record.committedAt,
+      revealed,
+      algorithm: 'sha256(serverSeed:blockhash:gameId[:round]) mod totalWeight with rejection sampling, holders ordered by address; place N > 1 hashes serverSeed:blockhash:gameId:placeN:round over the holders not yet drawn; the jackpot hits when sha256(serverSeed:blockhash:gameId:jackpot) mod oneIn is 0'
+    };
+
+    if (!revealed) {
+      return proof;
+    }
+
+    return {
+      ...proof,
+      serverSeed: record.server_seed || record.serverSeed,
+      blockSlot: Number(record.block_slot || record.blockSlot),
+      blockhash: record.blockhash,
+      holders: record.holders,
+      totalWeight: String(record.total_weight || record.totalWeight),
+      randomValue: String(record.random_value || record.randomValue),
+      winnerIndex: record.winner_index !== undefined ? record.winner_index : record.winnerIndex,
+      winnerAddress: record.winner_address || record.winnerAddress,
+      winners: record.winners && record.winners.length > 0 ? record.winners : null,
+      jackpot: record.jackpot || null,
+      revealedAt: record.revealed_at || record.revealedAt
+    };
+  }
+
+  // True once the payout is queued
   async processWinnerPayout() {
     try {
       this.gameState = 'processing';
-      
-      const winnerPercentage = parseFloat(process.env.WINNER_PAYOUT_PERCENTAGE) || 50;
-      const creatorPercentage = parseFloat(process.env.CREATOR_PAYOUT_PERCENTAGE) || 50;
-      
-      const winnerPayout = Math.floor(this.currentPot * (winnerPercentage / 100));
-      const creatorPayout = Math.floor(this.currentPot * (creatorPercentage / 100));
-      
-      this.currentGame.winnerPayout = winnerPayout;
-      this.currentGame.creatorPayout = creatorPayout;
-      this.currentGame.status = 'processing_payout';
-
-      // Emit winner announcement
+
+      // Payouts were fixed when the winners were drawn
+      const { winners, winnerPayout, creatorPayout } = this.currentGame;
+
+      // Emit winner announcement; `winner` is first place, `winners` every place
       this.io.emit('winnerSelected', {
         gameId: this.currentGame.id,
         winner: {
@@ -312,133 +1177,240 @@ class GameEngine {
           balance: this.currentGame.winner.balance,
           percentage: this.currentGame.winner.percentage
         },
+        winners: winners.map(winner => ({
+          place: winner.place,
+          address: winner.address,
+          balance: winner.balance,
+          percentage: winner.percentage,
+          prizePercentage: winner.prizePercentage,
+          payout: winner.payout
+        })),
         winnerPayout: winnerPayout,
         creatorPayout: creatorPayout,
-        potAmount: this.currentPot
+        jackpotPayout: this.currentGame.jackpotPayout,
+        potAmount: this.currentGame.potAmount
       });
 
-      // Process the payout (real or simulated based on wallet configuration)
-      const transactionSignature = await payoutService.processWinnerPayout(
-        this.currentGame.winner.address,
-        winnerPayout,
-        creatorPayout
-      );
+      if (this.currentGame.jackpotPayout > 0) {
+        this.io.emit('jackpotWon', {
+          gameId: this.currentGame.id,
+          winner: this.currentGame.winner.address,
+          amount: this.currentGame.jackpotPayout,
+          oneIn: this.currentGame.proof.jackpot.oneIn
+        });
+      }
 
-      this.currentGame.transactionSignature = transactionSignature;
-      this.currentGame.status = 'completed';
-      this.currentGame.endTime = new Date();
+      await this.transitionGame(spinStates.STATES.PAYING);
 
-      // Save transaction to database
-      if (this.useDatabase) {
-        try {
-          await TransactionModel.create({
-            type: 'payout',
-            amount: winnerPayout,
-            fromAddress: process.env.FEE_COLLECTION_WALLET,
-            toAddress: this.currentGame.winner.address,
-            signature: transactionSignature,
-            gameId: this.currentGame.id
-          });
+      // The payout worker sends it and reports back through handlePayoutSettled
+      await this.enqueueGamePayout(this.currentGame);
+      return true;
+    } catch (error) {
+      logger.error('Failed to queue winner payout:', error);
+      await this.failGame(error.message);
+
+      this.io.emit('payoutFailed', {
+        gameId: this.currentGame.id,
+        error: error.message
+      });
+
+      this.gameState = 'waiting';
+      this.calculateNextSpinTime();
+      return false;
+    }
+  }
+
+  // Takes the game's payouts out of the pot and queues every place as one
+  // batched payout
+  async enqueueGamePayout(game) {
+    await potLedgerService.reservePayout(game.id, game.winnerPayout + game.creatorPayout, game.jackpotPayout || 0);
+    return payoutService.enqueuePrizePayout(
+      game.id,
+      game.winners.map(winner => ({ place: winner.place, address: winner.address, amount: winner.payout })),
+      game.creatorPayout
+    );
+  }
+
+  // Called by the payout worker when a job completes or runs out of attempts
+  async handlePayoutSettled(job) {
+    try {
+      const game = await this.findGameForPayout(job.gameId);
+      if (!game) {
+        logger.warn(`Payout ${job.id} settled for unknown game ${job.gameId}`);
+        return;
+      }
+      if (spinStates.isTerminal(game.status) || payoutService.isOpenJob(job)) {
+        return;
+      }
+
+      if (job.status === 'failed') {
+        await this.handlePayoutFailed(game, job);
+      } else {
+        await this.completeGamePayout(game, job.transactionSignature, job.tokenPrize);
+      }
+    } catch (error) {
+      logger.error(`Failed to settle game ${job.gameId} for payout ${job.id}:`, error);
+    }
+  }
+
+  async findGameForPayout(gameId) {
+    if (this.currentGame && this.currentGame.id === gameId) {
+      return this.currentGame;
+    }
+    if (!this.useDatabase) {
+      return null;
+    }
+
+    const row = await GameModel.findByGameId(gameId);
+    return row ? this.restoreGame(row) : null;
+  }
+
+  async completeGamePayout(game, transactionSignature, tokenPrize = null) {
+    const { winners, winnerPayout, creatorPayout } = game;
+    const ownsCycle = game === this.currentGame;
+
+    game.transactionSignature = transactionSignature;
+    game.endTime = new Date();
+
+    try {
+      await this.transitionGame(spinStates.STATES.COMPLETED, {
+        transactionSignature: transactionSignature,
+        endTime: game.endTime
+      }, game);
+    } catch (error) {
+      // The funds have moved; only the bookkeeping is behind
+      logger.error(`Payout for game ${game.id} sent but not recorded as completed:`, error);
+      game.status = spinStates.STATES.COMPLETED;
+    }
+
+    try {
+      await potLedgerService.settlePayout(game, transactionSignature);
+    } catch (error) {
+      logger.error(`Payout for game ${game.id} sent but not booked in the pot ledger:`, error);
+    }
+
+    if (game.jackpotPayout > 0) {
+      this.lastJackpotWin = {
+        gameId: game.id,
+        winner: game.winner.address,
+        amount: game.jackpotPayout,
+        wonAt: game.endTime
+      };
+      this.emitJackpotUpdate();
+    }
 
+    // Save transaction to database
+    if (this.useDatabase) {
+      try {
+        await GameWinnerModel.setTransactionSignature(game.id, transactionSignature);
+
+        for (const winner of winners) {
           await TransactionModel.create({
             type: 'payout',
-            amount: creatorPayout,
+            amount: winner.payout,
             fromAddress: process.env.FEE_COLLECTION_WALLET,
-            toAddress: process.env.CREATOR_WALLET,
+            toAddress: winner.address,
             signature: transactionSignature,
-            gameId: this.currentGame.id
+            gameId: game.id,
+            idempotencyKey: payoutMemo.idempotencyKey(game.id, winner.address)
           });
+        }
 
-          // Update game as completed
-          await GameModel.update(this.currentGame.id, {
-            winnerPayout: winnerPayout,
-            creatorPayout: creatorPayout,
-            transactionSignature: transactionSignature,
-            endTime: new Date(),
-            status: 'completed'
-          });
+        await TransactionModel.create({
+          type: 'payout',
+          amount: creatorPayout,
+          fromAddress: process.env.FEE_COLLECTION_WALLET,
+          toAddress: process.env.CREATOR_WALLET,
+          signature: transactionSignature,
+          gameId: game.id,
+          idempotencyKey: payoutMemo.idempotencyKey(game.id, process.env.CREATOR_WALLET)
+        });
 
-          // Update game stats
-          const gameStats = await GameModel.getStats();
-          await GameStatsModel.update({
-            totalGames: gameStats.total_games,
-            totalPayouts: gameStats.total_payouts,
-            averagePot: gameStats.average_pot,
-            currentPot: this.currentPot,
-            totalHolders: holderTracker.getStats().totalHolders,
-            eligibleHolders: holderTracker.getStats().eligibleHolders
-          });
-        } catch (error) {
-          logger.warn('Failed to save game data to database:', error.message);
-        }
+        // Update game stats
+        const gameStats = await GameModel.getStats();
+        await GameStatsModel.update({
+          totalGames: gameStats.total_games,
+          totalPayouts: gameStats.total_payouts,
+          averagePot: gameStats.average_pot,
+          currentPot: this.currentPot,
+          totalHolders: holderTracker.getStats().totalHolders,
+          eligibleHolders: holderTracker.getStats().eligibleHolders
+        });
+      } catch (error) {
+        logger.warn('Failed to save game data to database:', error.message);
       }
+    }
 
-      // Add to game history (in-memory)
-      this.gameHistory.unshift(this.currentGame);
+    // Add to game history (in-memory)
+    this.gameHistory.unshift(game);
 
-      // Keep only last 50 games in memory
-      if (this.gameHistory.length > 50) {
-        this.gameHistory = this.gameHistory.slice(0, 50);
-      }
+    // Keep only last 50 games in memory
+    if (this.gameHistory.length > 50) {
+      this.gameHistory = this.gameHistory.slice(0, 50);
+    }
 
-      // Check if auto-claim is enabled and claim Pump.fun fees to creator wallet
-      try {
-        const autoClaimEnabled = process.env.AUTO_CLAIM_PUMPFUN_FEES === 'true';
-        if (autoClaimEnabled) {
-          logger.info('Auto-claiming Pump.fun fees to creator wallet...');
-          
-          // Step 1: Claim fees from Pump.fun to creator wallet
-          const claimSignature = await pumpfunService.claimCreatorFees(process.env.TOKEN_MINT_ADDRESS);
-          logger.info('Pump.fun fees claimed to creator wallet:', claimSignature);
+    // Check if auto-claim is enabled and claim Pump.fun fees to creator wallet
+    try {
+      const autoClaimEnabled = process.env.AUTO_CLAIM_PUMPFUN_FEES === 'true';
+      if (autoClaimEnabled) {
+        logger.info('Auto-claiming Pump.fun fees to creator wallet...');
+        
+        // Step 1: Claim fees from Pump.fun to creator wallet
+        const claimSignature = await pumpfunService.claimCreatorFees(process.env.TOKEN_MINT_ADDRESS);
+        logger.info('Pump.fun fees claimed to creator wallet:', claimSignature);
+        
+        // Step 2: Get the claimed amount and send percentage to winner
+        const feeStats = await pumpfunService.getFeeClaimingStats();
+        const feePayoutPercentage = parseFloat(process.env.FEE_PAYOUT_PERCENTAGE) || 50; // Default 50%
+        const feePayoutAmount = Math.floor(feeStats.claimableFees * (feePayoutPercentage / 100));
+        
+        if (feePayoutAmount > 0) {
+          // Step 3: Send percentage of claimed fees to winner
+          const sendSignature = await pumpfunService.sendFeesToWinner(
+            game.winner.address,
+            feePayoutAmount
+          );
           
-          // Step 2: Get the claimed amount and send percentage to winner
-          const feeStats = await pumpfunService.getFeeClaimingStats();
-          const feePayoutPercentage = parseFloat(process.env.FEE_PAYOUT_PERCENTAGE) || 50; // Default 50%
-          const feePayoutAmount = Math.floor(feeStats.claimableFees * (feePayoutPercentage / 100));
+          logger.info(`Sent ${feePayoutAmount} lamports (${feePayoutPercentage}% of fees) to winner: ${sendSignature}`);
           
-          if (feePayoutAmount > 0) {
-            // Step 3: Send percentage of claimed fees to winner
-            const sendSignature = await pumpfunService.sendFeesToWinner(
-              this.currentGame.winner.address,
-              feePayoutAmount
-            );
-            
-            logger.info(`Sent ${feePayoutAmount} lamports (${feePayoutPercentage}% of fees) to winner: ${sendSignature}`);
-            
-            // Emit fee payout notification
-            this.io.emit('pumpfunFeesClaimedAndSent', {
-              gameId: this.currentGame.id,
-              winner: this.currentGame.winner.address,
-              totalClaimed: feeStats.claimableFees,
-              sentToWinner: feePayoutAmount,
-              feePayoutPercentage: feePayoutPercentage,
-              claimSignature: claimSignature,
-              sendSignature: sendSignature
-            });
-          }
+          // Emit fee payout notification
+          this.io.emit('pumpfunFeesClaimedAndSent', {
+            gameId: game.id,
+            winner: game.winner.address,
+            totalClaimed: feeStats.claimableFees,
+            sentToWinner: feePayoutAmount,
+            feePayoutPercentage: feePayoutPercentage,
+            claimSignature: claimSignature,
+            sendSignature: sendSignature
+          });
         }
-      } catch (pumpfunError) {
-        logger.warn('Failed to auto-claim Pump.fun fees:', pumpfunError.message);
-        // Don't fail the entire payout process if Pump.fun claiming fails
       }
+    } catch (pumpfunError) {
+      logger.warn('Failed to auto-claim Pump.fun fees:', pumpfunError.message);
+      // Don't fail the entire payout process if Pump.fun claiming fails
+    }
 
-      // Emit payout confirmation
-      this.io.emit('payoutCompleted', {
-        gameId: this.currentGame.id,
-        transactionSignature: transactionSignature,
-        winner: this.currentGame.winner.address,
-        winnerPayout: winnerPayout,
-        creatorPayout: creatorPayout,
-        simulated: transactionSignature.startsWith('simulated_')
-      });
+    // Emit payout confirmation
+    this.io.emit('payoutCompleted', {
+      gameId: game.id,
+      transactionSignature: transactionSignature,
+      winner: game.winner.address,
+      winners: winners.map(winner => ({ place: winner.place, address: winner.address, payout: winner.payout })),
+      winnerPayout: winnerPayout,
+      creatorPayout: creatorPayout,
+      jackpotPayout: game.jackpotPayout || 0,
+      // Token amounts actually sent when prizes are paid in a token
+      tokenPrize: tokenPrize && tokenPrize.amounts ? {
+        mint: tokenPrize.mint,
+        decimals: tokenPrize.decimals,
+        amounts: tokenPrize.amounts
+      } : null,
+      simulated: transactionSignature.startsWith('simulated_')
+    });
 
-      // Calculate pot growth percentage for display
-      const previousPot = this.currentPot;
-      
-      // Apply pot growth for next cycle
-      await this.applyPotGrowth();
-      
-      // Calculate and emit pot growth percentage
+    if (ownsCycle) {
+      // Change in the pot since this game's spin
+      const previousPot = game.potAmount;
       const potGrowthPercentage = previousPot > 0 ?
         ((this.currentPot - previousPot) / previousPot) * 100 : 0;
 
@@ -454,122 +1426,52 @@ class GameEngine {
       this.calculateNextSpinTime();
 
       // Send immediate countdown update after spin completes
-      const now = new Date();
-      const timeUntilSpin = Math.max(0, this.nextSpinTime.getTime() - now.getTime());
-      this.io.emit('countdown', {
-        timeRemaining: timeUntilSpin,
-        nextSpinTime: this.nextSpinTime,
-        gameState: this.gameState
-      });
-
-      logger.info(`Game ${this.currentGame.id} completed successfully. Winner: ${this.currentGame.winner.address}`);
-
-    } catch (error) {
-      logger.error('Failed to process winner payout:', error);
-      
-      this.currentGame.status = 'failed';
-      this.currentGame.error = error.message;
-      
-      this.io.emit('payoutFailed', {
-        gameId: this.currentGame.id,
-        error: error.message
-      });
-      
-      this.gameState = 'waiting';
-      this.calculateNextSpinTime();
+      this.emitCountdown();
     }
-  }
-
-  async applyPotGrowth() {
-    try {
-      const previousPot = this.currentPot;
-
-      // Calculate growth based on current pot size
-      const growthAmount = Math.min(
-        Math.floor(this.currentPot * this.POT_GROWTH_RATE),
-        this.POT_MAX_GROWTH
-      );
-
-      // Apply growth
-      this.currentPot += growthAmount;
-
-      // Ensure minimum base amount
-      if (this.currentPot < this.POT_BASE_AMOUNT) {
-        this.currentPot = this.POT_BASE_AMOUNT;
-      }
 
-      // Add any new funds from the creator wallet (50% of SOL balance for testing)
-      const creatorWallet = process.env.CREATOR_WALLET;
+    logger.info(`Game ${game.id} completed successfully. Winner(s): ${winners.map(winner => `#${winner.place} ${winner.address}`).join(', ')}`);
+  }
 
-      if (creatorWallet && solanaService.isReady()) {
-        try {
-          const connection = solanaService.getConnection();
-          const creatorBalance = await connection.getBalance(new PublicKey(creatorWallet));
-          const potFromWallet = Math.floor(creatorBalance * 0.5); // 50% of creator wallet SOL balance
+  // A payout that ran out of attempts may still have partly landed, so the
+  // game is parked for an admin rather than failed
+  async handlePayoutFailed(game, job) {
+    const reason = `Payout ${job.id} failed after ${job.attempts} attempt(s): ${job.lastError}`;
+    game.error = job.lastError;
 
-          if (potFromWallet > this.currentPot) {
-            const addedAmount = potFromWallet - this.currentPot;
-            this.currentPot = potFromWallet;
-            logger.info(`Added ${addedAmount} lamports from creator wallet to pot (50% of ${creatorBalance} lamports)`);
-          }
-        } catch (error) {
-          logger.warn('Failed to get creator wallet balance for pot update:', error.message);
-        }
+    if (spinStates.canTransition(game.status, spinStates.STATES.NEEDS_REVIEW)) {
+      try {
+        await this.transitionGame(spinStates.STATES.NEEDS_REVIEW, { statusReason: reason }, game);
+      } catch (error) {
+        logger.error(`Failed to mark game ${game.id} for review:`, error);
       }
+    }
 
-      const growthSOL = growthAmount / 1000000000;
-      const newPotSOL = this.currentPot / 1000000000;
-
-      logger.info(`Applied pot growth: ${growthSOL.toFixed(4)} SOL (${(this.POT_GROWTH_RATE * 100).toFixed(1)}% of ${previousPot / 1000000000} SOL). New pot: ${newPotSOL.toFixed(4)} SOL`);
-
-      // Emit pot update with growth information
-      if (this.io) {
-        this.io.emit('potUpdate', {
-          amount: this.currentPot,
-          growth: growthAmount,
-          timestamp: new Date()
-        });
-      }
+    this.io.emit('payoutFailed', {
+      gameId: game.id,
+      error: job.lastError
+    });
 
-    } catch (error) {
-      logger.error('Failed to apply pot growth:', error);
-      // Fallback: keep base amount
-      this.currentPot = this.POT_BASE_AMOUNT;
+    if (game === this.currentGame) {
+      this.gameState = 'waiting';
+      this.calculateNextSpinTime();
     }
   }
 
-  async updatePotBalance() {
-    try {
-      // Check the creator wallet SOL balance (for testing fee distribution)
-      const creatorWallet = process.env.CREATOR_WALLET;
-
-      if (creatorWallet && solanaService.isReady()) {
-        const previousBalance = this.currentPot;
-        const connection = solanaService.getConnection();
-        const walletBalance = await connection.getBalance(new PublicKey(creatorWallet));
-
-        // Display 50% of wallet SOL balance as pot
-        const potPercentage = 0.5; // 50%
-        this.currentPot = Math.floor(walletBalance * potPercentage);
-
-        // Emit pot update
-        if (this.io) {
-          this.io.emit('potUpdate', {
-            amount: this.currentPot,
-            walletBalance: walletBalance,
-            potPercentage: potPercentage,
-            timestamp: new Date()
-          });
-        }
+  handlePotChanged(balances) {
+    this.currentPot = potLedgerService.getPot();
+    const jackpotAmount = potLedgerService.getJackpot();
+    const jackpotChanged = jackpotAmount !== this.currentJackpot;
+    this.currentJackpot = jackpotAmount;
 
-        // Only log if balance changed significantly or if it's the first update
-        if (Math.abs(this.currentPot - previousBalance) > 1000000 || previousBalance === 0) { // More than 0.001 SOL change
-          logger.info(`Updated pot balance: ${this.currentPot} lamports (${this.currentPot / 1000000000} SOL) - 50% of creator wallet balance ${walletBalance / 1000000000} SOL`);
-        }
-      }
-
-    } catch (error) {
-      logger.error('Failed to update pot balance:', error);
+    if (this.io) {
+      this.io.emit('potUpdate', {
+        amount: this.currentPot,
+        reserved: balances.payouts_pending || 0,
+        timestamp: new Date()
+      });
+    }
+    if (jackpotChanged) {
+      this.emitJackpotUpdate();
     }
   }
 
@@ -585,7 +1487,10 @@ class GameEngine {
       currentGame: this.currentGame,
       recentGames: this.gameHistory.slice(0, 5),
       isRunning: this.isRunning,
-      spinInterval: this.spinInterval
+      spinInterval: this.schedule.intervalMinutes,
+      schedule: spinSchedule.describe(this.schedule),
+      potPolicy: potPolicy.describe(potLedgerService.getPotPolicy()),
+      jackpot: this.getJackpotState()
     };
   }
 
@@ -602,38 +1507,53 @@ class GameEngine {
     await this.executeSpin();
   }
 
-  stopGameCycle() {
-    if (this.cronJob) {
-      this.cronJob.destroy();
-      this.cronJob = null;
+  // Spins for a trigger rule that reached its milestone, unless a spin is
+  // under way, a blackout is on or the pot is below the minimum
+  async triggerSpin(rule) {
+    if (!this.isRunning || this.gameState !== 'waiting') {
+      return { outcome: 'busy', message: `Game is ${this.isRunning ? this.gameState : 'stopped'}` };
+    }
+
+    const blackout = spinSchedule.inBlackout(Date.now(), this.schedule.blackouts);
+    if (blackout) {
+      return { outcome: 'blackout', message: blackout.reason || `Blackout until ${new Date(blackout.end).toISOString()}` };
+    }
+    if (!potLedgerService.canSpin()) {
+      return { outcome: 'below_minimum', message: `Pot is below the ${potLedgerService.getPotPolicy().minPotLamports} lamport minimum` };
     }
+
+    logger.info(`Trigger "${rule.label || rule.id}" starting a spin...`);
+    // Only a spin that drew winners and queued their payout counts as fired
+    // and starts the cooldown
+    const trigger = { id: rule.id, type: rule.type, label: rule.label || null };
+    const queued = await this.executeSpin(trigger);
+    const game = this.currentGame && this.currentGame.trigger === trigger ? this.currentGame : null;
+    if (queued) {
+      return { outcome: 'fired', gameId: game.id };
+    }
+    return {
+      outcome: 'failed',
+      gameId: game ? game.id : null,
+      message: (game && (game.error || game.statusReason)) || 'The spin failed'
+    };
+  }
+
+  stopGameCycle() {
+    clearTimeout(this.spinTimer);
+    this.spinTimer = null;
+    clearInterval(this.countdownInterval);
+    this.countdownInterval = null;
     this.stopPeriodicPotUpdates();
     this.isRunning = false;
     logger.info('Game cycle stopped');
   }
 
   startPeriodicPotUpdates() {
-    if (this.potUpdateInterval) {
-      clearInterval(this.potUpdateInterval);
-    }
-
-    this.potUpdateInterval = setInterval(async () => {
-      try {
-        await this.updatePotBalance();
-      } catch (error) {
-        logger.error('Failed to update pot balance periodically:', error);
-      }
-    }, this.POT_UPDATE_INTERVAL_MS);
-
-    logger.info(`Started periodic pot updates every ${this.POT_UPDATE_INTERVAL_MS / 1000} seconds`);
+    potLedgerService.startReconciler();
   }
 
   stopPeriodicPotUpdates() {
-    if (this.potUpdateInterval) {
-      clearInterval(this.potUpdateInterval);
-      this.potUpdateInterval = null;
-      logger.info('Stopped periodic pot updates');
-    }
+    potLedgerService.stopReconciler();
   }
 
   // Admin functions
@@ -0,0 +1,331 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const solanaService = require('./solanaService');
+const logger = require('../utils/logger');
+const tokenAmount = require('../utils/tokenAmount');
+const db = require('../database/connection');
+const { HolderClusterModel } = require('../database/models');
+
+/**
+ * Groups holder wallets that look like one owner: wallets funded by the same
+ * source, or wallets that moved the game token between each other.
+ *
+ * Activity comes from `solanaService.getTransactionHistory()` or, when
+ * HOLDER_CLUSTER_FIXTURE points at a JSON file, from a local fixture shaped
+ * `{ "<address>": { "fundedBy": [...], "tokenCounterparties": [...] } }`.
+ *
+ * Detection only flags clusters. Admins decide which ones to merge; merged
+ * clusters enter the spin as a single entry with the combined balance.
+ */
+class HolderClusterDetector {
+  constructor() {
+    this.clusters = [];
+    this.clusterByAddress = new Map();
+    this.mergedGroups = new Map(); // clusterId -> addresses
+    this.mergedClusterByAddress = new Map();
+    this.isAnalyzing = false;
+    this.lastAnalysis = null;
+    this.useDatabase = false;
+
+    this.txLimit = parseInt(process.env.CLUSTER_TX_LIMIT) || 10;
+    // A funder shared by more holders than this is treated as an exchange
+    this.maxFunderFanout = parseInt(process.env.CLUSTER_MAX_FUNDER_FANOUT) || 20;
+    this.ignoredFunders = new Set(process.env.CLUSTER_IGNORED_FUNDERS ?
+      process.env.CLUSTER_IGNORED_FUNDERS.split(',').map(addr => addr.trim()) : []);
+    this.fixturePath = process.env.HOLDER_CLUSTER_FIXTURE || null;
+  }
+
+  async initialize() {
+    this.useDatabase = db.isConnected;
+
+    if (this.useDatabase) {
+      try {
+        const rows = await HolderClusterModel.getMerges();
+        rows.forEach(row => this.addMergedAddress(row.cluster_id, row.address));
+        logger.info(`Loaded ${this.mergedGroups.size} merged holder cluster(s)`);
+      } catch (error) {
+        logger.warn('Failed to load merged holder clusters:', error.message);
+      }
+    }
+  }
+
+  addMergedAddress(clusterId, address) {
+    const group = this.mergedGroups.get(clusterId) || [];
+    group.push(address);
+    this.mergedGroups.set(clusterId, group);
+    this.mergedClusterByAddress.set(address, clusterId);
+  }
+
+  loadFixture() {
+    try {
+      return JSON.parse(fs.readFileSync(this.fixturePath, 'utf8'));
+    } catch (error) {
+      logger.error(`Failed to read holder cluster fixture ${this.fixturePath}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Funders (fee payers that sent the wallet SOL) and token counterparties
+  // from raw getTransaction() results
+  extractActivity(address, transactions) {
+    const mint = solanaService.getTokenMintAddress()?.toString();
+    const fundedBy = new Set();
+    const tokenCounterparties = new Set();
+
+    for (const { transaction: tx } of transactions) {
+      if (!tx || !tx.meta) continue;
+
+      const message = tx.transaction.message;
+      const keys = (message.accountKeys || message.staticAccountKeys || []).map(key => key.toString());
+      const index = keys.indexOf(address);
+
+      if (index > 0 && tx.meta.postBalances[index] > tx.meta.preBalances[index]) {
+        fundedBy.add(keys[0]);
+      }
+
+      const owners = new Set(
+        [...(tx.meta.preTokenBalances || []), ...(tx.meta.postTokenBalances || [])]
+          .filter(balance => balance.mint === mint && balance.owner)
+          .map(balance => balance.owner)
+      );
+      if (owners.has(address)) {
+        owners.forEach(owner => owner !== address && tokenCounterparties.add(owner));
+      }
+    }
+
+    return { fundedBy: [...fundedBy], tokenCounterparties: [...tokenCounterparties] };
+  }
+
+  async getActivity(addresses) {
+    const activity = new Map();
+
+    if (this.fixturePath) {
+      const fixture = this.loadFixture();
+      addresses.forEach(address => activity.set(address, fixture[address] || { fundedBy: [], tokenCounterparties: [] }));
+      return activity;
+    }
+
+    for (const address of addresses) {
+      try {
+        const transactions = await solanaService.getTransactionHistory(address, this.txLimit);
+        activity.set(address, this.extractActivity(address, transactions));
+      } catch (error) {
+        logger.warn(`Failed to fetch transaction history for ${address}:`, error.message);
+        activity.set(address, { fundedBy: [], tokenCounterparties: [] });
+      }
+    }
+
+    return activity;
+  }
+
+  /**
+   * Rebuild clusters for the given holders.
+   * @param {Array<{address: string, balance: string}>} holders
+   */
+  async analyze(holders) {
+    if (this.isAnalyzing) {
+      throw new Error('Cluster analysis already running');
+    }
+
+    this.isAnalyzing = true;
+    try {
+      const startTime = Date.now();
+      const balances = new Map(holders.map(holder => [holder.address, holder.balance]));
+      const activity = await this.getActivity([...balances.keys()]);
+
+      // Union-find over holder addresses
+      const parent = new Map([...balances.keys()].map(address => [address, address]));
+      const find = (address) => {
+        while (parent.get(address) !== address) {
+          parent.set(address, parent.get(parent.get(address)));
+          address = parent.get(address);
+        }
+        return address;
+      };
+      const union = (a, b) => parent.set(find(a), find(b));
+
+      const reasons = [];
+
+      // Shared funding source
+      const fundedHolders = new Map();
+      for (const [address, { fundedBy = [] }] of activity) {
+        fundedBy.forEach(funder => {
+          if (this.ignoredFunders.has(funder) || balances.has(funder)) return;
+          const list = fundedHolders.get(funder) || [];
+          list.push(address);
+          fundedHolders.set(funder, list);
+        });
+      }
+      for (const [funder, addresses] of fundedHolders) {
+        if (addresses.length < 2 || addresses.length > this.maxFunderFanout) continue;
+        addresses.slice(1).forEach(address => union(addresses[0], address));
+        reasons.push({ type: 'shared_funder', funder, addresses });
+      }
+
+      // Direct funding or token transfers between holders
+      for (const [address, { fundedBy = [], tokenCounterparties = [] }] of activity) {
+        fundedBy.filter(funder => balances.has(funder)).forEach(funder => {
+          union(address, funder);
+          reasons.push({ type: 'funded_by_holder', funder, addresses: [funder, address] });
+        });
+        tokenCounterparties.filter(other => balances.has(other)).forEach(other => {
+          union(address, other);
+          reasons.push({ type: 'token_transfer', addresses: [address, other] });
+        });
+      }
+
+      const groups = new Map();
+      for (const address of balances.keys()) {
+        const root = find(address);
+        groups.set(root, [...(groups.get(root) || []), address]);
+      }
+
+      const clusters = [];
+      const clusterByAddress = new Map();
+      for (const addresses of groups.values()) {
+        if (addresses.length < 2) continue;
+
+        addresses.sort();
+        const members = new Set(addresses);
+        const clusterReasons = reasons.filter(reason => reason.addresses.every(address => members.has(address)));
+        const cluster = {
+          id: this.clusterIdFor(addresses),
+          addresses,
+          totalBalance: tokenAmount.sum(addresses.map(address => balances.get(address))).toString(),
+          reasons: clusterReasons,
+          // Token shuffling between wallets, or three or more wallets, is a stronger signal
+          suspicious: addresses.length >= 3 || clusterReasons.some(reason => reason.type === 'token_transfer')
+        };
+
+        clusters.push(cluster);
+        addresses.forEach(address => clusterByAddress.set(address, cluster));
+      }
+
+      this.clusters = clusters.sort((a, b) => tokenAmount.compare(b.totalBalance, a.totalBalance));
+      this.clusterByAddress = clusterByAddress;
+      this.lastAnalysis = new Date();
+
+      logger.info(`Cluster analysis of ${balances.size} holders found ${clusters.length} cluster(s) in ${Date.now() - startTime}ms`);
+      return this.getClusters();
+    } finally {
+      this.isAnalyzing = false;
+    }
+  }
+
+  clusterIdFor(addresses) {
+    return crypto.createHash('sha256').update([...addresses].sort().join(',')).digest('hex').slice(0, 16);
+  }
+
+  getClusters() {
+    return this.clusters.map(cluster => ({
+      ...cluster,
+      merged: this.mergedGroups.has(cluster.id)
+    }));
+  }
+
+  getClusterForAddress(address) {
+    return this.clusterByAddress.get(address) || null;
+  }
+
+  getMergedClusterId(address) {
+    return this.mergedClusterByAddress.get(address) || null;
+  }
+
+  async mergeCluster(clusterId) {
+    const cluster = this.clusters.find(c => c.id === clusterId);
+    if (!cluster) {
+      throw new Error(`Cluster ${clusterId} not found in the latest analysis`);
+    }
+
+    // An address belongs to at most one merged group
+    for (const address of cluster.addresses) {
+      const existing = this.mergedClusterByAddress.get(address);
+      if (existing && existing !== clusterId) {
+        await this.unmergeCluster(existing);
+      }
+    }
+
+    if (this.useDatabase) {
+      await HolderClusterModel.merge(clusterId, cluster.addresses);
+    }
+
+    this.mergedGroups.delete(clusterId);
+    cluster.addresses.forEach(address => this.addMergedAddress(clusterId, address));
+    logger.info(`Merged holder cluster ${clusterId} (${cluster.addresses.length} wallets)`);
+  }
+
+  async unmergeCluster(clusterId) {
+    const addresses = this.mergedGroups.get(clusterId);
+    if (!addresses) {
+      throw new Error(`Cluster ${clusterId} is not merged`);
+    }
+
+    if (this.useDatabase) {
+      await HolderClusterModel.unmerge(clusterId);
+    }
+
+    addresses.forEach(address => this.mergedClusterByAddress.delete(address));
+    this.mergedGroups.delete(clusterId);
+    logger.info(`Unmerged holder cluster ${clusterId}`);
+  }
+
+  /**
+   * Collapse merged clusters into one entry each. The entry keeps the address
+   * of the member with the largest balance (so a win pays a real wallet),
+   * carries the summed balances and lists every member in `clusterMembers`
+   * so recent-winner rules see all of their wins. It has held only as long as
+   * its most recent member: `holdingSince` is the latest of theirs.
+   */
+  mergeHolders(holders) {
+    const result = [];
+    const groups = new Map();
+
+    for (const holder of holders) {
+      const clusterId = this.mergedClusterByAddress.get(holder.address);
+      if (!clusterId) {
+        result.push(holder);
+        continue;
+      }
+      groups.set(clusterId, [...(groups.get(clusterId) || []), holder]);
+    }
+
+    for (const [clusterId, members] of groups) {
+      if (members.length === 1) {
+        result.push(members[0]);
+        continue;
+      }
+
+      const representative = [...members].sort((a, b) => tokenAmount.compare(b.balance, a.balance))[0];
+      const holdStarts = members.map(m => m.holdingSince);
+      const merged = {
+        ...representative,
+        balance: tokenAmount.sum(members.map(m => m.balance)).toString(),
+        percentage: members.reduce((sum, m) => sum + (m.percentage || 0), 0),
+        holdingSince: holdStarts.every(Boolean)
+          ? holdStarts.reduce((latest, since) => (new Date(since) > new Date(latest) ? since : latest))
+          : null,
+        clusterId,
+        clusterMembers: members.map(m => m.address)
+      };
+      if (members.every(m => m.effectiveBalance !== undefined)) {
+        merged.effectiveBalance = tokenAmount.sum(members.map(m => m.effectiveBalance)).toString();
+      }
+      result.push(merged);
+    }
+
+    return result;
+  }
+
+  getSummary() {
+    return {
+      clusters: this.clusters.length,
+      suspiciousClusters: this.clusters.filter(cluster => cluster.suspicious).length,
+      clusteredWallets: this.clusterByAddress.size,
+      mergedClusters: this.mergedGroups.size,
+      isAnalyzing: this.isAnalyzing,
+      lastAnalysis: this.lastAnalysis
+    };
+  }
+}
+
+module.exports = new HolderClusterDetector();
@@ -1,21 +1,49 @@
+const crypto = require('crypto');
 const solanaService = require('./solanaService');
 const heliusService = require('./heliusService');
+const holderClusters = require('./holderClusters');
+const exclusionRegistry = require('./exclusionRegistry');
 const logger = require('../utils/logger');
+const tokenAmount = require('../utils/tokenAmount');
+const provablyFair = require('../utils/provablyFair');
+const weightingStrategies = require('../utils/weightingStrategies');
+const holdDuration = require('../utils/holdDuration');
 const db = require('../database/connection');
 const { HolderModel, SystemSettingsModel } = require('../database/models');
 
+// Longest history kept per address, so the window can grow without waiting
+const MAX_BALANCE_WINDOW = 100;
+
 class HolderTracker {
   constructor() {
     this.holders = new Map();
     this.eligibleHolders = new Map();
-    this.totalSupply = 0;
-    this.minimumHoldAmount = 0;
+    // Raw token amounts are decimal strings (see utils/tokenAmount)
+    this.totalSupply = '0';
+    this.minimumHoldAmount = '0';
     this.isTracking = false;
     this.trackingInterval = null;
     this.io = null;
+    this.listeners = { holderCountChanged: [] };
     this.lastUpdate = null;
     this.updateFrequency = 30000; // 30 seconds
     this.useDatabase = false;
+    this.weightingStrategy = weightingStrategies.isValidStrategy(process.env.WEIGHTING_STRATEGY) ?
+      process.env.WEIGHTING_STRATEGY : weightingStrategies.DEFAULT_STRATEGY;
+    this.weightingCapPercentage = parseFloat(process.env.WEIGHTING_CAP_PERCENTAGE) || weightingStrategies.DEFAULT_CAP_PERCENTAGE;
+    // Anti-sniping: per-address balances from the most recent scans; a wallet's
+    // effective balance is the minimum over the last `balanceWindow` of them
+    this.balanceHistory = new Map();
+    this.balanceWindow = Math.min(
+      parseInt(process.env.ANTI_SNIPE_SNAPSHOTS) || 1,
+      MAX_BALANCE_WINDOW
+    );
+    this.holdConfig = {
+      minHoldMinutes: parseFloat(process.env.MIN_HOLD_DURATION_MINUTES) || holdDuration.DEFAULT_CONFIG.minHoldMinutes,
+      diamondHandsEnabled: process.env.DIAMOND_HANDS_ENABLED === 'true',
+      maxMultiplier: parseFloat(process.env.DIAMOND_HANDS_MAX_MULTIPLIER) || holdDuration.DEFAULT_CONFIG.maxMultiplier,
+      rampHours: parseFloat(process.env.DIAMOND_HANDS_RAMP_HOURS) || holdDuration.DEFAULT_CONFIG.rampHours
+    };
   }
 
   async initialize(socketIo) {
@@ -39,8 +67,13 @@ class HolderTracker {
       // Get initial token supply
       await this.updateTokenSupply();
 
-      // Load existing holders from database if available
+      // Load existing holders and weighting settings from database if available
       if (this.useDatabase) {
+        await this.loadWeightingSettings();
+        await this.loadHoldSettings();
+        await this.loadBalanceWindow();
+        await holderClusters.initialize();
+        await exclusionRegistry.initialize();
         await this.loadHoldersFromDatabase();
       }
 
@@ -65,12 +98,18 @@ class HolderTracker {
       const allHolders = await HolderModel.getTopHolders(1000); // Load more for complete data
 
       // Populate in-memory maps
-      holders.forEach(holder => {
-        this.eligibleHolders.set(holder.address, holder);
+      holders.forEach(row => {
+        this.eligibleHolders.set(row.address, this.holderFromRow(row));
+      });
+
+      allHolders.forEach(row => {
+        this.holders.set(row.address, this.holderFromRow(row));
       });
 
-      allHolders.forEach(holder => {
-        this.holders.set(holder.address, holder);
+      // Restore the anti-sniping window so holders stay eligible across a restart
+      const histories = await HolderModel.getBalanceHistories();
+      histories.forEach(row => {
+        this.balanceHistory.set(row.address, row.recent_balances.map(balance => BigInt(balance)));
       });
 
       logger.info(`Loaded ${this.holders.size} holders from database (${this.eligibleHolders.size} eligible)`);
@@ -79,14 +118,190 @@ class HolderTracker {
     }
   }
 
+  async loadWeightingSettings() {
+    try {
+      const strategy = await SystemSettingsModel.get('weighting_strategy');
+      const capPercentage = await SystemSettingsModel.get('weighting_cap_percentage');
+
+      if (weightingStrategies.isValidStrategy(strategy)) {
+        this.weightingStrategy = strategy;
+      }
+      if (capPercentage > 0) {
+        this.weightingCapPercentage = capPercentage;
+      }
+
+      logger.info(`Winner weighting: ${this.weightingStrategy} (cap ${this.weightingCapPercentage}%)`);
+    } catch (error) {
+      logger.warn('Failed to load weighting settings from database:', error.message);
+    }
+  }
+
+  async setWeightingStrategy(strategy, capPercentage) {
+    if (strategy !== undefined && !weightingStrategies.isValidStrategy(strategy)) {
+      throw new Error(`Unknown weighting strategy: ${strategy}`);
+    }
+    if (capPercentage !== undefined && !(capPercentage > 0 && capPercentage <= 100)) {
+      throw new Error('Weighting cap percentage must be between 0 and 100');
+    }
+
+    if (strategy !== undefined) this.weightingStrategy = strategy;
+    if (capPercentage !== undefined) this.weightingCapPercentage = capPercentage;
+
+    if (this.useDatabase) {
+      await SystemSettingsModel.set('weighting_strategy', this.weightingStrategy, 'string');
+      await SystemSettingsModel.set('weighting_cap_percentage', this.weightingCapPercentage, 'number');
+    }
+
+    logger.info(`Winner weighting set to ${this.weightingStrategy} (cap ${this.weightingCapPercentage}%)`);
+  }
+
+  getWeightingConfig() {
+    return {
+      strategy: this.weightingStrategy,
+      capPercentage: this.weightingCapPercentage
+    };
+  }
+
+  async loadHoldSettings() {
+    try {
+      const minHoldMinutes = await SystemSettingsModel.get('min_hold_duration_minutes');
+      const diamondHandsEnabled = await SystemSettingsModel.get('diamond_hands_enabled');
+      const maxMultiplier = await SystemSettingsModel.get('diamond_hands_max_multiplier');
+      const rampHours = await SystemSettingsModel.get('diamond_hands_ramp_hours');
+
+      if (minHoldMinutes !== null && minHoldMinutes >= 0) this.holdConfig.minHoldMinutes = minHoldMinutes;
+      if (diamondHandsEnabled !== null) this.holdConfig.diamondHandsEnabled = diamondHandsEnabled;
+      if (maxMultiplier >= 1) this.holdConfig.maxMultiplier = maxMultiplier;
+      if (rampHours > 0) this.holdConfig.rampHours = rampHours;
+
+      logger.info(`Hold rules: ${this.holdConfig.minHoldMinutes}m minimum, diamond hands ${this.holdConfig.diamondHandsEnabled ? `up to ${this.holdConfig.maxMultiplier}x over ${this.holdConfig.rampHours}h` : 'off'}`);
+    } catch (error) {
+      logger.warn('Failed to load hold settings from database:', error.message);
+    }
+  }
+
+  async setHoldSettings(settings) {
+    const next = { ...this.holdConfig };
+    if (settings.minHoldMinutes !== undefined) next.minHoldMinutes = parseFloat(settings.minHoldMinutes);
+    if (settings.diamondHandsEnabled !== undefined) next.diamondHandsEnabled = Boolean(settings.diamondHandsEnabled);
+    if (settings.maxMultiplier !== undefined) next.maxMultiplier = parseFloat(settings.maxMultiplier);
+    if (settings.rampHours !== undefined) next.rampHours = parseFloat(settings.rampHours);
+
+    if (!(next.minHoldMinutes >= 0)) {
+      throw new Error('Minimum hold duration must be zero or more minutes');
+    }
+    if (!(next.maxMultiplier >= 1 && next.maxMultiplier <= 10)) {
+      throw new Error('Diamond hands multiplier must be between 1x and 10x');
+    }
+    if (!(next.rampHours > 0)) {
+      throw new Error('Diamond hands ramp must be longer than zero hours');
+    }
+
+    this.holdConfig = next;
+
+    if (this.useDatabase) {
+      await SystemSettingsModel.set('min_hold_duration_minutes', next.minHoldMinutes, 'number');
+      await SystemSettingsModel.set('diamond_hands_enabled', next.diamondHandsEnabled, 'boolean');
+      await SystemSettingsModel.set('diamond_hands_max_multiplier', next.maxMultiplier, 'number');
+      await SystemSettingsModel.set('diamond_hands_ramp_hours', next.rampHours, 'number');
+    }
+
+    // Re-evaluate eligibility against the new minimum right away
+    this.refreshEligibility();
+
+    logger.info('Hold rules updated:', next);
+  }
+
+  getHoldConfig() {
+    return { ...this.holdConfig };
+  }
+
+  async loadBalanceWindow() {
+    try {
+      const window = await SystemSettingsModel.get('anti_snipe_snapshots');
+      if (window >= 1) {
+        this.balanceWindow = Math.min(Math.floor(window), MAX_BALANCE_WINDOW);
+      }
+      logger.info(`Anti-sniping: effective balance is the minimum over the last ${this.balanceWindow} scan(s)`);
+    } catch (error) {
+      logger.warn('Failed to load anti-sniping window from database:', error.message);
+    }
+  }
+
+  async setBalanceWindow(snapshots) {
+    const window = parseInt(snapshots);
+    if (!(window >= 1 && window <= MAX_BALANCE_WINDOW)) {
+      throw new Error(`Anti-sniping window must be between 1 and ${MAX_BALANCE_WINDOW} snapshots`);
+    }
+
+    this.balanceWindow = window;
+
+    if (this.useDatabase) {
+      await SystemSettingsModel.set('anti_snipe_snapshots', window, 'number');
+    }
+
+    // Recompute effective balances from the history already collected
+    for (const holder of this.holders.values()) {
+      holder.effectiveBalance = this.getEffectiveBalance(holder.address).toString();
+    }
+    this.refreshEligibility();
+
+    logger.info(`Anti-sniping window set to ${window} scan(s)`);
+  }
+
+  // Append this scan's balances; addresses missing from the scan start over
+  recordBalanceHistory(balances) {
+    for (const address of this.balanceHistory.keys()) {
+      if (!balances.has(address)) {
+        this.balanceHistory.delete(address);
+      }
+    }
+
+    for (const [address, balance] of balances) {
+      const history = this.balanceHistory.get(address) || [];
+      history.push(balance);
+      if (history.length > MAX_BALANCE_WINDOW) {
+        history.shift();
+      }
+      this.balanceHistory.set(address, history);
+    }
+  }
+
+  // Minimum balance over the last `balanceWindow` scans. A wallet seen in
+  // fewer scans than that held nothing before it appeared, so it counts as 0.
+  getEffectiveBalance(address) {
+    const history = this.balanceHistory.get(address) || [];
+    if (history.length < this.balanceWindow) {
+      return 0n;
+    }
+
+    return history
+      .slice(-this.balanceWindow)
+      .reduce((min, balance) => (balance < min ? balance : min));
+  }
+
+  // Database rows come back snake_cased with NUMERIC balances as strings
+  holderFromRow(row) {
+    return {
+      address: row.address,
+      balance: tokenAmount.toAmountString(row.balance),
+      tokenAccount: row.token_account,
+      percentage: parseFloat(row.percentage) || 0,
+      lastUpdated: row.last_updated,
+      firstSeenAt: row.first_seen_at,
+      holdingSince: row.holding_since,
+      isEligible: row.is_eligible
+    };
+  }
+
   useDemoData() {
     logger.warn('No real blockchain data available - waiting for connection...');
 
     // Clear holders instead of showing demo data
     this.holders = new Map();
     this.eligibleHolders = new Map();
-    this.totalSupply = 0;
-    this.minimumHoldAmount = 0;
+    this.totalSupply = '0';
+    this.minimumHoldAmount = '0';
     this.lastUpdate = null;
 
     // Emit empty data to indicate waiting for real data
@@ -94,8 +309,8 @@ class HolderTracker {
       this.io.emit('holderUpdate', {
         totalHolders: 0,
         eligibleHolders: 0,
-        minimumHoldAmount: 0,
-        totalSupply: 0,
+        minimumHoldAmount: '0',
+        totalSupply: '0',
         lastUpdate: null,
         holders: [],
         waitingForData: true
@@ -106,11 +321,11 @@ class HolderTracker {
   async updateTokenSupply() {
     try {
       const supply = await solanaService.getTokenSupply();
-      this.totalSupply = parseInt(supply.amount);
+      this.totalSupply = tokenAmount.toAmountString(supply.amount);
       
       // Calculate minimum hold amount (0.1% of total supply)
       const minPercentage = parseFloat(process.env.MINIMUM_HOLD_PERCENTAGE) || 0.1;
-      this.minimumHoldAmount = Math.floor(this.totalSupply * (minPercentage / 100));
+      this.minimumHoldAmount = tokenAmount.applyPercentage(this.totalSupply, minPercentage).toString();
       
       logger.info(`Total supply: ${this.totalSupply}, Minimum hold: ${this.minimumHoldAmount}`);
     } catch (error) {
@@ -119,6 +334,22 @@ class HolderTracker {
     }
   }
 
+  // Register a handler for `holderCountChanged` ({ previousHolders, totalHolders }),
+  // called after a scan finds more or fewer holders
+  on(event, handler) {
+    this.listeners[event].push(handler);
+  }
+
+  async notify(event, payload) {
+    for (const handler of this.listeners[event]) {
+      try {
+        await handler(payload);
+      } catch (error) {
+        logger.error(`Holder tracker ${event} handler failed:`, error);
+      }
+    }
+  }
+
   async scanHolders() {
     try {
       const startTime = Date.now();
@@ -128,38 +359,83 @@ class HolderTracker {
       const holders = await solanaService.getTokenHolders();
       const newHolders = new Map();
       const newEligibleHolders = new Map();
+      const minimumHold = tokenAmount.toBigInt(this.minimumHoldAmount);
 
-      // Process each holder
+      // An owner can hold several token accounts for the same mint
+      const balancesByOwner = new Map();
       for (const holder of holders) {
-        const balance = parseInt(holder.balance);
+        const entry = balancesByOwner.get(holder.owner) || { balance: 0n, tokenAccount: holder.tokenAccount };
+        entry.balance += tokenAmount.toBigInt(holder.balance);
+        balancesByOwner.set(holder.owner, entry);
+      }
 
-        // Skip zero balances and known burn addresses
-        if (balance === 0 || this.isBurnAddress(holder.owner)) {
+      // Track recent balances for anti-sniping before deciding eligibility
+      const scannedBalances = new Map();
+      for (const [owner, { balance }] of balancesByOwner) {
+        if (balance > 0n && !this.isExcludedAddress(owner)) {
+          scannedBalances.set(owner, balance);
+        }
+      }
+      this.recordBalanceHistory(scannedBalances);
+
+      // Process each holder
+      const now = new Date();
+      for (const [owner, { balance, tokenAccount }] of balancesByOwner) {
+        // Skip zero balances and excluded addresses
+        if (balance === 0n || this.isExcludedAddress(owner)) {
           continue;
         }
 
+        // Continuous hold is tracked across scans and resets when the wallet
+        // drops below the minimum (or leaves, see below)
+        const previous = this.holders.get(owner);
+        const holdingSince = balance >= minimumHold ? (previous?.holdingSince || now) : null;
+        const effectiveBalance = this.getEffectiveBalance(owner);
+        const meetsMinimumBalance = effectiveBalance >= minimumHold;
+
         const holderData = {
-          address: holder.owner,
-          balance: balance,
-          tokenAccount: holder.tokenAccount,
-          percentage: (balance / this.totalSupply) * 100,
-          lastUpdated: new Date(),
-          isEligible: balance >= this.minimumHoldAmount
+          address: owner,
+          balance: balance.toString(),
+          tokenAccount,
+          percentage: tokenAmount.percentageOf(balance, this.totalSupply),
+          lastUpdated: now,
+          effectiveBalance: effectiveBalance.toString(),
+          firstSeenAt: previous?.firstSeenAt || now,
+          holdingSince,
+          meetsMinimumBalance
         };
+        holderData.isEligible = meetsMinimumBalance &&
+          holdDuration.meetsMinimumHold(holderData, this.holdConfig, now.getTime());
 
-        newHolders.set(holder.owner, holderData);
+        newHolders.set(owner, holderData);
 
         // Add to eligible holders if meets minimum requirement
         if (holderData.isEligible) {
-          newEligibleHolders.set(holder.owner, holderData);
+          newEligibleHolders.set(owner, holderData);
         }
 
         // Save to database if available
         if (this.useDatabase) {
           try {
-            await HolderModel.upsert(holderData);
+            await HolderModel.upsert({
+              ...holderData,
+              recentBalances: (this.balanceHistory.get(owner) || []).map(balance => balance.toString())
+            });
           } catch (error) {
-            logger.warn(`Failed to save holder ${holder.owner} to database:`, error.message);
+            logger.warn(`Failed to save holder ${owner} to database:`, error.message);
+          }
+        }
+      }
+
+      // Wallets that sold out lose their hold streak
+      if (this.useDatabase) {
+        for (const address of this.holders.keys()) {
+          if (!newHolders.has(address)) {
+            try {
+              await HolderModel.markExited(address);
+            } catch (error) {
+              logger.warn(`Failed to mark holder ${address} as exited:`, error.message);
+            }
           }
         }
       }
@@ -215,6 +491,14 @@ class HolderTracker {
         }
       }
 
+      // Holder milestones can trigger a spin (see spinTriggerService)
+      if (totalCount !== previousHolderCount) {
+        await this.notify('holderCountChanged', {
+          previousHolders: previousHolderCount,
+          totalHolders: totalCount
+        });
+      }
+
     } catch (error) {
       logger.error('Failed to scan holders:', error);
       throw error;
@@ -305,22 +589,9 @@ class HolderTracker {
     logger.info('Stopped holder tracking');
   }
 
-  isBurnAddress(address) {
-    const burnAddresses = [
-      '11111111111111111111111111111111', // System program
-      'So11111111111111111111111111111111111111112', // Wrapped SOL
-      '1nc1nerator11111111111111111111111111111111', // Incinerator
-      '6EF8rrecthR5Dkzon8NQtpjxarMxGrbz7QcGMw1gcx', // Pump.fun bonding curve
-      '9KJRLL6VHRo5Yvh9LHs4FciL4McCXZBQzgWDNg3aKXDY', // Current token bonding curve
-    ];
-
-    // Check blacklisted addresses from environment
-    const blacklistedAddresses = process.env.BLACKLISTED_ADDRESSES ?
-      process.env.BLACKLISTED_ADDRESSES.split(',').map(addr => addr.trim()) : [];
-
-    return burnAddresses.includes(address) ||
-            blacklistedAddresses.includes(address) ||
-            address.startsWith('1111111111111111111111111111111');
+  // Burn, LP, CEX, team and program-owned (PDA) owners never play
+  isExcludedAddress(address) {
+    return exclusionRegistry.isExcluded(address);
   }
 
   async updateTokenAddress(newTokenAddress) {
@@ -330,8 +601,8 @@ class HolderTracker {
       // Clear existing data
       this.holders.clear();
       this.eligibleHolders.clear();
-      this.totalSupply = 0;
-      this.minimumHoldAmount = 0;
+      this.totalSupply = '0';
+      this.minimumHoldAmount = '0';
       
       // Update token supply with new address
       await this.updateTokenSupply();
@@ -350,30 +621,101 @@ class HolderTracker {
     return Array.from(this.eligibleHolders.values());
   }
 
+  // Re-check the hold duration and exclusions between scans (e.g. after the
+  // rules change or an admin excludes an address)
+  refreshEligibility() {
+    const now = Date.now();
+    const eligible = new Map();
+
+    for (const [address, holder] of this.holders) {
+      const meetsMinimumBalance = tokenAmount.compare(
+        holder.effectiveBalance !== undefined ? holder.effectiveBalance : holder.balance,
+        this.minimumHoldAmount
+      ) >= 0;
+      holder.meetsMinimumBalance = meetsMinimumBalance;
+      holder.isEligible = meetsMinimumBalance &&
+        holdDuration.meetsMinimumHold(holder, this.holdConfig, now) &&
+        !this.isExcludedAddress(address);
+      if (holder.isEligible) {
+        eligible.set(address, holder);
+      }
+    }
+
+    this.eligibleHolders = eligible;
+  }
+
+  // Eligible holders (merged clusters collapsed into one entry) with `weight`
+  // set by the configured weighting strategy and scaled by their
+  // diamond-hands multiplier
+  getWeightedEligibleHolders() {
+    const now = Date.now();
+    const holders = holderClusters.mergeHolders(this.getEligibleHolders());
+    const weighted = weightingStrategies.applyWeights(holders, this.weightingStrategy, {
+      totalSupply: this.totalSupply,
+      capPercentage: this.weightingCapPercentage
+    });
+
+    return weighted.map(holder => {
+      const holdMultiplier = holdDuration.getHoldMultiplier(holder, this.holdConfig, now);
+      return {
+        ...holder,
+        holdMultiplier,
+        weight: holdDuration.applyMultiplier(holder.weight, holdMultiplier)
+      };
+    });
+  }
+
+  getAntiSnipeConfig() {
+    return { snapshots: this.balanceWindow, maxSnapshots: MAX_BALANCE_WINDOW };
+  }
+
+  // Eligibility breakdown for a single wallet (used by /api/holders/check)
+  getEligibilityDetails(address) {
+    const holder = this.holders.get(address);
+    const now = Date.now();
+
+    return {
+      isEligible: this.isAddressEligible(address),
+      exclusion: exclusionRegistry.getExclusion(address),
+      meetsMinimumBalance: holder ? Boolean(holder.meetsMinimumBalance) : false,
+      balance: holder ? holder.balance : '0',
+      effectiveBalance: holder ? this.getEffectiveBalance(address).toString() : '0',
+      antiSnipeSnapshots: this.balanceWindow,
+      scansObserved: (this.balanceHistory.get(address) || []).length,
+      meetsMinimumHold: holder ? holdDuration.meetsMinimumHold(holder, this.holdConfig, now) : false,
+      firstSeenAt: holder?.firstSeenAt || null,
+      holdingSince: holder?.holdingSince || null,
+      holdDurationSeconds: Math.floor(holdDuration.getHoldDurationMs(holder, now) / 1000),
+      minHoldMinutes: this.holdConfig.minHoldMinutes,
+      eligibleAt: holdDuration.getEligibleAt(holder, this.holdConfig),
+      holdMultiplier: holder ? holdDuration.getHoldMultiplier(holder, this.holdConfig, now) : 1,
+      diamondHands: {
+        enabled: this.holdConfig.diamondHandsEnabled,
+        maxMultiplier: this.holdConfig.maxMultiplier,
+        rampHours: this.holdConfig.rampHours
+      }
+    };
+  }
+
   getRandomEligibleHolder() {
-    const eligible = this.getEligibleHolders();
+    const eligible = this.getWeightedEligibleHolders();
     if (eligible.length === 0) {
       return null;
     }
     
-    // Weighted random selection based on balance
-    const totalWeight = eligible.reduce((sum, holder) => sum + holder.balance, 0);
-    let random = Math.random() * totalWeight;
-    
-    for (const holder of eligible) {
-      random -= holder.balance;
-      if (random <= 0) {
-        return holder;
-      }
-    }
-    
-    // Fallback to simple random selection
-    return eligible[Math.floor(Math.random() * eligible.length)];
+    // Weighted random selection, in exact integer arithmetic
+    const ordered = provablyFair.orderHolders(eligible);
+    const { index } = provablyFair.selectWeightedIndex(
+      () => BigInt('0x' + crypto.randomBytes(32).toString('hex')),
+      ordered
+    );
+
+    return this.eligibleHolders.get(ordered[index].address);
   }
 
   getTopHolders(limit = 10) {
     return Array.from(this.holders.values())
-      .sort((a, b) => b.balance - a.balance)
+      .sort((a, b) => tokenAmount.compare(b.balance, a.balance))
       .slice(0, limit)
       .map(holder => ({
         address: holder.address,
@@ -394,6 +736,12 @@ class HolderTracker {
       totalSupply: this.totalSupply,
       minimumHoldAmount: this.minimumHoldAmount,
       minimumHoldPercentage: parseFloat(process.env.MINIMUM_HOLD_PERCENTAGE) || 0.1,
+      weighting: this.getWeightingConfig(),
+      holdRules: this.getHoldConfig(),
+      antiSnipe: this.getAntiSnipeConfig(),
+      // Eligible entries once merged clusters count as one owner
+      eligibleOwners: holderClusters.mergeHolders(this.getEligibleHolders()).length,
+      clusters: holderClusters.getSummary(),
       lastUpdate: this.lastUpdate,
       isTracking: this.isTracking,
       topHolders: this.getTopHolders(5)
@@ -412,15 +760,19 @@ class HolderTracker {
     }
   }
 
-  // Get holder distribution for wheel visualization
+  // Get holder distribution for wheel visualization; percentage is the
+  // holder's effective odds under the configured weighting strategy
   getHolderDistribution() {
-    const eligible = this.getEligibleHolders();
-    const totalEligibleBalance = eligible.reduce((sum, holder) => sum + holder.balance, 0);
+    const eligible = this.getWeightedEligibleHolders();
+    const totalWeight = tokenAmount.sum(eligible.map(holder => holder.weight));
     
     return eligible.map(holder => ({
       address: holder.address,
       balance: holder.balance,
-      percentage: (holder.balance / totalEligibleBalance) * 100,
+      effectiveBalance: holder.effectiveBalance,
+      weight: holder.weight,
+      holdMultiplier: holder.holdMultiplier,
+      percentage: tokenAmount.percentageOf(holder.weight, totalWeight),
       displayName: `${holder.address.slice(0, 4)}...${holder.address.slice(-4)}`
     }));
   }
@@ -0,0 +1,148 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+/**
+ * Market data sources used by market cap and volume spin triggers.
+ *
+ * A source implements
+ *   getMarketCap(mint) -> Promise<number> (USD)
+ * and optionally
+ *   getVolume(mint) -> Promise<number> (USD traded over the last 24 hours)
+ * and may be added at runtime with registerSource().
+ */
+
+// Fixed market cap and volume, for local testing
+const mockSource = {
+  label: 'Mock (MOCK_MARKET_CAP_USD, MOCK_VOLUME_USD)',
+
+  async getMarketCap() {
+    return parseFloat(process.env.MOCK_MARKET_CAP_USD) || 0;
+  },
+
+  async getVolume() {
+    return parseFloat(process.env.MOCK_VOLUME_USD) || 0;
+  }
+};
+
+async function getDexScreenerPairs(mint) {
+  const { data } = await axios.get(`https://api.dexscreener.com/latest/dex/tokens/${mint}`, { timeout: 10000 });
+  const pairs = (data && data.pairs) || [];
+  if (pairs.length === 0) {
+    throw new Error(`DexScreener has no pairs for ${mint}`);
+  }
+  return pairs;
+}
+
+const dexscreenerSource = {
+  label: 'DexScreener',
+
+  async getMarketCap(mint) {
+    const pairs = await getDexScreenerPairs(mint);
+
+    // The most liquid pair prices the token
+    const pair = pairs.reduce((best, candidate) =>
+      (candidate.liquidity?.usd || 0) > (best.liquidity?.usd || 0) ? candidate : best);
+    const marketCap = pair.marketCap || pair.fdv;
+    if (typeof marketCap !== 'number') {
+      throw new Error(`DexScreener returned no market cap for ${mint}`);
+    }
+    return marketCap;
+  },
+
+  // Volume is traded across every pair, so it is summed
+  async getVolume(mint) {
+    const pairs = await getDexScreenerPairs(mint);
+    const volumes = pairs.map(pair => pair.volume?.h24).filter(volume => typeof volume === 'number');
+    if (volumes.length === 0) {
+      throw new Error(`DexScreener returned no volume for ${mint}`);
+    }
+    return volumes.reduce((sum, volume) => sum + volume, 0);
+  }
+};
+
+const pumpfunSource = {
+  label: 'Pump.fun',
+
+  async getMarketCap(mint) {
+    const apiUrl = process.env.PUMPFUN_FRONTEND_API_URL || 'https://frontend-api.pump.fun';
+    const { data } = await axios.get(`${apiUrl}/coins/${mint}`, { timeout: 10000 });
+    if (!data || typeof data.usd_market_cap !== 'number') {
+      throw new Error(`Pump.fun returned no market cap for ${mint}`);
+    }
+    return data.usd_market_cap;
+  }
+};
+
+class MarketDataService {
+  constructor() {
+    this.sources = {
+      mock: mockSource,
+      dexscreener: dexscreenerSource,
+      pumpfun: pumpfunSource
+    };
+  }
+
+  registerSource(name, source) {
+    if (typeof source.getMarketCap !== 'function') {
+      throw new Error('A market data source needs getMarketCap()');
+    }
+    this.sources[name] = source;
+  }
+
+  isValidSource(name) {
+    return Object.prototype.hasOwnProperty.call(this.sources, name);
+  }
+
+  listSources() {
+    return Object.entries(this.sources).map(([name, source]) => ({
+      name,
+      label: source.label || name,
+      hasVolume: typeof source.getVolume === 'function'
+    }));
+  }
+
+  /**
+   * Market cap of the game token in USD from the named source.
+   * @returns {Promise<number>}
+   */
+  async getMarketCap(name, mint = process.env.TOKEN_MINT_ADDRESS) {
+    if (!this.isValidSource(name)) {
+      throw new Error(`Unknown market data source: ${name}`);
+    }
+    if (!mint) {
+      throw new Error('TOKEN_MINT_ADDRESS is not set');
+    }
+
+    try {
+      return await this.sources[name].getMarketCap(mint);
+    } catch (error) {
+      logger.warn(`Failed to get market cap from ${name}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * USD traded in the game token over the last 24 hours from the named source.
+   * @returns {Promise<number>}
+   */
+  async getVolume(name, mint = process.env.TOKEN_MINT_ADDRESS) {
+    if (!this.isValidSource(name)) {
+      throw new Error(`Unknown market data source: ${name}`);
+    }
+    if (typeof this.sources[name].getVolume !== 'function') {
+      throw new Error(`${this.sources[name].label || name} has no volume data`);
+    }
+    if (!mint) {
+      throw new Error('TOKEN_MINT_ADDRESS is not set');
+    }
+
+    try {
+      return await this.sources[name].getVolume(mint);
+    } catch (error) {
+      logger.warn(`Failed to get volume from ${name}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = new MarketDataService();
@@ -1,159 +1,1013 @@
-const { Transaction, SystemProgram, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
-const { createTransferInstruction, getAssociatedTokenAddress, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const os = require('os');
+const {
+  Transaction,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+  SendTransactionError,
+  SystemProgram,
+  PublicKey,
+  LAMPORTS_PER_SOL
+} = require('@solana/web3.js');
+const {
+  createTransferInstruction,
+  createTransferCheckedInstruction,
+  createCloseAccountInstruction,
+  createSyncNativeInstruction,
+  createAssociatedTokenAccountIdempotentInstruction,
+  getAssociatedTokenAddress,
+  getMint,
+  getAccountLen,
+  ExtensionType,
+  NATIVE_MINT,
+  ACCOUNT_SIZE,
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID
+} = require('@solana/spl-token');
 const solanaService = require('./solanaService');
+const swapService = require('./swapService');
+const priorityFeeService = require('./priorityFeeService');
+const signerService = require('./signerService');
 const logger = require('../utils/logger');
+const tokenAmount = require('../utils/tokenAmount');
+const payoutMemo = require('../utils/payoutMemo');
+const spendLimits = require('../utils/spendLimits');
+const payoutAssets = require('../utils/payoutAssets');
+const payoutApprovals = require('../utils/payoutApprovals');
+const db = require('../database/connection');
+const { PayoutModel, PayoutPolicyChangeModel, SystemSettingsModel } = require('../database/models');
+
+// Jobs whose game is still waiting on them
+// `exported` jobs belong to the multisig vault: the worker never claims them
+const OPEN_STATUSES = ['awaiting_approval', 'exported', 'pending', 'processing'];
 
 class PayoutService {
   constructor() {
+    // In-memory queue and history when no database is connected
     this.payoutHistory = [];
     this.pendingPayouts = new Map();
-    this.retryAttempts = 3;
-    this.retryDelay = 5000; // 5 seconds
-  }
+    this.useDatabase = false;
 
-  async processWinnerPayout(winnerAddress, winnerAmount, creatorAmount) {
-    const payoutId = this.generatePayoutId();
+    this.maxAttempts = parseInt(process.env.PAYOUT_MAX_ATTEMPTS) || 5;
+    this.retryDelay = 5000; // 5 seconds, doubled per attempt
+    this.maxRetryDelay = 600000; // 10 minutes
 
-    // Check if we have a hot wallet configured
-    const hotWallet = solanaService.getHotWallet();
-    if (!hotWallet) {
-      logger.info(`Payout ${payoutId} simulated (read-only mode): Winner ${winnerAddress} would get ${winnerAmount} lamports, Creator would get ${creatorAmount} lamports`);
-
-      const payout = {
-        id: payoutId,
-        winnerAddress,
-        winnerAmount,
-        creatorAmount,
-        totalAmount: winnerAmount + creatorAmount,
-        status: 'simulated',
-        attempts: 0,
-        createdAt: new Date(),
-        transactionSignature: `simulated_${payoutId}`,
-        error: null,
-        simulated: true
-      };
+    // Worker polling; a job locked longer than the timeout is picked up again
+    this.workerIntervalMs = parseInt(process.env.PAYOUT_WORKER_INTERVAL_MS) || 5000;
+    this.lockTimeoutMs = (parseInt(process.env.PAYOUT_LOCK_TIMEOUT_MINUTES) || 10) * 60 * 1000;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.workerInterval = null;
+    this.workerBusy = false;
+    this.payoutsPaused = false;
+    this.io = null;
+
+    // Spend caps in lamports (0 = off). Breaking one trips the breaker, which
+    // halts the worker until an admin re-arms it.
+    this.spendLimits = {
+      perPayout: parseInt(process.env.PAYOUT_MAX_LAMPORTS) || 0,
+      perHour: parseInt(process.env.PAYOUT_HOURLY_LIMIT_LAMPORTS) || 0,
+      perDay: parseInt(process.env.PAYOUT_DAILY_LIMIT_LAMPORTS) || 0
+    };
+    // A payout the admin let through when re-arming is kept on the breaker
+    // state as `approvedPayoutId`, so the approval survives a restart
+    this.breaker = { tripped: false };
+
+    // Payouts over the threshold wait for approvals from named admins (see
+    // utils/payoutApprovals), or are exported to a multisig vault instead
+    this.approvers = payoutApprovals.parseAccounts(process.env.ADMIN_ACCOUNTS);
+    this.approvalPolicy = {
+      thresholdLamports: parseInt(process.env.PAYOUT_APPROVAL_THRESHOLD_LAMPORTS) || 0,
+      required: parseInt(process.env.PAYOUT_APPROVALS_REQUIRED) || 2,
+      multisigVault: process.env.PAYOUT_MULTISIG_VAULT || ''
+    };
+    this.policyChanges = []; // in-memory change log when there is no database
+
+    // sol, wsol or auto (see utils/payoutAssets)
+    this.payoutAsset = payoutAssets.isValidAsset(process.env.PAYOUT_ASSET) ? process.env.PAYOUT_ASSET : payoutAssets.DEFAULT_ASSET;
+    // Native SOL kept back for transaction fees on top of the wallet's rent exemption
+    this.feeReserveLamports = 5000000; // 0.005 SOL
+
+    // `token` pays prizes in an SPL token worth the lamport payout, optionally
+    // buying it with the pot first
+    this.prizeSettings = {
+      mode: process.env.PRIZE_MODE === 'token' ? 'token' : 'sol',
+      mint: process.env.PRIZE_TOKEN_MINT || process.env.TOKEN_MINT_ADDRESS || '',
+      buyback: process.env.PRIZE_BUYBACK === 'true',
+      swapAdapter: process.env.SWAP_ADAPTER || 'jupiter',
+      slippageBps: parseInt(process.env.SWAP_SLIPPAGE_BPS) || 100
+    };
+    this.listeners = { broadcast: [], settled: [] };
+
+    // How far back the hot wallet's history is searched for an earlier send
+    this.dedupSearchLimit = Math.min(parseInt(process.env.PAYOUT_DEDUP_SEARCH_LIMIT) || 200, 1000);
+
+    // Optional durable nonce account (authority: the hot wallet). A payout
+    // signed against it stays valid until it lands or the nonce is advanced.
+    this.nonceAccount = process.env.PAYOUT_NONCE_ACCOUNT || '';
+    this.rebroadcastIntervalMs = 2000;
+    this.sendWindowMs = 180000; // longest one attempt keeps re-broadcasting
+  }
 
-      // Add to history as simulated payout
-      this.payoutHistory.unshift(payout);
+  async initialize(socketIo) {
+    this.io = socketIo;
+    this.useDatabase = db.isConnected;
 
-      // Keep only last 100 payouts in memory
-      if (this.payoutHistory.length > 100) {
-        this.payoutHistory = this.payoutHistory.slice(0, 100);
+    if (this.useDatabase) {
+      await this.loadSettingsFromDatabase();
+
+      // Jobs this host was working on when it last stopped
+      const released = await PayoutModel.releaseLocks(`${os.hostname()}:`, this.workerId);
+      if (released > 0) {
+        logger.warn(`Released ${released} payout job(s) left processing by a previous run`);
       }
+    }
 
-      return payout.transactionSignature;
+    logger.info(`Payout queue using ${this.useDatabase ? 'database' : 'in-memory'} storage`);
+    if (this.isHalted()) {
+      logger.warn(`Payouts start halted (${this.breaker.tripped ? `breaker tripped: ${this.breaker.reason}` : 'paused by admin'})`);
     }
+  }
 
+  // Pause state, breaker and spend caps survive restarts
+  async loadSettingsFromDatabase() {
     try {
-      logger.info(`Processing payout ${payoutId}: Winner ${winnerAddress} gets ${winnerAmount} lamports, Creator gets ${creatorAmount} lamports`);
-
-      const payout = {
-        id: payoutId,
-        winnerAddress,
-        winnerAmount,
-        creatorAmount,
-        totalAmount: winnerAmount + creatorAmount,
-        status: 'pending',
-        attempts: 0,
-        createdAt: new Date(),
-        transactionSignature: null,
-        error: null
-      };
+      this.payoutsPaused = await SystemSettingsModel.get('payouts_paused') || false;
+      this.breaker = await SystemSettingsModel.get('payout_breaker') || this.breaker;
+      this.spendLimits = { ...this.spendLimits, ...(await SystemSettingsModel.get('payout_spend_limits')) };
+      this.approvalPolicy = { ...this.approvalPolicy, ...(await SystemSettingsModel.get('payout_approval_policy')) };
+
+      const asset = await SystemSettingsModel.get('payout_asset');
+      if (payoutAssets.isValidAsset(asset)) this.payoutAsset = asset;
+
+      this.prizeSettings = { ...this.prizeSettings, ...(await SystemSettingsModel.get('prize_settings')) };
+
+      const nonceAccount = await SystemSettingsModel.get('payout_nonce_account');
+      if (nonceAccount !== null && nonceAccount !== undefined) this.nonceAccount = nonceAccount;
+    } catch (error) {
+      logger.warn('Failed to load payout settings from database, using defaults:', error.message);
+    }
+  }
+
+  async saveSetting(key, value, type) {
+    if (this.useDatabase) {
+      await SystemSettingsModel.set(key, value, type);
+    }
+  }
+
+  isHalted() {
+    return this.payoutsPaused || this.breaker.tripped;
+  }
 
-      this.pendingPayouts.set(payoutId, payout);
+  /**
+   * Register a handler for queue events:
+   * `broadcast` (job) once a payout transaction is sent, and
+   * `settled` (job) when a job completes, is simulated or runs out of attempts.
+   */
+  on(event, handler) {
+    this.listeners[event].push(handler);
+  }
+
+  async notify(event, job) {
+    for (const handler of this.listeners[event]) {
+      try {
+        await handler(job);
+      } catch (error) {
+        logger.error(`Payout ${event} handler failed for ${job.id}:`, error);
+      }
+    }
+  }
+
+  async processWinnerPayout(gameId, winnerAddress, winnerAmount, creatorAmount) {
+    return this.enqueuePrizePayout(gameId, [{ place: 1, address: winnerAddress, amount: winnerAmount }], creatorAmount);
+  }
+
+  /**
+   * Queue the payout of every place of a spin plus the creator share; the
+   * worker sends it as one transaction. Each transfer is keyed by game id +
+   * recipient and a game has at most one job, so enqueueing twice is a no-op.
+   * @param {string} gameId - Game being paid
+   * @param {Array<{place: number, address: string, amount: number}>} winners - Lamports per place
+   * @param {number} creatorAmount - Lamports for the creator wallet
+   * @returns {Promise<Object>} The queued (or already existing) job
+   */
+  async enqueuePrizePayout(gameId, winners, creatorAmount) {
+    const winnerAmount = winners.reduce((sum, winner) => sum + winner.amount, 0);
+    const needsApproval = payoutApprovals.needsApproval(this.approvalPolicy, winnerAmount + creatorAmount);
+    const job = {
+      id: this.generatePayoutId(),
+      gameId,
+      idempotencyKeys: this.getIdempotencyKeys(gameId, winners, creatorAmount),
+      winnerAddress: winners[0].address,
+      winnerAmount,
+      winners,
+      creatorAmount,
+      totalAmount: winnerAmount + creatorAmount,
+      status: needsApproval ? 'awaiting_approval' : 'pending',
+      approvals: [],
+      approvalsRequired: needsApproval ? this.approvalPolicy.required : null,
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: new Date(),
+      lastError: null,
+      transactionSignature: null,
+      tokenPrize: this.prizeSettings.mode === 'token' ? {
+        mint: this.prizeSettings.mint,
+        buyback: this.prizeSettings.buyback,
+        swapAdapter: this.prizeSettings.swapAdapter,
+        slippageBps: this.prizeSettings.slippageBps
+      } : null,
+      createdAt: new Date()
+    };
+
+    if (this.useDatabase) {
+      const queued = this.formatJob(await PayoutModel.enqueue(job));
+      logger.info(`Payout ${queued.id} queued for game ${gameId}: ${winners.map(w => `#${w.place} ${w.address} gets ${w.amount}`).join(', ')} lamports, Creator gets ${creatorAmount} lamports`);
+      if (queued.id === job.id) this.announceAwaitingApproval(queued);
+      this.kickWorker();
+      return queued;
+    }
+
+    const existing = this.findMemoryJob(job => job.gameId === gameId);
+    if (existing) {
+      return existing;
+    }
 
-      // Execute the payout transaction
-      const signature = await this.executePayoutTransaction(payout);
+    this.pendingPayouts.set(job.id, job);
+    logger.info(`Payout ${job.id} queued for game ${gameId} (in-memory)`);
+    this.announceAwaitingApproval(job);
+    this.kickWorker();
+    return job;
+  }
 
-      payout.transactionSignature = signature;
-      payout.status = 'completed';
-      payout.completedAt = new Date();
+  announceAwaitingApproval(job) {
+    if (job.status !== 'awaiting_approval') {
+      return;
+    }
+
+    logger.warn(`Payout ${job.id} of ${job.totalAmount} lamports is over the approval threshold; waiting for ${job.approvalsRequired} approval(s)`);
+    if (this.io) {
+      this.io.emit('payoutAwaitingApproval', {
+        payoutId: job.id,
+        gameId: job.gameId,
+        amount: job.totalAmount,
+        approvalsRequired: job.approvalsRequired
+      });
+    }
+  }
+
+  // True while the job's game still waits on it (queued, held for approval,
+  // exported to the multisig or sending)
+  isOpenJob(job) {
+    return OPEN_STATUSES.includes(job.status);
+  }
+
+  startWorker() {
+    if (this.workerInterval) {
+      return;
+    }
+    this.workerInterval = setInterval(() => this.runWorker(), this.workerIntervalMs);
+    this.kickWorker();
+  }
+
+  stopWorker() {
+    if (this.workerInterval) {
+      clearInterval(this.workerInterval);
+      this.workerInterval = null;
+    }
+  }
+
+  // Run the worker now instead of waiting for the next poll
+  kickWorker() {
+    if (!this.workerInterval) {
+      return;
+    }
+    setImmediate(() => this.runWorker());
+  }
 
-      // Move to history
-      this.payoutHistory.unshift(payout);
-      this.pendingPayouts.delete(payoutId);
+  // Works due jobs one at a time until the queue is empty or payouts are paused
+  async runWorker() {
+    if (this.workerBusy || this.isHalted()) {
+      return;
+    }
 
-      // Keep only last 100 payouts in memory
-      if (this.payoutHistory.length > 100) {
-        this.payoutHistory = this.payoutHistory.slice(0, 100);
+    this.workerBusy = true;
+    try {
+      let job;
+      while (!this.isHalted() && (job = await this.claimNextJob())) {
+        await this.processJob(job);
       }
+    } catch (error) {
+      logger.error('Payout worker error:', error);
+    } finally {
+      this.workerBusy = false;
+    }
+  }
+
+  async claimNextJob() {
+    if (this.useDatabase) {
+      const row = await PayoutModel.claimNext(this.workerId, new Date(Date.now() - this.lockTimeoutMs));
+      return row ? this.formatJob(row) : null;
+    }
+
+    const job = this.findMemoryJob(job => job.status === 'pending' && job.nextAttemptAt <= new Date());
+    if (!job) return null;
+    job.status = 'processing';
+    job.attempts++;
+    return job;
+  }
+
+  async processJob(job) {
+    // Read-only mode: nothing is sent
+    if (!solanaService.getHotWallet()) {
+      logger.info(`Payout ${job.id} simulated (read-only mode): ${job.winners.map(w => `#${w.place} ${w.address} gets ${w.amount}`).join(', ')} lamports, Creator would get ${job.creatorAmount} lamports`);
+      await this.settleJob(job, 'simulated', `simulated_${job.id}`);
+      return;
+    }
 
-      logger.info(`Payout ${payoutId} completed successfully. Transaction: ${signature}`);
-      return signature;
+    const limitError = await this.checkSpendLimits(job);
+    if (limitError) {
+      await this.tripBreaker(job, limitError);
+      return;
+    }
 
+    try {
+      logger.info(`Processing payout ${job.id} for game ${job.gameId}, attempt ${job.attempts}/${job.maxAttempts}`);
+      const signature = await this.executePayoutTransaction(job);
+      await this.settleJob(job, 'completed', signature);
+      logger.info(`Payout ${job.id} completed successfully. Transaction: ${signature}`);
     } catch (error) {
-      logger.error(`Payout ${payoutId} failed:`, error);
+      logger.error(`Payout ${job.id} attempt ${job.attempts} failed:`, error);
+      job.lastError = error.message;
 
-      const payout = this.pendingPayouts.get(payoutId);
-      if (payout) {
-        payout.status = 'failed';
-        payout.error = error.message;
-        payout.failedAt = new Date();
+      if (job.attempts >= job.maxAttempts) {
+        await this.failJob(job, error.message);
+        return;
+      }
 
-        // Move to history even if failed
-        this.payoutHistory.unshift(payout);
-        this.pendingPayouts.delete(payoutId);
+      const delay = Math.min(this.retryDelay * Math.pow(2, job.attempts - 1), this.maxRetryDelay);
+      job.status = 'pending';
+      job.nextAttemptAt = new Date(Date.now() + delay);
+      if (this.useDatabase) {
+        await PayoutModel.scheduleRetry(job.id, error.message, job.nextAttemptAt);
       }
+      logger.info(`Payout ${job.id} retry scheduled for ${job.nextAttemptAt.toISOString()}`);
+    }
+  }
 
-      throw error;
+  async settleJob(job, status, signature) {
+    await this.clearApproval(job);
+    job.status = status;
+    job.transactionSignature = signature;
+    job.completedAt = new Date();
+    job.simulated = status === 'simulated';
+
+    if (this.useDatabase) {
+      await PayoutModel.complete(job.id, signature, status);
+    } else {
+      this.moveToHistory(job);
+    }
+    await this.notify('settled', job);
+  }
+
+  async failJob(job, errorMessage) {
+    await this.clearApproval(job);
+    job.status = 'failed';
+    job.lastError = errorMessage;
+    job.failedAt = new Date();
+
+    if (this.useDatabase) {
+      await PayoutModel.fail(job.id, errorMessage);
+    } else {
+      this.moveToHistory(job);
+    }
+    logger.error(`Payout ${job.id} failed after ${job.attempts} attempt(s): ${errorMessage}`);
+    await this.notify('settled', job);
+  }
+
+  // Puts a claimed job back as pending without counting the attempt
+  async releaseJob(job) {
+    job.status = 'pending';
+    job.attempts = Math.max(job.attempts - 1, 0);
+
+    if (this.useDatabase) {
+      await PayoutModel.release(job.id);
+    }
+  }
+
+  async getSpentSince(since) {
+    if (this.useDatabase) {
+      return PayoutModel.getSpentSince(since);
+    }
+
+    return this.payoutHistory
+      .filter(p => p.status === 'completed' && p.completedAt >= since)
+      .reduce((sum, p) => sum + p.totalAmount, 0);
+  }
+
+  // Returns why `job` would break a spend cap, or null. A payout the admin
+  // approved when re-arming is let through once.
+  async checkSpendLimits(job) {
+    if (job.id === this.breaker.approvedPayoutId) {
+      return null;
+    }
+
+    const now = Date.now();
+    const spent = {
+      lastHour: await this.getSpentSince(new Date(now - 60 * 60 * 1000)),
+      lastDay: await this.getSpentSince(new Date(now - 24 * 60 * 60 * 1000))
+    };
+    return spendLimits.check(this.spendLimits, job.totalAmount, spent);
+  }
+
+  async clearApproval(job) {
+    if (job.id === this.breaker.approvedPayoutId) {
+      // Tripping again replaces the breaker state, so a match means it is armed
+      this.breaker = { tripped: false };
+      await this.saveSetting('payout_breaker', this.breaker, 'json');
+    }
+  }
+
+  async tripBreaker(job, reason) {
+    await this.releaseJob(job);
+
+    this.breaker = {
+      tripped: true,
+      reason,
+      payoutId: job.id,
+      gameId: job.gameId,
+      amount: job.totalAmount,
+      trippedAt: new Date()
+    };
+    await this.saveSetting('payout_breaker', this.breaker, 'json');
+
+    logger.error(`Payout circuit breaker tripped by ${job.id}: ${reason}`);
+    if (this.io) {
+      this.io.emit('payoutBreakerTripped', this.breaker);
+    }
+  }
+
+  /**
+   * Admin re-arm of a tripped breaker.
+   * @param {Object} options - { approvePayout } also lets the payout that
+   * tripped it through once, whatever the caps
+   */
+  async rearmBreaker(options = {}) {
+    if (!this.breaker.tripped) {
+      throw new Error('Payout circuit breaker is not tripped');
+    }
+
+    const tripped = this.breaker;
+    this.breaker = options.approvePayout
+      ? { tripped: false, approvedPayoutId: tripped.payoutId, approvedAt: new Date() }
+      : { tripped: false };
+    await this.saveSetting('payout_breaker', this.breaker, 'json');
+
+    const approved = Boolean(this.breaker.approvedPayoutId);
+    logger.warn(`Payout circuit breaker re-armed by admin${approved ? `, payout ${tripped.payoutId} approved` : ''}`);
+    if (this.io) {
+      this.io.emit('payoutBreakerRearmed', { payoutId: tripped.payoutId, approved });
+    }
+    this.kickWorker();
+  }
+
+  getSpendLimits() {
+    return { ...this.spendLimits };
+  }
+
+  async setSpendLimits(limits) {
+    const next = { ...this.spendLimits };
+    for (const key of spendLimits.LIMIT_KEYS) {
+      if (limits[key] !== undefined) next[key] = Number(limits[key]);
+    }
+
+    const error = spendLimits.validate(next);
+    if (error) {
+      throw new Error(error);
+    }
+
+    this.spendLimits = next;
+    await this.saveSetting('payout_spend_limits', next, 'json');
+    logger.info('Payout spend limits updated:', next);
+  }
+
+  moveToHistory(job) {
+    this.pendingPayouts.delete(job.id);
+    this.payoutHistory = [job, ...this.payoutHistory.filter(p => p.id !== job.id)];
+
+    // Keep only last 100 payouts in memory
+    if (this.payoutHistory.length > 100) {
+      this.payoutHistory = this.payoutHistory.slice(0, 100);
     }
   }
 
+  findMemoryJob(predicate) {
+    return Array.from(this.pendingPayouts.values()).find(predicate) ||
+           this.payoutHistory.find(predicate);
+  }
+
+  formatJob(row) {
+    return {
+      id: row.payout_id,
+      gameId: row.game_id,
+      idempotencyKeys: row.idempotency_keys || [],
+      winnerAddress: row.winner_address,
+      winnerAmount: Number(row.winner_amount),
+      winners: row.winners || [{ place: 1, address: row.winner_address, amount: Number(row.winner_amount) }],
+      creatorAmount: Number(row.creator_amount),
+      totalAmount: Number(row.total_amount),
+      status: row.status,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      nextAttemptAt: row.next_attempt_at,
+      lastError: row.error_message,
+      transactionSignature: row.transaction_signature,
+      simulated: row.status === 'simulated',
+      tokenPrize: row.token_prize,
+      priorityFee: row.priority_fee,
+      signedTransaction: row.signed_transaction,
+      approvals: row.approvals || [],
+      approvalsRequired: row.approvals_required,
+      multisigProposal: row.multisig_proposal,
+      createdAt: row.created_at,
+      completedAt: row.completed_at,
+      failedAt: row.failed_at
+    };
+  }
+
+  // One key per paid recipient; the creator key is only added when it is paid
+  getIdempotencyKeys(gameId, winners, creatorAmount) {
+    const recipients = winners.filter(winner => winner.amount > 0).map(winner => winner.address);
+    if (creatorAmount > 0 && process.env.CREATOR_WALLET) {
+      recipients.push(process.env.CREATOR_WALLET);
+    }
+    return [...new Set(recipients)].map(recipient => payoutMemo.idempotencyKey(gameId, recipient));
+  }
+
+  createMemoInstruction(text, signer) {
+    return new TransactionInstruction({
+      keys: [{ pubkey: signer, isSigner: true, isWritable: false }],
+      programId: new PublicKey(payoutMemo.MEMO_PROGRAM_ID),
+      data: Buffer.from(text, 'utf8')
+    });
+  }
+
+  /**
+   * Search the recent transactions of the hot wallet, and of the multisig
+   * vault once the payout was exported to it, for one that already carries
+   * this payout's idempotency memos and succeeded.
+   * @returns {Promise<string|null>} Signature of the landed payout
+   */
+  async findLandedPayout(payout) {
+    if (!payout.idempotencyKeys || payout.idempotencyKeys.length === 0) {
+      return null;
+    }
+
+    const hotWallet = solanaService.getHotWallet();
+    const connection = solanaService.getConnection();
+    const sources = [
+      hotWallet && hotWallet.publicKey,
+      payout.multisigProposal && new PublicKey(payout.multisigProposal.vault)
+    ].filter(Boolean);
+
+    for (const source of sources) {
+      const signatures = await connection.getSignaturesForAddress(
+        source,
+        { limit: this.dedupSearchLimit },
+        'confirmed'
+      );
+
+      const landed = signatures.find(info => !info.err && payoutMemo.hasAnyKey(info.memo, payout.idempotencyKeys));
+      if (landed) {
+        return landed.signature;
+      }
+    }
+    return null;
+  }
+
   async executePayoutTransaction(payout) {
     const hotWallet = solanaService.getHotWallet();
     const connection = solanaService.getConnection();
-    const wsolMint = 'So11111111111111111111111111111111111111112'; // WSOL mint address
 
     if (!hotWallet) {
       throw new Error('Hot wallet not configured');
     }
 
-    // Check hot wallet WSOL balance
-    const hotWalletWsolBalance = await solanaService.getTokenBalanceForWallet(
-      hotWallet.publicKey.toString(),
-      wsolMint
-    );
-    const requiredBalance = payout.totalAmount;
+    // A payout signed by an earlier attempt is sent again until it lands or
+    // provably can't; only then is a new one built
+    if (payout.signedTransaction) {
+      const { state } = await this.getSignedPayoutState(payout, connection);
+      if (state === 'landed') {
+        logger.warn(`Signed payout ${payout.id} already landed in ${payout.signedTransaction.signature}; not sending again`);
+        await this.recordBroadcast(payout, payout.signedTransaction.signature);
+        return payout.signedTransaction.signature;
+      }
+      if (state === 'pending') {
+        logger.info(`Re-broadcasting signed payout ${payout.id}`);
+        return await this.sendSignedPayout(payout, connection);
+      }
 
-    if (hotWalletWsolBalance < requiredBalance) {
-      throw new Error(`Insufficient hot wallet WSOL balance. Required: ${requiredBalance}, Available: ${hotWalletWsolBalance}`);
+      logger.warn(`Signed payout ${payout.id} ${state === 'failed' ? 'failed on-chain' : 'expired without landing'}; building a new one`);
+      await this.saveSignedTransaction(payout, null);
     }
 
-    const transaction = new Transaction();
+    // Never send again if a retry, restart or earlier process already paid this game
+    const landedSignature = await this.findLandedPayout(payout);
+    if (landedSignature) {
+      logger.warn(`Payout ${payout.id} already landed in ${landedSignature}; not sending again`);
+      await this.recordBroadcast(payout, landedSignature);
+      return landedSignature;
+    }
 
-    // Get associated token accounts and add transfer instructions
-    if (payout.winnerAmount > 0) {
-      await this.addWsolTransferInstruction(
-        transaction,
-        hotWallet.publicKey,
-        payout.winnerAddress,
-        payout.winnerAmount,
-        wsolMint
-      );
+    const recipients = this.getRecipients(payout);
+    const transaction = payout.tokenPrize
+      ? await this.buildTokenTransfers(payout, recipients, hotWallet, connection)
+      : await this.buildLamportTransfers(payout, recipients, hotWallet, connection);
+
+    // Idempotency memos let a later attempt find this transaction on-chain
+    for (const key of payout.idempotencyKeys || []) {
+      transaction.add(this.createMemoInstruction(payoutMemo.memoText(key), hotWallet.publicKey));
+    }
+
+    await this.signPayout(payout, transaction.instructions, hotWallet, connection);
+    return await this.sendSignedPayout(payout, connection);
+  }
+
+  /**
+   * Compiles the payout into a v0 transaction, signs it and stores it before
+   * it is first sent, so a retry or restart re-broadcasts the same payout.
+   * It is bound to the durable nonce when one is configured, otherwise to a
+   * recent blockhash.
+   */
+  async signPayout(payout, instructions, hotWallet, connection) {
+    const nonce = await this.getPayoutNonce(hotWallet, connection);
+    const advanceNonce = nonce
+      ? [SystemProgram.nonceAdvance({ noncePubkey: nonce.account, authorizedPubkey: hotWallet.publicKey })]
+      : [];
+
+    // Priority fee from recent fees, compute limit from a simulation
+    const budget = await priorityFeeService.getComputeBudget([...advanceNonce, ...instructions], hotWallet.publicKey, connection);
+    payout.priorityFee = budget.priorityFee;
+
+    let lifetime;
+    if (nonce) {
+      lifetime = { nonceAccount: nonce.account.toString(), nonce: nonce.nonce };
+    } else {
+      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+      lifetime = { blockhash, lastValidBlockHeight };
+    }
+
+    // The nonce advance has to be the first instruction
+    const message = new TransactionMessage({
+      payerKey: hotWallet.publicKey,
+      recentBlockhash: nonce ? nonce.nonce : lifetime.blockhash,
+      instructions: [...advanceNonce, ...budget.instructions, ...instructions]
+    }).compileToV0Message();
+    const transaction = new VersionedTransaction(message);
+    await signerService.signTransaction(hotWallet, transaction);
+
+    // The signature is filled in by the first send
+    await this.saveSignedTransaction(payout, {
+      transaction: Buffer.from(transaction.serialize()).toString('base64'),
+      signature: null,
+      lifetime,
+      signedAt: new Date()
+    });
+  }
+
+  // Current value of the payout nonce account, or null when payouts use blockhashes
+  async getPayoutNonce(hotWallet, connection) {
+    if (!this.nonceAccount) {
+      return null;
+    }
+
+    const account = new PublicKey(this.nonceAccount);
+    const nonceAccount = await connection.getNonce(account, 'confirmed');
+    if (!nonceAccount) {
+      throw new Error(`Nonce account ${this.nonceAccount} not found`);
+    }
+    if (!nonceAccount.authorizedPubkey.equals(hotWallet.publicKey)) {
+      throw new Error(`Nonce account ${this.nonceAccount} is not controlled by the hot wallet`);
+    }
+
+    return { account, nonce: nonceAccount.nonce };
+  }
+
+  /**
+   * Sends the stored payout and re-broadcasts it until it confirms, fails, or
+   * its blockhash or nonce shows it can never land. A nonce payout still
+   * pending after the send window is kept for the next attempt.
+   */
+  async sendSignedPayout(payout, connection) {
+    const signed = payout.signedTransaction;
+
+    if (!signed.signature) {
+      try {
+        signed.signature = await this.broadcast(signed, connection, false);
+      } catch (error) {
+        // Rejected in preflight: never forwarded, so it can be dropped
+        if (error instanceof SendTransactionError) {
+          await this.saveSignedTransaction(payout, null);
+        }
+        throw error;
+      }
+      await this.saveSignedTransaction(payout, signed);
+    }
+    await this.recordBroadcast(payout, signed.signature);
+
+    const deadline = Date.now() + this.sendWindowMs;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, this.rebroadcastIntervalMs));
+
+      const { state, err } = await this.getSignedPayoutState(payout, connection);
+      if (state === 'landed') {
+        logger.info(`Payout transaction ${payout.id} confirmed: ${signed.signature}`);
+        return signed.signature;
+      }
+      if (state !== 'pending') {
+        await this.saveSignedTransaction(payout, null);
+        throw new Error(state === 'failed'
+          ? `Transaction failed: ${JSON.stringify(err)}`
+          : `Payout transaction ${signed.signature} expired without landing`);
+      }
+
+      try {
+        await this.broadcast(signed, connection, true);
+      } catch (error) {
+        logger.warn(`Re-broadcast of payout ${payout.id} failed:`, error.message);
+      }
     }
 
+    throw new Error(`Payout transaction ${signed.signature} not confirmed yet; it stays valid and will be re-broadcast (cancel the payout to stop it)`);
+  }
+
+  broadcast(signed, connection, skipPreflight) {
+    return connection.sendRawTransaction(Buffer.from(signed.transaction, 'base64'), {
+      skipPreflight,
+      preflightCommitment: 'confirmed',
+      maxRetries: 0
+    });
+  }
+
+  /**
+   * Where a stored payout stands: `landed`, `failed` on-chain, `pending`
+   * (may still land) or `expired` (its blockhash passed or nonce moved on).
+   * @returns {Promise<{state: string, err?: Object}>}
+   */
+  async getSignedPayoutState(payout, connection) {
+    const signed = payout.signedTransaction;
+
+    // Signed, but the first send never returned; sending again yields the signature
+    if (!signed.signature) {
+      signed.signature = await this.broadcast(signed, connection, true);
+      await this.saveSignedTransaction(payout, signed);
+    }
+
+    const status = await this.getSignatureState(signed.signature, connection);
+    if (status) {
+      return status;
+    }
+    if (!(await this.isLifetimeOver(signed.lifetime, connection))) {
+      return { state: 'pending' };
+    }
+
+    // It may have landed between the two reads
+    return (await this.getSignatureState(signed.signature, connection)) || { state: 'expired' };
+  }
+
+  async getSignatureState(signature, connection) {
+    const { value: [status] } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+    if (!status || status.confirmationStatus === 'processed') {
+      return null;
+    }
+    return status.err ? { state: 'failed', err: status.err } : { state: 'landed' };
+  }
+
+  async isLifetimeOver(lifetime, connection) {
+    if (lifetime.nonceAccount) {
+      const nonceAccount = await connection.getNonce(new PublicKey(lifetime.nonceAccount), 'confirmed');
+      return !nonceAccount || nonceAccount.nonce !== lifetime.nonce;
+    }
+    return (await connection.getBlockHeight('confirmed')) > lifetime.lastValidBlockHeight;
+  }
+
+  async saveSignedTransaction(payout, signed) {
+    payout.signedTransaction = signed;
+    if (this.useDatabase) {
+      await PayoutModel.setSignedTransaction(payout.id, signed);
+    }
+  }
+
+  // Every place with something to receive, then the creator
+  getRecipients(payout) {
+    const recipients = payout.winners
+      .filter(winner => winner.amount > 0)
+      .map(winner => ({ address: winner.address, amount: winner.amount }));
+
     if (payout.creatorAmount > 0) {
       const creatorWallet = process.env.CREATOR_WALLET;
       if (!creatorWallet) {
         throw new Error('Creator wallet not configured');
       }
+      recipients.push({ address: creatorWallet, amount: payout.creatorAmount });
+    }
 
-      await this.addWsolTransferInstruction(
-        transaction,
+    return recipients;
+  }
+
+  // Payout in the configured payout asset (see utils/payoutAssets)
+  async buildLamportTransfers(payout, recipients, hotWallet, connection) {
+    const asset = this.payoutAsset;
+    const funds = await this.getHotWalletFunds(hotWallet, connection);
+    const requiredBalance = BigInt(payout.totalAmount);
+    const available = payoutAssets.spendable(asset, funds);
+
+    if (available < requiredBalance) {
+      throw new Error(`Insufficient hot wallet ${payoutAssets.getAsset(asset).token} balance. Required: ${requiredBalance}, Available: ${available}`);
+    }
+
+    const transaction = new Transaction();
+
+    if (asset === 'wsol') {
+      // One transfer per place; new recipient token accounts are paid in native SOL
+      let createdAccounts = 0;
+      for (const recipient of recipients) {
+        const created = await this.addWsolTransferInstruction(
+          transaction,
+          hotWallet.publicKey,
+          recipient.address,
+          recipient.amount,
+          NATIVE_MINT.toString()
+        );
+        if (created) createdAccounts++;
+      }
+
+      const tokenAccountRent = BigInt(await connection.getMinimumBalanceForRentExemption(ACCOUNT_SIZE));
+      const nativeNeeded = funds.reserve + tokenAccountRent * BigInt(createdAccounts);
+      if (funds.native < nativeNeeded) {
+        throw new Error(`Insufficient hot wallet SOL for fees and ${createdAccounts} new token account(s). Required: ${nativeNeeded}, Available: ${funds.native}`);
+      }
+    } else {
+      // Unwrap first when native SOL alone can't cover the payout
+      const freeNative = payoutAssets.spendable('sol', funds);
+      const shortfall = requiredBalance > freeNative ? requiredBalance - freeNative : 0n;
+      if (shortfall > 0n) {
+        await this.addUnwrapInstructions(transaction, hotWallet.publicKey);
+      }
+
+      for (const recipient of recipients) {
+        await this.addSolTransferInstruction(transaction, hotWallet.publicKey, recipient.address, recipient.amount);
+      }
+
+      // Re-wrapping the rest recreates the WSOL account, whose rent comes out
+      // of native SOL on top of the payout; without it the rest stays native
+      if (shortfall > 0n && funds.wsol > shortfall) {
+        const tokenAccountRent = BigInt(await connection.getMinimumBalanceForRentExemption(ACCOUNT_SIZE));
+        if (available >= requiredBalance + tokenAccountRent) {
+          await this.addWrapInstructions(transaction, hotWallet.publicKey, funds.wsol - shortfall);
+        } else {
+          logger.warn(`Leaving ${funds.wsol - shortfall} lamports unwrapped: no room for the WSOL account rent (${tokenAccountRent})`);
+        }
+      }
+    }
+
+    return transaction;
+  }
+
+  // Payout in the prize token, priced (or bought back) at the first attempt
+  async buildTokenTransfers(payout, recipients, hotWallet, connection) {
+    const prize = await this.prepareTokenPrize(payout, recipients, hotWallet, connection);
+    const mint = new PublicKey(prize.mint);
+    const programId = new PublicKey(prize.programId);
+    const fromAccount = await getAssociatedTokenAddress(mint, hotWallet.publicKey, false, programId);
+
+    const required = tokenAmount.sum(prize.amounts.map(part => part.amount));
+    const fromAccountInfo = await connection.getAccountInfo(fromAccount);
+    const available = fromAccountInfo ? fromAccountInfo.data.readBigUInt64LE(64) : 0n;
+    if (available < required) {
+      throw new Error(`Insufficient hot wallet ${prize.mint} balance. Required: ${required}, Available: ${available}`);
+    }
+
+    const transaction = new Transaction();
+    let createdAccounts = 0;
+
+    for (const part of prize.amounts) {
+      const amount = BigInt(part.amount);
+      if (amount === 0n) continue;
+
+      const owner = new PublicKey(part.address);
+      const toAccount = await getAssociatedTokenAddress(mint, owner, true, programId);
+      if (!(await connection.getAccountInfo(toAccount))) {
+        transaction.add(createAssociatedTokenAccountIdempotentInstruction(hotWallet.publicKey, toAccount, owner, mint, programId));
+        createdAccounts++;
+      }
+
+      transaction.add(createTransferCheckedInstruction(
+        fromAccount,
+        mint,
+        toAccount,
         hotWallet.publicKey,
-        creatorWallet,
-        payout.creatorAmount,
-        wsolMint
-      );
+        amount,
+        prize.decimals,
+        [],
+        programId
+      ));
     }
 
-    // Get recent blockhash
-    const { blockhash } = await connection.getLatestBlockhash();
-    transaction.recentBlockhash = blockhash;
-    transaction.feePayer = hotWallet.publicKey;
+    // Fees and new token accounts are paid in native SOL
+    const funds = await this.getHotWalletFunds(hotWallet, connection);
+    const accountSize = programId.equals(TOKEN_2022_PROGRAM_ID) ? getAccountLen([ExtensionType.ImmutableOwner]) : ACCOUNT_SIZE;
+    const tokenAccountRent = BigInt(await connection.getMinimumBalanceForRentExemption(accountSize));
+    const nativeNeeded = funds.reserve + tokenAccountRent * BigInt(createdAccounts);
+    if (funds.native < nativeNeeded) {
+      throw new Error(`Insufficient hot wallet SOL for fees and ${createdAccounts} new token account(s). Required: ${nativeNeeded}, Available: ${funds.native}`);
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Fixes the token amount of each recipient, once per job: the lamport
+   * payout is priced through the swap adapter, or spent on a buyback whose
+   * guaranteed output is then split in proportion to the lamport amounts.
+   */
+  async prepareTokenPrize(payout, recipients, hotWallet, connection) {
+    if (payout.tokenPrize.amounts) {
+      return payout.tokenPrize;
+    }
+
+    const mintInfo = await this.getPrizeMintInfo(payout.tokenPrize.mint, connection);
+    let totalTokens = payout.tokenPrize.boughtAmount;
+    let quotedOutAmount = payout.tokenPrize.quotedOutAmount;
 
-    // Sign and send transaction with retry logic
-    return await this.sendTransactionWithRetry(transaction, payout);
+    if (!payout.tokenPrize.buybackSignature) {
+      // A buyback that may have gone through must not be repeated blindly
+      if (payout.tokenPrize.buybackStartedAt) {
+        throw new Error(`Buyback for payout ${payout.id} started at ${payout.tokenPrize.buybackStartedAt} but its outcome was not recorded; check the hot wallet before settling this game`);
+      }
+
+      const adapter = swapService.getAdapter(payout.tokenPrize.swapAdapter);
+      const quote = await adapter.quote({
+        inputMint: NATIVE_MINT.toString(),
+        outputMint: payout.tokenPrize.mint,
+        amount: String(payout.totalAmount),
+        slippageBps: payout.tokenPrize.slippageBps,
+        outputDecimals: mintInfo.decimals
+      });
+      quotedOutAmount = quote.outAmount;
+      totalTokens = quote.outAmount;
+
+      if (payout.tokenPrize.buyback) {
+        await this.saveTokenPrize(payout, { ...payout.tokenPrize, buybackStartedAt: new Date() });
+        const result = await adapter.swap(quote, hotWallet, { useWrappedSol: this.payoutAsset === 'wsol' });
+        totalTokens = result.outAmount;
+        await this.saveTokenPrize(payout, {
+          ...payout.tokenPrize,
+          buybackSignature: result.signature,
+          boughtAmount: result.outAmount,
+          quotedOutAmount
+        });
+        logger.info(`Payout ${payout.id} bought back ${totalTokens} of ${payout.tokenPrize.mint} for ${payout.totalAmount} lamports: ${result.signature}`);
+      }
+    }
+
+    const parts = tokenAmount.allocate(totalTokens, recipients.map(recipient => recipient.amount));
+    return this.saveTokenPrize(payout, {
+      ...payout.tokenPrize,
+      decimals: mintInfo.decimals,
+      programId: mintInfo.programId,
+      quotedOutAmount,
+      pricedAt: new Date(),
+      amounts: recipients.map((recipient, index) => ({
+        address: recipient.address,
+        lamports: recipient.amount,
+        amount: parts[index].toString()
+      }))
+    });
+  }
+
+  async saveTokenPrize(payout, tokenPrize) {
+    payout.tokenPrize = tokenPrize;
+    if (this.useDatabase) {
+      await PayoutModel.setTokenPrize(payout.id, tokenPrize);
+    }
+    return tokenPrize;
+  }
+
+  // Decimals and owning program (SPL Token or Token-2022) of a mint
+  async getPrizeMintInfo(mintAddress, connection) {
+    const mint = new PublicKey(mintAddress);
+    const accountInfo = await connection.getAccountInfo(mint);
+    if (!accountInfo) {
+      throw new Error(`Prize mint ${mintAddress} not found`);
+    }
+
+    const programId = accountInfo.owner.equals(TOKEN_2022_PROGRAM_ID) ? TOKEN_2022_PROGRAM_ID : TOKEN_PROGRAM_ID;
+    if (!accountInfo.owner.equals(programId)) {
+      throw new Error(`${mintAddress} is not a token mint`);
+    }
+
+    const mintData = await getMint(connection, mint, 'confirmed', programId);
+    return { decimals: mintData.decimals, programId: programId.toString() };
   }
 
   async addWsolTransferInstruction(transaction, fromWallet, toWalletAddress, amount, wsolMint) {
@@ -197,6 +1051,119 @@ class PayoutService {
     );
 
     transaction.add(transferInstruction);
+    return !toTokenAccountInfo;
+  }
+
+  async addSolTransferInstruction(transaction, fromWallet, toWalletAddress, amount) {
+    const toPublicKey = new PublicKey(toWalletAddress);
+    const connection = solanaService.getConnection();
+
+    // A transfer can't create an account below the rent-exempt minimum
+    const toAccountInfo = await connection.getAccountInfo(toPublicKey);
+    if (!toAccountInfo) {
+      const minimumRent = await connection.getMinimumBalanceForRentExemption(0);
+      if (amount < minimumRent) {
+        throw new Error(`Payout of ${amount} lamports to new account ${toWalletAddress} is below the ${minimumRent} lamport rent-exempt minimum`);
+      }
+    }
+
+    transaction.add(SystemProgram.transfer({
+      fromPubkey: fromWallet,
+      toPubkey: toPublicKey,
+      lamports: amount
+    }));
+  }
+
+  // Closing the WSOL account moves its whole balance (and rent) to native SOL
+  async addUnwrapInstructions(transaction, owner) {
+    const wsolAccount = await getAssociatedTokenAddress(NATIVE_MINT, owner);
+    transaction.add(createCloseAccountInstruction(wsolAccount, owner, owner));
+  }
+
+  // Recreates the WSOL account and wraps `amount` lamports back into it
+  async addWrapInstructions(transaction, owner, amount) {
+    const wsolAccount = await getAssociatedTokenAddress(NATIVE_MINT, owner);
+    transaction.add(
+      createAssociatedTokenAccountIdempotentInstruction(owner, wsolAccount, owner, NATIVE_MINT),
+      SystemProgram.transfer({ fromPubkey: owner, toPubkey: wsolAccount, lamports: amount }),
+      createSyncNativeInstruction(wsolAccount)
+    );
+  }
+
+  // Native SOL and WSOL (associated account only, as that is what gets
+  // spent or unwrapped) plus the native SOL kept back for rent and fees
+  async getHotWalletFunds(hotWallet, connection) {
+    const wsolAccount = await getAssociatedTokenAddress(NATIVE_MINT, hotWallet.publicKey);
+    const [native, wsolAccountInfo, systemRent] = await Promise.all([
+      connection.getBalance(hotWallet.publicKey),
+      connection.getAccountInfo(wsolAccount),
+      connection.getMinimumBalanceForRentExemption(0)
+    ]);
+
+    return {
+      native: BigInt(native),
+      wsol: wsolAccountInfo ? wsolAccountInfo.data.readBigUInt64LE(64) : 0n,
+      reserve: BigInt(systemRent) + BigInt(this.feeReserveLamports)
+    };
+  }
+
+  getPrizeSettings() {
+    return { ...this.prizeSettings };
+  }
+
+  async setPrizeSettings(settings) {
+    const next = { ...this.prizeSettings };
+    if (settings.mode !== undefined) next.mode = settings.mode;
+    if (settings.mint !== undefined) next.mint = settings.mint;
+    if (settings.buyback !== undefined) next.buyback = Boolean(settings.buyback);
+    if (settings.swapAdapter !== undefined) next.swapAdapter = settings.swapAdapter;
+    if (settings.slippageBps !== undefined) next.slippageBps = parseInt(settings.slippageBps);
+
+    if (next.mode !== 'sol' && next.mode !== 'token') {
+      throw new Error('Prize mode must be "sol" or "token"');
+    }
+    if (next.mode === 'token') {
+      try {
+        new PublicKey(next.mint);
+      } catch (error) {
+        throw new Error('Token prizes need a valid prize mint address');
+      }
+    }
+    if (!swapService.isValidAdapter(next.swapAdapter)) {
+      throw new Error(`Swap adapter must be one of: ${swapService.listAdapters().map(a => a.name).join(', ')}`);
+    }
+    if (!(next.slippageBps >= 0 && next.slippageBps <= 5000)) {
+      throw new Error('Swap slippage must be between 0 and 5000 bps');
+    }
+
+    this.prizeSettings = next;
+    await this.saveSetting('prize_settings', next, 'json');
+    logger.info('Prize settings updated:', next);
+  }
+
+  getPayoutAsset() {
+    return this.payoutAsset;
+  }
+
+  getNonceAccount() {
+    return this.nonceAccount;
+  }
+
+  // Empty switches payouts back to recent blockhashes
+  async setNonceAccount(address) {
+    this.nonceAccount = address ? new PublicKey(address).toString() : '';
+    await this.saveSetting('payout_nonce_account', this.nonceAccount, 'string');
+    logger.info(this.nonceAccount ? `Payouts use durable nonce account ${this.nonceAccount}` : 'Payouts use recent blockhashes');
+  }
+
+  async setPayoutAsset(asset) {
+    if (!payoutAssets.isValidAsset(asset)) {
+      throw new Error(`Payout asset must be one of: ${payoutAssets.listAssets().map(a => a.name).join(', ')}`);
+    }
+
+    this.payoutAsset = asset;
+    await this.saveSetting('payout_asset', asset, 'string');
+    logger.info(`Payout asset set to ${asset}`);
   }
 
   async createAssociatedTokenAccountInstruction(payer, owner, mint) {
@@ -209,148 +1176,109 @@ class PayoutService {
     );
   }
 
-  async sendTransactionWithRetry(transaction, payout) {
-    const hotWallet = solanaService.getHotWallet();
-    const connection = solanaService.getConnection();
-    
-    for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+  async recordBroadcast(payout, signature) {
+    payout.transactionSignature = signature;
+
+    if (this.useDatabase) {
       try {
-        payout.attempts = attempt;
-        
-        logger.info(`Sending payout transaction ${payout.id}, attempt ${attempt}/${this.retryAttempts}`);
-        
-        // Sign the transaction
-        transaction.sign(hotWallet);
-        
-        // Send transaction
-        const signature = await connection.sendRawTransaction(transaction.serialize(), {
-          skipPreflight: false,
-          preflightCommitment: 'confirmed',
-        });
-        
-        // Wait for confirmation
-        const confirmation = await connection.confirmTransaction(signature, 'confirmed');
-        
-        if (confirmation.value.err) {
-          throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
-        }
-        
-        logger.info(`Payout transaction ${payout.id} confirmed: ${signature}`);
-        return signature;
-        
+        await PayoutModel.setSignature(payout.id, signature, payout.priorityFee);
       } catch (error) {
-        logger.warn(`Payout transaction ${payout.id} attempt ${attempt} failed:`, error.message);
-        
-        if (attempt === this.retryAttempts) {
-          throw error;
-        }
-        
-        // Wait before retry with exponential backoff
-        const delay = this.retryDelay * Math.pow(2, attempt - 1);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        
-        // Get fresh blockhash for retry
-        try {
-          const { blockhash } = await connection.getLatestBlockhash();
-          transaction.recentBlockhash = blockhash;
-        } catch (blockhashError) {
-          logger.warn('Failed to get fresh blockhash for retry:', blockhashError);
-        }
+        logger.warn(`Failed to record broadcast of payout ${payout.id}:`, error.message);
       }
     }
+    await this.notify('broadcast', payout);
   }
 
-  async processTokenPayout(winnerAddress, tokenAmount) {
-    // For token payouts (if needed in the future)
-    const hotWallet = solanaService.getHotWallet();
-    const connection = solanaService.getConnection();
-    const tokenMint = solanaService.getTokenMintAddress();
-    
-    if (!tokenMint) {
-      throw new Error('Token mint address not configured');
+  generatePayoutId() {
+    return `payout_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  async getPayoutHistory(limit = 20) {
+    if (this.useDatabase) {
+      const rows = await PayoutModel.getRecent(limit);
+      return rows.map(row => this.formatJob(row));
     }
-    
-    try {
-      // Get associated token accounts
-      const fromTokenAccount = await getAssociatedTokenAddress(
-        tokenMint,
-        hotWallet.publicKey
-      );
-      
-      const toTokenAccount = await getAssociatedTokenAddress(
-        tokenMint,
-        new PublicKey(winnerAddress)
-      );
-      
-      const transaction = new Transaction();
-      
-      // Add transfer instruction
-      const transferInstruction = createTransferInstruction(
-        fromTokenAccount,
-        toTokenAccount,
-        hotWallet.publicKey,
-        tokenAmount,
-        [],
-        TOKEN_PROGRAM_ID
-      );
-      
-      transaction.add(transferInstruction);
-      
-      // Get recent blockhash
-      const { blockhash } = await connection.getLatestBlockhash();
-      transaction.recentBlockhash = blockhash;
-      transaction.feePayer = hotWallet.publicKey;
-      
-      // Sign and send
-      transaction.sign(hotWallet);
-      const signature = await connection.sendRawTransaction(transaction.serialize());
-      
-      // Wait for confirmation
-      await connection.confirmTransaction(signature, 'confirmed');
-      
-      return signature;
-      
-    } catch (error) {
-      logger.error('Token payout failed:', error);
-      throw error;
+
+    return [...this.getMemoryQueue(), ...this.payoutHistory].slice(0, limit);
+  }
+
+  // Jobs waiting for the worker or being sent right now
+  async getPendingPayouts() {
+    if (this.useDatabase) {
+      const rows = await PayoutModel.getByStatuses(OPEN_STATUSES);
+      return rows.map(row => this.formatJob(row));
     }
+
+    return this.getMemoryQueue();
   }
 
-  generatePayoutId() {
-    return `payout_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  getMemoryQueue() {
+    return Array.from(this.pendingPayouts.values())
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
   }
 
-  getPayoutHistory(limit = 20) {
-    return this.payoutHistory.slice(0, limit);
+  async getPayoutById(payoutId) {
+    if (this.useDatabase) {
+      const row = await PayoutModel.findByPayoutId(payoutId);
+      return row ? this.formatJob(row) : null;
+    }
+
+    return this.findMemoryJob(p => p.id === payoutId) || null;
   }
 
-  getPendingPayouts() {
-    return Array.from(this.pendingPayouts.values());
+  async getPayoutForGame(gameId) {
+    if (this.useDatabase) {
+      const row = await PayoutModel.findByGameId(gameId);
+      return row ? this.formatJob(row) : null;
+    }
+
+    return this.findMemoryJob(p => p.gameId === gameId) || null;
   }
 
-  getPayoutById(payoutId) {
-    return this.payoutHistory.find(p => p.id === payoutId) || 
-           this.pendingPayouts.get(payoutId);
+  getQueueStatus() {
+    return {
+      paused: this.payoutsPaused,
+      breaker: this.breaker,
+      spendLimits: this.getSpendLimits(),
+      workerRunning: Boolean(this.workerInterval),
+      workerBusy: this.workerBusy,
+      storage: this.useDatabase ? 'database' : 'memory'
+    };
   }
 
-  getPayoutStats() {
-    const completed = this.payoutHistory.filter(p => p.status === 'completed');
-    const failed = this.payoutHistory.filter(p => p.status === 'failed');
-    
-    const totalPaidOut = completed.reduce((sum, p) => sum + p.totalAmount, 0);
-    const totalWinnerPayouts = completed.reduce((sum, p) => sum + p.winnerAmount, 0);
-    const totalCreatorPayouts = completed.reduce((sum, p) => sum + p.creatorAmount, 0);
-    
+  async getPayoutStats() {
+    let stats;
+
+    if (this.useDatabase) {
+      const row = await PayoutModel.getStats();
+      stats = {
+        totalPayouts: Number(row.total_payouts),
+        completedPayouts: Number(row.completed_payouts),
+        failedPayouts: Number(row.failed_payouts),
+        pendingPayouts: Number(row.pending_payouts),
+        totalPaidOut: Number(row.total_paid_out),
+        totalWinnerPayouts: Number(row.total_winner_payouts),
+        totalCreatorPayouts: Number(row.total_creator_payouts)
+      };
+    } else {
+      const completed = this.payoutHistory.filter(p => p.status === 'completed');
+      stats = {
+        totalPayouts: this.payoutHistory.length + this.pendingPayouts.size,
+        completedPayouts: completed.length,
+        failedPayouts: this.payoutHistory.filter(p => p.status === 'failed').length,
+        pendingPayouts: this.pendingPayouts.size,
+        totalPaidOut: completed.reduce((sum, p) => sum + p.totalAmount, 0),
+        totalWinnerPayouts: completed.reduce((sum, p) => sum + p.winnerAmount, 0),
+        totalCreatorPayouts: completed.reduce((sum, p) => sum + p.creatorAmount, 0)
+      };
+    }
+
+    const settled = stats.totalPayouts - stats.pendingPayouts;
     return {
-      totalPayouts: this.payoutHistory.length,
-      completedPayouts: completed.length,
-      failedPayouts: failed.length,
-      pendingPayouts: this.pendingPayouts.size,
-      totalPaidOut,
-      totalWinnerPayouts,
-      totalCreatorPayouts,
-      averagePayoutAmount: completed.length > 0 ? totalPaidOut / completed.length : 0,
-      successRate: this.payoutHistory.length > 0 ? (completed.length / this.payoutHistory.length) * 100 : 0
+      ...stats,
+      averagePayoutAmount: stats.completedPayouts > 0 ? stats.totalPaidOut / stats.completedPayouts : 0,
+      successRate: settled > 0 ? (stats.completedPayouts / settled) * 100 : 0,
+      queue: this.getQueueStatus()
     };
   }
 
@@ -361,20 +1289,26 @@ class PayoutService {
         return { valid: false, error: 'Hot wallet not configured' };
       }
 
-      const wsolMint = 'So11111111111111111111111111111111111111112'; // WSOL mint address
-      const wsolBalance = await solanaService.getTokenBalanceForWallet(
-        hotWallet.publicKey.toString(),
-        wsolMint
-      );
-      const minimumBalance = 0.1 * LAMPORTS_PER_SOL; // 0.1 SOL equivalent in WSOL lamports
+      const funds = await this.getHotWalletFunds(hotWallet, solanaService.getConnection());
+      const balance = payoutAssets.spendable(this.payoutAsset, funds);
+      const minimumBalance = 0.1 * LAMPORTS_PER_SOL; // 0.1 SOL
+      // Fees and new token accounts are always paid in native SOL
+      const coversReserve = funds.native >= funds.reserve;
 
       return {
-        valid: wsolBalance >= minimumBalance,
-        balance: wsolBalance,
+        valid: balance >= BigInt(minimumBalance) && coversReserve,
+        asset: this.payoutAsset,
+        balance: balance.toString(),
         minimumBalance,
-        balanceSOL: wsolBalance / LAMPORTS_PER_SOL,
+        balanceSOL: Number(balance) / LAMPORTS_PER_SOL,
+        balances: {
+          sol: funds.native.toString(),
+          wsol: funds.wsol.toString()
+        },
+        reserve: funds.reserve.toString(),
         address: hotWallet.publicKey.toString(),
-        token: 'WSOL'
+        token: payoutAssets.getAsset(this.payoutAsset).token,
+        ...(coversReserve ? {} : { error: `Hot wallet needs ${funds.reserve} lamports of native SOL for rent and fees` })
       };
 
     } catch (error) {
@@ -383,82 +1317,538 @@ class PayoutService {
     }
   }
 
+  // Base and priority fee a payout would pay now
   async estimateTransactionFee() {
     try {
-      const connection = solanaService.getConnection();
-      
-      // Create a dummy transaction to estimate fees
-      const dummyTransaction = new Transaction();
-      dummyTransaction.add(
-        SystemProgram.transfer({
-          fromPubkey: new PublicKey('11111111111111111111111111111111'),
-          toPubkey: new PublicKey('11111111111111111111111111111111'),
-          lamports: 1000000,
-        })
-      );
-      
-      const fee = await connection.getFeeForMessage(dummyTransaction.compileMessage());
-      return fee.value || 5000; // Default to 5000 lamports if estimation fails
-      
+      return await priorityFeeService.estimateFee();
     } catch (error) {
       logger.warn('Failed to estimate transaction fee:', error);
-      return 5000; // Default fee
+      return { baseFee: 5000, priorityFee: 0, microLamports: 0, computeUnits: 0, total: 5000 };
     }
   }
 
-  // Emergency functions
+  // Emergency functions; a job already being sent finishes, nothing new is claimed
   async pausePayouts() {
     logger.warn('Payouts paused by admin');
     this.payoutsPaused = true;
+    await this.saveSetting('payouts_paused', true, 'boolean');
   }
 
+  // Resuming does not re-arm a tripped breaker
   async resumePayouts() {
     logger.info('Payouts resumed by admin');
     this.payoutsPaused = false;
+    await this.saveSetting('payouts_paused', false, 'boolean');
+    this.kickWorker();
   }
 
+  // Puts a failed job back in the queue with a fresh set of attempts
   async retryFailedPayout(payoutId) {
-    const payout = this.payoutHistory.find(p => p.id === payoutId && p.status === 'failed');
-    
-    if (!payout) {
+    let job = await this.getPayoutById(payoutId);
+    if (job && job.multisigProposal) {
+      throw new Error('An exported payout is only settled from its multisig transaction');
+    }
+
+    if (this.useDatabase) {
+      const row = await PayoutModel.requeue(payoutId);
+      job = row ? this.formatJob(row) : null;
+    } else {
+      job = this.payoutHistory.find(p => p.id === payoutId && p.status === 'failed');
+      if (job) {
+        // A payout cancelled while awaiting approval still needs it
+        const status = job.approvalsRequired && job.approvals.length < job.approvalsRequired ? 'awaiting_approval' : 'pending';
+        Object.assign(job, { status, attempts: 0, lastError: null, failedAt: null, nextAttemptAt: new Date() });
+        this.payoutHistory = this.payoutHistory.filter(p => p.id !== payoutId);
+        this.pendingPayouts.set(payoutId, job);
+      }
+    }
+
+    if (!job) {
       throw new Error('Failed payout not found');
     }
-    
+
     logger.info(`Retrying failed payout ${payoutId}`);
-    
-    // Reset payout status
-    payout.status = 'pending';
-    payout.attempts = 0;
-    payout.error = null;
-    
-    // Move back to pending
-    this.pendingPayouts.set(payoutId, payout);
-    this.payoutHistory = this.payoutHistory.filter(p => p.id !== payoutId);
-    
-    // Execute the payout
+    this.kickWorker();
+    return job;
+  }
+
+  /**
+   * Admin cancel (or rejection) of an open or failed payout; its game goes to review.
+   * A signed nonce payout is made invalid by advancing the nonce, one signed
+   * against a blockhash can only be cancelled once that has expired.
+   * A payout found to have landed anyway is completed instead.
+   */
+  async cancelPayout(payoutId) {
+    const job = await this.getPayoutById(payoutId);
+    if (!job || !['awaiting_approval', 'exported', 'pending', 'failed'].includes(job.status)) {
+      throw new Error('Only pending, unapproved, exported or failed payouts can be cancelled');
+    }
+
+    const hotWallet = solanaService.getHotWallet();
+    const connection = solanaService.getConnection();
+    const signed = job.signedTransaction;
+    if (signed && !hotWallet) {
+      throw new Error('Hot wallet not configured');
+    }
+    if (signed && !signed.lifetime.nonceAccount && !(await this.isLifetimeOver(signed.lifetime, connection))) {
+      throw new Error(`Signed payout is valid until block height ${signed.lifetime.lastValidBlockHeight}; cancel it once that has passed`);
+    }
+
+    // Keep the worker from claiming it before the transaction is invalidated
+    const wasPending = job.status !== 'failed';
+    const message = 'Cancelled by admin';
+    if (this.useDatabase) {
+      if (!(await PayoutModel.cancel(payoutId, message))) {
+        throw new Error('Payout is being sent; pause payouts and try again');
+      }
+    } else {
+      this.moveToHistory(job);
+    }
+    Object.assign(job, { status: 'failed', lastError: message, failedAt: new Date() });
+
+    let invalidateError = null;
+    if (signed && signed.lifetime.nonceAccount && !(await this.isLifetimeOver(signed.lifetime, connection))) {
+      try {
+        await this.advanceNonce(new PublicKey(signed.lifetime.nonceAccount), hotWallet, connection);
+      } catch (error) {
+        invalidateError = error;
+      }
+    }
+
+    const landedSignature = signed || job.multisigProposal ? await this.findLandedPayout(job) : null;
+    if (landedSignature) {
+      logger.warn(`Cancelled payout ${payoutId} had already landed in ${landedSignature}`);
+      await this.settleJob(job, 'completed', landedSignature);
+      return job;
+    }
+
+    if (!invalidateError) {
+      await this.saveSignedTransaction(job, null);
+    }
+    logger.warn(`Payout ${payoutId} cancelled by admin`);
+    if (wasPending) {
+      await this.notify('settled', job);
+    }
+
+    if (invalidateError) {
+      throw new Error(`Payout ${payoutId} is cancelled but its nonce could not be advanced, so the signed transaction may still land: ${invalidateError.message}`);
+    }
+    return job;
+  }
+
+  async advanceNonce(noncePubkey, hotWallet, connection) {
+    const transaction = new Transaction().add(
+      SystemProgram.nonceAdvance({ noncePubkey, authorizedPubkey: hotWallet.publicKey })
+    );
+    await priorityFeeService.applyComputeBudget(transaction, hotWallet.publicKey, connection);
+
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = hotWallet.publicKey;
+    await signerService.signTransaction(hotWallet, transaction);
+
+    const signature = await connection.sendRawTransaction(transaction.serialize());
+    const confirmation = await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed');
+    if (confirmation.value.err) {
+      throw new Error(`Nonce advance ${signature} failed: ${JSON.stringify(confirmation.value.err)}`);
+    }
+
+    logger.info(`Advanced nonce ${noncePubkey.toString()}: ${signature}`);
+    return signature;
+  }
+
+  verifyApprover(name, password) {
+    return payoutApprovals.verifyAccount(this.approvers, name, password);
+  }
+
+  getApprovers() {
+    return [...this.approvers.keys()];
+  }
+
+  getApprovalPolicy() {
+    return { ...this.approvalPolicy };
+  }
+
+  async setApprovalPolicy(updates) {
+    const policy = { ...this.approvalPolicy };
+    if (updates.thresholdLamports !== undefined) policy.thresholdLamports = Number(updates.thresholdLamports);
+    if (updates.required !== undefined) policy.required = Number(updates.required);
+    if (updates.multisigVault !== undefined) {
+      policy.multisigVault = updates.multisigVault ? new PublicKey(updates.multisigVault).toString() : '';
+    }
+
+    const error = payoutApprovals.validate(policy, this.approvers.size);
+    if (error) {
+      throw new Error(error);
+    }
+
+    this.approvalPolicy = policy;
+    await this.saveSetting('payout_approval_policy', policy, 'json');
+    logger.info('Payout approval policy updated:', policy);
+  }
+
+  getSafetySettings() {
+    return {
+      spendLimits: this.getSpendLimits(),
+      approvalPolicy: this.getApprovalPolicy(),
+      nonceAccount: this.nonceAccount
+    };
+  }
+
+  /**
+   * Changes the payout safety settings: spend caps, nonce account and the
+   * approval policy. With approvals off the change applies at once; with
+   * them on it waits until the policy's required number of approvers
+   * approve it (see approvePolicyChange). Either way it is logged.
+   * @param {Object} input - { spendLimits, approvalPolicy, nonceAccount }, each optional
+   * @param {string} actor - Who asked for the change
+   * @returns {Promise<Object|null>} The logged change, or null if nothing changes
+   */
+  async requestPolicyChange(input, actor) {
+    const changes = payoutApprovals.changedSettings(this.getSafetySettings(), input);
+    if (Object.keys(changes).length === 0) {
+      return null;
+    }
+    this.validatePolicyChange(changes);
+
+    if (!payoutApprovals.isActive(this.approvalPolicy)) {
+      await this.applyPolicyChange(changes);
+      return this.recordPolicyChange({ changes, status: 'applied', proposedBy: actor, approvalsRequired: 0, resolvedAt: new Date() });
+    }
+
+    // Saving the same edit again keeps the approvals it already has
+    const pending = await this.getPendingPolicyChange();
+    if (pending && payoutApprovals.isSameChange(pending.changes, changes)) {
+      return pending;
+    }
+
+    const change = await this.recordPolicyChange({
+      changes,
+      status: 'pending',
+      proposedBy: actor,
+      approvalsRequired: this.approvalPolicy.required
+    });
+    logger.warn(`Payout policy change ${change.id} by ${actor} waits for ${change.approvalsRequired} approval(s):`, changes);
+    if (this.io) {
+      this.io.emit('payoutPolicyChangeProposed', {
+        changeId: change.id,
+        changes,
+        approvalsRequired: change.approvalsRequired
+      });
+    }
+    return change;
+  }
+
+  validatePolicyChange(changes) {
+    const error = spendLimits.validate({ ...this.spendLimits, ...changes.spendLimits }) ||
+      payoutApprovals.validate({ ...this.approvalPolicy, ...changes.approvalPolicy }, this.approvers.size);
+    if (error) {
+      throw new Error(error);
+    }
+  }
+
+  async applyPolicyChange(changes) {
+    if (changes.spendLimits) {
+      await this.setSpendLimits(changes.spendLimits);
+    }
+    if (changes.nonceAccount !== undefined) {
+      await this.setNonceAccount(changes.nonceAccount);
+    }
+    if (changes.approvalPolicy) {
+      await this.setApprovalPolicy(changes.approvalPolicy);
+    }
+  }
+
+  async recordPolicyChange(fields) {
+    const change = {
+      id: `policy_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      approvals: [],
+      errorMessage: null,
+      createdAt: new Date(),
+      resolvedAt: null,
+      ...fields
+    };
+
+    if (this.useDatabase) {
+      return this.formatPolicyChange(await PayoutPolicyChangeModel.create(change));
+    }
+
+    for (const earlier of this.policyChanges) {
+      if (earlier.status === 'pending') {
+        Object.assign(earlier, { status: 'superseded', resolvedAt: new Date() });
+      }
+    }
+    this.policyChanges = [change, ...this.policyChanges].slice(0, 100);
+    return change;
+  }
+
+  /**
+   * Records an approval of a pending policy change by a named admin (already
+   * authenticated by the caller). The approval that completes the count
+   * applies the change.
+   */
+  async approvePolicyChange(changeId, approverName) {
+    const approval = { admin: approverName, approvedAt: new Date() };
+    let change = null;
+
+    if (this.useDatabase) {
+      const row = await PayoutPolicyChangeModel.addApproval(changeId, approval);
+      change = row ? this.formatPolicyChange(row) : null;
+    } else {
+      const pending = this.policyChanges.find(c => c.id === changeId);
+      if (pending && pending.status === 'pending' && !pending.approvals.some(a => a.admin === approverName)) {
+        pending.approvals.push(approval);
+        change = pending;
+      }
+    }
+
+    if (!change) {
+      const existing = await this.getPolicyChangeById(changeId);
+      throw new Error(existing && existing.status === 'pending'
+        ? `${approverName} already approved this change`
+        : 'Policy change is not pending');
+    }
+
+    logger.warn(`Payout policy change ${changeId} approved by ${approverName} (${change.approvals.length}/${change.approvalsRequired})`);
+    if (change.approvals.length >= change.approvalsRequired) {
+      await this.applyApprovedChange(change);
+    }
+
+    if (this.io) {
+      this.io.emit('payoutPolicyChangeApproved', {
+        changeId,
+        approvedBy: approverName,
+        approvals: change.approvals.length,
+        approvalsRequired: change.approvalsRequired,
+        applied: change.status === 'applied'
+      });
+    }
+    return change;
+  }
+
+  async applyApprovedChange(change) {
+    // Of two approvals landing together, only one applies the change
+    if (this.useDatabase && !(await PayoutPolicyChangeModel.resolve(change.id, 'applied'))) {
+      return;
+    }
+    Object.assign(change, { status: 'applied', resolvedAt: new Date() });
+
     try {
-      const signature = await this.executePayoutTransaction(payout);
-      
-      payout.transactionSignature = signature;
-      payout.status = 'completed';
-      payout.completedAt = new Date();
-      
-      // Move back to history
-      this.payoutHistory.unshift(payout);
-      this.pendingPayouts.delete(payoutId);
-      
-      return signature;
-      
+      this.validatePolicyChange(change.changes);
+      await this.applyPolicyChange(change.changes);
     } catch (error) {
-      payout.status = 'failed';
-      payout.error = error.message;
-      payout.failedAt = new Date();
-      
-      this.payoutHistory.unshift(payout);
-      this.pendingPayouts.delete(payoutId);
-      
+      Object.assign(change, { status: 'failed', errorMessage: error.message });
+      if (this.useDatabase) {
+        await PayoutPolicyChangeModel.resolve(change.id, 'failed', error.message, 'applied');
+      }
       throw error;
     }
+    logger.warn(`Payout policy change ${change.id} applied:`, change.changes);
+  }
+
+  async cancelPolicyChange(changeId, actor) {
+    const message = `Cancelled by ${actor}`;
+    let change = null;
+
+    if (this.useDatabase) {
+      const row = await PayoutPolicyChangeModel.resolve(changeId, 'cancelled', message);
+      change = row ? this.formatPolicyChange(row) : null;
+    } else {
+      change = this.policyChanges.find(c => c.id === changeId && c.status === 'pending') || null;
+      if (change) {
+        Object.assign(change, { status: 'cancelled', errorMessage: message, resolvedAt: new Date() });
+      }
+    }
+
+    if (!change) {
+      throw new Error('Policy change is not pending');
+    }
+    logger.warn(`Payout policy change ${changeId} cancelled by ${actor}`);
+    return change;
+  }
+
+  async getPendingPolicyChange() {
+    if (this.useDatabase) {
+      const row = await PayoutPolicyChangeModel.getPending();
+      return row ? this.formatPolicyChange(row) : null;
+    }
+    return this.policyChanges.find(c => c.status === 'pending') || null;
+  }
+
+  async getPolicyChangeById(changeId) {
+    if (this.useDatabase) {
+      const row = await PayoutPolicyChangeModel.findByChangeId(changeId);
+      return row ? this.formatPolicyChange(row) : null;
+    }
+    return this.policyChanges.find(c => c.id === changeId) || null;
+  }
+
+  // Newest first: pending changes and the log of applied, superseded, cancelled and failed ones
+  async getPolicyChanges(limit = 50) {
+    if (this.useDatabase) {
+      const rows = await PayoutPolicyChangeModel.getRecent(limit);
+      return rows.map(row => this.formatPolicyChange(row));
+    }
+    return this.policyChanges.slice(0, limit);
+  }
+
+  formatPolicyChange(row) {
+    return {
+      id: row.change_id,
+      changes: row.changes,
+      status: row.status,
+      proposedBy: row.proposed_by,
+      approvals: row.approvals || [],
+      approvalsRequired: row.approvals_required,
+      errorMessage: row.error_message,
+      createdAt: row.created_at,
+      resolvedAt: row.resolved_at
+    };
+  }
+
+  /**
+   * Records an approval by a named admin (already authenticated by the
+   * caller). The payout goes to the worker once it has the approvals it
+   * was queued with.
+   */
+  async approvePayout(payoutId, approverName) {
+    const approval = { admin: approverName, approvedAt: new Date() };
+    let job = null;
+
+    if (this.useDatabase) {
+      const row = await PayoutModel.addApproval(payoutId, approval);
+      job = row ? this.formatJob(row) : null;
+    } else {
+      const pending = this.pendingPayouts.get(payoutId);
+      if (pending && pending.status === 'awaiting_approval' && !pending.approvals.some(a => a.admin === approverName)) {
+        pending.approvals.push(approval);
+        if (pending.approvals.length >= pending.approvalsRequired) {
+          pending.status = 'pending';
+          pending.nextAttemptAt = new Date();
+        }
+        job = pending;
+      }
+    }
+
+    if (!job) {
+      const existing = await this.getPayoutById(payoutId);
+      if (existing && existing.status === 'exported') {
+        throw new Error('Payout was exported to the multisig; settle it from the vault transaction');
+      }
+      throw new Error(existing && existing.status === 'awaiting_approval'
+        ? `${approverName} already approved this payout`
+        : 'Payout is not awaiting approval');
+    }
+
+    const released = job.status === 'pending';
+    logger.warn(`Payout ${payoutId} approved by ${approverName} (${job.approvals.length}/${job.approvalsRequired})${released ? '; released to the worker' : ''}`);
+    if (this.io) {
+      this.io.emit('payoutApproved', {
+        payoutId,
+        approvedBy: approverName,
+        approvals: job.approvals.length,
+        approvalsRequired: job.approvalsRequired,
+        released
+      });
+    }
+    if (released) {
+      this.kickWorker();
+    }
+    return job;
+  }
+
+  /**
+   * Builds a payout awaiting approval as an unsigned v0 message paid from the
+   * multisig vault, for import as a Squads-style vault transaction. It
+   * carries the same memos as a hot wallet payout, so once exported the
+   * vault's history is searched as well and the payout is never paid twice.
+   * Exporting moves the job to `exported`: the worker and approvals leave it
+   * alone, and only the vault transaction settles it. An exported payout can
+   * be downloaded again.
+   */
+  async exportMultisigProposal(payoutId, actor) {
+    if (!this.approvalPolicy.multisigVault) {
+      throw new Error('No multisig vault configured');
+    }
+
+    const job = await this.getPayoutById(payoutId);
+    if (!job || !['awaiting_approval', 'exported'].includes(job.status)) {
+      throw new Error('Only payouts awaiting approval can be exported');
+    }
+    if (job.tokenPrize) {
+      throw new Error('Token prize payouts can\'t be exported to the multisig');
+    }
+
+    const vault = new PublicKey(this.approvalPolicy.multisigVault);
+    const recipients = this.getRecipients(job);
+    const instructions = [
+      ...recipients.map(recipient => SystemProgram.transfer({
+        fromPubkey: vault,
+        toPubkey: new PublicKey(recipient.address),
+        lamports: recipient.amount
+      })),
+      ...job.idempotencyKeys.map(key => this.createMemoInstruction(payoutMemo.memoText(key), vault))
+    ];
+
+    // The blockhash is supplied when the proposal is executed
+    const message = new TransactionMessage({
+      payerKey: vault,
+      recentBlockhash: PublicKey.default.toString(),
+      instructions
+    }).compileToV0Message();
+
+    if (job.status === 'awaiting_approval') {
+      const proposal = { vault: vault.toString(), exportedAt: new Date(), exportedBy: actor };
+      if (this.useDatabase) {
+        // Fails if the last approval released the job to the worker meanwhile
+        if (!(await PayoutModel.setMultisigProposal(job.id, proposal))) {
+          throw new Error('Payout is no longer awaiting approval');
+        }
+      }
+      Object.assign(job, { status: 'exported', multisigProposal: proposal });
+      logger.info(`Payout ${job.id} exported to multisig vault ${vault.toString()} by ${actor}`);
+    }
+
+    return {
+      payoutId: job.id,
+      gameId: job.gameId,
+      vault: vault.toString(),
+      totalAmount: job.totalAmount,
+      transfers: recipients,
+      memos: job.idempotencyKeys.map(payoutMemo.memoText),
+      transactionMessage: Buffer.from(message.serialize()).toString('base64'),
+      instructions: instructions.map(instruction => ({
+        programId: instruction.programId.toString(),
+        keys: instruction.keys.map(key => ({
+          pubkey: key.pubkey.toString(),
+          isSigner: key.isSigner,
+          isWritable: key.isWritable
+        })),
+        data: instruction.data.toString('base64')
+      }))
+    };
+  }
+
+  // Completes an exported payout once its vault transaction has executed
+  async settleFromMultisig(payoutId) {
+    const job = await this.getPayoutById(payoutId);
+    if (!job || !job.multisigProposal) {
+      throw new Error('Payout was not exported to the multisig');
+    }
+    // A cancelled export can still have been executed by the vault
+    if (job.status !== 'exported' && job.status !== 'failed') {
+      throw new Error(`Payout is ${job.status}`);
+    }
+
+    const signature = await this.findLandedPayout(job);
+    if (!signature) {
+      throw new Error(`No executed transaction with this payout's memos found for vault ${job.multisigProposal.vault}`);
+    }
+
+    await this.recordBroadcast(job, signature);
+    await this.settleJob(job, 'completed', signature);
+    logger.info(`Payout ${job.id} settled by multisig transaction ${signature}`);
+    return job;
   }
 }
 
@@ -0,0 +1,764 @@
+const { PublicKey } = require('@solana/web3.js');
+const solanaService = require('./solanaService');
+const payoutService = require('./payoutService');
+const logger = require('../utils/logger');
+const potLedger = require('../utils/potLedger');
+const potPolicy = require('../utils/potPolicy');
+const { LAMPORTS_PER_SIGNATURE } = require('../utils/priorityFees');
+const db = require('../database/connection');
+const { PotLedgerModel, PotReconciliationModel, SystemSettingsModel } = require('../database/models');
+
+// Pot, jackpot and reserved payouts can never go below zero; the floats can
+const NON_NEGATIVE_ACCOUNTS = ['pot:hot', 'pot:creator', 'payouts_pending', 'jackpot'];
+// Signatures fetched per page when scanning the deposit wallet
+const DEPOSIT_PAGE_SIZE = 100;
+
+/**
+ * Pot accounting (see utils/potLedger): fee claims, deposits and rollovers
+ * come in, payouts, the creator share and network fees go out, and the
+ * reconciler checks each wallet's ledger balance against the chain.
+ */
+class PotLedgerService {
+  constructor() {
+    this.useDatabase = false;
+    this.balances = {};
+
+    // In-memory ledger when no database is connected
+    this.entries = [];
+    this.reconciliations = [];
+
+    this.driftToleranceLamports = parseInt(process.env.POT_DRIFT_TOLERANCE_LAMPORTS) || 10000000;
+    this.reconcileIntervalMinutes = parseInt(process.env.POT_RECONCILE_INTERVAL_MINUTES) || 5;
+    this.reconcileInterval = null;
+    this.lastReconciliation = null;
+    this.io = null;
+    this.listeners = { changed: [] };
+
+    // Funding sources and limits (will be loaded from DB)
+    this.policy = potPolicy.fromEnv(process.env);
+    // Newest deposit wallet signature already scanned for deposits
+    this.depositCursor = null;
+  }
+
+  async initialize(socketIo) {
+    this.io = socketIo;
+    this.useDatabase = db.isConnected;
+
+    const envError = potPolicy.validate(this.policy);
+    if (envError) {
+      logger.warn(`Ignoring invalid pot policy from the environment: ${envError}`);
+      this.policy = { ...potPolicy.DEFAULT_POLICY };
+    }
+
+    if (this.useDatabase) {
+      await this.loadSettingsFromDatabase();
+    }
+    await this.refreshBalances();
+    logger.info(`Pot ledger loaded: ${this.getPot()} lamports in the pot`);
+  }
+
+  async loadSettingsFromDatabase() {
+    try {
+      const policy = await SystemSettingsModel.get('pot_policy');
+      if (policy) {
+        const merged = { ...this.policy, ...policy };
+        const error = potPolicy.validate(merged);
+        if (error) {
+          logger.warn(`Ignoring stored pot policy: ${error}`);
+        } else {
+          this.policy = merged;
+        }
+      }
+      this.depositCursor = await SystemSettingsModel.get('pot_deposit_cursor') || null;
+    } catch (error) {
+      logger.warn('Failed to load pot policy from database, using defaults:', error.message);
+    }
+  }
+
+  async saveSetting(key, value, type) {
+    if (this.useDatabase) {
+      await SystemSettingsModel.set(key, value, type);
+    }
+  }
+
+  getPotPolicy() {
+    return { ...this.policy };
+  }
+
+  async setPotPolicy(updates) {
+    const policy = { ...this.policy };
+    for (const key of Object.keys(potPolicy.DEFAULT_POLICY)) {
+      if (updates[key] !== undefined) policy[key] = updates[key];
+    }
+
+    const error = potPolicy.validate(policy);
+    if (error) {
+      throw new Error(error);
+    }
+
+    // Deposits are only counted from the moment they are switched on
+    if (policy.depositsEnabled && (!this.policy.depositsEnabled || policy.depositWallet !== this.policy.depositWallet)) {
+      await this.setDepositCursor(null);
+    }
+
+    this.policy = policy;
+    await this.saveSetting('pot_policy', policy, 'json');
+    logger.info('Pot policy updated:', policy);
+
+    if (this.io) {
+      this.io.emit('potPolicyUpdate', potPolicy.describe(policy));
+    }
+    await this.topUpSeed();
+  }
+
+  // Register a handler for `changed` (balances), called after entries are posted
+  on(event, handler) {
+    this.listeners[event].push(handler);
+  }
+
+  async notify(event, payload) {
+    for (const handler of this.listeners[event]) {
+      try {
+        await handler(payload);
+      } catch (error) {
+        logger.error(`Pot ledger ${event} handler failed:`, error);
+      }
+    }
+  }
+
+  async refreshBalances() {
+    if (this.useDatabase) {
+      const rows = await PotLedgerModel.getBalances();
+      this.balances = Object.fromEntries(rows.map(row => [row.account, Number(row.balance)]));
+    } else {
+      this.balances = potLedger.balances(this.entries);
+    }
+  }
+
+  getPot() {
+    return potLedger.potBalance(this.balances);
+  }
+
+  // The part of the pot the next spin pays out from
+  getSpinPot() {
+    return potPolicy.spinPot(this.getPot(), this.policy);
+  }
+
+  canSpin() {
+    return potPolicy.canSpin(this.getSpinPot(), this.policy);
+  }
+
+  getJackpot() {
+    return Math.max(this.balances.jackpot || 0, 0);
+  }
+
+  getBalances() {
+    return { ...this.balances };
+  }
+
+  /**
+   * Posts entries { key, type, debit, credit, amount, gameId, reference, memo, createdBy }
+   * atomically. Zero amounts are dropped and keys already posted are skipped.
+   * @returns {Promise<number>} how many entries were new
+   */
+  async post(entries) {
+    entries = entries.filter(entry => entry.amount > 0);
+    for (const entry of entries) {
+      if (!Number.isSafeInteger(entry.amount) || !potLedger.isAccount(entry.debit) || !potLedger.isAccount(entry.credit)) {
+        throw new Error(`Invalid ledger entry ${entry.key}`);
+      }
+    }
+    if (entries.length === 0) {
+      return 0;
+    }
+
+    let posted;
+    if (this.useDatabase) {
+      posted = (await PotLedgerModel.post(entries, NON_NEGATIVE_ACCOUNTS)).length;
+    } else {
+      const fresh = entries.filter(entry => !this.entries.some(existing => existing.key === entry.key));
+      const next = potLedger.balances([...this.entries, ...fresh]);
+      const overdrawn = NON_NEGATIVE_ACCOUNTS.filter(account => (next[account] || 0) < 0);
+      if (overdrawn.length > 0) {
+        throw new Error(`Ledger entry would overdraw ${overdrawn.join(', ')}`);
+      }
+      this.entries.push(...fresh.map(entry => ({ ...entry, createdAt: new Date() })));
+      posted = fresh.length;
+    }
+
+    if (posted > 0) {
+      await this.refreshBalances();
+      await this.notify('changed', this.getBalances());
+    }
+    return posted;
+  }
+
+  async getEntries(limit = 50, offset = 0) {
+    if (this.useDatabase) {
+      const rows = await PotLedgerModel.getEntries(limit, offset);
+      return rows.map(row => this.formatEntry(row));
+    }
+    return this.entries.slice().reverse().slice(offset, offset + limit);
+  }
+
+  async getGameEntries(gameId) {
+    if (this.useDatabase) {
+      const rows = await PotLedgerModel.getByGameId(gameId);
+      return rows.map(row => this.formatEntry(row));
+    }
+    return this.entries.filter(entry => entry.gameId === gameId);
+  }
+
+  formatEntry(row) {
+    return {
+      id: row.id,
+      key: row.idempotency_key,
+      type: row.entry_type,
+      debit: row.debit_account,
+      credit: row.credit_account,
+      amount: Number(row.amount),
+      gameId: row.game_id,
+      reference: row.reference,
+      memo: row.memo,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * A wallet's balance change in a confirmed transaction, and the addresses
+   * that signed it.
+   * @returns {Promise<{ gain: number, signers: string[] }>}
+   */
+  async getWalletGain(signature, address) {
+    const connection = solanaService.getConnection();
+    const result = { gain: 0, signers: [] };
+    if (!address || !connection) {
+      return result;
+    }
+
+    await connection.confirmTransaction(signature, 'confirmed');
+    const transaction = await connection.getTransaction(signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0
+    });
+    if (!transaction || !transaction.meta || transaction.meta.err) {
+      return result;
+    }
+
+    const message = transaction.transaction.message;
+    const keys = message.getAccountKeys({
+      accountKeysFromLookups: transaction.meta.loadedAddresses
+    });
+    for (let i = 0; i < keys.length; i++) {
+      if (i < message.header.numRequiredSignatures) {
+        result.signers.push(keys.get(i).toString());
+      }
+      if (keys.get(i).toString() === address) {
+        result.gain = transaction.meta.postBalances[i] - transaction.meta.preBalances[i];
+      }
+    }
+    return result;
+  }
+
+  // Splits money arriving in a wallet between its pot account and its float
+  // under the policy's share and cap
+  inflowEntries(key, type, source, wallet, amount, percentage, reference) {
+    const { toPot, toFloat } = potPolicy.splitInflow(amount, this.getPot(), this.policy, percentage);
+    return [
+      { key, type, debit: `pot:${wallet}`, credit: source, amount: toPot, reference },
+      { key: `${key}:kept`, type, debit: `float:${wallet}`, credit: source, amount: toFloat, reference }
+    ];
+  }
+
+  // Pump.fun fees claimed into the creator wallet; the policy's share goes to the pot
+  async recordFeeClaim(signature) {
+    const { gain: amount } = await this.getWalletGain(signature, process.env.CREATOR_WALLET);
+    if (amount <= 0) {
+      logger.warn(`Fee claim ${signature} shows no gain for the creator wallet; nothing added to the pot`);
+      return 0;
+    }
+
+    const entries = this.inflowEntries(
+      `fee_claim:${signature}`, 'fee_claim', 'fee_claims', 'creator',
+      amount, this.policy.feeClaimPercentage, signature
+    );
+    const posted = await this.post(entries);
+    if (posted > 0) {
+      logger.info(`Fee claim ${signature} of ${amount} lamports added ${entries[0].amount} to the pot`);
+    }
+    return entries[0].amount;
+  }
+
+  async setDepositCursor(signature) {
+    this.depositCursor = signature;
+    await this.saveSetting('pot_deposit_cursor', signature || '', 'string');
+  }
+
+  /**
+   * Adds SOL sent to the deposit wallet by outside senders to the pot. Only
+   * transactions no game wallet signed count, so fee claims, payouts and
+   * transfers between the game's wallets are never mistaken for deposits.
+   * The first scan only marks where counting starts; later scans page back
+   * to the cursor before moving it, so no deposit is skipped.
+   * @returns {Promise<number>} lamports added to the pot
+   */
+  async scanDeposits() {
+    const connection = solanaService.getConnection();
+    const wallet = this.policy.depositWallet;
+    const addresses = this.getWalletAddresses();
+    const address = addresses[wallet];
+    if (!this.policy.depositsEnabled || !connection || !address) {
+      return 0;
+    }
+
+    // Newest first; a short page means the cursor (or the wallet's first
+    // transaction) was reached
+    const signatures = [];
+    let before;
+    do {
+      const page = await connection.getSignaturesForAddress(new PublicKey(address), {
+        before,
+        until: this.depositCursor || undefined,
+        limit: DEPOSIT_PAGE_SIZE
+      }, 'confirmed');
+      signatures.push(...page);
+      before = page.length === DEPOSIT_PAGE_SIZE ? page[page.length - 1].signature : null;
+    } while (before && this.depositCursor);
+
+    if (signatures.length === 0) {
+      return 0;
+    }
+    if (!this.depositCursor) {
+      await this.setDepositCursor(signatures[0].signature);
+      return 0;
+    }
+
+    const ownWallets = Object.values(addresses).filter(Boolean);
+    let added = 0;
+    // Oldest first, so the cap fills in the order deposits arrived
+    for (const { signature, err } of signatures.slice().reverse()) {
+      if (err) continue;
+
+      const { gain, signers } = await this.getWalletGain(signature, address);
+      if (gain <= 0 || signers.some(signer => ownWallets.includes(signer))) continue;
+
+      const entries = this.inflowEntries(`deposit:${signature}`, 'deposit', 'deposits', wallet, gain, 100, signature);
+      if (await this.post(entries) > 0) {
+        added += entries[0].amount;
+        logger.info(`Deposit ${signature} of ${gain} lamports to the ${wallet} wallet added ${entries[0].amount} to the pot`);
+      }
+    }
+
+    await this.setDepositCursor(signatures[0].signature);
+    return added;
+  }
+
+  /**
+   * Tops the pot up to the policy's seed from the hot wallet's float, keeping
+   * the payout fee reserve back.
+   * @returns {Promise<number>} lamports added
+   */
+  async topUpSeed() {
+    const available = (this.balances['float:hot'] || 0) - payoutService.feeReserveLamports;
+    const amount = potPolicy.seedTopUp(this.getPot(), this.policy, available);
+    if (amount <= 0) {
+      return 0;
+    }
+
+    await this.post([{
+      key: `seed:${Date.now()}:${Math.random().toString(36).substr(2, 9)}`,
+      type: 'seed',
+      debit: 'pot:hot',
+      credit: 'float:hot',
+      amount
+    }]);
+    logger.info(`Seeded the pot with ${amount} lamports from the hot wallet`);
+    return amount;
+  }
+
+  /**
+   * A spin with no eligible holders keeps the policy's rollover share of the
+   * pot; the rest goes back to each wallet's float.
+   * @returns {Promise<number>} lamports taken out of the pot
+   */
+  async releaseForNoHolders(gameId) {
+    const pot = this.getPot();
+    const amount = potPolicy.noHoldersRelease(pot, this.policy);
+    if (amount <= 0) {
+      return 0;
+    }
+
+    const fromHot = Math.floor(amount * Math.max(this.balances['pot:hot'] || 0, 0) / pot);
+    await this.post([
+      {
+        key: `${gameId}:no_holders:hot`,
+        type: 'release',
+        debit: 'float:hot',
+        credit: 'pot:hot',
+        amount: fromHot,
+        gameId,
+        memo: 'No eligible holders'
+      },
+      {
+        key: `${gameId}:no_holders:creator`,
+        type: 'release',
+        debit: 'float:creator',
+        credit: 'pot:creator',
+        amount: amount - fromHot,
+        gameId,
+        memo: 'No eligible holders'
+      }
+    ]);
+    logger.info(`Released ${amount} lamports of the pot after game ${gameId} found no eligible holders`);
+    await this.topUpSeed();
+    return amount;
+  }
+
+  // Claimed fees sent straight from the creator wallet to a winner; beyond
+  // the creator wallet's share of the pot it comes out of its float
+  async recordFeePayout(winnerAddress, amount, signature, priorityFeeLamports = 0) {
+    const fromPot = Math.min(amount, Math.max(this.balances['pot:creator'] || 0, 0));
+    await this.post([
+      {
+        key: `fee_payout:${signature}`,
+        type: 'payout',
+        debit: 'winners',
+        credit: 'pot:creator',
+        amount: fromPot,
+        reference: signature,
+        memo: `Fees sent to ${winnerAddress}`
+      },
+      {
+        key: `fee_payout:${signature}:float`,
+        type: 'payout',
+        debit: 'winners',
+        credit: 'float:creator',
+        amount: amount - fromPot,
+        reference: signature,
+        memo: `Fees sent to ${winnerAddress}`
+      },
+      {
+        key: `network_fee:${signature}`,
+        type: 'network_fee',
+        debit: 'network_fees',
+        credit: 'float:creator',
+        amount: LAMPORTS_PER_SIGNATURE + priorityFeeLamports,
+        reference: signature
+      }
+    ]);
+  }
+
+  /**
+   * Sets a spin's jackpot contribution aside from the pot, from the hot
+   * wallet's share first. Contributing twice is a no-op.
+   */
+  async contributeToJackpot(gameId, amount) {
+    const fromHot = Math.min(amount, Math.max(this.balances['pot:hot'] || 0, 0));
+    await this.post([
+      {
+        key: `${gameId}:jackpot:hot`,
+        type: 'jackpot_contribution',
+        debit: 'jackpot',
+        credit: 'pot:hot',
+        amount: fromHot,
+        gameId
+      },
+      {
+        key: `${gameId}:jackpot:creator`,
+        type: 'jackpot_contribution',
+        debit: 'jackpot',
+        credit: 'pot:creator',
+        amount: amount - fromHot,
+        gameId,
+        memo: 'Held by the creator wallet; transfer it to the hot wallet'
+      }
+    ]);
+  }
+
+  /**
+   * Moves a game's payout out of the pot, from the hot wallet's share first,
+   * plus any jackpot it won. Reserving twice is a no-op.
+   */
+  async reservePayout(gameId, amount, jackpotAmount = 0) {
+    const fromPot = amount - jackpotAmount;
+    const fromHot = Math.min(fromPot, Math.max(this.balances['pot:hot'] || 0, 0));
+    await this.post([
+      {
+        key: `${gameId}:reserve:hot`,
+        type: 'reservation',
+        debit: 'payouts_pending',
+        credit: 'pot:hot',
+        amount: fromHot,
+        gameId
+      },
+      {
+        key: `${gameId}:reserve:creator`,
+        type: 'reservation',
+        debit: 'payouts_pending',
+        credit: 'pot:creator',
+        amount: fromPot - fromHot,
+        gameId,
+        memo: 'Held by the creator wallet; transfer it to the hot wallet'
+      },
+      {
+        key: `${gameId}:reserve:jackpot`,
+        type: 'reservation',
+        debit: 'payouts_pending',
+        credit: 'jackpot',
+        amount: jackpotAmount,
+        gameId,
+        memo: 'Jackpot won'
+      }
+    ]);
+    await this.topUpSeed();
+  }
+
+  // Reserved and not yet paid or rolled over for a game
+  async getReserved(gameId) {
+    const entries = await this.getGameEntries(gameId);
+    return entries.reduce((sum, entry) => {
+      if (entry.debit === 'payouts_pending') return sum + entry.amount;
+      if (entry.credit === 'payouts_pending') return sum - entry.amount;
+      return sum;
+    }, 0);
+  }
+
+  /**
+   * Books a landed game payout: prizes to the winners, the creator share to
+   * the creator wallet, any remainder back to the pot and the hot wallet's
+   * network fee. Games queued before the ledger existed have nothing reserved
+   * and are skipped.
+   */
+  async settlePayout(game, signature) {
+    const reserved = await this.getReserved(game.id);
+    if (reserved <= 0) {
+      return;
+    }
+
+    const job = await payoutService.getPayoutForGame(game.id);
+    const tokenPrize = job && job.tokenPrize;
+    const simulated = signature.startsWith('simulated_');
+
+    // Prize tokens from the hot wallet's inventory leave its SOL in place
+    const paidInSol = !tokenPrize || tokenPrize.buyback;
+    const winnerAmount = Math.min(game.winnerPayout, reserved);
+    const creatorAmount = Math.min(game.creatorPayout, reserved - winnerAmount);
+
+    await this.post([
+      {
+        key: `${game.id}:payout`,
+        type: paidInSol ? 'payout' : 'rollover',
+        debit: paidInSol ? 'winners' : 'pot:hot',
+        credit: 'payouts_pending',
+        amount: winnerAmount,
+        gameId: game.id,
+        reference: signature,
+        memo: paidInSol ? null : 'Prize paid in tokens from inventory'
+      },
+      {
+        key: `${game.id}:creator_share`,
+        type: 'creator_share',
+        debit: 'float:creator',
+        credit: 'payouts_pending',
+        amount: creatorAmount,
+        gameId: game.id,
+        reference: signature
+      },
+      {
+        key: `${game.id}:remainder`,
+        type: 'rollover',
+        debit: 'pot:hot',
+        credit: 'payouts_pending',
+        amount: reserved - winnerAmount - creatorAmount,
+        gameId: game.id
+      },
+      {
+        key: `${game.id}:network_fee`,
+        type: 'network_fee',
+        debit: 'network_fees',
+        credit: 'float:hot',
+        amount: simulated ? 0 : LAMPORTS_PER_SIGNATURE + ((job && job.priorityFee && job.priorityFee.lamports) || 0),
+        gameId: game.id,
+        reference: signature
+      }
+    ]);
+  }
+
+  // Returns an unpaid game's reservation to the pot, and a jackpot it won
+  // to the jackpot
+  async rollOver(gameId, reason) {
+    const reserved = await this.getReserved(gameId);
+    if (reserved <= 0) {
+      return;
+    }
+
+    const entries = await this.getGameEntries(gameId);
+    const jackpotEntry = entries.find(entry => entry.key === `${gameId}:reserve:jackpot`);
+    const toJackpot = Math.min(jackpotEntry ? jackpotEntry.amount : 0, reserved);
+    await this.post([
+      {
+        key: `${gameId}:rollover`,
+        type: 'rollover',
+        debit: 'pot:hot',
+        credit: 'payouts_pending',
+        amount: reserved - toJackpot,
+        gameId,
+        memo: reason
+      },
+      {
+        key: `${gameId}:rollover:jackpot`,
+        type: 'rollover',
+        debit: 'jackpot',
+        credit: 'payouts_pending',
+        amount: toJackpot,
+        gameId,
+        memo: reason
+      }
+    ]);
+    logger.info(`Rolled ${reserved - toJackpot} lamports from unpaid game ${gameId} back into the pot${toJackpot > 0 ? ` and ${toJackpot} into the jackpot` : ''}`);
+  }
+
+  // Admin deposit, allocation, withdrawal, transfer or adjustment
+  async postManualEntry(request, actor) {
+    const entry = potLedger.manualEntry(request);
+    await this.post([{
+      ...entry,
+      key: `manual:${Date.now()}:${Math.random().toString(36).substr(2, 9)}`,
+      reference: request.reference,
+      memo: request.memo,
+      createdBy: actor
+    }]);
+    logger.warn(`Pot ledger ${entry.type} of ${entry.amount} lamports (${entry.credit} -> ${entry.debit}) by ${actor}`);
+    return entry;
+  }
+
+  getWalletAddresses() {
+    const hotWallet = solanaService.getHotWallet();
+    return {
+      hot: hotWallet ? hotWallet.publicKey.toString() : null,
+      creator: process.env.CREATOR_WALLET || null
+    };
+  }
+
+  // SOL a wallet holds, with WSOL counted for the hot wallet that pays in it
+  async getOnchainBalance(wallet, address, connection) {
+    if (wallet === 'hot') {
+      const funds = await payoutService.getHotWalletFunds(solanaService.getHotWallet(), connection);
+      return Number(funds.native + funds.wsol);
+    }
+    return connection.getBalance(new PublicKey(address));
+  }
+
+  /**
+   * Compares the ledger balance of each configured wallet with the chain. A
+   * wallet seen for the first time gets an opening balance for whatever it
+   * holds beyond the pot, so only later unrecorded movements show as drift.
+   * @returns {Promise<Array>} one result per wallet checked
+   */
+  async reconcile() {
+    const connection = solanaService.getConnection();
+    if (!connection) {
+      return [];
+    }
+
+    await this.scanDeposits();
+
+    const addresses = this.getWalletAddresses();
+    // One wallet doing both jobs is checked once, against both sets of accounts
+    const shared = addresses.hot && addresses.hot === addresses.creator;
+    const results = [];
+
+    for (const wallet of potLedger.WALLETS) {
+      const address = addresses[wallet];
+      if (!address || (shared && wallet === 'creator')) {
+        continue;
+      }
+
+      const onchainBalance = await this.getOnchainBalance(wallet, address, connection);
+      const expected = potLedger.walletBalances(this.balances);
+      let ledgerBalance = shared ? expected.hot + expected.creator : expected[wallet];
+
+      const openingKey = `opening:${wallet}`;
+      const opened = this.useDatabase
+        ? await PotLedgerModel.hasEntry(openingKey)
+        : this.entries.some(entry => entry.key === openingKey);
+      if (!opened) {
+        const opening = onchainBalance - ledgerBalance;
+        await this.post([{
+          key: openingKey,
+          type: 'opening_balance',
+          debit: opening >= 0 ? `float:${wallet}` : 'opening_balance',
+          credit: opening >= 0 ? 'opening_balance' : `float:${wallet}`,
+          amount: Math.abs(opening),
+          reference: address
+        }]);
+        ledgerBalance = onchainBalance;
+      }
+
+      const { drift, flagged } = potLedger.compareWallet(onchainBalance, ledgerBalance, this.driftToleranceLamports);
+      const result = {
+        wallet: shared ? 'hot+creator' : wallet,
+        address,
+        onchainBalance,
+        ledgerBalance,
+        drift,
+        flagged,
+        checkedAt: new Date()
+      };
+      results.push(result);
+
+      if (this.useDatabase) {
+        await PotReconciliationModel.create(result);
+      } else {
+        this.reconciliations.unshift(result);
+        this.reconciliations = this.reconciliations.slice(0, 100);
+      }
+
+      if (flagged) {
+        logger.warn(`Pot ledger drift on the ${result.wallet} wallet ${address}: on-chain ${onchainBalance}, ledger ${ledgerBalance} (${drift > 0 ? '+' : ''}${drift} lamports)`);
+        if (this.io) {
+          this.io.emit('potDriftDetected', result);
+        }
+      }
+    }
+
+    this.lastReconciliation = { results, checkedAt: new Date() };
+    await this.topUpSeed();
+    return results;
+  }
+
+  async getReconciliations(limit = 20) {
+    if (this.useDatabase) {
+      const rows = await PotReconciliationModel.getRecent(limit);
+      return rows.map(row => ({
+        wallet: row.wallet,
+        address: row.address,
+        onchainBalance: Number(row.onchain_balance),
+        ledgerBalance: Number(row.ledger_balance),
+        drift: Number(row.drift),
+        flagged: row.flagged,
+        checkedAt: row.checked_at
+      }));
+    }
+    return this.reconciliations.slice(0, limit);
+  }
+
+  startReconciler() {
+    this.stopReconciler();
+
+    const run = () => this.reconcile().catch(error => logger.error('Pot reconciliation failed:', error));
+    run();
+    this.reconcileInterval = setInterval(run, this.reconcileIntervalMinutes * 60 * 1000);
+    logger.info(`Reconciling the pot ledger every ${this.reconcileIntervalMinutes} minute(s)`);
+  }
+
+  stopReconciler() {
+    if (this.reconcileInterval) {
+      clearInterval(this.reconcileInterval);
+      this.reconcileInterval = null;
+    }
+  }
+}
+
+module.exports = new PotLedgerService();
@@ -0,0 +1,170 @@
+const {
+  ComputeBudgetProgram,
+  PublicKey,
+  TransactionMessage,
+  VersionedTransaction,
+  SystemProgram
+} = require('@solana/web3.js');
+const solanaService = require('./solanaService');
+const logger = require('../utils/logger');
+const priorityFees = require('../utils/priorityFees');
+const db = require('../database/connection');
+const { SystemSettingsModel } = require('../database/models');
+
+/**
+ * Priority fees and compute unit limits for the transactions the server
+ * sends (payouts and Pump.fun fee transfers), see utils/priorityFees.
+ */
+class PriorityFeeService {
+  constructor() {
+    this.settings = {
+      percentile: parseInt(process.env.PRIORITY_FEE_PERCENTILE) || 75,
+      maxMicroLamports: parseInt(process.env.PRIORITY_FEE_MAX_MICROLAMPORTS) || 1000000,
+      computeUnitMargin: parseInt(process.env.COMPUTE_UNIT_MARGIN_PERCENT) || 10
+    };
+    this.useDatabase = false;
+
+    // Reused when an estimate can't be fetched; units are a payout's last simulation
+    this.lastMicroLamports = 0;
+    this.lastComputeUnits = 200000;
+  }
+
+  async initialize() {
+    this.useDatabase = db.isConnected;
+    if (!this.useDatabase) return;
+
+    try {
+      this.settings = { ...this.settings, ...(await SystemSettingsModel.get('priority_fee_settings')) };
+    } catch (error) {
+      logger.warn('Failed to load priority fee settings from database, using defaults:', error.message);
+    }
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  async setSettings(updates) {
+    const settings = { ...this.settings, ...updates };
+    const error = priorityFees.validate(settings);
+    if (error) {
+      throw new Error(error);
+    }
+
+    this.settings = settings;
+    if (this.useDatabase) {
+      await SystemSettingsModel.set('priority_fee_settings', settings, 'json');
+    }
+    logger.info(`Priority fees set to p${settings.percentile}, capped at ${settings.maxMicroLamports} micro-lamports/CU, ${settings.computeUnitMargin}% compute margin`);
+  }
+
+  // Micro-lamports per compute unit for a transaction writing `accounts`
+  async estimateMicroLamports(connection, accounts) {
+    if (this.settings.maxMicroLamports === 0) {
+      return 0;
+    }
+
+    try {
+      const recentFees = await connection.getRecentPrioritizationFees({
+        lockedWritableAccounts: accounts.slice(0, 128)
+      });
+      this.lastMicroLamports = priorityFees.pickPriorityFee(recentFees, this.settings);
+    } catch (error) {
+      logger.warn(`Failed to fetch recent priority fees, reusing ${this.lastMicroLamports} micro-lamports/CU:`, error.message);
+    }
+
+    return Math.min(this.lastMicroLamports, this.settings.maxMicroLamports);
+  }
+
+  // Compute units the instructions use, from a simulation at the maximum limit
+  async simulateComputeUnits(connection, payer, instructions, microLamports) {
+    const message = new TransactionMessage({
+      payerKey: payer,
+      recentBlockhash: PublicKey.default.toString(),
+      instructions: [
+        ...this.createComputeBudgetInstructions(priorityFees.MAX_COMPUTE_UNITS, microLamports),
+        ...instructions
+      ]
+    }).compileToV0Message();
+
+    const { value } = await connection.simulateTransaction(new VersionedTransaction(message), {
+      sigVerify: false,
+      replaceRecentBlockhash: true
+    });
+
+    if (value.err) {
+      logger.warn(`Simulation logs:\n${(value.logs || []).join('\n')}`);
+      throw new Error(`Transaction simulation failed: ${JSON.stringify(value.err)}`);
+    }
+    if (!value.unitsConsumed) {
+      throw new Error('Transaction simulation did not report compute units');
+    }
+
+    return value.unitsConsumed;
+  }
+
+  createComputeBudgetInstructions(computeUnits, microLamports) {
+    const instructions = [ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnits })];
+    if (microLamports > 0) {
+      instructions.push(ComputeBudgetProgram.setComputeUnitPrice({ microLamports }));
+    }
+    return instructions;
+  }
+
+  /**
+   * Prices and sizes a set of instructions.
+   * @returns {Promise<Object>} { instructions, priorityFee } with the compute
+   * budget instructions to add and { microLamports, computeUnits, lamports, percentile }
+   */
+  async getComputeBudget(instructions, payer, connection) {
+    const writable = new Map([[payer.toString(), payer]]);
+    for (const instruction of instructions) {
+      for (const key of instruction.keys) {
+        if (key.isWritable) writable.set(key.pubkey.toString(), key.pubkey);
+      }
+    }
+
+    const microLamports = await this.estimateMicroLamports(connection, [...writable.values()]);
+    const unitsConsumed = await this.simulateComputeUnits(connection, payer, instructions, microLamports);
+    const computeUnits = priorityFees.computeUnitLimit(unitsConsumed, this.settings.computeUnitMargin);
+    this.lastComputeUnits = computeUnits;
+
+    return {
+      instructions: this.createComputeBudgetInstructions(computeUnits, microLamports),
+      priorityFee: {
+        microLamports,
+        computeUnits,
+        lamports: priorityFees.priorityFeeLamports(microLamports, computeUnits),
+        percentile: this.settings.percentile
+      }
+    };
+  }
+
+  // Prepends the compute budget to a legacy transaction once all other
+  // instructions are added; returns the priority fee
+  async applyComputeBudget(transaction, payer, connection) {
+    const budget = await this.getComputeBudget(transaction.instructions, payer, connection);
+    transaction.instructions = [...budget.instructions, ...transaction.instructions];
+    return budget.priorityFee;
+  }
+
+  // Expected fee of a single-signer payout sent now
+  async estimateFee() {
+    const connection = solanaService.getConnection();
+    const hotWallet = solanaService.getHotWallet();
+    const accounts = [hotWallet ? hotWallet.publicKey : SystemProgram.programId];
+
+    const microLamports = connection ? await this.estimateMicroLamports(connection, accounts) : this.lastMicroLamports;
+    const priorityFee = priorityFees.priorityFeeLamports(microLamports, this.lastComputeUnits);
+
+    return {
+      baseFee: priorityFees.LAMPORTS_PER_SIGNATURE,
+      priorityFee,
+      microLamports,
+      computeUnits: this.lastComputeUnits,
+      total: priorityFees.LAMPORTS_PER_SIGNATURE + priorityFee
+    };
+  }
+}
+
+module.exports = new PriorityFeeService();
@@ -1,19 +1,34 @@
 const axios = require('axios');
-const { Connection, PublicKey, Transaction, SystemProgram, LAMPORTS_PER_SOL, Keypair } = require('@solana/web3.js');
+const { Connection, PublicKey, Transaction, SystemProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const { getAssociatedTokenAddress, createTransferInstruction } = require('@solana/spl-token');
 const logger = require('../utils/logger');
 const solanaService = require('./solanaService');
+const priorityFeeService = require('./priorityFeeService');
+const signerService = require('./signerService');
+const potLedgerService = require('./potLedgerService');
 
 class PumpFunService {
   constructor() {
     this.connection = null;
     this.pumpfunApiUrl = 'https://pumpportal.fun/api';
+    this.creatorSigner = null;
     this.isInitialized = false;
   }
 
   async initialize() {
     try {
       this.connection = solanaService.getConnection();
+
+      // Creator wallet signer for fee distribution (optional)
+      try {
+        this.creatorSigner = await signerService.load('creator');
+        if (this.creatorSigner && process.env.CREATOR_WALLET && this.creatorSigner.publicKey.toString() !== process.env.CREATOR_WALLET) {
+          logger.warn(`Creator wallet signer ${this.creatorSigner.publicKey.toString()} does not match CREATOR_WALLET ${process.env.CREATOR_WALLET}`);
+        }
+      } catch (error) {
+        logger.warn('Failed to initialize creator wallet signer, fee distribution disabled:', error.message);
+      }
+
       this.isInitialized = true;
       logger.info('Pump.fun service initialized');
     } catch (error) {
@@ -126,6 +141,7 @@ class PumpFunService {
 
         if (response.data && response.data.signature) {
           logger.info(`Creator fees claimed via Pump.fun API: ${response.data.signature}`);
+          await this.recordFeeClaim(response.data.signature);
           return response.data.signature;
         } else if (response.data && response.data.tx) {
           logger.info(`Creator fees claimed via Pump.fun API: ${response.data.tx}`);
@@ -154,9 +170,8 @@ class PumpFunService {
     try {
       const creatorWallet = process.env.CREATOR_WALLET;
       const feeCollectionWallet = process.env.FEE_COLLECTION_WALLET;
-      const hotWalletPrivateKey = process.env.HOT_WALLET_PRIVATE_KEY;
 
-      if (!creatorWallet || !feeCollectionWallet || !hotWalletPrivateKey) {
+      if (!creatorWallet || !feeCollectionWallet || !solanaService.getHotWallet()) {
         throw new Error('Creator wallet, fee collection wallet, or hot wallet not configured');
       }
 
@@ -181,13 +196,12 @@ class PumpFunService {
       logger.info(`Sending ${amountToSend} lamports (${amountToSend / LAMPORTS_PER_SOL} SOL) from creator wallet to winner`);
 
       // Use creator wallet to send to winner
-      const creatorWalletPrivateKey = JSON.parse(process.env.CREATOR_WALLET_PRIVATE_KEY);
-      const creatorKeypair = Keypair.fromSecretKey(new Uint8Array(creatorWalletPrivateKey));
+      const creatorSigner = this.getCreatorSigner();
 
       // Create transaction to send SOL to winner
       const transaction = new Transaction().add(
         SystemProgram.transfer({
-          fromPubkey: creatorKeypair.publicKey,
+          fromPubkey: creatorSigner.publicKey,
           toPubkey: new PublicKey(winnerAddress),
           lamports: amountToSend
         })
@@ -196,10 +210,10 @@ class PumpFunService {
       // Get recent blockhash
       const { blockhash } = await this.connection.getLatestBlockhash();
       transaction.recentBlockhash = blockhash;
-      transaction.feePayer = creatorKeypair.publicKey;
+      transaction.feePayer = creatorSigner.publicKey;
 
       // Sign and send transaction
-      transaction.sign(creatorKeypair);
+      await signerService.signTransaction(creatorSigner, transaction);
       const signature = await this.connection.sendRawTransaction(transaction.serialize());
 
       // Confirm transaction
@@ -214,6 +228,22 @@ class PumpFunService {
     }
   }
 
+  // The claim already landed, so a ledger failure is logged rather than thrown
+  async recordFeeClaim(signature) {
+    try {
+      await potLedgerService.recordFeeClaim(signature);
+    } catch (error) {
+      logger.error(`Failed to record fee claim ${signature} in the pot ledger:`, error);
+    }
+  }
+
+  getCreatorSigner() {
+    if (!this.creatorSigner) {
+      throw new Error('Creator wallet signer not configured');
+    }
+    return this.creatorSigner;
+  }
+
   /**
    * Auto-send claimed fees to winner
    * @param {string} winnerAddress - Winner's wallet address
@@ -227,8 +257,7 @@ class PumpFunService {
       }
 
       // Use creator wallet for fee distribution
-      const creatorWalletPrivateKey = JSON.parse(process.env.CREATOR_WALLET_PRIVATE_KEY);
-      const creatorWallet = Keypair.fromSecretKey(new Uint8Array(creatorWalletPrivateKey));
+      const creatorWallet = this.getCreatorSigner();
 
       // Create transaction to send SOL to winner
       const transaction = new Transaction().add(
@@ -239,19 +268,27 @@ class PumpFunService {
         })
       );
 
+      const priorityFee = await priorityFeeService.applyComputeBudget(transaction, creatorWallet.publicKey, this.connection);
+
       // Get recent blockhash
-      const { blockhash } = await this.connection.getLatestBlockhash();
+      const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
       transaction.recentBlockhash = blockhash;
       transaction.feePayer = creatorWallet.publicKey;
 
       // Sign and send transaction
-      transaction.sign(creatorWallet);
+      await signerService.signTransaction(creatorWallet, transaction);
       const signature = await this.connection.sendRawTransaction(transaction.serialize());
 
       // Confirm transaction
-      await this.connection.confirmTransaction(signature, 'confirmed');
+      await this.connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed');
+
+      logger.info(`Sent ${amount / LAMPORTS_PER_SOL} SOL (${amount} lamports) from creator wallet to winner ${winnerAddress} with a ${priorityFee.lamports} lamport priority fee (${priorityFee.microLamports} micro-lamports x ${priorityFee.computeUnits} CU): ${signature}`);
 
-      logger.info(`Sent ${amount / LAMPORTS_PER_SOL} SOL (${amount} lamports) from creator wallet to winner ${winnerAddress}: ${signature}`);
+      try {
+        await potLedgerService.recordFeePayout(winnerAddress, amount, signature, priorityFee.lamports);
+      } catch (error) {
+        logger.error(`Failed to record fee payout ${signature} in the pot ledger:`, error);
+      }
 
       return signature;
 
@@ -323,7 +360,7 @@ class PumpFunService {
         claimableFees: feeInfo.claimableFees,
         claimableSOL: feeInfo.claimableFees / LAMPORTS_PER_SOL,
         lastClaimed: feeInfo.lastClaimed,
-        isConfigured: !!(process.env.CREATOR_WALLET && process.env.HOT_WALLET_PRIVATE_KEY),
+        isConfigured: !!(process.env.CREATOR_WALLET && solanaService.getHotWallet()),
         lastChecked: new Date()
       };
     } catch (error) {
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const net = require('net');
+const { PublicKey, VersionedTransaction } = require('@solana/web3.js');
+const keystore = require('../utils/keystore');
+const logger = require('../utils/logger');
+
+/**
+ * Signers for the server's wallets, so services never handle raw keys.
+ *
+ * A signer implements
+ *   publicKey: PublicKey
+ *   signMessage(message: Uint8Array) -> Promise<Uint8Array> (64-byte ed25519 signature)
+ * and is loaded per wallet role from `<PREFIX>_SIGNER`:
+ *   env      - secret key JSON array in `<PREFIX>_PRIVATE_KEY`
+ *   keystore - encrypted file at `<PREFIX>_KEYSTORE`, unlocked at boot with the
+ *              password in `<PREFIX>_KEYSTORE_PASSWORD_FILE` or typed at the terminal
+ *   socket   - signing daemon listening on the Unix socket `<PREFIX>_SIGNER_SOCKET`
+ *
+ * The socket protocol is one JSON object per line each way:
+ *   { id, method: 'getPublicKey' }                   -> { id, publicKey }
+ *   { id, method: 'signMessage', message: base64 }   -> { id, signature: base64 }
+ * with { id, error } on failure. signing-daemon.js serves a keystore this way.
+ */
+
+const ROLES = {
+  hot: 'HOT_WALLET',
+  creator: 'CREATOR_WALLET'
+};
+
+const SOCKET_TIMEOUT_MS = 10000;
+
+class KeypairSigner {
+  constructor(secretKey, label) {
+    this.secretKey = secretKey;
+    this.publicKey = new PublicKey(secretKey.slice(32));
+    this.label = label;
+  }
+
+  async signMessage(message) {
+    return keystore.sign(this.secretKey, message);
+  }
+}
+
+class SocketSigner {
+  constructor(socketPath) {
+    this.socketPath = socketPath;
+    this.publicKey = null;
+    this.label = `signing daemon at ${socketPath}`;
+    this.nextId = 1;
+  }
+
+  async connect() {
+    const { publicKey } = await this.request({ method: 'getPublicKey' });
+    this.publicKey = new PublicKey(publicKey);
+    return this;
+  }
+
+  async signMessage(message) {
+    const { signature } = await this.request({
+      method: 'signMessage',
+      message: Buffer.from(message).toString('base64')
+    });
+    const bytes = new Uint8Array(Buffer.from(signature, 'base64'));
+
+    // A daemon serving another key would otherwise only fail on-chain
+    if (!keystore.verify(this.publicKey, message, bytes)) {
+      throw new Error(`Signing daemon at ${this.socketPath} returned an invalid signature`);
+    }
+    return bytes;
+  }
+
+  request(body) {
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.socketPath);
+      let buffer = '';
+
+      const fail = (error) => {
+        socket.destroy();
+        reject(error);
+      };
+
+      socket.setTimeout(SOCKET_TIMEOUT_MS, () => fail(new Error(`Signing daemon at ${this.socketPath} timed out`)));
+      socket.setEncoding('utf8');
+      socket.on('error', fail);
+      socket.on('close', () => reject(new Error(`Signing daemon at ${this.socketPath} closed the connection`)));
+      socket.on('connect', () => socket.write(`${JSON.stringify({ id, ...body })}\n`));
+      socket.on('data', chunk => {
+        buffer += chunk;
+        const newline = buffer.indexOf('\n');
+        if (newline === -1) return;
+
+        socket.end();
+        let response;
+        try {
+          response = JSON.parse(buffer.slice(0, newline));
+        } catch (error) {
+          return reject(new Error(`Signing daemon at ${this.socketPath} sent an invalid response`));
+        }
+        if (response.id !== id) {
+          return reject(new Error(`Signing daemon at ${this.socketPath} answered request ${response.id}, expected ${id}`));
+        }
+        if (response.error) {
+          return reject(new Error(`Signing daemon: ${response.error}`));
+        }
+        resolve(response);
+      });
+    });
+  }
+}
+
+async function readKeystorePassword(prefix, file) {
+  const passwordFile = process.env[`${prefix}_KEYSTORE_PASSWORD_FILE`];
+  if (passwordFile) {
+    return fs.readFileSync(passwordFile, 'utf8').replace(/\r?\n$/, '');
+  }
+  return keystore.readPassword(`Password for ${file}: `);
+}
+
+const backends = {
+  env: {
+    label: 'Environment variable',
+
+    async load(prefix) {
+      const value = process.env[`${prefix}_PRIVATE_KEY`];
+      if (!value || !value.trim()) {
+        return null;
+      }
+      return new KeypairSigner(new Uint8Array(JSON.parse(value)), `${prefix}_PRIVATE_KEY`);
+    }
+  },
+
+  keystore: {
+    label: 'Encrypted keystore file',
+
+    async load(prefix) {
+      const file = process.env[`${prefix}_KEYSTORE`];
+      if (!file) {
+        throw new Error(`${prefix}_KEYSTORE is not set`);
+      }
+
+      const contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const password = await readKeystorePassword(prefix, file);
+      return new KeypairSigner(await keystore.decrypt(contents, password), `keystore ${file}`);
+    }
+  },
+
+  socket: {
+    label: 'Signing daemon (Unix socket)',
+
+    async load(prefix) {
+      const socketPath = process.env[`${prefix}_SIGNER_SOCKET`];
+      if (!socketPath) {
+        throw new Error(`${prefix}_SIGNER_SOCKET is not set`);
+      }
+      return new SocketSigner(socketPath).connect();
+    }
+  }
+};
+
+class SignerService {
+  constructor() {
+    this.signers = {};
+  }
+
+  getBackendName(role) {
+    return process.env[`${ROLES[role]}_SIGNER`] || 'env';
+  }
+
+  /**
+   * Loads the signer configured for a wallet role ('hot' or 'creator').
+   * @returns {Promise<Object|null>} the signer, or null when the env backend
+   * has no key (read-only)
+   */
+  async load(role) {
+    const prefix = ROLES[role];
+    if (!prefix) {
+      throw new Error(`Unknown wallet role: ${role}`);
+    }
+
+    const name = this.getBackendName(role);
+    const backend = backends[name];
+    if (!backend) {
+      throw new Error(`${prefix}_SIGNER must be one of: ${Object.keys(backends).join(', ')}`);
+    }
+
+    const signer = await backend.load(prefix);
+    this.signers[role] = signer;
+    if (signer) {
+      logger.info(`${role} wallet signer: ${signer.label} (${signer.publicKey.toString()})`);
+    }
+    return signer;
+  }
+
+  get(role) {
+    return this.signers[role] || null;
+  }
+
+  listBackends() {
+    return Object.entries(backends).map(([name, backend]) => ({ name, label: backend.label }));
+  }
+
+  // Adds the signer's signature to a legacy or versioned transaction whose
+  // fee payer and blockhash are already set
+  async signTransaction(signer, transaction) {
+    if (transaction instanceof VersionedTransaction) {
+      const signature = await signer.signMessage(transaction.message.serialize());
+      transaction.addSignature(signer.publicKey, signature);
+    } else {
+      const signature = await signer.signMessage(transaction.serializeMessage());
+      transaction.addSignature(signer.publicKey, Buffer.from(signature));
+    }
+    return transaction;
+  }
+}
+
+module.exports = new SignerService();
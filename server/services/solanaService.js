@@ -1,6 +1,7 @@
-const { Connection, PublicKey, Keypair, clusterApiUrl } = require('@solana/web3.js');
+const { Connection, PublicKey, clusterApiUrl } = require('@solana/web3.js');
 const { TOKEN_PROGRAM_ID, getAssociatedTokenAddress } = require('@solana/spl-token');
 const logger = require('../utils/logger');
+const signerService = require('./signerService');
 
 class SolanaService {
   constructor() {
@@ -39,17 +40,16 @@ class SolanaService {
         })
       );
 
-      // Initialize hot wallet (optional for read-only mode)
-      if (process.env.HOT_WALLET_PRIVATE_KEY && process.env.HOT_WALLET_PRIVATE_KEY.trim()) {
-        try {
-          const privateKeyArray = JSON.parse(process.env.HOT_WALLET_PRIVATE_KEY);
-          this.hotWallet = Keypair.fromSecretKey(new Uint8Array(privateKeyArray));
+      // Initialize hot wallet signer (optional for read-only mode)
+      try {
+        this.hotWallet = await signerService.load('hot');
+        if (this.hotWallet) {
           logger.info(`Hot wallet initialized: ${this.hotWallet.publicKey.toString()}`);
-        } catch (error) {
-          logger.warn('Failed to initialize hot wallet, running in read-only mode:', error.message);
+        } else {
+          logger.info('No hot wallet configured - running in read-only mode');
         }
-      } else {
-        logger.info('No hot wallet configured - running in read-only mode');
+      } catch (error) {
+        logger.warn('Failed to initialize hot wallet, running in read-only mode:', error.message);
       }
 
       // Set token mint address
@@ -191,6 +191,7 @@ class SolanaService {
     });
   }
 
+  // Raw base-unit balance as a decimal string (u64 can exceed Number precision)
   async getTokenBalanceForWallet(walletAddress, tokenMintAddress) {
     return this.executeWithRetry(async () => {
       const walletPublicKey = new PublicKey(walletAddress);
@@ -207,7 +208,7 @@ class SolanaService {
         if (accountInfo) {
           // Parse token account data
           const balance = accountInfo.data.readBigUInt64LE(64);
-          return Number(balance);
+          return balance.toString();
         }
       } catch (error) {
         logger.warn(`Associated token account approach failed for ${walletAddress}:`, error.message);
@@ -223,15 +224,15 @@ class SolanaService {
           // Use the first token account found
           const accountInfo = tokenAccounts.value[0].account;
           const balance = accountInfo.data.readBigUInt64LE(64);
-          logger.info(`Found token balance via fallback method: ${Number(balance)}`);
-          return Number(balance);
+          logger.info(`Found token balance via fallback method: ${balance}`);
+          return balance.toString();
         }
       } catch (fallbackError) {
         logger.warn(`Fallback token balance lookup failed for ${walletAddress}:`, fallbackError.message);
       }
 
       logger.warn(`No token accounts found for wallet ${walletAddress} and mint ${tokenMintAddress}`);
-      return 0;
+      return '0';
     });
   }
 
@@ -242,15 +243,64 @@ class SolanaService {
     });
   }
 
+  async getSlot(commitment = 'confirmed') {
+    return this.executeWithRetry(async () => {
+      return await this.connection.getSlot(commitment);
+    });
+  }
+
+  async waitForSlot(targetSlot, timeoutMs = 60000, pollIntervalMs = 400) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      const slot = await this.getSlot('confirmed');
+      if (slot >= targetSlot) {
+        return slot;
+      }
+      await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+    }
+
+    throw new Error(`Timed out waiting for slot ${targetSlot}`);
+  }
+
+  // Returns the blockhash of the first produced block at or after the given
+  // slot (a slot can be skipped by its leader and have no block)
+  async getBlockhashForSlot(slot, searchRange = 50) {
+    return this.executeWithRetry(async () => {
+      const slots = await this.connection.getBlocks(slot, slot + searchRange, 'confirmed');
+      if (slots.length === 0) {
+        throw new Error(`No confirmed block found between slots ${slot} and ${slot + searchRange}`);
+      }
+
+      const block = await this.connection.getBlock(slots[0], {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0,
+        transactionDetails: 'none',
+        rewards: false
+      });
+
+      if (!block) {
+        throw new Error(`Block for slot ${slots[0]} not available`);
+      }
+
+      return { slot: slots[0], blockhash: block.blockhash };
+    });
+  }
+
   async sendTransaction(transaction) {
     return this.executeWithRetry(async () => {
-      const signature = await this.connection.sendTransaction(transaction, [this.hotWallet], {
+      const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
+      transaction.recentBlockhash = blockhash;
+      transaction.feePayer = this.hotWallet.publicKey;
+      await signerService.signTransaction(this.hotWallet, transaction);
+
+      const signature = await this.connection.sendRawTransaction(transaction.serialize(), {
         skipPreflight: false,
         preflightCommitment: 'confirmed',
       });
 
       // Wait for confirmation
-      const confirmation = await this.connection.confirmTransaction(signature, 'confirmed');
+      const confirmation = await this.connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed');
       
       if (confirmation.value.err) {
         throw new Error(`Transaction failed: ${confirmation.value.err}`);
@@ -290,6 +340,7 @@ class SolanaService {
     return this.connection;
   }
 
+  // Signer for the hot wallet (see signerService), null in read-only mode
   getHotWallet() {
     return this.hotWallet;
   }
@@ -0,0 +1,315 @@
+const holderTracker = require('./holderTracker');
+const potLedgerService = require('./potLedgerService');
+const marketDataService = require('./marketDataService');
+const logger = require('../utils/logger');
+const spinTriggers = require('../utils/spinTriggers');
+const db = require('../database/connection');
+const { SystemSettingsModel, SpinTriggerEventModel } = require('../database/models');
+
+// Events kept when no database is connected
+const MAX_MEMORY_EVENTS = 500;
+
+// Market data reading behind each market rule type
+const MARKET_READERS = {
+  marketCap: (source) => marketDataService.getMarketCap(source),
+  volume: (source) => marketDataService.getVolume(source)
+};
+
+/**
+ * Spins fired by holder count, pot size, market cap or 24h volume milestones,
+ * see utils/spinTriggers. Readings come from holder scans, the pot ledger and
+ * a market data poll; every milestone crossed is logged per rule along with
+ * whether it started a spin.
+ */
+class SpinTriggerService {
+  constructor() {
+    this.useDatabase = false;
+    this.io = null;
+    // Rules and market data source (will be loaded from DB)
+    this.settings = spinTriggers.fromEnv(process.env);
+    // Last milestone and fire time per rule id
+    this.ruleState = new Map();
+    this.readings = { holders: null, pot: null, marketCap: null, volume: null };
+    this.marketDataInterval = null;
+    this.marketDataError = null;
+    // In-memory log when no database is connected
+    this.events = [];
+    // Starts a spin for a rule: handler(rule) -> Promise<{ outcome, gameId, message }>
+    this.spinHandler = null;
+    // Settles once every trigger spin started so far has logged its outcome
+    this.pendingSpins = Promise.resolve();
+    // Readings are checked one at a time so a rule can't fire twice at once
+    this.queue = Promise.resolve();
+  }
+
+  async initialize(socketIo) {
+    this.io = socketIo;
+    this.useDatabase = db.isConnected;
+
+    const envError = spinTriggers.validate(this.settings, this.getSourceNames());
+    if (envError) {
+      logger.warn(`Ignoring invalid trigger settings from the environment: ${envError}`);
+      this.settings = { ...spinTriggers.DEFAULT_SETTINGS };
+    }
+    if (this.useDatabase) {
+      await this.loadSettingsFromDatabase();
+      await this.loadCooldowns();
+    }
+
+    holderTracker.on('holderCountChanged', ({ totalHolders }) => this.record('holders', totalHolders));
+    potLedgerService.on('changed', () => this.record('pot', potLedgerService.getPot()));
+
+    // Baselines, so only milestones crossed from now on fire
+    await this.record('holders', holderTracker.holders.size);
+    await this.record('pot', potLedgerService.getPot());
+    this.startMarketData();
+
+    logger.info(`Spin triggers loaded: ${this.settings.rules.filter(rule => rule.enabled).length} enabled`);
+  }
+
+  async loadSettingsFromDatabase() {
+    try {
+      const stored = await SystemSettingsModel.get('spin_triggers');
+      if (stored) {
+        const merged = { ...this.settings, ...stored };
+        const error = spinTriggers.validate(merged, this.getSourceNames());
+        if (error) {
+          logger.warn(`Ignoring stored trigger settings: ${error}`);
+        } else {
+          this.settings = merged;
+        }
+      }
+    } catch (error) {
+      logger.warn('Failed to load trigger settings from database, using defaults:', error.message);
+    }
+  }
+
+  // Cooldowns carry over a restart; milestones start from a new baseline
+  async loadCooldowns() {
+    try {
+      for (const row of await SpinTriggerEventModel.getLastFired()) {
+        this.ruleState.set(row.rule_id, { lastFiredAt: row.created_at });
+      }
+    } catch (error) {
+      logger.warn('Failed to load trigger cooldowns from database:', error.message);
+    }
+  }
+
+  setSpinHandler(handler) {
+    this.spinHandler = handler;
+  }
+
+  getSourceNames() {
+    return marketDataService.listSources().map(source => source.name);
+  }
+
+  getSettings() {
+    return {
+      ...this.settings,
+      rules: this.settings.rules.map(rule => ({ ...rule }))
+    };
+  }
+
+  async setSettings(updates) {
+    const settings = { ...this.getSettings() };
+    for (const key of Object.keys(spinTriggers.DEFAULT_SETTINGS)) {
+      if (updates[key] !== undefined) settings[key] = updates[key];
+    }
+
+    // New rules get an id; existing ones keep theirs and their log
+    settings.rules = settings.rules.map(rule => ({
+      ...rule,
+      id: rule.id || `trigger_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`
+    }));
+
+    const error = spinTriggers.validate(settings, this.getSourceNames());
+    if (error) {
+      throw new Error(error);
+    }
+    const source = marketDataService.listSources().find(option => option.name === settings.marketDataSource);
+    if (!source.hasVolume && settings.rules.some(rule => rule.enabled && rule.type === 'volume')) {
+      throw new Error(`${source.label} has no volume data; pick another market data source for volume triggers`);
+    }
+
+    // Changed rules start from a fresh baseline but keep their cooldown
+    const previous = new Map(this.settings.rules.map(rule => [rule.id, rule]));
+    for (const rule of settings.rules) {
+      const before = previous.get(rule.id);
+      if (!before || before.type !== rule.type || before.threshold !== rule.threshold || before.step !== rule.step) {
+        const state = this.ruleState.get(rule.id);
+        this.ruleState.set(rule.id, { lastFiredAt: state ? state.lastFiredAt : null });
+      }
+    }
+
+    this.settings = settings;
+    if (this.useDatabase) {
+      await SystemSettingsModel.set('spin_triggers', settings, 'json');
+    }
+    logger.info(`Spin triggers updated: ${settings.rules.length} rules`);
+
+    this.startMarketData();
+    for (const type of Object.keys(spinTriggers.TYPES)) {
+      if (this.readings[type] !== null) {
+        await this.record(type, this.readings[type]);
+      }
+    }
+    return this.getSettings();
+  }
+
+  startMarketData() {
+    this.stopMarketData();
+    const types = spinTriggers.MARKET_TYPES.filter(type =>
+      this.settings.rules.some(rule => rule.enabled && rule.type === type));
+    if (types.length === 0) {
+      return;
+    }
+
+    const poll = async () => {
+      const errors = [];
+      for (const type of types) {
+        try {
+          await this.record(type, await MARKET_READERS[type](this.settings.marketDataSource));
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+      this.marketDataError = errors.length > 0 ? errors.join('; ') : null;
+    };
+    poll();
+    this.marketDataInterval = setInterval(poll, this.settings.marketDataPollSeconds * 1000);
+  }
+
+  stopMarketData() {
+    clearInterval(this.marketDataInterval);
+    this.marketDataInterval = null;
+  }
+
+  // Queues a reading for the rules of that type
+  record(type, value) {
+    this.queue = this.queue
+      .then(() => this.evaluate(type, value))
+      .catch(error => logger.error(`Failed to evaluate ${type} triggers:`, error));
+    return this.queue;
+  }
+
+  async evaluate(type, value) {
+    this.readings[type] = value;
+
+    for (const rule of this.settings.rules) {
+      if (rule.type !== type || !rule.enabled) {
+        continue;
+      }
+
+      const result = spinTriggers.evaluate(rule, this.ruleState.get(rule.id) || null, value);
+      this.ruleState.set(rule.id, result.state);
+      if (result.crossed === null) {
+        continue;
+      }
+
+      if (result.coolingDown) {
+        await this.logEvent(rule, value, result.crossed, {
+          outcome: 'cooldown',
+          message: `Fired at ${new Date(result.state.lastFiredAt).toISOString()}`
+        });
+      } else if (!this.spinHandler) {
+        await this.logEvent(rule, value, result.crossed, { outcome: 'failed', message: 'The game engine is not running' });
+      } else {
+        // Not awaited: the spin posts ledger entries whose pot readings queue
+        // up behind this one. The handler marks the game busy before its
+        // first await, so other rules crossing meanwhile log `busy`.
+        this.pendingSpins = Promise.all([this.pendingSpins, this.runSpin(rule, value, result.crossed)]);
+      }
+    }
+  }
+
+  // Starts the spin for a rule and logs its outcome once it is known; only a
+  // fired spin starts the cooldown
+  async runSpin(rule, value, milestone) {
+    let outcome;
+    try {
+      outcome = await this.spinHandler(rule);
+    } catch (error) {
+      outcome = { outcome: 'failed', message: error.message };
+    }
+
+    try {
+      if (outcome.outcome === 'fired') {
+        this.ruleState.set(rule.id, { ...this.ruleState.get(rule.id), lastFiredAt: new Date() });
+        logger.info(`Trigger "${rule.label || rule.id}" fired at ${milestone} (${spinTriggers.describe(rule)})`);
+      }
+      await this.logEvent(rule, value, milestone, outcome);
+    } catch (error) {
+      logger.error(`Failed to log trigger "${rule.label || rule.id}":`, error);
+    }
+  }
+
+  async logEvent(rule, value, milestone, { outcome, gameId = null, message = null }) {
+    const event = {
+      ruleId: rule.id,
+      ruleType: rule.type,
+      value,
+      milestone,
+      outcome,
+      gameId,
+      message,
+      createdAt: new Date()
+    };
+
+    if (this.useDatabase) {
+      try {
+        await SpinTriggerEventModel.create(event);
+      } catch (error) {
+        logger.warn('Failed to save spin trigger event:', error.message);
+      }
+    } else {
+      this.events.unshift(event);
+      this.events.length = Math.min(this.events.length, MAX_MEMORY_EVENTS);
+    }
+
+    if (this.io) {
+      this.io.emit('spinTriggerEvent', { ...event, label: rule.label || null });
+    }
+  }
+
+  async getEvents(ruleId = null, limit = 50) {
+    if (this.useDatabase) {
+      const rows = await SpinTriggerEventModel.getRecent(ruleId, limit);
+      return rows.map(row => ({
+        ruleId: row.rule_id,
+        ruleType: row.rule_type,
+        value: Number(row.value),
+        milestone: Number(row.milestone),
+        outcome: row.outcome,
+        gameId: row.game_id,
+        message: row.message,
+        createdAt: row.created_at
+      }));
+    }
+    return this.events.filter(event => !ruleId || event.ruleId === ruleId).slice(0, limit);
+  }
+
+  // Rules with their latest reading and cooldown, for the admin panel
+  getStatus() {
+    return {
+      rules: this.settings.rules.map(rule => {
+        const state = this.ruleState.get(rule.id);
+        const lastFiredAt = state ? state.lastFiredAt : null;
+        const cooldownEnds = lastFiredAt ? new Date(new Date(lastFiredAt).getTime() + rule.cooldownMinutes * 60 * 1000) : null;
+        return {
+          ...rule,
+          summary: spinTriggers.describe(rule),
+          reading: this.readings[rule.type],
+          lastFiredAt,
+          coolingDownUntil: cooldownEnds && cooldownEnds > new Date() ? cooldownEnds : null
+        };
+      }),
+      readings: { ...this.readings },
+      marketDataSource: this.settings.marketDataSource,
+      marketDataPollSeconds: this.settings.marketDataPollSeconds,
+      marketDataError: this.marketDataError,
+      sources: marketDataService.listSources()
+    };
+  }
+}
+
+module.exports = new SpinTriggerService();
@@ -0,0 +1,128 @@
+const axios = require('axios');
+const { VersionedTransaction } = require('@solana/web3.js');
+const solanaService = require('./solanaService');
+const signerService = require('./signerService');
+const logger = require('../utils/logger');
+
+/**
+ * Swap adapters used to price and buy back prize tokens.
+ *
+ * An adapter implements
+ *   quote({ inputMint, outputMint, amount, slippageBps, outputDecimals })
+ *     -> { inAmount, outAmount, minOutAmount, raw }
+ *   swap(quote, wallet, { useWrappedSol }) -> { signature, outAmount }
+ * where `wallet` is the hot wallet's signer (see signerService).
+ * with amounts as base-unit decimal strings. `swap` resolves once the swap
+ * is confirmed and reports the amount that is guaranteed to have arrived.
+ */
+
+const LAMPORTS_PER_SOL = 1000000000n;
+
+// Fixed price and no on-chain swap, for local testing
+const mockAdapter = {
+  label: 'Mock (fixed price, no swap)',
+
+  async quote({ amount, slippageBps, outputDecimals }) {
+    const tokensPerSol = parseFloat(process.env.MOCK_SWAP_TOKENS_PER_SOL) || 1000000;
+    // Price scaled to base units per SOL with 6 decimals of precision
+    const unitsPerSol = BigInt(Math.round(tokensPerSol * 1000000)) * 10n ** BigInt(outputDecimals) / 1000000n;
+    const outAmount = BigInt(amount) * unitsPerSol / LAMPORTS_PER_SOL;
+    const minOutAmount = outAmount * BigInt(10000 - slippageBps) / 10000n;
+
+    return {
+      inAmount: String(amount),
+      outAmount: outAmount.toString(),
+      minOutAmount: minOutAmount.toString(),
+      raw: { tokensPerSol }
+    };
+  },
+
+  async swap(quote) {
+    logger.info(`Mock swap of ${quote.inAmount} lamports for ${quote.outAmount} tokens (nothing sent)`);
+    return { signature: `mock_swap_${Date.now()}`, outAmount: quote.outAmount };
+  }
+};
+
+const jupiterAdapter = {
+  label: 'Jupiter',
+
+  apiUrl() {
+    return process.env.JUPITER_API_URL || 'https://quote-api.jup.ag/v6';
+  },
+
+  async quote({ inputMint, outputMint, amount, slippageBps }) {
+    const { data } = await axios.get(`${this.apiUrl()}/quote`, {
+      params: { inputMint, outputMint, amount: String(amount), slippageBps },
+      timeout: 10000
+    });
+
+    return {
+      inAmount: data.inAmount,
+      outAmount: data.outAmount,
+      minOutAmount: data.otherAmountThreshold,
+      raw: data
+    };
+  },
+
+  async swap(quote, wallet, options = {}) {
+    const { data } = await axios.post(`${this.apiUrl()}/swap`, {
+      quoteResponse: quote.raw,
+      userPublicKey: wallet.publicKey.toString(),
+      wrapAndUnwrapSol: !options.useWrappedSol
+    }, { timeout: 15000 });
+
+    const transaction = VersionedTransaction.deserialize(Buffer.from(data.swapTransaction, 'base64'));
+    await signerService.signTransaction(wallet, transaction);
+
+    const connection = solanaService.getConnection();
+    const signature = await connection.sendRawTransaction(transaction.serialize(), { maxRetries: 3 });
+    const confirmation = await connection.confirmTransaction({
+      signature,
+      blockhash: transaction.message.recentBlockhash,
+      lastValidBlockHeight: data.lastValidBlockHeight
+    }, 'confirmed');
+
+    if (confirmation.value.err) {
+      throw new Error(`Swap ${signature} failed: ${JSON.stringify(confirmation.value.err)}`);
+    }
+
+    // Slippage may eat into the quote; only the minimum is certain
+    return { signature, outAmount: quote.minOutAmount };
+  }
+};
+
+class SwapService {
+  constructor() {
+    this.adapters = {
+      mock: mockAdapter,
+      jupiter: jupiterAdapter
+    };
+  }
+
+  registerAdapter(name, adapter) {
+    if (typeof adapter.quote !== 'function' || typeof adapter.swap !== 'function') {
+      throw new Error('A swap adapter needs quote() and swap()');
+    }
+    this.adapters[name] = adapter;
+  }
+
+  isValidAdapter(name) {
+    return Object.prototype.hasOwnProperty.call(this.adapters, name);
+  }
+
+  getAdapter(name) {
+    if (!this.isValidAdapter(name)) {
+      throw new Error(`Unknown swap adapter: ${name}`);
+    }
+    return this.adapters[name];
+  }
+
+  listAdapters() {
+    return Object.entries(this.adapters).map(([name, adapter]) => ({
+      name,
+      label: adapter.label || name
+    }));
+  }
+}
+
+module.exports = new SwapService();
@@ -0,0 +1,73 @@
+/* eslint-env jest */
+const holdDuration = require('../holdDuration');
+
+const NOW = Date.parse('2026-01-10T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+const heldFor = hours => ({ holdingSince: new Date(NOW - hours * HOUR_MS).toISOString() });
+
+const config = overrides => ({ ...holdDuration.DEFAULT_CONFIG, ...overrides });
+const diamondHands = config({ diamondHandsEnabled: true, maxMultiplier: 2, rampHours: 100 });
+
+describe('getHoldDurationMs', () => {
+  it('is 0 for a wallet that holds nothing', () => {
+    expect(holdDuration.getHoldDurationMs(null, NOW)).toBe(0);
+    expect(holdDuration.getHoldDurationMs({ holdingSince: null }, NOW)).toBe(0);
+  });
+
+  it('never goes negative for a start time in the future', () => {
+    expect(holdDuration.getHoldDurationMs(heldFor(-1), NOW)).toBe(0);
+    expect(holdDuration.getHoldDurationMs(heldFor(2), NOW)).toBe(2 * HOUR_MS);
+  });
+});
+
+describe('meetsMinimumHold', () => {
+  it('passes everyone with no minimum, even a wallet that just arrived', () => {
+    expect(holdDuration.meetsMinimumHold(heldFor(0), config({}), NOW)).toBe(true);
+  });
+
+  it('passes exactly at the minimum and not a moment before', () => {
+    const minimum = config({ minHoldMinutes: 90 });
+    expect(holdDuration.meetsMinimumHold(heldFor(1.5), minimum, NOW)).toBe(true);
+    expect(holdDuration.meetsMinimumHold({ holdingSince: new Date(NOW - 90 * 60 * 1000 + 1) }, minimum, NOW)).toBe(false);
+    expect(holdDuration.meetsMinimumHold({ holdingSince: null }, minimum, NOW)).toBe(false);
+  });
+});
+
+describe('getEligibleAt', () => {
+  it('adds the minimum hold to the start time', () => {
+    expect(holdDuration.getEligibleAt(heldFor(1), config({ minHoldMinutes: 90 })).toISOString()).toBe('2026-01-10T12:30:00.000Z');
+    expect(holdDuration.getEligibleAt({ holdingSince: null }, config({ minHoldMinutes: 90 }))).toBeNull();
+  });
+});
+
+describe('getHoldMultiplier', () => {
+  it('is 1 unless diamond hands can raise it', () => {
+    expect(holdDuration.getHoldMultiplier(heldFor(1000), config({}), NOW)).toBe(1);
+    expect(holdDuration.getHoldMultiplier(heldFor(1000), { ...diamondHands, maxMultiplier: 1 }, NOW)).toBe(1);
+    expect(holdDuration.getHoldMultiplier(heldFor(1000), { ...diamondHands, rampHours: 0 }, NOW)).toBe(1);
+  });
+
+  it('ramps linearly and stops at the maximum', () => {
+    expect(holdDuration.getHoldMultiplier(heldFor(0), diamondHands, NOW)).toBe(1);
+    expect(holdDuration.getHoldMultiplier(heldFor(25), diamondHands, NOW)).toBe(1.25);
+    expect(holdDuration.getHoldMultiplier(heldFor(100), diamondHands, NOW)).toBe(2);
+    expect(holdDuration.getHoldMultiplier(heldFor(5000), diamondHands, NOW)).toBe(2);
+  });
+
+  it('rounds down to basis points', () => {
+    expect(holdDuration.getHoldMultiplier(heldFor(1 / 3), diamondHands, NOW)).toBe(1.0033);
+  });
+});
+
+describe('applyMultiplier', () => {
+  it('scales integer weights and rounds down', () => {
+    expect(holdDuration.applyMultiplier('1000', 1.25)).toBe('1250');
+    expect(holdDuration.applyMultiplier('3', 1.5)).toBe('4');
+    expect(holdDuration.applyMultiplier('0', 2)).toBe('0');
+  });
+
+  it('keeps u64 weights exact', () => {
+    expect(holdDuration.applyMultiplier('18446744073709551615', 1)).toBe('18446744073709551615');
+    expect(holdDuration.applyMultiplier('18446744073709551615', 2)).toBe('36893488147419103230');
+  });
+});
@@ -0,0 +1,61 @@
+/* eslint-env jest */
+const jackpot = require('../jackpot');
+
+const settings = overrides => ({ ...jackpot.DEFAULT_SETTINGS, ...overrides });
+
+describe('fromEnv', () => {
+  it('reads the contribution and odds', () => {
+    expect(jackpot.fromEnv({ JACKPOT_CONTRIBUTION_PERCENTAGE: '2.5', JACKPOT_ONE_IN: '500' }))
+      .toEqual({ contributionPercentage: 2.5, oneIn: 500 });
+  });
+
+  it('falls back to the defaults, keeping an explicit 0', () => {
+    expect(jackpot.fromEnv({})).toEqual(jackpot.DEFAULT_SETTINGS);
+    expect(jackpot.fromEnv({ JACKPOT_CONTRIBUTION_PERCENTAGE: '0', JACKPOT_ONE_IN: 'often' }))
+      .toEqual({ contributionPercentage: 0, oneIn: jackpot.DEFAULT_SETTINGS.oneIn });
+  });
+});
+
+describe('validate', () => {
+  it('accepts the defaults and both contribution bounds', () => {
+    expect(jackpot.validate(settings({}))).toBeNull();
+    expect(jackpot.validate(settings({ contributionPercentage: 0 }))).toBeNull();
+    expect(jackpot.validate(settings({ contributionPercentage: 50 }))).toBeNull();
+  });
+
+  it('caps the contribution at 50%', () => {
+    expect(jackpot.validate(settings({ contributionPercentage: 50.01 }))).toContain('between 0 and 50%');
+    expect(jackpot.validate(settings({ contributionPercentage: 100 }))).toContain('between 0 and 50%');
+    expect(jackpot.validate(settings({ contributionPercentage: -1 }))).toContain('between 0 and 50%');
+    expect(jackpot.validate(settings({ contributionPercentage: '5' }))).toContain('between 0 and 50%');
+  });
+
+  it('needs whole-number odds from 2 to a billion', () => {
+    expect(jackpot.validate(settings({ oneIn: 2 }))).toBeNull();
+    expect(jackpot.validate(settings({ oneIn: 1000000000 }))).toBeNull();
+    expect(jackpot.validate(settings({ oneIn: 1 }))).toContain('from 2');
+    expect(jackpot.validate(settings({ oneIn: 1000000001 }))).toContain('from 2');
+    expect(jackpot.validate(settings({ oneIn: 10.5 }))).toContain('whole number');
+  });
+});
+
+describe('contribution', () => {
+  it('is off at 0%', () => {
+    expect(jackpot.isEnabled(settings({ contributionPercentage: 0 }))).toBe(false);
+    expect(jackpot.contribution(1000000000, settings({ contributionPercentage: 0 }))).toBe(0);
+  });
+
+  it('takes the share of the pot, rounded down to whole lamports', () => {
+    const fivePercent = settings({ contributionPercentage: 5 });
+    expect(jackpot.isEnabled(fivePercent)).toBe(true);
+    expect(jackpot.contribution(1000000000, fivePercent)).toBe(50000000);
+    expect(jackpot.contribution(39, fivePercent)).toBe(1);
+    expect(jackpot.contribution(19, fivePercent)).toBe(0);
+    expect(jackpot.contribution(0, fivePercent)).toBe(0);
+  });
+
+  it('takes at most half of a large pot', () => {
+    const pot = 1000000 * 1000000000 + 1; // just over 1M SOL in lamports
+    expect(jackpot.contribution(pot, settings({ contributionPercentage: 50 }))).toBe(500000000000000);
+  });
+});
@@ -0,0 +1,80 @@
+/* eslint-env jest */
+const bcrypt = require('bcryptjs');
+const payoutApprovals = require('../payoutApprovals');
+
+const current = {
+  spendLimits: { perPayout: 0, perHour: 0, perDay: 0 },
+  approvalPolicy: { thresholdLamports: 1000, required: 2, multisigVault: '' },
+  nonceAccount: ''
+};
+
+describe('accounts', () => {
+  const accounts = payoutApprovals.parseAccounts(`alice:${bcrypt.hashSync('a-pass', 4)}, bob:${bcrypt.hashSync('b-pass', 4)},broken`);
+
+  it('parses name:hash pairs and skips malformed entries', () => {
+    expect([...accounts.keys()]).toEqual(['alice', 'bob']);
+    expect(payoutApprovals.parseAccounts(undefined).size).toBe(0);
+  });
+
+  it('checks each approver against their own password', () => {
+    expect(payoutApprovals.verifyAccount(accounts, 'alice', 'a-pass')).toBe(true);
+    expect(payoutApprovals.verifyAccount(accounts, 'alice', 'b-pass')).toBe(false);
+    expect(payoutApprovals.verifyAccount(accounts, 'carol', 'a-pass')).toBe(false);
+    expect(payoutApprovals.verifyAccount(accounts, 'alice', '')).toBe(false);
+  });
+});
+
+describe('validate', () => {
+  it('accepts a policy the approvers can meet', () => {
+    expect(payoutApprovals.validate(current.approvalPolicy, 2)).toBeNull();
+  });
+
+  it('rejects more required approvals than approvers while on', () => {
+    expect(payoutApprovals.validate(current.approvalPolicy, 1)).toContain('exceed');
+    expect(payoutApprovals.validate({ ...current.approvalPolicy, thresholdLamports: 0 }, 1)).toBeNull();
+  });
+
+  it('rejects a bad threshold or count', () => {
+    expect(payoutApprovals.validate({ ...current.approvalPolicy, thresholdLamports: -1 }, 2)).toContain('threshold');
+    expect(payoutApprovals.validate({ ...current.approvalPolicy, required: 0 }, 2)).toContain('at least 1');
+  });
+});
+
+describe('needsApproval', () => {
+  it('holds payouts over the threshold only', () => {
+    expect(payoutApprovals.needsApproval(current.approvalPolicy, 1000)).toBe(false);
+    expect(payoutApprovals.needsApproval(current.approvalPolicy, 1001)).toBe(true);
+  });
+
+  it('holds nothing when the threshold is zero', () => {
+    const off = { ...current.approvalPolicy, thresholdLamports: 0 };
+    expect(payoutApprovals.isActive(off)).toBe(false);
+    expect(payoutApprovals.needsApproval(off, Number.MAX_SAFE_INTEGER)).toBe(false);
+  });
+});
+
+describe('changedSettings', () => {
+  it('returns only the fields that differ', () => {
+    const changes = payoutApprovals.changedSettings(current, {
+      spendLimits: { perPayout: 0, perHour: 500 },
+      approvalPolicy: { thresholdLamports: 0, required: 2 },
+      nonceAccount: ''
+    });
+    expect(changes).toEqual({
+      spendLimits: { perHour: 500 },
+      approvalPolicy: { thresholdLamports: 0 }
+    });
+  });
+
+  it('is empty when a full form is saved unchanged', () => {
+    expect(payoutApprovals.changedSettings(current, current)).toEqual({});
+    expect(payoutApprovals.changedSettings(current, {})).toEqual({});
+  });
+
+  it('compares change sets whatever their key order', () => {
+    const a = { approvalPolicy: { required: 3, thresholdLamports: 0 }, nonceAccount: 'N' };
+    const b = { nonceAccount: 'N', approvalPolicy: { thresholdLamports: 0, required: 3 } };
+    expect(payoutApprovals.isSameChange(a, b)).toBe(true);
+    expect(payoutApprovals.isSameChange(a, { ...b, nonceAccount: '' })).toBe(false);
+  });
+});
@@ -0,0 +1,69 @@
+/* eslint-env jest */
+const potLedger = require('../potLedger');
+
+const entries = [
+  { debit: 'float:hot', credit: 'opening_balance', amount: 5000 },
+  { debit: 'pot:hot', credit: 'fee_claims', amount: 3000 },
+  { debit: 'pot:creator', credit: 'deposits', amount: 1000 },
+  { debit: 'jackpot', credit: 'pot:hot', amount: 300 },
+  { debit: 'payouts_pending', credit: 'pot:hot', amount: 2000 },
+  { debit: 'winners', credit: 'payouts_pending', amount: 2000 },
+  { debit: 'network_fees', credit: 'float:hot', amount: 5 }
+];
+
+describe('balances', () => {
+  const accountBalances = potLedger.balances(entries);
+
+  it('always sums to zero', () => {
+    expect(Object.values(accountBalances).reduce((sum, value) => sum + value, 0)).toBe(0);
+  });
+
+  it('keeps the jackpot and reserved payouts out of the pot', () => {
+    expect(potLedger.potBalance(accountBalances)).toBe(700 + 1000);
+    expect(accountBalances.jackpot).toBe(300);
+    expect(accountBalances.payouts_pending).toBe(0);
+  });
+
+  it('adds up what each wallet holds', () => {
+    expect(potLedger.walletBalances(accountBalances)).toEqual({ hot: 4995 + 700 + 300, creator: 1000 });
+  });
+});
+
+describe('manualEntry', () => {
+  it('posts each entry type between the right accounts', () => {
+    expect(potLedger.manualEntry({ type: 'deposit', amount: 10, wallet: 'creator' }))
+      .toEqual({ type: 'deposit', debit: 'pot:creator', credit: 'deposits', amount: 10 });
+    expect(potLedger.manualEntry({ type: 'withdrawal', amount: 10, wallet: 'hot' }))
+      .toEqual({ type: 'withdrawal', debit: 'float:hot', credit: 'pot:hot', amount: 10 });
+    expect(potLedger.manualEntry({ type: 'transfer', amount: 10 }))
+      .toEqual({ type: 'transfer', debit: 'pot:hot', credit: 'pot:creator', amount: 10 });
+  });
+
+  it('turns a negative adjustment into a positive posting the other way', () => {
+    expect(potLedger.manualEntry({ type: 'adjustment', amount: -25, wallet: 'hot' }))
+      .toEqual({ type: 'adjustment', debit: 'adjustments', credit: 'float:hot', amount: 25 });
+  });
+
+  it('rejects unknown types, bad amounts and wallets', () => {
+    expect(() => potLedger.manualEntry({ type: 'gift', amount: 10, wallet: 'hot' })).toThrow('Entry type');
+    expect(() => potLedger.manualEntry({ type: 'deposit', amount: -10, wallet: 'hot' })).toThrow('Amount');
+    expect(() => potLedger.manualEntry({ type: 'deposit', amount: 1.5, wallet: 'hot' })).toThrow('Amount');
+    expect(() => potLedger.manualEntry({ type: 'adjustment', amount: 0, wallet: 'hot' })).toThrow('Amount');
+    expect(() => potLedger.manualEntry({ type: 'deposit', amount: 10, wallet: 'cold' })).toThrow('Wallet');
+  });
+});
+
+describe('compareWallet', () => {
+  it('flags drift beyond the tolerance either way', () => {
+    expect(potLedger.compareWallet(1000, 990, 10)).toEqual({ drift: 10, flagged: false });
+    expect(potLedger.compareWallet(1000, 1011, 10)).toEqual({ drift: -11, flagged: true });
+  });
+});
+
+describe('isAccount', () => {
+  it('knows internal and external accounts only', () => {
+    expect(potLedger.isAccount('pot:hot')).toBe(true);
+    expect(potLedger.isAccount('winners')).toBe(true);
+    expect(potLedger.isAccount('pot:cold')).toBe(false);
+  });
+});
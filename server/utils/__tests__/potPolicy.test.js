@@ -0,0 +1,82 @@
+/* eslint-env jest */
+const potPolicy = require('../potPolicy');
+
+const policy = overrides => ({ ...potPolicy.DEFAULT_POLICY, ...overrides });
+
+describe('fromEnv', () => {
+  it('falls back to the defaults for unset or unparsable values', () => {
+    expect(potPolicy.fromEnv({})).toEqual(potPolicy.DEFAULT_POLICY);
+    expect(potPolicy.fromEnv({ POT_SEED_LAMPORTS: 'lots', POT_ROLLOVER_PERCENTAGE: '' }).seedLamports).toBe(0);
+  });
+
+  it('reads numbers and the deposit switch', () => {
+    const parsed = potPolicy.fromEnv({ POT_MAX_LAMPORTS: '5000', POT_DEPOSITS_ENABLED: 'true', POT_DEPOSIT_WALLET: 'creator' });
+    expect(parsed).toMatchObject({ maxPotLamports: 5000, depositsEnabled: true, depositWallet: 'creator' });
+  });
+});
+
+describe('validate', () => {
+  it('accepts the defaults', () => {
+    expect(potPolicy.validate(potPolicy.DEFAULT_POLICY)).toBeNull();
+  });
+
+  it('rejects out-of-range values', () => {
+    expect(potPolicy.validate(policy({ feeClaimPercentage: 101 }))).toContain('Fee claim');
+    expect(potPolicy.validate(policy({ seedLamports: 1.5 }))).toContain('seedLamports');
+    expect(potPolicy.validate(policy({ depositWallet: 'cold' }))).toContain('Deposit wallet');
+    expect(potPolicy.validate(policy({ noHoldersRetryMinutes: 61 }))).toContain('retry');
+  });
+
+  it('keeps the minimum and seed under the cap', () => {
+    expect(potPolicy.validate(policy({ maxPotLamports: 100, minPotLamports: 101 }))).toContain('Minimum pot');
+    expect(potPolicy.validate(policy({ maxPotLamports: 100, seedLamports: 101 }))).toContain('Seed');
+    expect(potPolicy.validate(policy({ maxPotLamports: 0, minPotLamports: 101 }))).toBeNull();
+  });
+});
+
+describe('splitInflow', () => {
+  it('sends the policy share to the pot and the rest to the float', () => {
+    expect(potPolicy.splitInflow(1000, 0, policy({}), 25)).toEqual({ toPot: 250, toFloat: 750 });
+  });
+
+  it('stops at the cap and never loses lamports', () => {
+    expect(potPolicy.splitInflow(1000, 900, policy({ maxPotLamports: 1000 }))).toEqual({ toPot: 100, toFloat: 900 });
+    expect(potPolicy.splitInflow(1000, 1200, policy({ maxPotLamports: 1000 }))).toEqual({ toPot: 0, toFloat: 1000 });
+    expect(potPolicy.splitInflow(999, 0, policy({}), 33)).toEqual({ toPot: 329, toFloat: 670 });
+  });
+});
+
+describe('seedTopUp', () => {
+  it('tops up to the seed out of what is available', () => {
+    expect(potPolicy.seedTopUp(300, policy({ seedLamports: 1000 }), 5000)).toBe(700);
+    expect(potPolicy.seedTopUp(300, policy({ seedLamports: 1000 }), 200)).toBe(200);
+    expect(potPolicy.seedTopUp(300, policy({ seedLamports: 1000 }), -50)).toBe(0);
+    expect(potPolicy.seedTopUp(1000, policy({ seedLamports: 1000 }), 5000)).toBe(0);
+  });
+});
+
+describe('spins', () => {
+  it('pays out at most the cap', () => {
+    expect(potPolicy.spinPot(5000, policy({ maxPotLamports: 1000 }))).toBe(1000);
+    expect(potPolicy.spinPot(5000, policy({}))).toBe(5000);
+  });
+
+  it('waits for the minimum pot', () => {
+    expect(potPolicy.canSpin(0, policy({}))).toBe(false);
+    expect(potPolicy.canSpin(99, policy({ minPotLamports: 100 }))).toBe(false);
+    expect(potPolicy.canSpin(100, policy({ minPotLamports: 100 }))).toBe(true);
+  });
+
+  it('releases the part of the pot not rolled over', () => {
+    expect(potPolicy.noHoldersRelease(1000, policy({ rolloverPercentage: 100 }))).toBe(0);
+    expect(potPolicy.noHoldersRelease(1000, policy({ rolloverPercentage: 40 }))).toBe(600);
+  });
+});
+
+describe('describe', () => {
+  it('lists the funding sources in use', () => {
+    expect(potPolicy.describe(policy({})).sources).toEqual(['100% of creator fees', 'rollovers']);
+    expect(potPolicy.describe(policy({ feeClaimPercentage: 0, seedLamports: 1, depositsEnabled: true })).sources)
+      .toEqual(['house seed', 'deposits', 'rollovers']);
+  });
+});
@@ -0,0 +1,67 @@
+/* eslint-env jest */
+const prizeTiers = require('../prizeTiers');
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+describe('validate', () => {
+  it('accepts a single winner and tiers adding up to 100', () => {
+    expect(prizeTiers.validate([100])).toBeNull();
+    expect(prizeTiers.validate([60, 25, 15])).toBeNull();
+    expect(prizeTiers.validate([33.3, 33.3, 33.4])).toBeNull();
+  });
+
+  it('rejects tiers that miss 100%', () => {
+    expect(prizeTiers.validate([60, 25])).toContain('got 85%');
+    expect(prizeTiers.validate([60, 50])).toContain('got 110%');
+  });
+
+  it('rejects empty, oversized and non-positive lists', () => {
+    expect(prizeTiers.validate([])).toContain('non-empty');
+    expect(prizeTiers.validate([20, 20, 20, 20, 10, 10])).toContain(`At most ${prizeTiers.MAX_TIERS}`);
+    expect(prizeTiers.validate([100, 0])).toContain('greater than 0');
+    expect(prizeTiers.validate(['100'])).toContain('greater than 0');
+  });
+});
+
+describe('parse', () => {
+  it('reads a comma-separated list', () => {
+    expect(prizeTiers.parse('60, 25,15')).toEqual([60, 25, 15]);
+  });
+
+  it('falls back to a single winner on missing or invalid input', () => {
+    expect(prizeTiers.parse(undefined)).toEqual([100]);
+    expect(prizeTiers.parse('60,30')).toEqual([100]);
+    expect(prizeTiers.parse('abc')).toEqual([100]);
+  });
+});
+
+describe('split', () => {
+  it('pays every place its share when it divides evenly', () => {
+    expect(prizeTiers.split(1000, [60, 25, 15], 3)).toEqual([600, 250, 150]);
+    expect(prizeTiers.split(1000, [100], 1)).toEqual([1000]);
+  });
+
+  it('gives the rounding dust to first place', () => {
+    expect(prizeTiers.split(7, [60, 25, 15], 3)).toEqual([5, 1, 1]);
+    expect(prizeTiers.split(10, [33.3, 33.3, 33.4], 3)).toEqual([4, 3, 3]);
+    expect(sum(prizeTiers.split(999999999, [60, 25, 15], 3))).toBe(999999999);
+  });
+
+  it('leaves unfilled places in the pot', () => {
+    expect(prizeTiers.split(1000, [60, 25, 15], 2)).toEqual([600, 250]);
+    // 85.85 of 101 lamports go out; the fraction stays too
+    expect(prizeTiers.split(101, [60, 25, 15], 2)).toEqual([60, 25]);
+    expect(prizeTiers.split(1000, [60, 25, 15], 0)).toEqual([]);
+  });
+
+  it('pays nothing from an empty pot', () => {
+    expect(prizeTiers.split(0, [60, 25, 15], 3)).toEqual([0, 0, 0]);
+  });
+
+  it('splits a large pot exactly', () => {
+    const amount = 1000000 * 1000000000; // 1M SOL in lamports
+    const parts = prizeTiers.split(amount + 1, [50, 30, 20], 3);
+    expect(parts).toEqual([500000000000001, 300000000000000, 200000000000000]);
+    expect(sum(parts)).toBe(amount + 1);
+  });
+});
@@ -0,0 +1,198 @@
+/* eslint-env jest */
+const fs = require('fs');
+const path = require('path');
+const { webcrypto } = require('crypto');
+const provablyFair = require('../provablyFair');
+
+const SEED = 'a'.repeat(64);
+const BLOCKHASH = '4vJ9JU1bJJE96FWSJKvHsmmFADCg4gpZQff4P3bkLKi';
+
+const holders = [
+  { address: 'Dx7', weight: '400' },
+  { address: 'Ab1', weight: '100' },
+  { address: 'Cz9', weight: '300' },
+  { address: 'Bq4', weight: '200' }
+];
+
+// The browser mirror is an ES module using window.crypto; evaluate it with
+// Node's WebCrypto so both sides can be compared on the same inputs
+function loadClientMirror() {
+  const source = fs.readFileSync(path.join(__dirname, '../../../client/src/utils/provablyFair.js'), 'utf8');
+  const exported = [];
+  const body = source.replace(/export const (\w+)/g, (match, name) => {
+    exported.push(name);
+    return `const ${name}`;
+  });
+  return new Function('window', 'TextEncoder', `${body}\nreturn { ${exported.join(', ')} };`)(
+    { crypto: webcrypto },
+    TextEncoder
+  );
+}
+
+function buildProof(gameId, count) {
+  const ordered = provablyFair.orderHolders(holders);
+  const winners = provablyFair.selectWinnerIndices(SEED, BLOCKHASH, gameId, ordered, count);
+  const jackpot = provablyFair.rollJackpot(SEED, BLOCKHASH, gameId, 10);
+  return {
+    gameId,
+    serverSeed: SEED,
+    serverSeedHash: provablyFair.hashServerSeed(SEED),
+    blockhash: BLOCKHASH,
+    holders: ordered,
+    winnerIndex: winners[0].index,
+    winnerAddress: winners[0].address,
+    winners: winners.map(({ place, index, address }) => ({ place, index, address })),
+    jackpot: { oneIn: 10, roll: jackpot.roll.toString(), hit: jackpot.hit }
+  };
+}
+
+describe('orderHolders', () => {
+  it('orders by address whatever order the holders arrive in', () => {
+    const ordered = provablyFair.orderHolders(holders);
+    expect(ordered.map(holder => holder.address)).toEqual(['Ab1', 'Bq4', 'Cz9', 'Dx7']);
+    expect(provablyFair.orderHolders([...holders].reverse())).toEqual(ordered);
+  });
+
+  it('keeps weights beyond Number precision exact', () => {
+    const [holder] = provablyFair.orderHolders([{ address: 'Ab1', weight: 18446744073709551615n }]);
+    expect(holder.weight).toBe('18446744073709551615');
+  });
+});
+
+describe('selectWeightedIndex', () => {
+  const ordered = [{ address: 'a', weight: '2' }, { address: 'b', weight: '3' }];
+  const space = 1n << 256n;
+  const limit = space - (space % 5n);
+
+  it('gives each holder the half-open range of its weight', () => {
+    const picks = [0n, 1n, 2n, 3n, 4n].map(value => provablyFair.selectWeightedIndex(() => value, ordered).index);
+    expect(picks).toEqual([0, 0, 1, 1, 1]);
+  });
+
+  it('accepts the last draw below the limit and rejects the limit itself', () => {
+    const accepted = provablyFair.selectWeightedIndex(() => limit - 1n, ordered);
+    expect(accepted.round).toBe(0);
+    expect(accepted.target).toBe((limit - 1n) % 5n);
+
+    const draws = [limit, space - 1n, 7n];
+    const redrawn = provablyFair.selectWeightedIndex(round => draws[round], ordered);
+    expect(redrawn.round).toBe(2);
+    expect(redrawn.randomValue).toBe(7n);
+    expect(redrawn.target).toBe(2n);
+  });
+
+  it('always lands inside the total weight', () => {
+    for (let i = 0; i < 200; i++) {
+      const draw = provablyFair.selectWinnerIndex(SEED, BLOCKHASH, `game_${i}`, provablyFair.orderHolders(holders));
+      expect(draw.target >= 0n && draw.target < draw.totalWeight).toBe(true);
+      expect(draw.randomValue < (space - (space % draw.totalWeight))).toBe(true);
+    }
+  });
+
+  it('refuses a list with no weight', () => {
+    expect(() => provablyFair.selectWeightedIndex(() => 0n, [{ address: 'a', weight: '0' }])).toThrow('zero');
+  });
+});
+
+describe('selectWinnerIndex', () => {
+  it('is deterministic for the same seed, blockhash, game and holders', () => {
+    const ordered = provablyFair.orderHolders(holders);
+    const first = provablyFair.selectWinnerIndex(SEED, BLOCKHASH, 'game_1', ordered);
+    const again = provablyFair.selectWinnerIndex(SEED, BLOCKHASH, 'game_1', provablyFair.orderHolders([...holders].reverse()));
+    expect(again).toEqual(first);
+  });
+
+  it('picks holders in proportion to their weight', () => {
+    const ordered = provablyFair.orderHolders(holders);
+    const draws = 8000;
+    const counts = ordered.map(() => 0);
+    for (let i = 0; i < draws; i++) {
+      counts[provablyFair.selectWinnerIndex(SEED, BLOCKHASH, `game_${i}`, ordered).index]++;
+    }
+
+    // Chi-square with 3 degrees of freedom; 16.27 is the 0.1% critical value
+    const chiSquare = ordered.reduce((sum, holder, i) => {
+      const expected = draws * Number(holder.weight) / 1000;
+      return sum + (counts[i] - expected) ** 2 / expected;
+    }, 0);
+    expect(chiSquare).toBeLessThan(16.27);
+  });
+});
+
+describe('selectWinnerIndices', () => {
+  const ordered = provablyFair.orderHolders(holders);
+
+  it('draws place 1 exactly like a single-winner spin', () => {
+    const [first] = provablyFair.selectWinnerIndices(SEED, BLOCKHASH, 'game_7', ordered, 3);
+    expect(first.index).toBe(provablyFair.selectWinnerIndex(SEED, BLOCKHASH, 'game_7', ordered).index);
+  });
+
+  it('never picks the same holder twice', () => {
+    for (let i = 0; i < 100; i++) {
+      const winners = provablyFair.selectWinnerIndices(SEED, BLOCKHASH, `game_${i}`, ordered, 3);
+      expect(winners.map(winner => winner.place)).toEqual([1, 2, 3]);
+      expect(new Set(winners.map(winner => winner.address)).size).toBe(3);
+      winners.forEach(winner => expect(ordered[winner.index].address).toBe(winner.address));
+    }
+  });
+
+  it('stops when every holder has a place', () => {
+    const winners = provablyFair.selectWinnerIndices(SEED, BLOCKHASH, 'game_1', ordered, 10);
+    expect(winners).toHaveLength(ordered.length);
+    expect(winners.map(winner => winner.address).sort()).toEqual(ordered.map(holder => holder.address));
+  });
+
+  it('still reaches small holders next to a dominant one', () => {
+    const whale = provablyFair.orderHolders([{ address: 'W', weight: '1000000000000' }, { address: 'm', weight: '1' }]);
+    const winners = provablyFair.selectWinnerIndices(SEED, BLOCKHASH, 'game_1', whale, 2);
+    expect(winners.map(winner => winner.address)).toEqual(['W', 'm']);
+  });
+});
+
+describe('verifyProof', () => {
+  it('accepts an honest proof', () => {
+    const result = provablyFair.verifyProof(buildProof('game_42', 2));
+    expect(result.valid).toBe(true);
+    expect(result.jackpot.matches).toBe(true);
+  });
+
+  it('rejects a swapped seed, winner or jackpot roll', () => {
+    const proof = buildProof('game_42', 2);
+    expect(provablyFair.verifyProof({ ...proof, serverSeed: 'b'.repeat(64) }).valid).toBe(false);
+    expect(provablyFair.verifyProof({ ...proof, winnerIndex: (proof.winnerIndex + 1) % 4 }).valid).toBe(false);
+    expect(provablyFair.verifyProof({ ...proof, winners: [...proof.winners].reverse() }).valid).toBe(false);
+    expect(provablyFair.verifyProof({ ...proof, jackpot: { ...proof.jackpot, hit: !proof.jackpot.hit } }).valid).toBe(false);
+  });
+});
+
+describe('client mirror', () => {
+  const client = loadClientMirror();
+  const ordered = provablyFair.orderHolders(holders);
+
+  it('draws the same places as the server', async () => {
+    for (let i = 0; i < 25; i++) {
+      const server = provablyFair.selectWinnerIndices(SEED, BLOCKHASH, `game_${i}`, ordered, 3);
+      const browser = await client.selectWinnerIndices(SEED, BLOCKHASH, `game_${i}`, ordered, 3);
+      expect(browser).toEqual(server);
+    }
+  });
+
+  it('rolls the same jackpot as the server', async () => {
+    for (let i = 0; i < 25; i++) {
+      const server = provablyFair.rollJackpot(SEED, BLOCKHASH, `game_${i}`, 7);
+      expect(await client.rollJackpot(SEED, BLOCKHASH, `game_${i}`, 7)).toEqual(server);
+    }
+  });
+
+  it('agrees with the server on honest and tampered proofs', async () => {
+    const proof = buildProof('game_9', 3);
+    const tampered = { ...proof, winnerAddress: 'Dx7' === proof.winnerAddress ? 'Ab1' : 'Dx7' };
+    for (const candidate of [proof, tampered]) {
+      const server = provablyFair.verifyProof(candidate);
+      const browser = await client.verifyProof(candidate);
+      expect(browser.valid).toBe(server.valid);
+      expect(browser.winners).toEqual(server.winners);
+      expect(browser.jackpot).toEqual(server.jackpot);
+    }
+  });
+});
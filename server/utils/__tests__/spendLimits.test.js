@@ -0,0 +1,40 @@
+/* eslint-env jest */
+const spendLimits = require('../spendLimits');
+
+const SOL = 1000000000;
+const limits = { perPayout: 2 * SOL, perHour: 5 * SOL, perDay: 10 * SOL };
+const nothingSpent = { lastHour: 0, lastDay: 0 };
+
+describe('validate', () => {
+  it('accepts zero and whole lamport amounts', () => {
+    expect(spendLimits.validate(limits)).toBeNull();
+    expect(spendLimits.validate({ perPayout: 0, perHour: 0, perDay: 0 })).toBeNull();
+  });
+
+  it('rejects negative, fractional and missing limits', () => {
+    expect(spendLimits.validate({ ...limits, perHour: -1 })).toContain('perHour');
+    expect(spendLimits.validate({ ...limits, perDay: 1.5 })).toContain('perDay');
+    expect(spendLimits.validate({ perHour: 0, perDay: 0 })).toContain('perPayout');
+  });
+});
+
+describe('check', () => {
+  it('lets a payout through at each cap exactly', () => {
+    expect(spendLimits.check(limits, 2 * SOL, nothingSpent)).toBeNull();
+    expect(spendLimits.check(limits, 2 * SOL, { lastHour: 3 * SOL, lastDay: 8 * SOL })).toBeNull();
+  });
+
+  it('stops a single payout over the per-payout cap', () => {
+    expect(spendLimits.check(limits, 2 * SOL + 1, nothingSpent)).toContain('per-payout cap');
+  });
+
+  it('counts what was already paid in the trailing windows', () => {
+    expect(spendLimits.check(limits, SOL, { lastHour: 4.5 * SOL, lastDay: 4.5 * SOL })).toContain('hourly cap');
+    expect(spendLimits.check(limits, SOL, { lastHour: 0, lastDay: 9.5 * SOL })).toContain('daily cap');
+  });
+
+  it('ignores caps set to zero', () => {
+    const off = { perPayout: 0, perHour: 0, perDay: 0 };
+    expect(spendLimits.check(off, 1000 * SOL, { lastHour: 1000 * SOL, lastDay: 1000 * SOL })).toBeNull();
+  });
+});
@@ -0,0 +1,143 @@
+/* eslint-env jest */
+const spinSchedule = require('../spinSchedule');
+
+const schedule = overrides => ({ ...spinSchedule.DEFAULT_SCHEDULE, ...overrides });
+const next = (config, after) => spinSchedule.nextSpin(config, new Date(after)).at.toISOString();
+
+describe('fromEnv', () => {
+  it('reads the interval, offset, cron, zone and active hours', () => {
+    expect(spinSchedule.fromEnv({})).toEqual(spinSchedule.DEFAULT_SCHEDULE);
+    expect(spinSchedule.fromEnv({
+      SPIN_INTERVAL_MINUTES: '15',
+      SPIN_OFFSET_MINUTES: '5',
+      SPIN_TIMEZONE: 'Europe/Berlin',
+      SPIN_ACTIVE_HOURS: '09:00 - 23:00'
+    })).toMatchObject({
+      mode: 'interval',
+      intervalMinutes: 15,
+      offsetMinutes: 5,
+      timezone: 'Europe/Berlin',
+      activeHours: { start: '09:00', end: '23:00' }
+    });
+    expect(spinSchedule.fromEnv({ SPIN_SCHEDULE_CRON: '0 * * * *' })).toMatchObject({ mode: 'cron', cron: '0 * * * *' });
+  });
+});
+
+describe('validate', () => {
+  it('accepts the default schedule', () => {
+    expect(spinSchedule.validate(spinSchedule.DEFAULT_SCHEDULE)).toBeNull();
+  });
+
+  it('keeps the offset below the interval', () => {
+    expect(spinSchedule.validate(schedule({ intervalMinutes: 15, offsetMinutes: 15 }))).toContain('Offset');
+    expect(spinSchedule.validate(schedule({ intervalMinutes: 0 }))).toContain('interval');
+  });
+
+  it('rejects bad cron, zones and active hours', () => {
+    expect(spinSchedule.validate(schedule({ mode: 'cron', cron: '61 * * * *' }))).not.toBeNull();
+    expect(spinSchedule.validate(schedule({ timezone: 'Mars/Olympus' }))).toContain('time zone');
+    expect(spinSchedule.validate(schedule({ activeHours: { start: '09:00', end: '09:00' } }))).toContain('different');
+    expect(spinSchedule.validate(schedule({ activeHours: { start: '9am', end: '17:00' } }))).toContain('HH:MM');
+  });
+
+  it('rejects inverted blackouts and special spins inside one', () => {
+    const blackouts = [{ start: '2026-01-05T10:00:00Z', end: '2026-01-05T12:00:00Z', reason: 'maintenance' }];
+    expect(spinSchedule.validate(schedule({ blackouts: [{ start: blackouts[0].end, end: blackouts[0].start }] }))).toContain('later end');
+    expect(spinSchedule.validate(schedule({
+      blackouts,
+      specialSpins: [{ id: 's1', at: '2026-01-05T11:00:00Z', label: 'Launch' }]
+    }))).toContain('maintenance');
+  });
+});
+
+describe('parseCron', () => {
+  it('expands ranges, steps, lists and names', () => {
+    const cron = spinSchedule.parseCron('*/20 9-11 * jan,feb mon-fri');
+    expect([...cron.minutes]).toEqual([0, 20, 40]);
+    expect([...cron.hours]).toEqual([9, 10, 11]);
+    expect([...cron.months]).toEqual([1, 2]);
+    expect([...cron.weekdays]).toEqual([1, 2, 3, 4, 5]);
+    expect(cron.anyDay).toBe(true);
+  });
+
+  it('throws on the wrong field count', () => {
+    expect(() => spinSchedule.parseCron('* * * *')).toThrow();
+  });
+});
+
+describe('nextSpin', () => {
+  it('fires on the interval slots counted from the offset', () => {
+    const config = schedule({ intervalMinutes: 15, offsetMinutes: 5 });
+    expect(next(config, '2026-01-05T10:02:00Z')).toBe('2026-01-05T10:05:00.000Z');
+    // Strictly after: a spin due right now is the current one
+    expect(next(config, '2026-01-05T10:05:00Z')).toBe('2026-01-05T10:20:00.000Z');
+  });
+
+  it('restarts the slots at local midnight', () => {
+    const config = schedule({ intervalMinutes: 7 });
+    expect(next(config, '2026-01-05T23:58:00Z')).toBe('2026-01-06T00:00:00.000Z');
+  });
+
+  it('counts the slots in the schedule time zone', () => {
+    const config = schedule({ intervalMinutes: 60, timezone: 'Asia/Kolkata' });
+    // Kolkata is UTC+5:30, so its hours start at :30 UTC
+    expect(next(config, '2026-01-05T10:00:00Z')).toBe('2026-01-05T10:30:00.000Z');
+  });
+
+  it('skips the hour that a DST change removes', () => {
+    const config = schedule({ intervalMinutes: 60, timezone: 'America/New_York' });
+    // 01:30 EST; 02:00 does not exist that night, 03:00 EDT is next
+    expect(next(config, '2026-03-08T06:30:00Z')).toBe('2026-03-08T07:00:00.000Z');
+  });
+
+  it('runs cron in its time zone', () => {
+    const config = schedule({ mode: 'cron', cron: '30 9 * * mon', timezone: 'America/New_York' });
+    // Thursday 1 January 2026; the next Monday 09:30 EST is 14:30 UTC
+    expect(next(config, '2026-01-01T00:00:00Z')).toBe('2026-01-05T14:30:00.000Z');
+  });
+
+  it('waits for the active hours, also across midnight', () => {
+    expect(next(schedule({ activeHours: { start: '09:00', end: '17:00' } }), '2026-01-05T17:00:00Z'))
+      .toBe('2026-01-06T09:00:00.000Z');
+    expect(next(schedule({ activeHours: { start: '22:00', end: '02:00' } }), '2026-01-06T01:57:00Z'))
+      .toBe('2026-01-06T22:00:00.000Z');
+  });
+
+  it('resumes after a blackout on the next slot', () => {
+    const config = schedule({
+      intervalMinutes: 10,
+      blackouts: [{ start: '2026-01-05T10:00:00Z', end: '2026-01-05T10:35:00Z' }]
+    });
+    expect(next(config, '2026-01-05T09:59:00Z')).toBe('2026-01-05T10:40:00.000Z');
+  });
+
+  it('lets a special spin go first, even outside the active hours', () => {
+    const config = schedule({
+      activeHours: { start: '09:00', end: '17:00' },
+      specialSpins: [{ id: 's1', at: '2026-01-05T20:00:00Z', label: 'Night spin' }]
+    });
+    const spin = spinSchedule.nextSpin(config, new Date('2026-01-05T18:00:00Z'));
+    expect(spin.at.toISOString()).toBe('2026-01-05T20:00:00.000Z');
+    expect(spin.special).toEqual({ id: 's1', label: 'Night spin' });
+  });
+
+  it('returns null when nothing fits within a year', () => {
+    const config = schedule({ mode: 'cron', cron: '0 0 31 2 *' });
+    expect(spinSchedule.nextSpin(config, new Date('2026-01-05T00:00:00Z'))).toBeNull();
+  });
+});
+
+describe('preview', () => {
+  it('lists the next spins in order', () => {
+    const spins = spinSchedule.preview(schedule({ intervalMinutes: 30 }), new Date('2026-01-05T10:00:00Z'), 3);
+    expect(spins.map(spin => spin.at.toISOString())).toEqual([
+      '2026-01-05T10:30:00.000Z',
+      '2026-01-05T11:00:00.000Z',
+      '2026-01-05T11:30:00.000Z'
+    ]);
+  });
+
+  it('describes the schedule', () => {
+    expect(spinSchedule.describe(schedule({ intervalMinutes: 15, offsetMinutes: 5 }))).toBe('every 15 min at +5 (UTC)');
+  });
+});
@@ -0,0 +1,126 @@
+/* eslint-env jest */
+const spinTriggers = require('../spinTriggers');
+
+const NOW = Date.parse('2026-01-10T12:00:00Z');
+const minutesAgo = minutes => new Date(NOW - minutes * 60 * 1000);
+
+const rule = overrides => ({ type: 'holders', threshold: 100, step: 50, cooldownMinutes: 60, enabled: true, ...overrides });
+const settings = overrides => ({ ...spinTriggers.DEFAULT_SETTINGS, ...overrides });
+const SOURCES = ['mock', 'dexscreener', 'pumpfun'];
+
+// Feeds readings through evaluate the way the service does, returning the
+// milestones crossed
+function crossings(trigger, readings) {
+  let state = null;
+  const crossed = [];
+  for (const value of readings) {
+    const result = spinTriggers.evaluate(trigger, state, value, NOW);
+    state = result.state;
+    if (result.crossed !== null) {
+      crossed.push(result.crossed);
+    }
+  }
+  return crossed;
+}
+
+describe('validateRule', () => {
+  it('accepts every rule type', () => {
+    for (const type of Object.keys(spinTriggers.TYPES)) {
+      expect(spinTriggers.validateRule(rule({ type }))).toBeNull();
+    }
+  });
+
+  it('rejects an unknown type or a non-positive threshold', () => {
+    expect(spinTriggers.validateRule(rule({ type: 'price' }))).toContain('must be one of');
+    expect(spinTriggers.validateRule(rule({ threshold: 0 }))).toContain('positive');
+    expect(spinTriggers.validateRule(rule({ step: -1 }))).toContain('0 or more');
+  });
+
+  it('needs whole numbers for holders and the pot only', () => {
+    expect(spinTriggers.validateRule(rule({ threshold: 1.5 }))).toContain('whole-number');
+    expect(spinTriggers.validateRule(rule({ type: 'pot', step: 0.5 }))).toContain('whole-number');
+    expect(spinTriggers.validateRule(rule({ type: 'marketCap', threshold: 12500.5 }))).toBeNull();
+    expect(spinTriggers.validateRule(rule({ type: 'volume', threshold: 2500.25, step: 0.5 }))).toBeNull();
+  });
+
+  it('caps the cooldown and checks the label and enabled flag', () => {
+    expect(spinTriggers.validateRule(rule({ cooldownMinutes: 7 * 24 * 60 + 1 }))).toContain('cooldown');
+    expect(spinTriggers.validateRule(rule({ label: 'x'.repeat(65) }))).toContain('labels');
+    expect(spinTriggers.validateRule(rule({ enabled: 'yes' }))).toContain('enabled');
+  });
+});
+
+describe('validate', () => {
+  it('accepts the defaults', () => {
+    expect(spinTriggers.validate(settings({}), SOURCES)).toBeNull();
+  });
+
+  it('rejects duplicate ids, an unknown source and out-of-range polling', () => {
+    expect(spinTriggers.validate(settings({ rules: [rule({ id: 'a' }), rule({ id: 'a' })] }), SOURCES)).toContain('unique');
+    expect(spinTriggers.validate(settings({ marketDataSource: 'coingecko' }), SOURCES)).toContain('source');
+    expect(spinTriggers.validate(settings({ marketDataPollSeconds: 5 }), SOURCES)).toContain('10 to 3600');
+  });
+
+  it('reports the first invalid rule', () => {
+    expect(spinTriggers.validate(settings({ rules: [rule({}), rule({ threshold: -1 })] }), SOURCES)).toContain('positive');
+  });
+});
+
+describe('milestone', () => {
+  it('is null below the threshold', () => {
+    expect(spinTriggers.milestone(rule({}), 99)).toBeNull();
+    expect(spinTriggers.milestone(rule({}), null)).toBeNull();
+  });
+
+  it('rounds down to the last step', () => {
+    expect(spinTriggers.milestone(rule({}), 100)).toBe(100);
+    expect(spinTriggers.milestone(rule({}), 149)).toBe(100);
+    expect(spinTriggers.milestone(rule({}), 260)).toBe(250);
+  });
+
+  it('stays at the threshold without a step', () => {
+    expect(spinTriggers.milestone(rule({ step: 0 }), 10000)).toBe(100);
+  });
+});
+
+describe('evaluate', () => {
+  it('only sets the baseline on the first reading', () => {
+    expect(crossings(rule({}), [500])).toEqual([]);
+    expect(crossings(rule({}), [500, 560])).toEqual([550]);
+  });
+
+  it('fires once per milestone climbed into', () => {
+    expect(crossings(rule({}), [90, 120, 149, 150, 260])).toEqual([100, 150, 250]);
+  });
+
+  it('re-arms after dropping back below', () => {
+    expect(crossings(rule({ step: 0 }), [90, 120, 130, 80, 110])).toEqual([100, 100]);
+  });
+
+  it('works on fractional market readings', () => {
+    const volume = rule({ type: 'volume', threshold: 1000.5, step: 0.25 });
+    expect(crossings(volume, [900, 1000.6, 1000.7, 1001.1])).toEqual([1000.5, 1001]);
+  });
+
+  it('reports a crossing inside the cooldown as cooling down', () => {
+    const trigger = rule({ cooldownMinutes: 60 });
+    const baseline = { milestone: null, lastFiredAt: minutesAgo(30) };
+    const result = spinTriggers.evaluate(trigger, baseline, 120, NOW);
+    expect(result.crossed).toBe(100);
+    expect(result.coolingDown).toBe(true);
+    expect(result.state.lastFiredAt).toEqual(baseline.lastFiredAt);
+
+    const later = spinTriggers.evaluate(trigger, { ...baseline, lastFiredAt: minutesAgo(61) }, 120, NOW);
+    expect(later.coolingDown).toBe(false);
+  });
+});
+
+describe('describe', () => {
+  it('formats each type in its unit', () => {
+    expect(spinTriggers.describe(rule({ cooldownMinutes: 0 }))).toBe('Holder count reaches 100 holders, then every 50 holders');
+    expect(spinTriggers.describe(rule({ type: 'pot', threshold: 2500000000, step: 0 }))).toBe('Pot size reaches 2.5 SOL (60 min cooldown)');
+    expect(spinTriggers.describe(rule({ type: 'marketCap', threshold: 50000, step: 0, cooldownMinutes: 0 }))).toBe('Market cap reaches $50,000');
+    expect(spinTriggers.describe(rule({ type: 'volume', threshold: 250000, step: 50000, cooldownMinutes: 0 })))
+      .toBe('24h volume reaches $250,000, then every $50,000');
+  });
+});
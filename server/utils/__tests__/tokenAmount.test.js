@@ -0,0 +1,99 @@
+/* eslint-env jest */
+const tokenAmount = require('../tokenAmount');
+
+const U64_MAX = '18446744073709551615';
+
+describe('toBigInt', () => {
+  it('reads strings, safe numbers and BigInts', () => {
+    expect(tokenAmount.toBigInt(' 42 ')).toBe(42n);
+    expect(tokenAmount.toBigInt(42)).toBe(42n);
+    expect(tokenAmount.toBigInt(42n)).toBe(42n);
+    expect(tokenAmount.toBigInt(U64_MAX)).toBe(18446744073709551615n);
+  });
+
+  it('treats a missing amount as zero', () => {
+    expect(tokenAmount.toBigInt(null)).toBe(0n);
+    expect(tokenAmount.toBigInt(undefined)).toBe(0n);
+    expect(tokenAmount.toBigInt('')).toBe(0n);
+  });
+
+  it('refuses Numbers past the safe integer range', () => {
+    expect(() => tokenAmount.toBigInt(Number.MAX_SAFE_INTEGER + 1)).toThrow('decimal string');
+    expect(() => tokenAmount.toBigInt(1.5)).toThrow('Unsafe');
+  });
+});
+
+describe('compare and sum', () => {
+  it('orders amounts beyond Number precision', () => {
+    expect(tokenAmount.compare(U64_MAX, '18446744073709551614')).toBe(1);
+    expect(tokenAmount.compare('9007199254740993', '9007199254740993')).toBe(0);
+    expect(tokenAmount.compare(0, U64_MAX)).toBe(-1);
+  });
+
+  it('adds u64 amounts exactly', () => {
+    expect(tokenAmount.sum([U64_MAX, U64_MAX, 1])).toBe(36893488147419103231n);
+    expect(tokenAmount.sum([])).toBe(0n);
+  });
+
+  it('keeps serialized amounts as decimal strings', () => {
+    expect(tokenAmount.toAmountString(18446744073709551615n)).toBe(U64_MAX);
+  });
+});
+
+describe('percentageOf', () => {
+  it('is 0 of an empty total', () => {
+    expect(tokenAmount.percentageOf('5', '0')).toBe(0);
+  });
+
+  it('keeps 6 decimals of a u64 total', () => {
+    expect(tokenAmount.percentageOf(U64_MAX, U64_MAX)).toBe(100);
+    expect(tokenAmount.percentageOf('184467440737095516', U64_MAX)).toBe(0.999999);
+    expect(tokenAmount.percentageOf('1', '3')).toBe(33.333333);
+  });
+});
+
+describe('applyPercentage', () => {
+  it('takes all of the amount at 100% and none at 0%', () => {
+    expect(tokenAmount.applyPercentage(U64_MAX, 100)).toBe(18446744073709551615n);
+    expect(tokenAmount.applyPercentage(U64_MAX, 0)).toBe(0n);
+    expect(tokenAmount.applyPercentage('0', 50)).toBe(0n);
+  });
+
+  it('rounds fractional percents down', () => {
+    expect(tokenAmount.applyPercentage('1000', 0.1)).toBe(1n);
+    expect(tokenAmount.applyPercentage('999', 0.1)).toBe(0n);
+    expect(tokenAmount.applyPercentage(U64_MAX, 1)).toBe(184467440737095516n);
+  });
+});
+
+describe('formatUnits', () => {
+  it('places the decimal point and trims trailing zeros', () => {
+    expect(tokenAmount.formatUnits('1500000', 6)).toBe('1.5');
+    expect(tokenAmount.formatUnits('1000000', 6)).toBe('1');
+    expect(tokenAmount.formatUnits('5', 6)).toBe('0.000005');
+    expect(tokenAmount.formatUnits('0', 6)).toBe('0');
+    expect(tokenAmount.formatUnits('42', 0)).toBe('42');
+  });
+
+  it('formats a u64 amount exactly', () => {
+    expect(tokenAmount.formatUnits(U64_MAX, 9)).toBe('18446744073.709551615');
+  });
+});
+
+describe('allocate', () => {
+  it('gives the rounding remainder to the first share', () => {
+    expect(tokenAmount.allocate('100', [1, 1, 1])).toEqual([34n, 33n, 33n]);
+    expect(tokenAmount.allocate('7', [60, 25, 15])).toEqual([5n, 1n, 1n]);
+  });
+
+  it('always adds up to the total', () => {
+    const parts = tokenAmount.allocate(U64_MAX, [3, 7, 11]);
+    expect(tokenAmount.sum(parts)).toBe(18446744073709551615n);
+    expect(tokenAmount.allocate('1', [1, 1])).toEqual([1n, 0n]);
+  });
+
+  it('allocates nothing of a zero total or zero shares', () => {
+    expect(tokenAmount.allocate('0', [60, 40])).toEqual([0n, 0n]);
+    expect(tokenAmount.allocate('100', [0, 0])).toEqual([0n, 0n]);
+  });
+});
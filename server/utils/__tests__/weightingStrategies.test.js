@@ -0,0 +1,78 @@
+/* eslint-env jest */
+const weightingStrategies = require('../weightingStrategies');
+
+const U64_MAX = 18446744073709551615n;
+
+const holders = [
+  { address: 'whale', balance: '900000' },
+  { address: 'mid', balance: '90000' },
+  { address: 'small', balance: '100' },
+  { address: 'empty', balance: '0' }
+];
+const weights = (name, options) =>
+  weightingStrategies.applyWeights(holders, name, options).map(holder => holder.weight);
+
+describe('integerSqrt', () => {
+  it('is exact at the small boundaries', () => {
+    expect([0n, 1n, 2n, 3n, 4n, 8n, 9n].map(weightingStrategies.integerSqrt)).toEqual([0n, 1n, 1n, 1n, 2n, 2n, 3n]);
+  });
+
+  it('floors the root of large values', () => {
+    const root = 3037000499n;
+    expect(weightingStrategies.integerSqrt(root * root)).toBe(root);
+    expect(weightingStrategies.integerSqrt(root * root - 1n)).toBe(root - 1n);
+    expect(weightingStrategies.integerSqrt((root + 1n) * (root + 1n) - 1n)).toBe(root);
+  });
+
+  it('handles a u64 balance', () => {
+    const root = weightingStrategies.integerSqrt(U64_MAX);
+    expect(root).toBe(4294967295n);
+    expect(root * root <= U64_MAX && (root + 1n) * (root + 1n) > U64_MAX).toBe(true);
+  });
+});
+
+describe('applyWeights', () => {
+  it('weighs linearly by default and for unknown names', () => {
+    expect(weights('linear')).toEqual(['900000', '90000', '100', '0']);
+    expect(weights('nonsense')).toEqual(weights('linear'));
+  });
+
+  it('takes square roots', () => {
+    expect(weights('sqrt')).toEqual(['948', '300', '10', '0']);
+  });
+
+  it('gives every wallet at least weight 1 on the log scale', () => {
+    const [whale, mid, small, empty] = weights('log').map(Number);
+    expect(whale).toBe(Math.floor(Math.log10(900001) * 1000000));
+    expect(whale > mid && mid > small).toBe(true);
+    expect(empty).toBe(1);
+  });
+
+  it('takes log10 of a u64 balance without losing the magnitude', () => {
+    const [holder] = weightingStrategies.applyWeights([{ balance: U64_MAX.toString() }], 'log');
+    expect(Number(holder.weight) / 1000000).toBeCloseTo(19.265919, 5);
+  });
+
+  it('caps wallets at a share of supply', () => {
+    expect(weights('capped', { totalSupply: '1000000', capPercentage: 1 })).toEqual(['10000', '10000', '100', '0']);
+    // 100% of supply caps nobody, and an unknown supply caps nobody either
+    expect(weights('capped', { totalSupply: '1000000', capPercentage: 100 })).toEqual(weights('linear'));
+    expect(weights('capped', { capPercentage: 1 })).toEqual(weights('linear'));
+  });
+
+  it('caps u64 balances exactly', () => {
+    const [holder] = weightingStrategies.applyWeights(
+      [{ balance: U64_MAX.toString() }], 'capped', { totalSupply: U64_MAX.toString(), capPercentage: 50 }
+    );
+    expect(holder.weight).toBe((U64_MAX / 2n).toString());
+  });
+
+  it('gives everyone the same odds when flat', () => {
+    expect(weights('flat')).toEqual(['1', '1', '1', '1']);
+  });
+
+  it('weighs the anti-sniping effective balance when present', () => {
+    const [holder] = weightingStrategies.applyWeights([{ balance: '900000', effectiveBalance: '400' }], 'sqrt');
+    expect(holder.weight).toBe('20');
+  });
+});
@@ -0,0 +1,98 @@
+/* eslint-env jest */
+const winnerCooldown = require('../winnerCooldown');
+
+const NOW = Date.parse('2026-01-10T12:00:00Z');
+const hoursAgo = hours => new Date(NOW - hours * 60 * 60 * 1000).toISOString();
+
+const holders = [
+  { address: 'alice', weight: '1000' },
+  { address: 'bob', weight: '1000' },
+  { address: 'carol', weight: '1000' },
+  { address: 'dave', weight: '1000' }
+];
+
+// Newest first, one entry per place
+const history = [
+  { gameId: 'g3', address: 'alice', wonAt: hoursAgo(1) },
+  { gameId: 'g3', address: 'bob', wonAt: hoursAgo(1) },
+  { gameId: 'g2', address: 'carol', wonAt: hoursAgo(5) },
+  { gameId: 'g1', address: 'carol', wonAt: hoursAgo(30) }
+];
+
+const rules = overrides => ({ ...winnerCooldown.DEFAULT_RULES, ...overrides });
+const addresses = list => list.map(entry => entry.address);
+
+describe('applyRules', () => {
+  it('leaves everyone in with the default rules', () => {
+    const { eligible, exclusions } = winnerCooldown.applyRules(holders, history, rules({}), NOW);
+    expect(eligible).toEqual(holders);
+    expect(exclusions).toEqual([]);
+  });
+
+  it('sits out every place of the last K games', () => {
+    const { eligible, exclusions } = winnerCooldown.applyRules(holders, history, rules({ excludeLastGames: 1 }), NOW);
+    expect(addresses(exclusions)).toEqual(['alice', 'bob']);
+    expect(addresses(eligible)).toEqual(['carol', 'dave']);
+
+    const twoGames = winnerCooldown.applyRules(holders, history, rules({ excludeLastGames: 2 }), NOW);
+    expect(addresses(twoGames.exclusions)).toEqual(['alice', 'bob', 'carol']);
+    expect(twoGames.exclusions[2].reason).toContain('2 games ago');
+  });
+
+  it('caps wins within the last 24 hours only', () => {
+    const { exclusions } = winnerCooldown.applyRules(holders, history, rules({ maxWinsPer24h: 2 }), NOW);
+    // carol's second win was 30 hours ago
+    expect(exclusions).toEqual([]);
+
+    const strict = winnerCooldown.applyRules(holders, history, rules({ maxWinsPer24h: 1 }), NOW);
+    expect(addresses(strict.exclusions)).toEqual(['alice', 'bob', 'carol']);
+  });
+
+  it('scales recent winners down instead of excluding them', () => {
+    const { eligible, exclusions } = winnerCooldown.applyRules(
+      holders, history, rules({ postWinOddsMultiplier: 0.5, postWinPenaltyHours: 2 }), NOW
+    );
+    expect(exclusions).toEqual([]);
+    expect(eligible.map(holder => holder.weight)).toEqual(['500', '500', '1000', '1000']);
+    expect(eligible[0].postWinMultiplier).toBe(0.5);
+  });
+
+  it('never scales a weight to zero', () => {
+    const { eligible } = winnerCooldown.applyRules(
+      [{ address: 'alice', weight: '1' }], history, rules({ postWinOddsMultiplier: 0.1 }), NOW
+    );
+    expect(eligible[0].weight).toBe('1');
+  });
+
+  describe('merged clusters', () => {
+    // erin's cluster holds bob's wallet, which won the last game
+    const cluster = { address: 'erin', weight: '2000', clusterMembers: ['erin', 'bob'] };
+
+    it('sits out when any member won recently', () => {
+      const { exclusions } = winnerCooldown.applyRules([cluster], history, rules({ excludeLastGames: 1 }), NOW);
+      expect(exclusions).toEqual([{ address: 'erin', reason: expect.stringContaining('as cluster member bob') }]);
+    });
+
+    it('counts every member\'s wins towards the 24h cap', () => {
+      const pair = { address: 'dave', weight: '2000', clusterMembers: ['dave', 'carol'] };
+      expect(winnerCooldown.applyRules([pair], history, rules({ maxWinsPer24h: 2 }), NOW).exclusions).toEqual([]);
+
+      const both = { address: 'alice', weight: '2000', clusterMembers: ['alice', 'carol'] };
+      const { exclusions } = winnerCooldown.applyRules([both], history, rules({ maxWinsPer24h: 2 }), NOW);
+      expect(exclusions[0].reason).toBe('Won 2 time(s) in the last 24h across its cluster; limit is 2');
+    });
+
+    it('penalizes the whole entry for a member\'s win', () => {
+      const { eligible } = winnerCooldown.applyRules([cluster], history, rules({ postWinOddsMultiplier: 0.5 }), NOW);
+      expect(eligible[0].weight).toBe('1000');
+    });
+  });
+
+  it('excludes before penalizing', () => {
+    const { eligible, exclusions } = winnerCooldown.applyRules(
+      holders, history, rules({ excludeLastGames: 1, postWinOddsMultiplier: 0.5 }), NOW
+    );
+    expect(addresses(exclusions)).toEqual(['alice', 'bob']);
+    expect(eligible.find(holder => holder.address === 'carol').weight).toBe('500');
+  });
+});
@@ -0,0 +1,63 @@
+const tokenAmount = require('./tokenAmount');
+
+/**
+ * Hold-duration rules.
+ *
+ * `holdingSince` is when a wallet last started continuously holding at least
+ * the minimum balance; it resets whenever the wallet drops below it or leaves.
+ * Wallets only become eligible once they have held for the minimum duration,
+ * and with diamond hands enabled their weight is multiplied by a factor that
+ * ramps linearly from 1x to `maxMultiplier` over `rampHours` of holding.
+ */
+
+const DEFAULT_CONFIG = {
+  minHoldMinutes: 0,
+  diamondHandsEnabled: false,
+  maxMultiplier: 2,
+  rampHours: 168
+};
+
+// Multipliers are applied to BigInt weights in basis points
+const MULTIPLIER_SCALE = 10000;
+
+function getHoldDurationMs(holder, now = Date.now()) {
+  if (!holder || !holder.holdingSince) return 0;
+  return Math.max(0, now - new Date(holder.holdingSince).getTime());
+}
+
+function meetsMinimumHold(holder, config, now = Date.now()) {
+  return getHoldDurationMs(holder, now) >= config.minHoldMinutes * 60 * 1000;
+}
+
+// When the wallet will satisfy the minimum hold, or null if it holds nothing
+function getEligibleAt(holder, config) {
+  if (!holder || !holder.holdingSince) return null;
+  return new Date(new Date(holder.holdingSince).getTime() + config.minHoldMinutes * 60 * 1000);
+}
+
+function getHoldMultiplier(holder, config, now = Date.now()) {
+  if (!config.diamondHandsEnabled || config.maxMultiplier <= 1 || config.rampHours <= 0) {
+    return 1;
+  }
+
+  const heldHours = getHoldDurationMs(holder, now) / (60 * 60 * 1000);
+  const progress = Math.min(1, heldHours / config.rampHours);
+  const multiplier = 1 + (config.maxMultiplier - 1) * progress;
+
+  // Round down to the basis-point precision the weight math uses
+  return Math.floor(multiplier * MULTIPLIER_SCALE) / MULTIPLIER_SCALE;
+}
+
+function applyMultiplier(weight, multiplier) {
+  const scaled = BigInt(Math.round(multiplier * MULTIPLIER_SCALE));
+  return ((tokenAmount.toBigInt(weight) * scaled) / BigInt(MULTIPLIER_SCALE)).toString();
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  getHoldDurationMs,
+  meetsMinimumHold,
+  getEligibleAt,
+  getHoldMultiplier,
+  applyMultiplier
+};
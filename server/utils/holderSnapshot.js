@@ -0,0 +1,56 @@
+const tokenAmount = require('./tokenAmount');
+
+/**
+ * Builds the frozen list of eligible holders a spin is drawn from.
+ *
+ * Entries are ordered by address (the same order provablyFair uses) and each
+ * one owns the half-open range [rangeStart, rangeEnd) of the total weight.
+ * Weights and ranges are decimal strings so they survive JSON and Postgres
+ * NUMERIC columns without losing precision.
+ */
+
+function buildSnapshot(holders) {
+  const ordered = [...holders].sort((a, b) => (a.address < b.address ? -1 : a.address > b.address ? 1 : 0));
+  let cumulative = 0n;
+
+  return ordered.map((holder, position) => {
+    const weight = tokenAmount.toBigInt(holder.weight !== undefined ? holder.weight : holder.balance);
+    const rangeStart = cumulative;
+    cumulative += weight;
+
+    return {
+      position,
+      address: holder.address,
+      balance: tokenAmount.toAmountString(holder.balance),
+      percentage: holder.percentage || 0,
+      weight: weight.toString(),
+      rangeStart: rangeStart.toString(),
+      rangeEnd: cumulative.toString()
+    };
+  });
+}
+
+function getTotalWeight(snapshot) {
+  return snapshot.length > 0 ? snapshot[snapshot.length - 1].rangeEnd : '0';
+}
+
+function toCsv(gameId, snapshot) {
+  const header = 'game_id,position,address,balance,weight,range_start,range_end';
+  const rows = snapshot.map(entry => [
+    gameId,
+    entry.position,
+    entry.address,
+    entry.balance,
+    entry.weight,
+    entry.rangeStart,
+    entry.rangeEnd
+  ].join(','));
+
+  return [header, ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+  buildSnapshot,
+  getTotalWeight,
+  toCsv
+};
@@ -0,0 +1,57 @@
+/**
+ * Progressive jackpot settings.
+ *
+ *   contributionPercentage - share of each spin's pot set aside for the
+ *                            jackpot before prizes are split (0 = off)
+ *   oneIn                  - each spin hits the jackpot with probability
+ *                            1 / oneIn, rolled from the spin's proof (see
+ *                            provablyFair.rollJackpot)
+ *
+ * A hit pays the whole jackpot to first place on top of its prize.
+ */
+
+const DEFAULT_SETTINGS = {
+  contributionPercentage: 0,
+  oneIn: 1000
+};
+
+const MAX_CONTRIBUTION_PERCENTAGE = 50;
+const MAX_ONE_IN = 1000000000;
+
+function fromEnv(env) {
+  const contributionPercentage = parseFloat(env.JACKPOT_CONTRIBUTION_PERCENTAGE);
+  const oneIn = parseInt(env.JACKPOT_ONE_IN);
+  return {
+    contributionPercentage: Number.isNaN(contributionPercentage) ? DEFAULT_SETTINGS.contributionPercentage : contributionPercentage,
+    oneIn: Number.isNaN(oneIn) ? DEFAULT_SETTINGS.oneIn : oneIn
+  };
+}
+
+// Returns an error message for invalid settings, or null
+function validate(settings) {
+  const { contributionPercentage, oneIn } = settings;
+  if (typeof contributionPercentage !== 'number' || !(contributionPercentage >= 0 && contributionPercentage <= MAX_CONTRIBUTION_PERCENTAGE)) {
+    return `Jackpot contribution must be between 0 and ${MAX_CONTRIBUTION_PERCENTAGE}%`;
+  }
+  if (!Number.isInteger(oneIn) || oneIn < 2 || oneIn > MAX_ONE_IN) {
+    return `Jackpot odds must be a whole number from 2 to ${MAX_ONE_IN}`;
+  }
+  return null;
+}
+
+function isEnabled(settings) {
+  return settings.contributionPercentage > 0;
+}
+
+// Lamports of a spin's pot that go to the jackpot
+function contribution(potAmount, settings) {
+  return Math.floor(potAmount * settings.contributionPercentage / 100);
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  fromEnv,
+  validate,
+  isEnabled,
+  contribution
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const readline = require('readline');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+
+/**
+ * Password-encrypted keystore files and ed25519 signing for Solana keys.
+ *
+ * A keystore holds a 64-byte Solana secret key encrypted with AES-256-GCM
+ * under a scrypt-derived key, next to its public key in the clear:
+ *   { version, publicKey, kdf: { name, salt, N, r, p }, cipher: { name, iv, tag }, ciphertext }
+ * Binary fields are base64.
+ */
+
+const KEYSTORE_VERSION = 1;
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+// DER prefixes that wrap a raw ed25519 seed / public key for node's crypto
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+function deriveKey(password, salt, { N, r, p }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 32, { N, r, p, maxmem: SCRYPT_MAXMEM }, (error, key) => {
+      if (error) reject(error);
+      else resolve(key);
+    });
+  });
+}
+
+async function encrypt(secretKey, password) {
+  const keypair = Keypair.fromSecretKey(Uint8Array.from(secretKey));
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = await deriveKey(password, salt, SCRYPT_PARAMS);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(keypair.secretKey)), cipher.final()]);
+
+  return {
+    version: KEYSTORE_VERSION,
+    publicKey: keypair.publicKey.toString(),
+    kdf: { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_PARAMS },
+    cipher: { name: 'aes-256-gcm', iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64') },
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+// Returns the secret key; throws on a wrong password or a tampered file
+async function decrypt(keystore, password) {
+  if (keystore.version !== KEYSTORE_VERSION || keystore.kdf.name !== 'scrypt' || keystore.cipher.name !== 'aes-256-gcm') {
+    throw new Error('Unsupported keystore format');
+  }
+
+  const key = await deriveKey(password, Buffer.from(keystore.kdf.salt, 'base64'), keystore.kdf);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(keystore.cipher.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(keystore.cipher.tag, 'base64'));
+
+  let secretKey;
+  try {
+    secretKey = Buffer.concat([decipher.update(Buffer.from(keystore.ciphertext, 'base64')), decipher.final()]);
+  } catch (error) {
+    throw new Error('Wrong keystore password');
+  }
+
+  const keypair = Keypair.fromSecretKey(new Uint8Array(secretKey));
+  if (keypair.publicKey.toString() !== keystore.publicKey) {
+    throw new Error('Keystore secret key does not match its public key');
+  }
+  return keypair.secretKey;
+}
+
+// Detached ed25519 signature of `message` by a 64-byte Solana secret key
+function sign(secretKey, message) {
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, Buffer.from(secretKey.slice(0, 32))]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  return new Uint8Array(crypto.sign(null, Buffer.from(message), privateKey));
+}
+
+function verify(publicKey, message, signature) {
+  const key = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, new PublicKey(publicKey).toBuffer()]),
+    format: 'der',
+    type: 'spki'
+  });
+  return crypto.verify(null, Buffer.from(message), key, Buffer.from(signature));
+}
+
+// Prompts for a password on the terminal without echoing it
+function readPassword(prompt) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error('No terminal to read the keystore password from'));
+  }
+
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    process.stdout.write(prompt);
+    rl._writeToOutput = () => {};
+    rl.question('', answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  sign,
+  verify,
+  readPassword
+};
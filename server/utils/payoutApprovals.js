@@ -0,0 +1,102 @@
+const bcrypt = require('bcryptjs');
+
+/**
+ * Approval policy for large payouts.
+ *
+ * Payouts over `thresholdLamports` wait in `awaiting_approval` until
+ * `required` different approvers sign off. Approvers are the named admin
+ * accounts in ADMIN_ACCOUNTS (`name:bcryptHash`, comma-separated); each
+ * approves with their own password, so N approvals mean N people.
+ * A threshold of zero turns approvals off.
+ *
+ * While approvals are on, the payout safety settings (spend caps, nonce
+ * account and this policy itself) only change once `required` approvers
+ * approve the change, so the shared admin password can't switch them off.
+ */
+
+// Safety settings grouped as payoutService stores them
+const SAFETY_SETTINGS = {
+  spendLimits: ['perPayout', 'perHour', 'perDay'],
+  approvalPolicy: ['thresholdLamports', 'required', 'multisigVault']
+};
+
+function parseAccounts(value) {
+  const accounts = new Map();
+  for (const entry of (value || '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) continue;
+    accounts.set(entry.slice(0, separator).trim(), entry.slice(separator + 1).trim());
+  }
+  return accounts;
+}
+
+function verifyAccount(accounts, name, password) {
+  const hash = accounts.get(name);
+  return Boolean(hash && password && bcrypt.compareSync(password, hash));
+}
+
+// Returns an error message for an invalid policy, or null
+function validate(policy, approverCount) {
+  if (!Number.isSafeInteger(policy.thresholdLamports) || policy.thresholdLamports < 0) {
+    return 'Approval threshold must be a whole number of lamports, zero (off) or more';
+  }
+  if (!Number.isInteger(policy.required) || policy.required < 1) {
+    return 'Required approvals must be at least 1';
+  }
+  if (policy.thresholdLamports > 0 && policy.required > approverCount) {
+    return `Required approvals (${policy.required}) exceed the ${approverCount} approver account(s) in ADMIN_ACCOUNTS`;
+  }
+  return null;
+}
+
+function isActive(policy) {
+  return policy.thresholdLamports > 0;
+}
+
+function needsApproval(policy, amount) {
+  return isActive(policy) && amount > policy.thresholdLamports;
+}
+
+/**
+ * The safety settings in `input` that differ from `current`.
+ * @param {Object} current - { spendLimits, approvalPolicy, nonceAccount }
+ * @param {Object} input - same shape, any field may be left out
+ * @returns {Object} only the changed fields, empty when nothing changes
+ */
+function changedSettings(current, input) {
+  const changes = {};
+  for (const [group, keys] of Object.entries(SAFETY_SETTINGS)) {
+    for (const key of keys) {
+      const value = input[group] ? input[group][key] : undefined;
+      if (value !== undefined && value !== current[group][key]) {
+        changes[group] = { ...changes[group], [key]: value };
+      }
+    }
+  }
+  if (input.nonceAccount !== undefined && input.nonceAccount !== current.nonceAccount) {
+    changes.nonceAccount = input.nonceAccount;
+  }
+  return changes;
+}
+
+// True when two change sets set the same fields to the same values
+function isSameChange(a, b) {
+  const fields = change => [
+    ...Object.entries(SAFETY_SETTINGS).flatMap(([group, keys]) =>
+      keys.map(key => (change[group] ? change[group][key] : undefined))),
+    change.nonceAccount
+  ];
+  const left = fields(a);
+  const right = fields(b);
+  return left.every((value, i) => value === right[i]);
+}
+
+module.exports = {
+  parseAccounts,
+  verifyAccount,
+  validate,
+  isActive,
+  needsApproval,
+  changedSettings,
+  isSameChange
+};
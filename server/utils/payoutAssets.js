@@ -0,0 +1,66 @@
+/**
+ * Assets the hot wallet can pay prizes in.
+ *
+ * `sol` sends native SOL with system transfers and `wsol` sends wrapped SOL
+ * to each recipient's token account. `auto` also pays native SOL, but when
+ * the hot wallet's native balance falls short it unwraps its WSOL account in
+ * the same transaction and re-wraps whatever is left.
+ */
+
+const DEFAULT_ASSET = 'wsol';
+
+const assets = {
+  sol: {
+    label: 'Native SOL',
+    description: 'Pay from the hot wallet\'s SOL balance',
+    token: 'SOL'
+  },
+  wsol: {
+    label: 'Wrapped SOL',
+    description: 'Pay WSOL to the recipients\' token accounts',
+    token: 'WSOL'
+  },
+  auto: {
+    label: 'SOL, unwrapping WSOL',
+    description: 'Recipients get SOL; the hot wallet\'s WSOL is unwrapped to cover any shortfall',
+    token: 'SOL'
+  }
+};
+
+function isValidAsset(name) {
+  return Object.prototype.hasOwnProperty.call(assets, name);
+}
+
+function getAsset(name) {
+  return isValidAsset(name) ? assets[name] : assets[DEFAULT_ASSET];
+}
+
+function listAssets() {
+  return Object.entries(assets).map(([name, asset]) => ({
+    name,
+    label: asset.label,
+    description: asset.description
+  }));
+}
+
+/**
+ * Lamports the hot wallet can pay out in `asset`.
+ * @param {string} name - Asset name
+ * @param {{native: bigint, wsol: bigint, reserve: bigint}} funds - Native SOL
+ * and WSOL balances, and the native SOL kept back for rent and fees
+ * @returns {bigint}
+ */
+function spendable(name, funds) {
+  const freeNative = funds.native > funds.reserve ? funds.native - funds.reserve : 0n;
+  if (name === 'sol') return freeNative;
+  if (name === 'wsol') return funds.wsol;
+  return freeNative + funds.wsol;
+}
+
+module.exports = {
+  DEFAULT_ASSET,
+  isValidAsset,
+  getAsset,
+  listAssets,
+  spendable
+};
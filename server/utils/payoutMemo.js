@@ -0,0 +1,42 @@
+/**
+ * Payout idempotency keys and the memos that carry them on-chain.
+ *
+ * Every transfer of a spin payout is keyed by game id + recipient and the
+ * key is written into the transaction as an SPL memo, so the hot wallet's
+ * own history can tell whether a payout already landed before it is sent
+ * again.
+ */
+
+const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+const MEMO_PREFIX = 'wheel-payout';
+
+function idempotencyKey(gameId, recipient) {
+  return `${gameId}:${recipient}`;
+}
+
+function memoText(key) {
+  return `${MEMO_PREFIX}:${key}`;
+}
+
+// RPC nodes report a transaction's memos as "[len] text; [len] text"
+function parseMemos(memoField) {
+  if (!memoField) return [];
+  return memoField
+    .split('; ')
+    .map(memo => memo.replace(/^\[\d+\] /, ''));
+}
+
+// True when a signature's memo field carries any of `keys`
+function hasAnyKey(memoField, keys) {
+  const wanted = new Set(keys.map(memoText));
+  return parseMemos(memoField).some(memo => wanted.has(memo));
+}
+
+module.exports = {
+  MEMO_PROGRAM_ID,
+  MEMO_PREFIX,
+  idempotencyKey,
+  memoText,
+  parseMemos,
+  hasAnyKey
+};
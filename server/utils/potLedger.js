@@ -0,0 +1,120 @@
+/**
+ * Double-entry pot ledger.
+ *
+ * Every entry moves `amount` lamports from its credit account to its debit
+ * account, so the balances of all accounts always sum to zero. Internal
+ * accounts are funds held in one of the game's wallets; external accounts
+ * are counterparties, negative for what came in and positive for what went
+ * out. The pot is what the pot accounts hold; the progressive jackpot is
+ * kept apart from it.
+ */
+
+// Internal accounts and the wallet ('hot' or 'creator') holding them
+const INTERNAL_ACCOUNTS = {
+  'pot:hot': 'hot',
+  'pot:creator': 'creator',
+  // Reserved for a queued payout until it lands or rolls over
+  payouts_pending: 'hot',
+  // Progressive jackpot, built from a slice of each spin's pot
+  jackpot: 'hot',
+  // The rest of each wallet: fee and rent reserve, the creator's share
+  'float:hot': 'hot',
+  'float:creator': 'creator'
+};
+
+const EXTERNAL_ACCOUNTS = ['fee_claims', 'deposits', 'winners', 'network_fees', 'adjustments', 'opening_balance'];
+
+const POT_ACCOUNTS = ['pot:hot', 'pot:creator'];
+
+const WALLETS = ['hot', 'creator'];
+
+// Entries an admin can post by hand
+const MANUAL_ENTRY_TYPES = {
+  deposit: 'New funds sent to a wallet for the pot',
+  allocation: 'Move wallet funds into the pot',
+  withdrawal: 'Move pot funds back to the wallet float',
+  transfer: 'Pot funds moved from the creator wallet to the hot wallet',
+  adjustment: 'Correct a wallet float (signed amount) after reconciling'
+};
+
+function isAccount(account) {
+  return Object.prototype.hasOwnProperty.call(INTERNAL_ACCOUNTS, account) || EXTERNAL_ACCOUNTS.includes(account);
+}
+
+/**
+ * @param {Array<{debit: string, credit: string, amount: number}>} entries
+ * @returns {Object} balance in lamports by account
+ */
+function balances(entries) {
+  const result = {};
+  for (const entry of entries) {
+    result[entry.debit] = (result[entry.debit] || 0) + entry.amount;
+    result[entry.credit] = (result[entry.credit] || 0) - entry.amount;
+  }
+  return result;
+}
+
+function potBalance(accountBalances) {
+  return POT_ACCOUNTS.reduce((sum, account) => sum + (accountBalances[account] || 0), 0);
+}
+
+// What the ledger says each wallet holds
+function walletBalances(accountBalances) {
+  const result = { hot: 0, creator: 0 };
+  for (const [account, wallet] of Object.entries(INTERNAL_ACCOUNTS)) {
+    result[wallet] += accountBalances[account] || 0;
+  }
+  return result;
+}
+
+/**
+ * Turns an admin request into a posting, or throws.
+ * @param {Object} request - { type, amount, wallet } with a signed amount for adjustments
+ * @returns {Object} { type, debit, credit, amount }
+ */
+function manualEntry({ type, amount, wallet }) {
+  if (!Object.prototype.hasOwnProperty.call(MANUAL_ENTRY_TYPES, type)) {
+    throw new Error(`Entry type must be one of: ${Object.keys(MANUAL_ENTRY_TYPES).join(', ')}`);
+  }
+  if (!Number.isSafeInteger(amount) || amount === 0 || (amount < 0 && type !== 'adjustment')) {
+    throw new Error('Amount must be a whole, non-zero number of lamports');
+  }
+  if (type !== 'transfer' && !WALLETS.includes(wallet)) {
+    throw new Error(`Wallet must be one of: ${WALLETS.join(', ')}`);
+  }
+
+  switch (type) {
+    case 'deposit':
+      return { type, debit: `pot:${wallet}`, credit: 'deposits', amount };
+    case 'allocation':
+      return { type, debit: `pot:${wallet}`, credit: `float:${wallet}`, amount };
+    case 'withdrawal':
+      return { type, debit: `float:${wallet}`, credit: `pot:${wallet}`, amount };
+    case 'transfer':
+      return { type, debit: 'pot:hot', credit: 'pot:creator', amount };
+    default:
+      return amount > 0
+        ? { type, debit: `float:${wallet}`, credit: 'adjustments', amount }
+        : { type, debit: 'adjustments', credit: `float:${wallet}`, amount: -amount };
+  }
+}
+
+// On-chain minus ledger balance; flagged beyond the tolerance either way
+function compareWallet(onchainBalance, ledgerBalance, toleranceLamports) {
+  const drift = onchainBalance - ledgerBalance;
+  return { drift, flagged: Math.abs(drift) > toleranceLamports };
+}
+
+module.exports = {
+  INTERNAL_ACCOUNTS,
+  EXTERNAL_ACCOUNTS,
+  POT_ACCOUNTS,
+  WALLETS,
+  MANUAL_ENTRY_TYPES,
+  isAccount,
+  balances,
+  potBalance,
+  walletBalances,
+  manualEntry,
+  compareWallet
+};
@@ -0,0 +1,157 @@
+/**
+ * Pot policy: where the pot's money comes from and the limits it runs under.
+ *
+ *   feeClaimPercentage    - share of each Pump.fun fee claim added to the pot;
+ *                           the rest stays with the creator
+ *   seedLamports          - the pot is topped up to this from the hot wallet
+ *                           whenever it falls below (0 = no seed)
+ *   depositsEnabled       - SOL sent to `depositWallet` by anyone outside the
+ *                           game is added to the pot
+ *   rolloverPercentage    - share of the pot kept when a spin finds no
+ *                           eligible holders; the rest goes back to the wallets
+ *   noHoldersRetryMinutes - spin again this soon after that (0 = next interval)
+ *   minPotLamports        - spins are skipped until the pot reaches this
+ *   maxPotLamports        - inflows beyond this stay out of the pot (0 = no cap)
+ */
+
+const WALLETS = ['hot', 'creator'];
+
+const DEFAULT_POLICY = {
+  feeClaimPercentage: 100,
+  seedLamports: 0,
+  depositsEnabled: false,
+  depositWallet: 'hot',
+  rolloverPercentage: 100,
+  noHoldersRetryMinutes: 0,
+  minPotLamports: 0,
+  maxPotLamports: 0
+};
+
+function parseNumber(value, fallback) {
+  const number = Number(value);
+  return value === undefined || value === '' || Number.isNaN(number) ? fallback : number;
+}
+
+function fromEnv(env) {
+  return {
+    feeClaimPercentage: parseNumber(env.POT_FEE_CLAIM_PERCENTAGE, DEFAULT_POLICY.feeClaimPercentage),
+    seedLamports: parseNumber(env.POT_SEED_LAMPORTS, DEFAULT_POLICY.seedLamports),
+    depositsEnabled: env.POT_DEPOSITS_ENABLED === 'true',
+    depositWallet: env.POT_DEPOSIT_WALLET || DEFAULT_POLICY.depositWallet,
+    rolloverPercentage: parseNumber(env.POT_ROLLOVER_PERCENTAGE, DEFAULT_POLICY.rolloverPercentage),
+    noHoldersRetryMinutes: parseNumber(env.POT_NO_HOLDERS_RETRY_MINUTES, DEFAULT_POLICY.noHoldersRetryMinutes),
+    minPotLamports: parseNumber(env.POT_MIN_LAMPORTS, DEFAULT_POLICY.minPotLamports),
+    maxPotLamports: parseNumber(env.POT_MAX_LAMPORTS, DEFAULT_POLICY.maxPotLamports)
+  };
+}
+
+function isPercentage(value) {
+  return typeof value === 'number' && value >= 0 && value <= 100;
+}
+
+function isLamports(value) {
+  return Number.isSafeInteger(value) && value >= 0;
+}
+
+// Returns an error message for an invalid policy, or null
+function validate(policy) {
+  if (!isPercentage(policy.feeClaimPercentage)) {
+    return 'Fee claim percentage must be between 0 and 100';
+  }
+  if (!isPercentage(policy.rolloverPercentage)) {
+    return 'Rollover percentage must be between 0 and 100';
+  }
+  for (const key of ['seedLamports', 'minPotLamports', 'maxPotLamports']) {
+    if (!isLamports(policy[key])) {
+      return `${key} must be a whole number of lamports, zero or more`;
+    }
+  }
+  if (typeof policy.depositsEnabled !== 'boolean') {
+    return 'depositsEnabled must be true or false';
+  }
+  if (!WALLETS.includes(policy.depositWallet)) {
+    return `Deposit wallet must be one of: ${WALLETS.join(', ')}`;
+  }
+  if (!Number.isInteger(policy.noHoldersRetryMinutes) || policy.noHoldersRetryMinutes < 0 || policy.noHoldersRetryMinutes > 60) {
+    return 'No-holders retry must be between 0 and 60 minutes';
+  }
+  if (policy.maxPotLamports > 0 && policy.minPotLamports > policy.maxPotLamports) {
+    return 'Minimum pot cannot be above the pot cap';
+  }
+  if (policy.maxPotLamports > 0 && policy.seedLamports > policy.maxPotLamports) {
+    return 'Seed cannot be above the pot cap';
+  }
+  return null;
+}
+
+/**
+ * Splits an inflow between the pot and the wallet float.
+ * @param {number} amount - lamports received
+ * @param {number} pot - current pot
+ * @param {Object} policy
+ * @param {number} percentage - share meant for the pot
+ * @returns {{ toPot: number, toFloat: number }}
+ */
+function splitInflow(amount, pot, policy, percentage = 100) {
+  const share = Math.floor(amount * percentage / 100);
+  const room = policy.maxPotLamports > 0 ? Math.max(policy.maxPotLamports - pot, 0) : share;
+  const toPot = Math.min(share, room);
+  return { toPot, toFloat: amount - toPot };
+}
+
+// Lamports needed to bring the pot up to the seed, limited to what's available
+function seedTopUp(pot, policy, available) {
+  if (policy.seedLamports <= 0 || pot >= policy.seedLamports) {
+    return 0;
+  }
+  return Math.max(Math.min(policy.seedLamports - pot, available), 0);
+}
+
+// The part of the pot a spin pays out from
+function spinPot(pot, policy) {
+  return policy.maxPotLamports > 0 ? Math.min(pot, policy.maxPotLamports) : pot;
+}
+
+function canSpin(pot, policy) {
+  return pot > 0 && pot >= policy.minPotLamports;
+}
+
+// Lamports taken out of the pot when a spin finds no eligible holders
+function noHoldersRelease(pot, policy) {
+  return Math.floor(pot * (100 - policy.rolloverPercentage) / 100);
+}
+
+// What players are shown about the pot's funding and limits
+function describe(policy) {
+  const sources = [];
+  if (policy.feeClaimPercentage > 0) {
+    sources.push(`${policy.feeClaimPercentage}% of creator fees`);
+  }
+  if (policy.seedLamports > 0) {
+    sources.push('house seed');
+  }
+  if (policy.depositsEnabled) {
+    sources.push('deposits');
+  }
+  sources.push('rollovers');
+
+  return {
+    sources,
+    seedLamports: policy.seedLamports,
+    minPotLamports: policy.minPotLamports,
+    maxPotLamports: policy.maxPotLamports,
+    rolloverPercentage: policy.rolloverPercentage
+  };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  fromEnv,
+  validate,
+  splitInflow,
+  seedTopUp,
+  spinPot,
+  canSpin,
+  noHoldersRelease,
+  describe
+};
@@ -0,0 +1,63 @@
+/**
+ * Compute budget math for outgoing transactions.
+ *
+ * The priority fee is a price per compute unit in micro-lamports, picked as a
+ * percentile of recent fees paid on the accounts a transaction writes and
+ * capped at `maxMicroLamports`. The compute unit limit is what a simulation
+ * consumed plus `computeUnitMargin` percent.
+ */
+
+const MAX_COMPUTE_UNITS = 1400000;
+const MICRO_LAMPORTS_PER_LAMPORT = 1000000;
+const LAMPORTS_PER_SIGNATURE = 5000;
+
+// Returns an error message for invalid settings, or null
+function validate(settings) {
+  if (!Number.isInteger(settings.percentile) || settings.percentile < 0 || settings.percentile > 100) {
+    return 'Priority fee percentile must be a whole number from 0 to 100';
+  }
+  if (!Number.isSafeInteger(settings.maxMicroLamports) || settings.maxMicroLamports < 0) {
+    return 'Priority fee cap must be a whole number of micro-lamports per compute unit, zero (no priority fee) or more';
+  }
+  if (!Number.isInteger(settings.computeUnitMargin) || settings.computeUnitMargin < 0 || settings.computeUnitMargin > 100) {
+    return 'Compute unit margin must be a whole percentage from 0 to 100';
+  }
+  return null;
+}
+
+// Nearest-rank percentile; 0 when there are no samples
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.max(Math.ceil((p / 100) * sorted.length), 1);
+  return sorted[rank - 1];
+}
+
+/**
+ * @param {Array<{prioritizationFee: number}>} recentFees - getRecentPrioritizationFees result
+ * @param {Object} settings - { percentile, maxMicroLamports }
+ * @returns {number} micro-lamports per compute unit
+ */
+function pickPriorityFee(recentFees, settings) {
+  const fee = percentile(recentFees.map(entry => entry.prioritizationFee), settings.percentile);
+  return Math.min(fee, settings.maxMicroLamports);
+}
+
+function computeUnitLimit(unitsConsumed, marginPercent) {
+  return Math.min(Math.ceil(unitsConsumed * (1 + marginPercent / 100)), MAX_COMPUTE_UNITS);
+}
+
+// Lamports a transaction pays on top of its signature fees
+function priorityFeeLamports(microLamports, computeUnits) {
+  return Math.ceil((microLamports * computeUnits) / MICRO_LAMPORTS_PER_LAMPORT);
+}
+
+module.exports = {
+  MAX_COMPUTE_UNITS,
+  LAMPORTS_PER_SIGNATURE,
+  validate,
+  percentile,
+  pickPriorityFee,
+  computeUnitLimit,
+  priorityFeeLamports
+};
@@ -0,0 +1,63 @@
+/**
+ * Prize tiers for multi-winner spins.
+ *
+ * Tiers are the percentage of the winner payout each place receives, in
+ * place order, e.g. [60, 25, 15]. The default [100] is the classic single
+ * winner. Tiers must add up to 100; when fewer holders are eligible than
+ * there are places, the unfilled places are not paid and stay in the pot.
+ */
+
+const DEFAULT_TIERS = [100];
+const MAX_TIERS = 5; // keeps the batched payout within one transaction
+
+function validate(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return 'Prize tiers must be a non-empty list of percentages';
+  }
+  if (tiers.length > MAX_TIERS) {
+    return `At most ${MAX_TIERS} prize tiers are supported`;
+  }
+  if (tiers.some(tier => typeof tier !== 'number' || !(tier > 0))) {
+    return 'Every prize tier must be a percentage greater than 0';
+  }
+  const total = tiers.reduce((sum, tier) => sum + tier, 0);
+  if (Math.abs(total - 100) > 0.001) {
+    return `Prize tiers must add up to 100% (got ${total}%)`;
+  }
+  return null;
+}
+
+// "60,25,15" -> [60, 25, 15]; invalid input falls back to the default
+function parse(value) {
+  if (!value) return [...DEFAULT_TIERS];
+  const tiers = String(value).split(',').map(tier => parseFloat(tier.trim()));
+  return validate(tiers) === null ? tiers : [...DEFAULT_TIERS];
+}
+
+/**
+ * Split a winner payout (lamports) between the filled places. Rounding dust
+ * goes to first place.
+ * @param {number} amount - Total winner payout in lamports
+ * @param {number[]} tiers - Validated tiers
+ * @param {number} places - Number of winners actually drawn
+ * @returns {number[]} Lamports per place
+ */
+function split(amount, tiers, places) {
+  const filled = tiers.slice(0, places);
+  const amounts = filled.map(tier => Math.floor(amount * tier / 100));
+  const filledTotal = Math.floor(amount * filled.reduce((sum, tier) => sum + tier, 0) / 100);
+  const dust = filledTotal - amounts.reduce((sum, value) => sum + value, 0);
+
+  if (amounts.length > 0 && dust > 0) {
+    amounts[0] += dust;
+  }
+  return amounts;
+}
+
+module.exports = {
+  DEFAULT_TIERS,
+  MAX_TIERS,
+  validate,
+  parse,
+  split
+};
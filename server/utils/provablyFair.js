@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+
+/**
+ * Commit-reveal helpers for winner selection.
+ *
+ * Before a spin the server publishes sha256(serverSeed). The winner is then
+ * derived from sha256(`${serverSeed}:${blockhash}:${gameId}`), where blockhash
+ * belongs to a slot that did not exist yet when the commitment was published.
+ * Selection is exact integer arithmetic on BigInt weights, so raw u64 token
+ * balances are used as-is without rounding.
+ * Anyone holding the revealed seed, the blockhash and the ordered holder list
+ * can recompute the result (see client/src/utils/provablyFair.js).
+ * Multi-winner spins draw each further place without replacement.
+ * The progressive jackpot is rolled from the same seed and blockhash.
+ */
+
+function sha256Hex(input) {
+  return crypto.createHash('sha256').update(input).digest('hex');
+}
+
+function generateServerSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashServerSeed(serverSeed) {
+  return sha256Hex(serverSeed);
+}
+
+// SHA-256 output space; draws at or above the largest multiple of the total
+// weight are rejected so `value % totalWeight` is exactly uniform
+const RANDOM_SPACE = 1n << 256n;
+
+// Round 0 hashes `${serverSeed}:${blockhash}:${gameId}`; later rounds (only
+// needed after a rejected draw) append `:${round}`. Places after the first in
+// a multi-winner spin hash `${serverSeed}:${blockhash}:${gameId}:place${place}:${round}`
+function deriveRandomValue(serverSeed, blockhash, gameId, round = 0, place = 1) {
+  let message;
+  if (place > 1) {
+    message = `${serverSeed}:${blockhash}:${gameId}:place${place}:${round}`;
+  } else {
+    message = round === 0
+      ? `${serverSeed}:${blockhash}:${gameId}`
+      : `${serverSeed}:${blockhash}:${gameId}:${round}`;
+  }
+  return BigInt('0x' + sha256Hex(message));
+}
+
+// Holders are ordered by address so the list is reproducible regardless of
+// the order the RPC returned token accounts in
+function orderHolders(holders) {
+  return holders
+    .map(holder => ({ address: holder.address, weight: BigInt(holder.weight).toString() }))
+    .sort((a, b) => (a.address < b.address ? -1 : a.address > b.address ? 1 : 0));
+}
+
+function findIndexForTarget(target, orderedHolders) {
+  let cumulative = 0n;
+
+  for (let i = 0; i < orderedHolders.length; i++) {
+    cumulative += BigInt(orderedHolders[i].weight);
+    if (target < cumulative) {
+      return i;
+    }
+  }
+
+  // Unreachable while target < totalWeight
+  throw new Error('Weighted selection ran past the end of the holder list');
+}
+
+/**
+ * Pick an index from an ordered holder list. Each holder owns the half-open
+ * range [cumulative, cumulative + weight) of the total weight.
+ * @param {function(number): BigInt} nextRandom - Returns a 256-bit value for a draw round
+ * @param {Array<{address: string, weight: string}>} orderedHolders - Output of orderHolders()
+ * @returns {{index: number, target: BigInt, totalWeight: BigInt, randomValue: BigInt, round: number}}
+ */
+function selectWeightedIndex(nextRandom, orderedHolders) {
+  const totalWeight = orderedHolders.reduce((sum, holder) => sum + BigInt(holder.weight), 0n);
+
+  if (totalWeight === 0n) {
+    throw new Error('Total holder weight is zero');
+  }
+
+  const limit = RANDOM_SPACE - (RANDOM_SPACE % totalWeight);
+
+  for (let round = 0; ; round++) {
+    const randomValue = nextRandom(round);
+    if (randomValue < limit) {
+      const target = randomValue % totalWeight;
+      return { index: findIndexForTarget(target, orderedHolders), target, totalWeight, randomValue, round };
+    }
+  }
+}
+
+function selectWinnerIndex(serverSeed, blockhash, gameId, orderedHolders) {
+  return selectWeightedIndex(
+    round => deriveRandomValue(serverSeed, blockhash, gameId, round),
+    orderedHolders
+  );
+}
+
+/**
+ * Draw `count` distinct winners without replacement. Place 1 is drawn exactly
+ * like a single-winner spin; each later place is drawn from the holders that
+ * are left, with the picked holders removed and the order otherwise kept.
+ * @returns {Array<{place: number, index: number, address: string, target: BigInt, totalWeight: BigInt, randomValue: BigInt, round: number}>}
+ *   `index` is the position in the full ordered list
+ */
+function selectWinnerIndices(serverSeed, blockhash, gameId, orderedHolders, count) {
+  let remaining = orderedHolders.map((holder, index) => ({ ...holder, index }));
+  const winners = [];
+
+  for (let place = 1; place <= count && remaining.length > 0; place++) {
+    const draw = selectWeightedIndex(
+      round => deriveRandomValue(serverSeed, blockhash, gameId, round, place),
+      remaining
+    );
+    const picked = remaining[draw.index];
+    winners.push({ ...draw, place, index: picked.index, address: picked.address });
+    remaining = remaining.filter((_, i) => i !== draw.index);
+  }
+
+  return winners;
+}
+
+/**
+ * Jackpot roll: sha256(`${serverSeed}:${blockhash}:${gameId}:jackpot`) mod
+ * oneIn, a hit on 0. With oneIn far below 2^256 the modulo bias is negligible.
+ * @returns {{roll: BigInt, hit: boolean}}
+ */
+function rollJackpot(serverSeed, blockhash, gameId, oneIn) {
+  const roll = BigInt('0x' + sha256Hex(`${serverSeed}:${blockhash}:${gameId}:jackpot`)) % BigInt(oneIn);
+  return { roll, hit: roll === 0n };
+}
+
+/**
+ * Recompute a spin from its published proof and report whether it matches.
+ * Multi-winner proofs list every place in `winners`; all of them must match.
+ * @param {Object} proof - Proof record as returned by GET /api/game/:gameId/proof
+ * @returns {{valid: boolean, seedMatchesCommitment: boolean, index: number, winnerAddress: string, winners: Array<Object>, jackpot: Object|null}}
+ */
+function verifyProof(proof) {
+  const seedMatchesCommitment = hashServerSeed(proof.serverSeed) === proof.serverSeedHash;
+  const published = proof.winners && proof.winners.length > 0
+    ? proof.winners
+    : [{ place: 1, index: proof.winnerIndex, address: proof.winnerAddress }];
+  const winners = selectWinnerIndices(proof.serverSeed, proof.blockhash, proof.gameId, proof.holders, published.length);
+  const placesMatch = winners.length === published.length && winners.every((winner, i) =>
+    winner.index === published[i].index && winner.address === published[i].address
+  );
+  // Spins without a jackpot roll have nothing to check
+  const jackpot = proof.jackpot ? rollJackpot(proof.serverSeed, proof.blockhash, proof.gameId, proof.jackpot.oneIn) : null;
+  const jackpotMatches = !jackpot ||
+    (jackpot.roll.toString() === String(proof.jackpot.roll) && jackpot.hit === proof.jackpot.hit);
+
+  return {
+    valid: seedMatchesCommitment && placesMatch && jackpotMatches &&
+      winners[0].index === proof.winnerIndex && winners[0].address === proof.winnerAddress,
+    seedMatchesCommitment,
+    index: winners[0].index,
+    winnerAddress: winners[0].address,
+    winners: winners.map(({ place, index, address }) => ({ place, index, address })),
+    jackpot: jackpot ? { roll: jackpot.roll.toString(), hit: jackpot.hit, matches: jackpotMatches } : null
+  };
+}
+
+module.exports = {
+  sha256Hex,
+  generateServerSeed,
+  hashServerSeed,
+  deriveRandomValue,
+  orderHolders,
+  selectWeightedIndex,
+  selectWinnerIndex,
+  selectWinnerIndices,
+  rollJackpot,
+  verifyProof
+};
@@ -0,0 +1,50 @@
+/**
+ * Payout spend caps for the circuit breaker.
+ *
+ * Limits are lamports: `perPayout` caps a single payout job, `perHour` and
+ * `perDay` cap what was paid out over the trailing window plus the payout
+ * about to be sent. Zero means no cap.
+ */
+
+const LAMPORTS_PER_SOL = 1000000000;
+const LIMIT_KEYS = ['perPayout', 'perHour', 'perDay'];
+
+function formatSOL(lamports) {
+  return `${lamports / LAMPORTS_PER_SOL} SOL`;
+}
+
+// Returns an error message for invalid limits, or null
+function validate(limits) {
+  for (const key of LIMIT_KEYS) {
+    const value = limits[key];
+    if (!Number.isSafeInteger(value) || value < 0) {
+      return `Spend limit ${key} must be a whole number of lamports, zero (off) or more`;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {Object} limits - { perPayout, perHour, perDay } in lamports
+ * @param {number} amount - lamports the next payout would send
+ * @param {Object} spent - { lastHour, lastDay } lamports already paid out
+ * @returns {string|null} why the payout would break a cap, or null
+ */
+function check(limits, amount, spent) {
+  if (limits.perPayout > 0 && amount > limits.perPayout) {
+    return `Payout of ${formatSOL(amount)} exceeds the per-payout cap of ${formatSOL(limits.perPayout)}`;
+  }
+  if (limits.perHour > 0 && spent.lastHour + amount > limits.perHour) {
+    return `Payout of ${formatSOL(amount)} would bring the last hour to ${formatSOL(spent.lastHour + amount)}, over the hourly cap of ${formatSOL(limits.perHour)}`;
+  }
+  if (limits.perDay > 0 && spent.lastDay + amount > limits.perDay) {
+    return `Payout of ${formatSOL(amount)} would bring the last 24h to ${formatSOL(spent.lastDay + amount)}, over the daily cap of ${formatSOL(limits.perDay)}`;
+  }
+  return null;
+}
+
+module.exports = {
+  LIMIT_KEYS,
+  validate,
+  check
+};
@@ -0,0 +1,366 @@
+/**
+ * Spin schedule: when regular spins run, and one-off special spins.
+ *
+ *   mode            - 'interval' (every `intervalMinutes` from local midnight
+ *                     plus `offsetMinutes`) or 'cron' (`cron`, five fields:
+ *                     minute hour day-of-month month day-of-week)
+ *   timezone        - IANA zone the interval, cron and active hours use
+ *   activeHours     - { start: 'HH:MM', end: 'HH:MM' } local window regular
+ *                     spins are limited to (may run past midnight), or null
+ *   blackouts       - [{ start, end, reason }] no spins at all in between
+ *   specialSpins    - [{ id, at, label }] one-off spins; they run outside the
+ *                     active hours but never inside a blackout
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+// Stop looking for the next regular spin after a year
+const SEARCH_DAYS = 366;
+const MAX_BLACKOUTS = 50;
+const MAX_SPECIAL_SPINS = 50;
+
+const MODES = ['interval', 'cron'];
+
+const DEFAULT_SCHEDULE = {
+  mode: 'interval',
+  intervalMinutes: 5,
+  offsetMinutes: 0,
+  cron: '*/5 * * * *',
+  timezone: 'UTC',
+  activeHours: null,
+  blackouts: [],
+  specialSpins: []
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameBase: 1 },
+  { name: 'day of week', min: 0, max: 7, names: WEEKDAY_NAMES, nameBase: 0 }
+];
+
+function fromEnv(env) {
+  const intervalMinutes = parseInt(env.SPIN_INTERVAL_MINUTES);
+  const offsetMinutes = parseInt(env.SPIN_OFFSET_MINUTES);
+  return {
+    ...DEFAULT_SCHEDULE,
+    mode: env.SPIN_SCHEDULE_CRON ? 'cron' : 'interval',
+    intervalMinutes: Number.isNaN(intervalMinutes) ? DEFAULT_SCHEDULE.intervalMinutes : intervalMinutes,
+    offsetMinutes: Number.isNaN(offsetMinutes) ? DEFAULT_SCHEDULE.offsetMinutes : offsetMinutes,
+    cron: env.SPIN_SCHEDULE_CRON || DEFAULT_SCHEDULE.cron,
+    timezone: env.SPIN_TIMEZONE || DEFAULT_SCHEDULE.timezone,
+    activeHours: parseActiveHours(env.SPIN_ACTIVE_HOURS)
+  };
+}
+
+// "09:00-23:00" -> { start: '09:00', end: '23:00' }; empty means always
+function parseActiveHours(value) {
+  if (!value) return null;
+  const [start, end] = String(value).split('-').map(part => part.trim());
+  return { start, end };
+}
+
+function parseCronValue(value, field) {
+  if (/^\d+$/.test(value)) {
+    return parseInt(value);
+  }
+  const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  if (index === -1) {
+    throw new Error(`Invalid ${field.name} value "${value}"`);
+  }
+  return index + field.nameBase;
+}
+
+function parseCronField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText);
+    if (!(step >= 1) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid ${field.name} step "${part}"`);
+    }
+
+    let from;
+    let to;
+    if (range === '*') {
+      from = field.min;
+      to = field.max;
+    } else if (range.includes('-')) {
+      const [start, end] = range.split('-');
+      from = parseCronValue(start, field);
+      to = parseCronValue(end, field);
+    } else {
+      from = parseCronValue(range, field);
+      to = stepText === undefined ? from : field.max;
+    }
+
+    if (from < field.min || to > field.max || from > to) {
+      throw new Error(`${field.name} "${part}" is out of range ${field.min}-${field.max}`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parses a five-field cron expression, or throws.
+ * @returns {{minutes: Set, hours: Set, days: Set, months: Set, weekdays: Set, anyDay: boolean, anyWeekday: boolean}}
+ */
+function parseCron(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Cron expression must have five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((text, i) => parseCronField(text, CRON_FIELDS[i]));
+  // 7 is Sunday as well as 0
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*'
+  };
+}
+
+const formatters = new Map();
+
+// Wall-clock parts of `date` in `timezone`
+function localParts(date, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+
+  const parts = {};
+  for (const part of formatters.get(timezone).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return {
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    weekday: WEEKDAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute)
+  };
+}
+
+function isTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function parseClock(value) {
+  const match = /^(\d{2}):(\d{2})$/.exec(value || '');
+  if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+    return null;
+  }
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+function isDate(value) {
+  return value !== null && value !== undefined && value !== '' && !Number.isNaN(new Date(value).getTime());
+}
+
+function inBlackout(time, blackouts) {
+  return blackouts.find(blackout => time >= new Date(blackout.start).getTime() && time < new Date(blackout.end).getTime()) || null;
+}
+
+// Returns an error message for an invalid schedule, or null
+function validate(schedule) {
+  if (!MODES.includes(schedule.mode)) {
+    return `Schedule mode must be one of: ${MODES.join(', ')}`;
+  }
+  if (!Number.isInteger(schedule.intervalMinutes) || schedule.intervalMinutes < 1 || schedule.intervalMinutes > DAY_MINUTES) {
+    return `Spin interval must be a whole number of minutes from 1 to ${DAY_MINUTES}`;
+  }
+  if (!Number.isInteger(schedule.offsetMinutes) || schedule.offsetMinutes < 0 || schedule.offsetMinutes >= schedule.intervalMinutes) {
+    return 'Offset must be a whole number of minutes below the interval';
+  }
+  if (schedule.mode === 'cron') {
+    try {
+      parseCron(schedule.cron);
+    } catch (error) {
+      return error.message;
+    }
+  }
+  if (typeof schedule.timezone !== 'string' || !isTimezone(schedule.timezone)) {
+    return `Unknown time zone "${schedule.timezone}"`;
+  }
+  if (schedule.activeHours) {
+    const start = parseClock(schedule.activeHours.start);
+    const end = parseClock(schedule.activeHours.end);
+    if (start === null || end === null) {
+      return 'Active hours must be HH:MM times';
+    }
+    if (start === end) {
+      return 'Active hours must start and end at different times';
+    }
+  }
+  if (!Array.isArray(schedule.blackouts) || schedule.blackouts.length > MAX_BLACKOUTS) {
+    return `Blackouts must be a list of at most ${MAX_BLACKOUTS} windows`;
+  }
+  for (const blackout of schedule.blackouts) {
+    if (!isDate(blackout.start) || !isDate(blackout.end) || new Date(blackout.end) <= new Date(blackout.start)) {
+      return 'Every blackout needs a start and a later end';
+    }
+  }
+  if (!Array.isArray(schedule.specialSpins) || schedule.specialSpins.length > MAX_SPECIAL_SPINS) {
+    return `Special spins must be a list of at most ${MAX_SPECIAL_SPINS}`;
+  }
+  for (const spin of schedule.specialSpins) {
+    if (!spin.id || !isDate(spin.at)) {
+      return 'Every special spin needs an id and a time';
+    }
+    const blackout = inBlackout(new Date(spin.at).getTime(), schedule.blackouts);
+    if (blackout) {
+      return `Special spin "${spin.label || spin.id}" falls inside a blackout${blackout.reason ? ` (${blackout.reason})` : ''}`;
+    }
+  }
+  return null;
+}
+
+// Minutes from `parts` to the next minute the interval or cron could fire
+// (0 when it fires now)
+function minutesToCandidate(schedule, cron, parts) {
+  const minuteOfDay = parts.hour * 60 + parts.minute;
+
+  if (schedule.mode === 'interval') {
+    const { intervalMinutes, offsetMinutes } = schedule;
+    const wait = ((offsetMinutes - minuteOfDay) % intervalMinutes + intervalMinutes) % intervalMinutes;
+    // Slots restart from the offset at local midnight
+    return minuteOfDay + wait < DAY_MINUTES ? wait : DAY_MINUTES - minuteOfDay;
+  }
+
+  const dayMatches = cron.anyDay || cron.anyWeekday
+    ? cron.days.has(parts.day) && cron.weekdays.has(parts.weekday)
+    : cron.days.has(parts.day) || cron.weekdays.has(parts.weekday);
+  if (!cron.months.has(parts.month) || !dayMatches) {
+    return DAY_MINUTES - minuteOfDay;
+  }
+  if (!cron.hours.has(parts.hour)) {
+    return 60 - parts.minute;
+  }
+  for (let minute = parts.minute; minute < 60; minute++) {
+    if (cron.minutes.has(minute)) {
+      return minute - parts.minute;
+    }
+  }
+  return 60 - parts.minute;
+}
+
+// Minutes from `parts` until the active hours open (0 when open)
+function minutesToActive(activeHours, parts) {
+  if (!activeHours) {
+    return 0;
+  }
+  const minuteOfDay = parts.hour * 60 + parts.minute;
+  const start = parseClock(activeHours.start);
+  const end = parseClock(activeHours.end);
+  const open = start < end
+    ? minuteOfDay >= start && minuteOfDay < end
+    : minuteOfDay >= start || minuteOfDay < end;
+  return open ? 0 : (start - minuteOfDay + DAY_MINUTES) % DAY_MINUTES;
+}
+
+/**
+ * The first regular spin after `after`, skipping inactive hours and
+ * blackouts.
+ * @returns {Date|null} null when nothing fits within a year
+ */
+function nextRegularSpin(schedule, after) {
+  const cron = schedule.mode === 'cron' ? parseCron(schedule.cron) : null;
+  const limit = after.getTime() + SEARCH_DAYS * DAY_MINUTES * MINUTE_MS;
+  let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+
+  while (time <= limit) {
+    const parts = localParts(new Date(time), schedule.timezone);
+    const wait = minutesToCandidate(schedule, cron, parts) || minutesToActive(schedule.activeHours, parts);
+    if (wait > 0) {
+      // Long jumps stop an hour short so a DST change can't skip a slot
+      time += (wait > 60 ? wait - 60 : wait) * MINUTE_MS;
+      continue;
+    }
+
+    const blackout = inBlackout(time, schedule.blackouts);
+    if (!blackout) {
+      return new Date(time);
+    }
+    time = Math.ceil(new Date(blackout.end).getTime() / MINUTE_MS) * MINUTE_MS;
+  }
+
+  return null;
+}
+
+/**
+ * The next spin after `after`: a special spin when one comes first.
+ * @returns {{at: Date, special: Object|null}|null}
+ */
+function nextSpin(schedule, after) {
+  const regular = nextRegularSpin(schedule, after);
+  const special = schedule.specialSpins
+    .filter(spin => new Date(spin.at) > after)
+    .sort((a, b) => new Date(a.at) - new Date(b.at))[0];
+
+  if (special && (!regular || new Date(special.at) <= regular)) {
+    return { at: new Date(special.at), special: { id: special.id, label: special.label || null } };
+  }
+  return regular ? { at: regular, special: null } : null;
+}
+
+// The next `count` spins after `after`
+function preview(schedule, after, count = 10) {
+  const spins = [];
+  let from = after;
+  for (let i = 0; i < count; i++) {
+    const spin = nextSpin(schedule, from);
+    if (!spin) break;
+    spins.push(spin);
+    from = spin.at;
+  }
+  return spins;
+}
+
+// Human-readable summary for the dashboard
+function describe(schedule) {
+  const base = schedule.mode === 'cron'
+    ? `cron ${schedule.cron}`
+    : `every ${schedule.intervalMinutes} min${schedule.offsetMinutes ? ` at +${schedule.offsetMinutes}` : ''}`;
+  const hours = schedule.activeHours ? `, ${schedule.activeHours.start}-${schedule.activeHours.end}` : '';
+  return `${base}${hours} (${schedule.timezone})`;
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  MODES,
+  fromEnv,
+  parseCron,
+  validate,
+  inBlackout,
+  nextSpin,
+  preview,
+  describe
+};
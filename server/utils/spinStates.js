@@ -0,0 +1,55 @@
+/**
+ * Spin lifecycle states persisted on the games row.
+ *
+ * A game is created in `snapshotting` and must end in `completed` or
+ * `failed`. `needs_review` is parked for an admin when a restart finds a
+ * payout whose on-chain outcome can't be determined.
+ */
+
+const STATES = {
+  WAITING: 'waiting',
+  SNAPSHOTTING: 'snapshotting',
+  SPINNING: 'spinning',
+  WINNER_SELECTED: 'winner_selected',
+  PAYING: 'paying',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  NEEDS_REVIEW: 'needs_review'
+};
+
+const TRANSITIONS = {
+  waiting: ['snapshotting'],
+  snapshotting: ['spinning', 'failed'],
+  spinning: ['winner_selected', 'failed'],
+  winner_selected: ['paying', 'failed', 'needs_review'],
+  paying: ['completed', 'failed', 'needs_review'],
+  needs_review: ['paying', 'completed', 'failed'],
+  completed: [],
+  failed: []
+};
+
+// Games left in one of these after a restart need reconciling
+const UNFINISHED_STATES = ['snapshotting', 'spinning', 'winner_selected', 'paying'];
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function assertTransition(from, to) {
+  if (!canTransition(from, to)) {
+    throw new Error(`Invalid spin state transition: ${from} -> ${to}`);
+  }
+}
+
+function isTerminal(state) {
+  return state === STATES.COMPLETED || state === STATES.FAILED;
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  UNFINISHED_STATES,
+  canTransition,
+  assertTransition,
+  isTerminal
+};
@@ -0,0 +1,160 @@
+/**
+ * Trigger rules: spins fired by a milestone rather than the clock.
+ *
+ *   type            - 'holders' (holder count), 'pot' (pot in lamports),
+ *                     'marketCap' or 'volume' (USD market cap and 24h
+ *                     trading volume, from the market data source)
+ *   threshold       - the first milestone
+ *   step            - further milestones every `step` above it, e.g. every
+ *                     100 holders (0 = the threshold only)
+ *   cooldownMinutes - a rule that fired stays quiet this long
+ *
+ * A rule fires when the value climbs into a higher milestone than it was
+ * last seen in. Dropping back below re-arms it, so the cooldown is what
+ * keeps a value hovering around a milestone from firing over and over.
+ */
+
+const TYPES = {
+  holders: 'Holder count',
+  pot: 'Pot size',
+  marketCap: 'Market cap',
+  volume: '24h volume'
+};
+
+// Types read from the market data source rather than the chain
+const MARKET_TYPES = ['marketCap', 'volume'];
+
+const MAX_RULES = 20;
+const MAX_LABEL_LENGTH = 64;
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+
+const DEFAULT_SETTINGS = {
+  rules: [],
+  marketDataSource: 'dexscreener',
+  marketDataPollSeconds: 60
+};
+
+function fromEnv(env) {
+  const pollSeconds = parseInt(env.MARKET_DATA_POLL_SECONDS);
+  return {
+    rules: [],
+    marketDataSource: env.MARKET_DATA_SOURCE || DEFAULT_SETTINGS.marketDataSource,
+    marketDataPollSeconds: Number.isNaN(pollSeconds) ? DEFAULT_SETTINGS.marketDataPollSeconds : pollSeconds
+  };
+}
+
+// Returns an error message for an invalid rule, or null
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return 'Each trigger rule must be an object';
+  }
+  if (!Object.prototype.hasOwnProperty.call(TYPES, rule.type)) {
+    return `Trigger type must be one of: ${Object.keys(TYPES).join(', ')}`;
+  }
+  if (typeof rule.threshold !== 'number' || !(rule.threshold > 0) || !Number.isFinite(rule.threshold)) {
+    return 'Trigger threshold must be a positive number';
+  }
+  if (typeof rule.step !== 'number' || !(rule.step >= 0) || !Number.isFinite(rule.step)) {
+    return 'Trigger step must be 0 or more';
+  }
+  if (!MARKET_TYPES.includes(rule.type) && !(Number.isSafeInteger(rule.threshold) && Number.isSafeInteger(rule.step))) {
+    return 'Holder and pot triggers need whole-number thresholds and steps';
+  }
+  if (typeof rule.cooldownMinutes !== 'number' || !(rule.cooldownMinutes >= 0 && rule.cooldownMinutes <= MAX_COOLDOWN_MINUTES)) {
+    return `Trigger cooldown must be between 0 and ${MAX_COOLDOWN_MINUTES} minutes`;
+  }
+  if (rule.label !== undefined && (typeof rule.label !== 'string' || rule.label.length > MAX_LABEL_LENGTH)) {
+    return `Trigger labels are at most ${MAX_LABEL_LENGTH} characters`;
+  }
+  if (rule.id !== undefined && (typeof rule.id !== 'string' || !rule.id || rule.id.length > MAX_LABEL_LENGTH)) {
+    return 'Trigger rule ids must be short strings';
+  }
+  if (typeof rule.enabled !== 'boolean') {
+    return 'Trigger enabled must be true or false';
+  }
+  return null;
+}
+
+// Returns an error message for invalid settings, or null; `sources` are the
+// market data source names available
+function validate(settings, sources) {
+  const { rules, marketDataSource, marketDataPollSeconds } = settings;
+  if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+    return `At most ${MAX_RULES} trigger rules are allowed`;
+  }
+  for (const rule of rules) {
+    const error = validateRule(rule);
+    if (error) {
+      return error;
+    }
+  }
+  // Rules without an id are new and get one when saved
+  const ids = rules.map(rule => rule.id).filter(id => id !== undefined);
+  if (new Set(ids).size !== ids.length) {
+    return 'Trigger rule ids must be unique';
+  }
+  if (!sources.includes(marketDataSource)) {
+    return `Market data source must be one of: ${sources.join(', ')}`;
+  }
+  if (!Number.isInteger(marketDataPollSeconds) || marketDataPollSeconds < 10 || marketDataPollSeconds > 3600) {
+    return 'Market data polling must be every 10 to 3600 seconds';
+  }
+  return null;
+}
+
+// Highest milestone at or below `value`, or null below the threshold
+function milestone(rule, value) {
+  if (!(value >= rule.threshold)) {
+    return null;
+  }
+  if (!rule.step) {
+    return rule.threshold;
+  }
+  return rule.threshold + Math.floor((value - rule.threshold) / rule.step) * rule.step;
+}
+
+/**
+ * Checks a rule against a new reading. `state` is what the previous call
+ * returned ({ milestone, lastFiredAt }); before the first reading it is null
+ * or has no `milestone`. The first reading only sets the baseline, so a
+ * restart doesn't fire rules whose milestone was already passed.
+ * @returns {{ state: Object, crossed: number|null, coolingDown: boolean }}
+ *   `crossed` is the milestone just reached, if any
+ */
+function evaluate(rule, state, value, now = Date.now()) {
+  const reached = milestone(rule, value);
+  const next = { milestone: reached, lastFiredAt: state ? state.lastFiredAt : null };
+
+  if (!state || state.milestone === undefined || reached === null ||
+      (state.milestone !== null && reached <= state.milestone)) {
+    return { state: next, crossed: null, coolingDown: false };
+  }
+
+  const coolingDown = next.lastFiredAt !== null &&
+    now - new Date(next.lastFiredAt).getTime() < rule.cooldownMinutes * 60 * 1000;
+  return { state: next, crossed: reached, coolingDown };
+}
+
+// Human-readable summary for the admin panel
+function describe(rule) {
+  const format = value => {
+    if (rule.type === 'pot') return `${value / 1000000000} SOL`;
+    if (MARKET_TYPES.includes(rule.type)) return `$${value.toLocaleString('en-US')}`;
+    return `${value.toLocaleString('en-US')} holders`;
+  };
+  const every = rule.step ? `, then every ${format(rule.step)}` : '';
+  const cooldown = rule.cooldownMinutes ? ` (${rule.cooldownMinutes} min cooldown)` : '';
+  return `${TYPES[rule.type]} reaches ${format(rule.threshold)}${every}${cooldown}`;
+}
+
+module.exports = {
+  TYPES,
+  MARKET_TYPES,
+  DEFAULT_SETTINGS,
+  fromEnv,
+  validateRule,
+  validate,
+  milestone,
+  evaluate,
+  describe
+};
@@ -0,0 +1,82 @@
+/**
+ * Integer helpers for raw token amounts.
+ *
+ * SPL amounts are u64 base units and pump.fun supplies at 6 decimals exceed
+ * Number.MAX_SAFE_INTEGER, so amounts are kept as decimal strings on objects
+ * that get serialized (socket payloads, API responses, Postgres NUMERIC) and
+ * only turned into BigInt for arithmetic.
+ */
+
+// Fixed-point scale for percentages computed from BigInt ratios (6 decimals)
+const PERCENT_SCALE = 1000000n;
+
+function toBigInt(value) {
+  if (typeof value === 'bigint') return value;
+  if (value === null || value === undefined || value === '') return 0n;
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value)) {
+      throw new Error(`Unsafe token amount ${value}; pass it as a decimal string`);
+    }
+    return BigInt(value);
+  }
+  return BigInt(String(value).trim());
+}
+
+function toAmountString(value) {
+  return toBigInt(value).toString();
+}
+
+function compare(a, b) {
+  const x = toBigInt(a);
+  const y = toBigInt(b);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + toBigInt(value), 0n);
+}
+
+// part / total * 100 as a Number with 6 decimals of precision
+function percentageOf(part, total) {
+  const denominator = toBigInt(total);
+  if (denominator === 0n) return 0;
+  return Number((toBigInt(part) * 100n * PERCENT_SCALE) / denominator) / Number(PERCENT_SCALE);
+}
+
+// amount * percent / 100 for a fractional percent such as 0.1, rounded down
+function applyPercentage(amount, percent) {
+  const scaledPercent = BigInt(Math.round(percent * Number(PERCENT_SCALE)));
+  return (toBigInt(amount) * scaledPercent) / (100n * PERCENT_SCALE);
+}
+
+// Raw base units as a decimal string with `decimals` places, e.g. 1500000 at 6 -> "1.5"
+function formatUnits(amount, decimals) {
+  const digits = toBigInt(amount).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : whole;
+}
+
+// Splits `total` in proportion to `shares`, rounding down; the remainder
+// goes to the first share so the parts always add up to `total`
+function allocate(total, shares) {
+  const amount = toBigInt(total);
+  const weights = shares.map(toBigInt);
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0n);
+  if (weightSum === 0n) return weights.map(() => 0n);
+
+  const parts = weights.map(weight => (amount * weight) / weightSum);
+  parts[0] += amount - parts.reduce((sum, part) => sum + part, 0n);
+  return parts;
+}
+
+module.exports = {
+  toBigInt,
+  toAmountString,
+  compare,
+  sum,
+  percentageOf,
+  applyPercentage,
+  formatUnits,
+  allocate
+};
@@ -0,0 +1,121 @@
+const tokenAmount = require('./tokenAmount');
+
+/**
+ * Winner-weighting strategies.
+ *
+ * Each strategy turns a raw token balance (BigInt) into an integer weight
+ * (BigInt). The weights are what the spin snapshot stores and what
+ * provablyFair draws against, so the wheel, the distribution API and the
+ * engine all show the same odds. Weights only need to be deterministic for a
+ * given snapshot; verifiers read them from the published proof.
+ */
+
+const DEFAULT_STRATEGY = 'linear';
+const DEFAULT_CAP_PERCENTAGE = 1;
+
+// log10 weights are scaled to integers with 6 decimals of precision
+const LOG_SCALE = 1000000;
+
+function integerSqrt(value) {
+  if (value < 2n) return value;
+
+  // Newton's method, starting from a power of two above the root
+  let x = 1n << BigInt(Math.ceil(value.toString(2).length / 2));
+  while (true) {
+    const next = (x + value / x) >> 1n;
+    if (next >= x) return x;
+    x = next;
+  }
+}
+
+// log10(1 + value) without converting the whole BigInt to a Number
+function log10OnePlus(value) {
+  const n = value + 1n;
+  const digits = n.toString();
+  if (digits.length <= 15) {
+    return Math.log10(Number(n));
+  }
+  const leading = Number(digits.slice(0, 15));
+  return Math.log10(leading) + (digits.length - 15);
+}
+
+const strategies = {
+  linear: {
+    label: 'Linear',
+    description: 'Odds proportional to balance',
+    weigh: (balance) => balance
+  },
+  sqrt: {
+    label: 'Square root',
+    description: 'Odds proportional to the square root of balance',
+    weigh: (balance) => integerSqrt(balance)
+  },
+  log: {
+    label: 'Logarithmic',
+    description: 'Odds proportional to log10(1 + balance)',
+    weigh: (balance) => {
+      const weight = BigInt(Math.floor(log10OnePlus(balance) * LOG_SCALE));
+      return weight > 0n ? weight : 1n;
+    }
+  },
+  capped: {
+    label: 'Capped',
+    description: 'Linear, but no wallet counts for more than the cap % of supply',
+    weigh: (balance, { capAmount }) => (capAmount > 0n && balance > capAmount ? capAmount : balance)
+  },
+  flat: {
+    label: 'Equal chance',
+    description: 'Every eligible wallet has the same odds',
+    weigh: () => 1n
+  }
+};
+
+function isValidStrategy(name) {
+  return Object.prototype.hasOwnProperty.call(strategies, name);
+}
+
+function getStrategy(name) {
+  return isValidStrategy(name) ? strategies[name] : strategies[DEFAULT_STRATEGY];
+}
+
+function listStrategies() {
+  return Object.entries(strategies).map(([name, strategy]) => ({
+    name,
+    label: strategy.label,
+    description: strategy.description
+  }));
+}
+
+/**
+ * Attach a `weight` (decimal string) to each holder. The anti-sniping
+ * `effectiveBalance` is weighed when present, otherwise the current balance.
+ * @param {Array<{balance: string, effectiveBalance?: string}>} holders - Eligible holders
+ * @param {string} name - Strategy name
+ * @param {{totalSupply?: string, capPercentage?: number}} options - Needed by `capped`
+ * @returns {Array<Object>} Copies of the holders with `weight` set
+ */
+function applyWeights(holders, name, options = {}) {
+  const strategy = getStrategy(name);
+  const capPercentage = options.capPercentage !== undefined ? options.capPercentage : DEFAULT_CAP_PERCENTAGE;
+  const context = {
+    capAmount: tokenAmount.applyPercentage(options.totalSupply || '0', capPercentage)
+  };
+
+  return holders.map(holder => ({
+    ...holder,
+    weight: strategy.weigh(
+      tokenAmount.toBigInt(holder.effectiveBalance !== undefined ? holder.effectiveBalance : holder.balance),
+      context
+    ).toString()
+  }));
+}
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  DEFAULT_CAP_PERCENTAGE,
+  integerSqrt,
+  isValidStrategy,
+  getStrategy,
+  listStrategies,
+  applyWeights
+};
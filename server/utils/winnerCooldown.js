@@ -0,0 +1,99 @@
+const tokenAmount = require('./tokenAmount');
+
+/**
+ * Recent-winner rules applied to the weighted holder list before a spin.
+ *
+ * - excludeLastGames: winners of the last K games sit the spin out
+ * - maxWinsPer24h: wallets that already won this many times in 24h sit out
+ * - postWinOddsMultiplier / postWinPenaltyHours: remaining recent winners
+ *   keep their place but with their weight scaled down
+ *
+ * `history` is a list of { gameId, address, wonAt } ordered newest first,
+ * with one entry per place for multi-winner games. A merged cluster
+ * (`clusterMembers`) answers for the wins of every member wallet.
+ * A value of 0 (or a multiplier of 1) turns the corresponding rule off.
+ */
+
+const DEFAULT_RULES = {
+  excludeLastGames: 0,
+  maxWinsPer24h: 0,
+  postWinOddsMultiplier: 1,
+  postWinPenaltyHours: 24
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function applyRules(holders, history, rules, now = Date.now()) {
+  const excluded = new Map();
+
+  if (rules.excludeLastGames > 0) {
+    // Multi-winner games contribute one entry per place
+    const recentGames = [...new Set(history.map(win => win.gameId))].slice(0, rules.excludeLastGames);
+    history.forEach(win => {
+      const i = recentGames.indexOf(win.gameId);
+      if (i !== -1 && !excluded.has(win.address)) {
+        excluded.set(win.address, `Won ${i === 0 ? 'the last game' : `${i + 1} games ago`} (${win.gameId}); cooldown is ${rules.excludeLastGames} game(s)`);
+      }
+    });
+  }
+
+  const winsToday = new Map();
+  if (rules.maxWinsPer24h > 0) {
+    history
+      .filter(win => now - new Date(win.wonAt).getTime() < DAY_MS)
+      .forEach(win => winsToday.set(win.address, (winsToday.get(win.address) || 0) + 1));
+  }
+
+  const penalized = new Set();
+  if (rules.postWinOddsMultiplier < 1 && rules.postWinPenaltyHours > 0) {
+    const windowMs = rules.postWinPenaltyHours * 60 * 60 * 1000;
+    history
+      .filter(win => now - new Date(win.wonAt).getTime() < windowMs)
+      .forEach(win => penalized.add(win.address));
+  }
+
+  const eligible = [];
+  const exclusions = [];
+
+  for (const holder of holders) {
+    const addresses = holder.clusterMembers || [holder.address];
+
+    const recentWinner = addresses.find(address => excluded.has(address));
+    if (recentWinner) {
+      const reason = excluded.get(recentWinner);
+      exclusions.push({
+        address: holder.address,
+        reason: recentWinner === holder.address ? reason : `${reason}, as cluster member ${recentWinner}`
+      });
+      continue;
+    }
+
+    const wins = addresses.reduce((sum, address) => sum + (winsToday.get(address) || 0), 0);
+    if (rules.maxWinsPer24h > 0 && wins >= rules.maxWinsPer24h) {
+      exclusions.push({
+        address: holder.address,
+        reason: `Won ${wins} time(s) in the last 24h${addresses.length > 1 ? ' across its cluster' : ''}; limit is ${rules.maxWinsPer24h}`
+      });
+      continue;
+    }
+
+    if (addresses.some(address => penalized.has(address))) {
+      const weight = tokenAmount.applyPercentage(holder.weight, rules.postWinOddsMultiplier * 100);
+      eligible.push({
+        ...holder,
+        weight: (weight > 0n ? weight : 1n).toString(),
+        postWinMultiplier: rules.postWinOddsMultiplier
+      });
+      continue;
+    }
+
+    eligible.push(holder);
+  }
+
+  return { eligible, exclusions };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  applyRules
+};
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Solana Wheel Game - Local Signing Daemon
+ *
+ *   node signing-daemon.js create-keystore <keypair.json> <keystore.json>
+ *     Encrypts a Solana CLI keypair file into a keystore for the `keystore`
+ *     or `socket` signer.
+ *
+ *   node signing-daemon.js serve <keystore.json> <socket-path>
+ *     Unlocks the keystore and signs messages for the server over a Unix
+ *     socket only this user can open (protocol in server/services/signerService.js).
+ *
+ * The password is typed at the terminal, or read from SIGNER_KEYSTORE_PASSWORD_FILE.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const crypto = require('crypto');
+const keystore = require('./server/utils/keystore');
+
+async function readPassword(prompt) {
+  if (process.env.SIGNER_KEYSTORE_PASSWORD_FILE) {
+    return fs.readFileSync(process.env.SIGNER_KEYSTORE_PASSWORD_FILE, 'utf8').replace(/\r?\n$/, '');
+  }
+  return keystore.readPassword(prompt);
+}
+
+async function createKeystore(keypairFile, keystoreFile) {
+  if (fs.existsSync(keystoreFile)) {
+    throw new Error(`${keystoreFile} already exists`);
+  }
+
+  const secretKey = JSON.parse(fs.readFileSync(keypairFile, 'utf8'));
+  const password = await readPassword('New keystore password: ');
+  if (!process.env.SIGNER_KEYSTORE_PASSWORD_FILE && password !== await readPassword('Repeat password: ')) {
+    throw new Error('Passwords do not match');
+  }
+  if (password.length < 12) {
+    throw new Error('Use a keystore password of at least 12 characters');
+  }
+
+  const contents = await keystore.encrypt(secretKey, password);
+  fs.writeFileSync(keystoreFile, JSON.stringify(contents, null, 2), { mode: 0o600 });
+  console.log(`✅ Keystore for ${contents.publicKey} written to ${keystoreFile}`);
+  console.log(`   You can now delete ${keypairFile} and the matching *_PRIVATE_KEY from your environment.`);
+}
+
+function handleRequest(request, secretKey, publicKey) {
+  switch (request.method) {
+    case 'getPublicKey':
+      return { publicKey };
+
+    case 'signMessage': {
+      const message = Buffer.from(request.message, 'base64');
+      const digest = crypto.createHash('sha256').update(message).digest('hex').slice(0, 16);
+      console.log(`${new Date().toISOString()} signing ${message.length}-byte message ${digest}`);
+      return { signature: Buffer.from(keystore.sign(secretKey, message)).toString('base64') };
+    }
+
+    default:
+      throw new Error(`Unknown method: ${request.method}`);
+  }
+}
+
+async function serve(keystoreFile, socketPath) {
+  const contents = JSON.parse(fs.readFileSync(keystoreFile, 'utf8'));
+  const secretKey = await keystore.decrypt(contents, await readPassword(`Password for ${keystoreFile}: `));
+
+  // A socket left behind by a previous run would block listen()
+  if (fs.existsSync(socketPath)) {
+    fs.unlinkSync(socketPath);
+  }
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('error', () => {});
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+
+        let request = {};
+        let response;
+        try {
+          request = JSON.parse(line);
+          response = handleRequest(request, secretKey, contents.publicKey);
+        } catch (error) {
+          response = { error: error.message };
+        }
+        socket.write(`${JSON.stringify({ id: request.id, ...response })}\n`);
+      }
+    });
+  });
+
+  const oldUmask = process.umask(0o177);
+  server.listen(socketPath, () => {
+    process.umask(oldUmask);
+    fs.chmodSync(socketPath, 0o600);
+    console.log(`🔐 Signing for ${contents.publicKey} on ${socketPath}`);
+  });
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+const [command, ...args] = process.argv.slice(2);
+const commands = {
+  'create-keystore': createKeystore,
+  serve
+};
+
+if (!commands[command] || args.length !== 2) {
+  console.log('Usage: node signing-daemon.js create-keystore <keypair.json> <keystore.json>');
+  console.log('       node signing-daemon.js serve <keystore.json> <socket-path>');
+  process.exit(1);
+}
+
+commands[command](...args).catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
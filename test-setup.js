@@ -41,10 +41,16 @@ envLines.forEach(line => {
 });
 
 // Check required configurations
+const hotWalletConfig = {
+    env: 'HOT_WALLET_PRIVATE_KEY',
+    keystore: 'HOT_WALLET_KEYSTORE',
+    socket: 'HOT_WALLET_SIGNER_SOCKET'
+}[config.HOT_WALLET_SIGNER || 'env'] || 'HOT_WALLET_SIGNER';
+
 const requiredConfigs = [
     'TOKEN_MINT_ADDRESS',
     'SOLANA_RPC_URL',
-    'HOT_WALLET_PRIVATE_KEY',
+    hotWalletConfig,
     'CREATOR_WALLET',
     'ADMIN_PASSWORD'
 ];